@@ -17,6 +17,8 @@ const { error } = require("./utils/error");
 const isAuthenticated = require("./middleware/isAuthenticated");
 const isAdmin = require("./middleware/isAdmin");
 const requestLogger = require("./middleware/requestLogger");
+const scopeOwner = require("./middleware/scopeOwner");
+const orgAccess = require("./middleware/orgAccess");
 
 // routers
 const indexRouter = require("./routes/index");
@@ -32,6 +34,13 @@ const totalExpensesRoutes = require("./routes/totalExpenses");
 const calculateLoanRoutes = require("./routes/calculateLoan");
 const driverProfilesRoutes = require("./routes/driverProfiles");
 const alertsRoutes = require("./routes/alerts");
+const tripsRoutes = require("./routes/trips");
+const truckDocumentsRoutes = require("./routes/truckDocuments");
+const driverLedgerRoutes = require("./routes/driverLedger");
+const maintenancePlansRoutes = require("./routes/maintenancePlans");
+const organizationsRoutes = require("./routes/organizations");
+const calendarRoutes = require("./routes/calendar");
+const scheduleRoutes = require("./routes/schedule");
 const metadata = require("./routes/metadata");
 const healthRouter = require("./routes/health");
 
@@ -90,17 +99,26 @@ app.use("/api/v1/app/auth", authRouter);
 app.use("/api/v1/app/users", isAuthenticated, usersRouter);
 app.use("/api/v1/app/admin", isAdmin, adminRouter);
 app.use("/", indexRouter);
-app.use("/api/v1/app/truck", isAuthenticated, trucksRoutes);
-app.use('/api/income', incomeRoutes);
-app.use("/api/v1/app/fuelExpenses", isAuthenticated, fuelExpensesRoutes);
-app.use("/api/v1/app/defExpenses", isAuthenticated, defExpensesRoutes);
-app.use("/api/v1/app/otherExpenses", isAuthenticated, otherExpensesRoutes);
-app.use("/api/v1/app/income", isAuthenticated, incomeRoutes);
-app.use("/api/v1/app/totalExpenses", isAuthenticated, totalExpensesRoutes);
-app.use("/api/v1/app/calculateLoan", isAuthenticated, calculateLoanRoutes);
-app.use("/api/v1/app/driverProfiles", isAuthenticated, driverProfilesRoutes);
-app.use("/api/v1/app/alerts", isAuthenticated, alertsRoutes);
-app.use("/api/v1/app/metadata", isAuthenticated, metadata);
+app.use("/api/v1/app/truck", isAuthenticated, orgAccess('trucks'), scopeOwner, trucksRoutes);
+app.use('/api/income', isAuthenticated, orgAccess('income'), scopeOwner, incomeRoutes);
+app.use("/api/v1/app/fuelExpenses", isAuthenticated, orgAccess('expenses'), scopeOwner, fuelExpensesRoutes);
+app.use("/api/v1/app/defExpenses", isAuthenticated, orgAccess('expenses'), scopeOwner, defExpensesRoutes);
+app.use("/api/v1/app/otherExpenses", isAuthenticated, orgAccess('expenses'), scopeOwner, otherExpensesRoutes);
+app.use("/api/v1/app/income", isAuthenticated, orgAccess('income'), scopeOwner, incomeRoutes);
+app.use("/api/v1/app/totalExpenses", isAuthenticated, orgAccess('expenses'), scopeOwner, totalExpensesRoutes);
+app.use("/api/v1/app/calculateLoan", isAuthenticated, orgAccess('loans'), scopeOwner, calculateLoanRoutes);
+app.use("/api/v1/app/driverProfiles", isAuthenticated, orgAccess('drivers'), scopeOwner, driverProfilesRoutes);
+app.use("/api/v1/app/alerts", isAuthenticated, orgAccess('alerts'), scopeOwner, alertsRoutes);
+app.use("/api/v1/app/trips", isAuthenticated, orgAccess('trips'), scopeOwner, tripsRoutes);
+app.use("/api/v1/app/truckDocuments", isAuthenticated, orgAccess('trucks'), scopeOwner, truckDocumentsRoutes);
+app.use("/api/v1/app/driverLedger", isAuthenticated, orgAccess('payroll'), scopeOwner, driverLedgerRoutes);
+app.use("/api/v1/app/maintenancePlans", isAuthenticated, orgAccess('trucks'), scopeOwner, maintenancePlansRoutes);
+app.use("/api/v1/app/metadata", isAuthenticated, orgAccess('metadata'), scopeOwner, metadata);
+// Read-only; each kind of entry is checked against the member's role
+app.use("/api/v1/app/schedule", isAuthenticated, orgAccess(), scheduleRoutes);
+app.use("/api/v1/app/organizations", isAuthenticated, organizationsRoutes);
+// Authenticates per route: the feed itself is fetched by calendar apps with its token
+app.use("/api/v1/app/calendar", calendarRoutes);
 
 appLogger.info("Routes configured successfully");
 
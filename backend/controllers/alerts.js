@@ -4,11 +4,20 @@ const { catchAsyncError } = require('../middleware/catchAsyncError');
 const ErrorHandler = require('../middleware/errorHandlers');
 const logger = require('../utils/logger');
 const { getFullContext } = require('../utils/requestContext');
+const { ownerScope, resolveOwnerId, findOwnedTruck } = require('../utils/ownership');
+const { isMonthBased, getNextOccurrence, validateRecurrence } = require('../../shared/alerts/recurrence');
+const { resolveSnoozeUntil, pushHistory, resetEscalation } = require('../../shared/alerts/snooze');
+
+// Empty values clear the optional end of a recurrence rule
+const toOptional = (value) => (value === '' || value === undefined ? null : value);
 
 // Add a new alert
 const addAlert = catchAsyncError(async (req, res, next) => {
     try {
-        const { addedBy, title, description, alertDate, type, priority, truckId, driverId, isRecurring, recurringType } = req.body;
+        const {
+            addedBy, title, description, alertDate, type, priority, truckId, driverId,
+            isRecurring, recurringType, recurringInterval, recurringDayOfMonth, recurringEndDate, recurringCount
+        } = req.body;
 
         logger.info('Creating new alert', getFullContext(req, {
             addedBy,
@@ -18,9 +27,19 @@ const addAlert = catchAsyncError(async (req, res, next) => {
             truckId,
             driverId,
             isRecurring,
-            recurringType
+            recurringType,
+            recurringInterval
         }));
 
+        if (truckId && !(await findOwnedTruck(req, truckId))) {
+            return next(new ErrorHandler('Truck not found', 404));
+        }
+
+        const recurrenceError = validateRecurrence({ alertDate, recurringEndDate });
+        if (recurrenceError) {
+            return next(new ErrorHandler(recurrenceError, 400));
+        }
+
         const newAlert = new Alert({
             addedBy,
             title,
@@ -31,7 +50,11 @@ const addAlert = catchAsyncError(async (req, res, next) => {
             truckId,
             driverId,
             isRecurring: isRecurring || false,
-            recurringType: recurringType || 'none'
+            recurringType: recurringType || 'none',
+            recurringInterval: recurringInterval || 1,
+            recurringDayOfMonth: recurringDayOfMonth || (isMonthBased(recurringType) ? new Date(alertDate).getDate() : undefined),
+            recurringEndDate: toOptional(recurringEndDate),
+            recurringCount: toOptional(recurringCount)
         });
 
         const savedAlert = await newAlert.save();
@@ -75,7 +98,7 @@ const getAlertById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Invalid alert ID', 400));
         }
 
-        const alert = await Alert.findById(id)
+        const alert = await Alert.findOne({ _id: id, ...ownerScope(req) })
             .populate('truckId', 'registrationNo make model')
             .populate('driverId', 'name license');
 
@@ -108,7 +131,13 @@ const getAlertById = catchAsyncError(async (req, res, next) => {
 // Get all alerts by user
 const getAllAlertsByUser = catchAsyncError(async (req, res, next) => {
     try {
-        const { addedBy } = req.params;
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
+
+        if (!addedBy) {
+            logger.warn('Alerts requested for another user', getFullContext(req, { addedBy: req.params.addedBy }));
+            return next(new ErrorHandler('Alerts not found', 404));
+        }
+
         const {
             isRead,
             type,
@@ -326,19 +355,36 @@ const getAllAlerts = catchAsyncError(async (req, res, next) => {
 const updateAlertById = catchAsyncError(async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { title, description, alertDate, type, priority, truckId, driverId } = req.body;
+        const {
+            title, description, alertDate, type, priority, truckId, driverId,
+            isRecurring, recurringType, recurringInterval, recurringDayOfMonth, recurringEndDate, recurringCount
+        } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             logger.warn('Invalid alert ID for update', { alertId: id });
             return next(new ErrorHandler('Invalid alert ID', 400));
         }
 
+        if (truckId && !(await findOwnedTruck(req, truckId))) {
+            return next(new ErrorHandler('Truck not found', 404));
+        }
+
         logger.info('Updating alert', {
             alertId: id,
             updates: { title, type, priority, truckId, driverId }
         });
 
-        const updateData = { title, description, type, priority, truckId, driverId };
+        const recurrenceError = validateRecurrence({ alertDate, recurringEndDate });
+        if (recurrenceError) {
+            return next(new ErrorHandler(recurrenceError, 400));
+        }
+
+        const updateData = {
+            title, description, type, priority, truckId, driverId,
+            isRecurring, recurringType, recurringInterval, recurringDayOfMonth,
+            recurringEndDate: recurringEndDate === undefined ? undefined : toOptional(recurringEndDate),
+            recurringCount: recurringCount === undefined ? undefined : toOptional(recurringCount)
+        };
 
         if (alertDate) {
             const newAlertDate = new Date(alertDate);
@@ -352,8 +398,20 @@ const updateAlertById = catchAsyncError(async (req, res, next) => {
             updateData.alertDate = newAlertDate;
         }
 
-        const updatedAlert = await Alert.findByIdAndUpdate(
-            id,
+        // A moved alert is no longer snoozed or escalated, and recurs on its new day of
+        // the month
+        if (updateData.alertDate) {
+            const existingAlert = await Alert.findOne({ _id: id, ...ownerScope(req) });
+            if (existingAlert && existingAlert.alertDate.getTime() !== updateData.alertDate.getTime()) {
+                Object.assign(updateData, resetEscalation(existingAlert, priority));
+                if (recurringDayOfMonth === undefined) {
+                    updateData.recurringDayOfMonth = updateData.alertDate.getDate();
+                }
+            }
+        }
+
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             updateData,
             { new: true, runValidators: true }
         ).populate('truckId', 'registrationNo make model')
@@ -406,8 +464,8 @@ const markAlertAsRead = catchAsyncError(async (req, res, next) => {
             isRead
         });
 
-        const updatedAlert = await Alert.findByIdAndUpdate(
-            id,
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { isRead: Boolean(isRead) },
             { new: true }
         );
@@ -438,6 +496,110 @@ const markAlertAsRead = catchAsyncError(async (req, res, next) => {
     }
 });
 
+// Snooze an alert until a date or for a number of hours
+const snoozeAlertById = catchAsyncError(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            logger.warn('Invalid alert ID for snooze', { alertId: id });
+            return next(new ErrorHandler('Invalid alert ID', 400));
+        }
+
+        const { snoozedUntil, error } = resolveSnoozeUntil(req.body, new Date());
+        if (error) {
+            return next(new ErrorHandler(error, 400));
+        }
+
+        const alert = await Alert.findOne({ _id: id, ...ownerScope(req) });
+
+        if (!alert) {
+            logger.warn('Alert not found for snooze', { alertId: id });
+            return next(new ErrorHandler('Alert not found', 404));
+        }
+
+        if (alert.isRead) {
+            return next(new ErrorHandler('Read alerts cannot be snoozed', 400));
+        }
+
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
+            {
+                snoozedUntil,
+                ...pushHistory({ action: 'snoozed', by: req.user.userId, until: snoozedUntil })
+            },
+            { new: true }
+        );
+
+        logger.info('Alert snoozed', {
+            alertId: id,
+            snoozedUntil,
+            userId: req.user.userId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert snoozed',
+            data: updatedAlert
+        });
+    } catch (error) {
+        console.error('Error snoozing alert:', error);
+        logger.error('Failed to snooze alert', {
+            error: error.message,
+            alertId: req.params.id
+        });
+        return next(new ErrorHandler('Failed to snooze alert', 500));
+    }
+});
+
+// End an alert's snooze early
+const unsnoozeAlertById = catchAsyncError(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            logger.warn('Invalid alert ID for unsnooze', { alertId: id });
+            return next(new ErrorHandler('Invalid alert ID', 400));
+        }
+
+        const now = new Date();
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req), snoozedUntil: { $gt: now } },
+            {
+                snoozedUntil: null,
+                ...pushHistory({ action: 'unsnoozed', at: now, by: req.user.userId })
+            },
+            { new: true }
+        );
+
+        if (!updatedAlert) {
+            if (await Alert.exists({ _id: id, ...ownerScope(req) })) {
+                return next(new ErrorHandler('Alert is not snoozed', 400));
+            }
+            logger.warn('Alert not found for unsnooze', { alertId: id });
+            return next(new ErrorHandler('Alert not found', 404));
+        }
+
+        logger.info('Alert snooze ended', {
+            alertId: id,
+            userId: req.user.userId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert no longer snoozed',
+            data: updatedAlert
+        });
+    } catch (error) {
+        console.error('Error ending alert snooze:', error);
+        logger.error('Failed to end alert snooze', {
+            error: error.message,
+            alertId: req.params.id
+        });
+        return next(new ErrorHandler('Failed to end alert snooze', 500));
+    }
+});
+
 // Soft delete alert by ID
 const deleteAlertById = catchAsyncError(async (req, res, next) => {
     try {
@@ -450,8 +612,8 @@ const deleteAlertById = catchAsyncError(async (req, res, next) => {
 
         logger.info('Soft deleting alert', { alertId: id });
 
-        const deletedAlert = await Alert.findByIdAndUpdate(
-            id,
+        const deletedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { isActive: false },
             { new: true }
         );
@@ -535,8 +697,8 @@ const restoreAlertById = catchAsyncError(async (req, res, next) => {
 
         logger.info('Restoring alert', { alertId: id });
 
-        const restoredAlert = await Alert.findByIdAndUpdate(
-            id,
+        const restoredAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { isActive: true },
             { new: true }
         );
@@ -570,9 +732,14 @@ const restoreAlertById = catchAsyncError(async (req, res, next) => {
 // Get alerts summary/dashboard data
 const getAlertsSummary = catchAsyncError(async (req, res, next) => {
     try {
-        const { addedBy } = req.params;
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
         const now = new Date();
 
+        if (!addedBy) {
+            logger.warn('Alerts summary requested for another user', getFullContext(req, { addedBy: req.params.addedBy }));
+            return next(new ErrorHandler('Alerts not found', 404));
+        }
+
         logger.info('Fetching alerts summary', { addedBy });
 
         const summary = await Alert.aggregate([
@@ -690,7 +857,7 @@ const markRecurringAlertAsDone = catchAsyncError(async (req, res, next) => {
 
         logger.info('Marking recurring alert as done', { alertId: id });
 
-        const alert = await Alert.findById(id);
+        const alert = await Alert.findOne({ _id: id, ...ownerScope(req) });
 
         if (!alert) {
             logger.warn('Alert not found for recurring completion', { alertId: id });
@@ -702,26 +869,42 @@ const markRecurringAlertAsDone = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Alert is not a recurring alert', 400));
         }
 
-        // Calculate next occurrence date based on recurring type
-        let nextAlertDate = new Date(alert.alertDate);
+        const previousDate = alert.alertDate;
+        const nextAlertDate = getNextOccurrence(alert);
+        alert.lastRecurredDate = new Date();
 
-        if (alert.recurringType === 'monthly') {
-            // Add one month to the current alert date
-            nextAlertDate.setMonth(nextAlertDate.getMonth() + 1);
+        if (!nextAlertDate) {
+            // The rule has run its course; the last occurrence is done
+            alert.isRead = true;
+            const finishedAlert = await alert.save();
+
+            logger.info('Recurring alert completed its last occurrence', {
+                alertId: id,
+                occurrenceCount: finishedAlert.occurrenceCount,
+                recurringType: finishedAlert.recurringType
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Last occurrence done, the alert no longer recurs.',
+                data: finishedAlert
+            });
         }
 
-        // Update the existing alert with new date and reset read status
+        // Move the alert to its next occurrence, unread and not escalated
+        Object.assign(alert, resetEscalation(alert));
         alert.alertDate = nextAlertDate;
         alert.isRead = false;
-        alert.lastRecurredDate = new Date();
+        alert.occurrenceCount = (alert.occurrenceCount || 1) + 1;
 
         const updatedAlert = await alert.save();
 
         logger.info('Recurring alert updated with next occurrence date', {
             alertId: id,
-            previousDate: alert.alertDate,
-            nextAlertDate: nextAlertDate,
-            recurringType: alert.recurringType
+            previousDate,
+            nextAlertDate,
+            recurringType: alert.recurringType,
+            recurringInterval: alert.recurringInterval
         });
 
         res.status(200).json({
@@ -746,6 +929,8 @@ module.exports = {
     getAllAlerts,
     updateAlertById,
     markAlertAsRead,
+    snoozeAlertById,
+    unsnoozeAlertById,
     deleteAlertById,
     permanentDeleteAlertById,
     restoreAlertById,
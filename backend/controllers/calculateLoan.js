@@ -7,12 +7,22 @@ const Truck = require("../models/truck-model");
 // Use global logger (which already handles Papertrail HTTPS + console)
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck } = require("../utils/ownership");
+const {
+  buildAmortisationSchedule,
+  allocatePayments,
+  summariseSchedule
+} = require("../utils/loanSchedule");
 
 // Controller to add a new loan filling record
 const addLoanCalculation = async (req, res) => {
   try {
     const { truckId, addedBy, date, cost, additionalCharges, note } = req.body;
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     logger.info("Adding new loan calculation", getFullContext(req, {
       truckId,
       addedBy,
@@ -58,6 +68,11 @@ const getAllLoanCalculationsByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     logger.info("Fetching loan calculations by truck ID", {
       truckId,
       selectedDates
@@ -164,6 +179,12 @@ const getAllLoanCalculationsByUserId = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     logger.info("Fetching loan calculations by user ID", {
       userId,
       selectedDates
@@ -176,7 +197,7 @@ const getAllLoanCalculationsByUserId = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -247,7 +268,7 @@ const deleteLoanCalculationById = async (req, res) => {
 
     logger.info("Deleting loan calculation", { calculationId: id });
 
-    const deletedCalculation = await LoanCalculation.findByIdAndDelete(id);
+    const deletedCalculation = await LoanCalculation.findOneAndDelete({ _id: id, ...ownerScope(req) });
 
     if (!deletedCalculation) {
       logger.warn("Loan calculation not found for deletion", { calculationId: id });
@@ -278,6 +299,11 @@ const downloadLoanCalculationsExcel = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     logger.info("Generating loan calculations Excel file", {
       truckId,
       selectedDates
@@ -424,6 +450,12 @@ const downloadAllLoanCalculationsExcel = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     logger.info("Generating Excel for all loan calculations by user", {
       userId,
       selectedDates
@@ -436,7 +468,7 @@ const downloadAllLoanCalculationsExcel = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -566,11 +598,113 @@ const downloadAllLoanCalculationsExcel = async (req, res) => {
   }
 };
 
+// Controller to set the loan terms (principal, rate, tenure, start, EMI day) of a truck
+const updateLoanTermsByTruckId = async (req, res) => {
+  try {
+    const { truckId } = req.params;
+    const { principal, annualRate, tenureMonths, startDate, emiDay } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(truckId)) {
+      return res.status(400).json({ message: "Invalid truck ID" });
+    }
+
+    if (
+      [principal, annualRate, tenureMonths, emiDay].some((value) => value === undefined || value === null || isNaN(Number(value))) ||
+      !startDate ||
+      !moment(startDate).isValid()
+    ) {
+      return res.status(400).json({
+        message: "Principal, interest rate, tenure, start date and EMI day are required"
+      });
+    }
+
+    const loanTerms = {
+      principal: Number(principal),
+      annualRate: Number(annualRate),
+      tenureMonths: Math.round(Number(tenureMonths)),
+      startDate: moment.utc(startDate).startOf("day").toDate(),
+      emiDay: Math.round(Number(emiDay))
+    };
+
+    logger.info("Updating loan terms", getFullContext(req, { truckId, ...loanTerms }));
+
+    const truck = await Truck.findOneAndUpdate(
+      { _id: truckId, ...ownerScope(req) },
+      { loanTerms },
+      { new: true, runValidators: true }
+    );
+
+    if (!truck) {
+      logger.warn("Truck not found for loan terms update", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    logger.info("Loan terms updated successfully", getFullContext(req, { truckId }));
+
+    res.status(200).json({ loanTerms: truck.loanTerms });
+  } catch (error) {
+    logger.error("Failed to update loan terms", getFullContext(req, {
+      error: error.message,
+      truckId: req.params.truckId
+    }));
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: "Failed to update loan terms" });
+  }
+};
+
+// Controller to build the EMI schedule of a truck and match recorded payments against it
+const getLoanScheduleByTruckId = async (req, res) => {
+  try {
+    const { truckId } = req.query;
+
+    if (!truckId) {
+      logger.warn("Missing truck ID for loan schedule");
+      return res.status(400).json({ message: "Truck ID is required" });
+    }
+
+    const truck = await findOwnedTruck(req, truckId);
+    if (!truck) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const loanTerms = truck.loanTerms;
+    if (!loanTerms || !loanTerms.principal || !loanTerms.tenureMonths || !loanTerms.startDate || !loanTerms.emiDay) {
+      return res.status(400).json({ message: "Loan terms are not set for this truck" });
+    }
+
+    const payments = await LoanCalculation.find({ truckId }).sort({ date: 1 });
+
+    const schedule = buildAmortisationSchedule(loanTerms);
+    const { installments, unallocated } = allocatePayments(schedule, payments);
+    const summary = summariseSchedule(installments, unallocated);
+
+    logger.info("Loan schedule generated", getFullContext(req, {
+      truckId,
+      installments: installments.length,
+      missed: summary.missedCount,
+      partial: summary.partialCount
+    }));
+
+    res.status(200).json({ loanTerms, summary, schedule: installments });
+  } catch (error) {
+    logger.error("Failed to generate loan schedule", getFullContext(req, {
+      error: error.message,
+      truckId: req.query.truckId
+    }));
+    res.status(500).json({ message: "Failed to generate loan schedule" });
+  }
+};
+
 module.exports = {
   addLoanCalculation,
   getAllLoanCalculationsByTruckId,
   deleteLoanCalculationById,
   downloadLoanCalculationsExcel,
   getAllLoanCalculationsByUserId,
-  downloadAllLoanCalculationsExcel
+  downloadAllLoanCalculationsExcel,
+  updateLoanTermsByTruckId,
+  getLoanScheduleByTruckId
 };
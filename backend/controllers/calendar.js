@@ -0,0 +1,114 @@
+const userModel = require('../models/user-model');
+const { catchAsyncError } = require('../middleware/catchAsyncError');
+const ErrorHandler = require('../middleware/errorHandlers');
+const logger = require('../utils/logger');
+const { getFullContext } = require('../utils/requestContext');
+const { generateFeedToken, hashFeedToken, buildCalendarFeed } = require('../utils/calendarFeed');
+
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Subscription URL of a feed token. Behind a proxy the public address has to come
+// from CALENDAR_FEED_BASE_URL, as calendar apps fetch the feed from outside.
+const getFeedUrl = (req, token) => {
+    const baseUrl = process.env.CALENDAR_FEED_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl.replace(/\/$/, '')}/api/v1/app/calendar/feed/${token}.ics`;
+};
+
+// Get the caller's calendar feed, null when they have none. Only the token's hash is
+// stored, so the URL is not part of it; it is shown once, when the feed is created.
+const getCalendarFeed = catchAsyncError(async (req, res, next) => {
+    try {
+        const user = await userModel.findById(req.user.userId).select('+calendarFeedTokenHash');
+        if (!user) {
+            return next(new ErrorHandler('User not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: user.calendarFeedTokenHash ? 'Calendar feed found' : 'No calendar feed yet',
+            data: user.calendarFeedTokenHash ? { createdAt: user.calendarFeedCreatedAt } : null
+        });
+    } catch (error) {
+        logger.error('Failed to fetch calendar feed', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to fetch calendar feed', 500));
+    }
+});
+
+// Create the caller's calendar feed, or replace its token so the old URL stops working
+const createCalendarFeed = catchAsyncError(async (req, res, next) => {
+    try {
+        const token = generateFeedToken();
+        const user = await userModel.findByIdAndUpdate(
+            req.user.userId,
+            { calendarFeedTokenHash: hashFeedToken(token), calendarFeedCreatedAt: new Date() },
+            { new: true }
+        );
+        if (!user) {
+            return next(new ErrorHandler('User not found', 404));
+        }
+
+        logger.info('Calendar feed token issued', getFullContext(req));
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed created successfully',
+            data: { url: getFeedUrl(req, token), createdAt: user.calendarFeedCreatedAt }
+        });
+    } catch (error) {
+        logger.error('Failed to create calendar feed', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to create calendar feed', 500));
+    }
+});
+
+// Revoke the caller's calendar feed; subscribed calendars stop receiving updates
+const revokeCalendarFeed = catchAsyncError(async (req, res, next) => {
+    try {
+        await userModel.updateOne(
+            { _id: req.user.userId },
+            { $unset: { calendarFeedTokenHash: 1, calendarFeedCreatedAt: 1 } }
+        );
+
+        logger.info('Calendar feed revoked', getFullContext(req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar feed revoked successfully'
+        });
+    } catch (error) {
+        logger.error('Failed to revoke calendar feed', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to revoke calendar feed', 500));
+    }
+});
+
+// Serve the .ics feed of a token. Public: the token in the URL is the credential.
+const getCalendarFeedByToken = catchAsyncError(async (req, res, next) => {
+    try {
+        const { token } = req.params;
+        const user = FEED_TOKEN_PATTERN.test(token)
+            ? await userModel.findOne({ calendarFeedTokenHash: hashFeedToken(token) })
+            : null;
+        if (!user) {
+            logger.warn('Calendar feed requested with an unknown token', getFullContext(req));
+            return next(new ErrorHandler('Calendar feed not found', 404));
+        }
+
+        const calendar = await buildCalendarFeed(user);
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="manage-my-truck.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.status(200).send(calendar);
+    } catch (error) {
+        logger.error('Failed to build calendar feed', getFullContext(req, { error: error.message, stack: error.stack }));
+        return next(new ErrorHandler('Failed to build calendar feed', 500));
+    }
+});
+
+module.exports = {
+    getCalendarFeed,
+    createCalendarFeed,
+    revokeCalendarFeed,
+    getCalendarFeedByToken
+};
@@ -6,16 +6,37 @@ const ExcelJS = require("exceljs");
 const TruckExpense = require("../models/truck-model");
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck, checkTripOfTruck } = require("../utils/ownership");
+const { importSheet } = require("../utils/expenseImport");
+const { addAttachment, downloadAttachment, deleteAttachment } = require("../utils/attachments");
+const { checkOdometerReading, checkOdometerUpdate } = require("../utils/odometer");
+const { syncTruckMaintenance } = require("../utils/maintenancePlans");
 
 // Controller to add a new def filling record
 const addDefExpense = async (req, res) => {
   try {
-    const { truckId, addedBy, date, currentKM, litres, cost, note } = req.body;
+    const { truckId, tripId, addedBy, date, currentKM, litres, cost, note } = req.body;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
+
+    const odometerIssues = await checkOdometerReading({ truckId, date, currentKM });
+    if (odometerIssues.length > 0 && !req.body.confirmOdometer) {
+      logger.warn("Suspicious odometer reading rejected", getFullContext(req, { truckId, currentKM, issues: odometerIssues.map((issue) => issue.code) }));
+      return res.status(400).json({ message: "Odometer reading looks wrong", odometerIssues });
+    }
 
     logger.info("Adding new DEF expense", getFullContext(req, { truckId, addedBy, date, currentKM, litres, cost }));
 
     const newDefExpense = new DefExpense({
       truckId,
+      tripId: tripId || null,
       addedBy,
       date,
       currentKM,
@@ -25,6 +46,7 @@ const addDefExpense = async (req, res) => {
     });
 
     const savedDefExpense = await newDefExpense.save();
+    await syncTruckMaintenance(truckId);
     logger.info("DEF expense added successfully", getFullContext(req, { defExpenseId: savedDefExpense._id, truckId, cost }));
     res.status(201).json(savedDefExpense);
   } catch (error) {
@@ -39,6 +61,7 @@ const updateDefExpenseByTruckId = async (req, res) => {
     const { id } = req.params;
     const {
       truckId,
+      tripId,
       addedBy,
       date,
       currentKM,
@@ -56,6 +79,27 @@ const updateDefExpenseByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Invalid def expense ID" });
     }
 
+    if (truckId && !(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const existing = await DefExpense.findOne({ _id: id, ...ownerScope(req) });
+    if (!existing) {
+      logger.warn("DEF expense not found for update", { id });
+      return res.status(404).json({ message: "Def expense not found" });
+    }
+
+    // The trip has to have run on the truck the entry ends up on
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId || existing.truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
+
+    const odometerIssues = await checkOdometerUpdate(existing, { truckId, date, currentKM });
+    if (odometerIssues.length > 0 && !req.body.confirmOdometer) {
+      logger.warn("Suspicious odometer reading rejected", getFullContext(req, { id, currentKM, issues: odometerIssues.map((issue) => issue.code) }));
+      return res.status(400).json({ message: "Odometer reading looks wrong", odometerIssues });
+    }
 
     // Update the invoice URL if a new file is provided
     let invoiceURL = req.body.invoiceURL;
@@ -64,10 +108,11 @@ const updateDefExpenseByTruckId = async (req, res) => {
     }
 
     // Update the def
-    const updatedDef = await DefExpense.findByIdAndUpdate(
-      { _id: id },
+    const updatedDef = await DefExpense.findOneAndUpdate(
+      { _id: id, ...ownerScope(req) },
       {
         truckId,
+        tripId: tripId || null,
         addedBy,
         date,
         currentKM,
@@ -83,6 +128,11 @@ const updateDefExpenseByTruckId = async (req, res) => {
       return res.status(404).json({ message: "Def expense not found" });
     }
 
+    await syncTruckMaintenance(updatedDef.truckId);
+    if (existing.truckId !== updatedDef.truckId) {
+      await syncTruckMaintenance(existing.truckId);
+    }
+
     // Fetch all defExpenses for the user after the update
     // const defExpenses = await getAllDefByTruckHelper(addedBy);
 
@@ -112,6 +162,11 @@ const getAllDefExpensesByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -195,6 +250,12 @@ const getAllDefExpensesByUserId = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -204,7 +265,7 @@ const getAllDefExpensesByUserId = async (req, res) => {
       : null;
 
     // Build the query filter
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -276,13 +337,15 @@ const deleteDefExpenseById = async (req, res) => {
       return res.status(400).json({ message: "Invalid Expense ID" });
     }
 
-    const deletedTruck = await DefExpense.findByIdAndDelete(id);
+    const deletedTruck = await DefExpense.findOneAndDelete({ _id: id, ...ownerScope(req) });
 
     if (!deletedTruck) {
       logger.warn("DEF expense not found for deletion", { id });
       return res.status(404).json({ message: "Expense not found" });
     }
 
+    await syncTruckMaintenance(deletedTruck.truckId);
+
     logger.info("DEF expense deleted successfully", { id });
     res.status(200).json({ message: "Expense deleted" });
   } catch (error) {
@@ -306,6 +369,11 @@ const downloadDefExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -460,6 +528,12 @@ const downloadAllDefExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -467,7 +541,7 @@ const downloadAllDefExpensesExcel = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
         query.date = { $eq: startDate };
@@ -603,6 +677,13 @@ const downloadAllDefExpensesExcel = async (req, res) => {
   }
 };
 
+// Controller to import DEF expenses from a CSV/Excel upload (dry run or all-or-nothing commit)
+const importDefExpenses = importSheet("def");
+
+const addDefExpenseAttachment = addAttachment(DefExpense);
+const downloadDefExpenseAttachment = downloadAttachment(DefExpense);
+const deleteDefExpenseAttachment = deleteAttachment(DefExpense);
+
 module.exports = {
   addDefExpense,
   getAllDefExpensesByTruckId,
@@ -611,4 +692,8 @@ module.exports = {
   downloadDefExpensesExcel,
   getAllDefExpensesByUserId,
   downloadAllDefExpensesExcel,
+  importDefExpenses,
+  addDefExpenseAttachment,
+  downloadDefExpenseAttachment,
+  deleteDefExpenseAttachment,
 };
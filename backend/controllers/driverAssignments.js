@@ -0,0 +1,292 @@
+const { default: mongoose } = require('mongoose');
+const moment = require('moment');
+const DriverAssignment = require('../models/driverAssignment-model');
+const DriverProfile = require('../models/driverProfiles-model');
+const { catchAsyncError } = require('../middleware/catchAsyncError');
+const ErrorHandler = require('../middleware/errorHandlers');
+const logger = require('../utils/logger');
+const { getFullContext } = require('../utils/requestContext');
+const { ownerScope, resolveOwnerId, findOwnedTruck } = require('../utils/ownership');
+const {
+    toAssignmentPeriod,
+    findConflictingAssignment,
+    buildDriverReport
+} = require('../utils/driverAssignments');
+
+const formatPeriod = ({ from, to }) =>
+    `${moment.utc(from).format('DD-MM-YYYY')} to ${to ? moment.utc(to).format('DD-MM-YYYY') : 'now'}`;
+
+// Rejects an assignment overlapping another one of the same truck or driver
+const checkConflict = async (assignment, next) => {
+    const conflict = await findConflictingAssignment(assignment);
+    if (!conflict) {
+        return false;
+    }
+    const subject = conflict.truckId === assignment.truckId ? 'The truck' : 'The driver';
+    next(new ErrorHandler(`${subject} is already assigned from ${formatPeriod(conflict)}`, 400));
+    return true;
+};
+
+// Assign a driver to a truck from a date, optionally until a date
+const addDriverAssignment = catchAsyncError(async (req, res, next) => {
+    try {
+        const { addedBy, driverId, truckId, from, to, note } = req.body;
+
+        logger.info('Adding driver assignment', getFullContext(req, { driverId, truckId, from, to }));
+
+        if (!mongoose.Types.ObjectId.isValid(driverId) || !(await DriverProfile.findOne({ _id: driverId, isActive: true, ...ownerScope(req) }))) {
+            return next(new ErrorHandler('Driver profile not found', 404));
+        }
+        if (!(await findOwnedTruck(req, truckId))) {
+            return next(new ErrorHandler('Truck not found', 404));
+        }
+        if (!from) {
+            return next(new ErrorHandler('Start date is required', 400));
+        }
+
+        const assignment = new DriverAssignment({ addedBy, driverId, truckId, note, ...toAssignmentPeriod({ from, to }) });
+        await assignment.validate();
+        if (await checkConflict(assignment, next)) {
+            return;
+        }
+
+        const savedAssignment = await assignment.save();
+
+        logger.info('Driver assignment added successfully', getFullContext(req, {
+            assignmentId: savedAssignment._id,
+            driverId,
+            truckId
+        }));
+
+        res.status(201).json({
+            success: true,
+            message: 'Driver assigned successfully',
+            data: savedAssignment
+        });
+    } catch (error) {
+        console.error('Error adding driver assignment:', error);
+        logger.error('Failed to add driver assignment', getFullContext(req, {
+            error: error.message,
+            stack: error.stack
+        }));
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
+        return next(new ErrorHandler('Failed to assign driver', 500));
+    }
+});
+
+// Assignment history of a driver, latest first
+const getDriverAssignmentsByDriverId = catchAsyncError(async (req, res, next) => {
+    try {
+        const { driverId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(driverId)) {
+            return next(new ErrorHandler('Invalid driver profile ID', 400));
+        }
+
+        const assignments = await DriverAssignment.find({ driverId, ...ownerScope(req) }).sort({ from: -1 });
+
+        res.status(200).json({
+            success: true,
+            message: `Found ${assignments.length} assignments`,
+            data: assignments,
+            count: assignments.length
+        });
+    } catch (error) {
+        console.error('Error fetching driver assignments:', error);
+        return next(new ErrorHandler('Failed to fetch driver assignments', 500));
+    }
+});
+
+// Driver history of a truck, latest first
+const getDriverAssignmentsByTruckId = catchAsyncError(async (req, res, next) => {
+    try {
+        const { truckId } = req.params;
+
+        if (!(await findOwnedTruck(req, truckId))) {
+            return next(new ErrorHandler('Truck not found', 404));
+        }
+
+        const assignments = await DriverAssignment.find({ truckId }).sort({ from: -1 });
+
+        res.status(200).json({
+            success: true,
+            message: `Found ${assignments.length} assignments`,
+            data: assignments,
+            count: assignments.length
+        });
+    } catch (error) {
+        console.error('Error fetching truck assignments:', error);
+        return next(new ErrorHandler('Failed to fetch truck assignments', 500));
+    }
+});
+
+// Who was driving a truck on a date, e.g. when a fine or fuel anomaly happened
+const getDriverOnDuty = catchAsyncError(async (req, res, next) => {
+    try {
+        const { truckId, date } = req.query;
+
+        if (!(await findOwnedTruck(req, truckId))) {
+            return next(new ErrorHandler('Truck not found', 404));
+        }
+
+        const day = date ? moment.utc(date) : moment.utc();
+        if (!day.isValid()) {
+            return next(new ErrorHandler('Invalid date', 400));
+        }
+
+        const assignment = await DriverAssignment.findOne({
+            truckId,
+            from: { $lte: day.toDate() },
+            $or: [{ to: null }, { to: { $gte: day.toDate() } }]
+        });
+        const driver = assignment ? await DriverProfile.findById(assignment.driverId) : null;
+
+        res.status(200).json({
+            success: true,
+            message: driver ? `${driver.name} was assigned to the truck` : 'No driver was assigned to the truck',
+            data: { assignment, driver }
+        });
+    } catch (error) {
+        console.error('Error fetching driver on duty:', error);
+        return next(new ErrorHandler('Failed to fetch driver on duty', 500));
+    }
+});
+
+// Change the period or note of an assignment, e.g. to end it
+const updateDriverAssignmentById = catchAsyncError(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { from, to, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return next(new ErrorHandler('Invalid assignment ID', 400));
+        }
+
+        const assignment = await DriverAssignment.findOne({ _id: id, ...ownerScope(req) });
+        if (!assignment) {
+            return next(new ErrorHandler('Assignment not found', 404));
+        }
+
+        assignment.set({
+            note: note === undefined ? assignment.note : note,
+            ...toAssignmentPeriod({
+                from: from || assignment.from,
+                to: to === undefined ? assignment.to : to
+            })
+        });
+        await assignment.validate();
+        if (await checkConflict(assignment, next)) {
+            return;
+        }
+
+        const updatedAssignment = await assignment.save();
+
+        logger.info(`Driver assignment updated`, {
+            assignmentId: id,
+            driverId: updatedAssignment.driverId,
+            truckId: updatedAssignment.truckId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Assignment updated successfully',
+            data: updatedAssignment
+        });
+    } catch (error) {
+        console.error('Error updating driver assignment:', error);
+        logger.error(`Failed to update driver assignment`, {
+            assignmentId: req.params.id,
+            error: error.message,
+            stack: error.stack
+        });
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
+        return next(new ErrorHandler('Failed to update assignment', 500));
+    }
+});
+
+const deleteDriverAssignmentById = catchAsyncError(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return next(new ErrorHandler('Invalid assignment ID', 400));
+        }
+
+        const deletedAssignment = await DriverAssignment.findOneAndDelete({ _id: id, ...ownerScope(req) });
+        if (!deletedAssignment) {
+            return next(new ErrorHandler('Assignment not found', 404));
+        }
+
+        logger.info(`Driver assignment deleted`, {
+            assignmentId: id,
+            driverId: deletedAssignment.driverId,
+            truckId: deletedAssignment.truckId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Assignment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting driver assignment:', error);
+        return next(new ErrorHandler('Failed to delete assignment', 500));
+    }
+});
+
+// Expenses and income per driver over a date range, attributed through assignments
+const getDriverReportByUserId = catchAsyncError(async (req, res, next) => {
+    try {
+        const { userId, driverId, selectedDates } = req.query;
+        const ownerId = resolveOwnerId(req, userId);
+
+        if (!ownerId) {
+            logger.warn('Driver report requested for another user', getFullContext(req, { userId }));
+            return next(new ErrorHandler('User not found', 404));
+        }
+
+        const startDate = selectedDates
+            ? moment.utc(selectedDates[0]).startOf('day')
+            : moment.utc().startOf('month');
+        const endDate = selectedDates
+            ? moment.utc(selectedDates[1]).endOf('day')
+            : moment.utc().endOf('month');
+        if (!startDate.isValid() || !endDate.isValid() || startDate.isAfter(endDate)) {
+            return next(new ErrorHandler('Invalid date range', 400));
+        }
+
+        const report = await buildDriverReport(ownerId, {
+            startDate: startDate.toDate(),
+            endDate: endDate.toDate(),
+            driverId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Report built for ${report.length} drivers`,
+            data: report,
+            startDate: startDate.toDate(),
+            endDate: endDate.toDate()
+        });
+    } catch (error) {
+        console.error('Error building driver report:', error);
+        logger.error('Failed to build driver report', getFullContext(req, {
+            error: error.message,
+            stack: error.stack
+        }));
+        return next(new ErrorHandler('Failed to build driver report', 500));
+    }
+});
+
+module.exports = {
+    addDriverAssignment,
+    getDriverAssignmentsByDriverId,
+    getDriverAssignmentsByTruckId,
+    getDriverOnDuty,
+    updateDriverAssignmentById,
+    deleteDriverAssignmentById,
+    getDriverReportByUserId
+};
@@ -0,0 +1,593 @@
+const { default: mongoose } = require("mongoose");
+const moment = require("moment");
+const ExcelJS = require("exceljs");
+const DriverLedgerEntry = require("../models/driverLedger-model");
+const DriverSettlement = require("../models/driverSettlement-model");
+const DriverProfile = require("../models/driverProfiles-model");
+const TruckExpense = require("../models/truck-model");
+const logger = require("../utils/logger");
+const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck, findOwnedTrip, checkTripOfTruck } = require("../utils/ownership");
+const {
+  LEDGER_TYPE_LABELS,
+  MONTH_FORMAT,
+  toMonth,
+  buildStatement,
+  postEntryExpense,
+  removeEntryExpense,
+} = require("../utils/driverPayroll");
+
+const SETTLED_MESSAGE = "This month is settled for the driver. Reopen it to make changes";
+
+const findOwnedDriver = (req, driverId) => {
+  if (!driverId || !mongoose.Types.ObjectId.isValid(driverId)) {
+    return null;
+  }
+  return DriverProfile.findOne({ _id: driverId, ...ownerScope(req) });
+};
+
+const isMonthSettled = async (driverId, date) =>
+  Boolean(await DriverSettlement.exists({ driverId, month: toMonth(date) }));
+
+// Truck and trip of an entry must belong to the caller too, and the trip must have run on the truck
+const validateEntryLinks = async (req, { truckId, tripId }) => {
+  if (truckId && !(await findOwnedTruck(req, truckId))) {
+    return { status: 404, message: "Truck not found" };
+  }
+  if (tripId && truckId) {
+    return checkTripOfTruck(req, tripId, truckId);
+  }
+  if (tripId && !(await findOwnedTrip(req, tripId))) {
+    return { status: 404, message: "Trip not found" };
+  }
+  return null;
+};
+
+// Controller to add a salary, allowance, advance or recovery entry to a driver's ledger
+const addDriverLedgerEntry = async (req, res) => {
+  try {
+    const { driverId, truckId, tripId, addedBy, date, type, amount, note } = req.body;
+
+    const driver = await findOwnedDriver(req, driverId);
+    if (!driver) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    const linkError = await validateEntryLinks(req, { truckId, tripId });
+    if (linkError) {
+      return res.status(linkError.status).json({ message: linkError.message });
+    }
+
+    if (date && (await isMonthSettled(driverId, date))) {
+      return res.status(400).json({ message: SETTLED_MESSAGE });
+    }
+
+    logger.info("Adding driver ledger entry", getFullContext(req, { driverId, truckId, type, amount }));
+
+    const savedEntry = await new DriverLedgerEntry({
+      driverId,
+      truckId: truckId || null,
+      tripId: tripId || null,
+      addedBy,
+      date,
+      type,
+      amount,
+      note,
+    }).save();
+
+    await postEntryExpense(savedEntry, driver);
+
+    logger.info("Driver ledger entry added successfully", getFullContext(req, {
+      entryId: savedEntry._id,
+      driverId,
+      type,
+      expenseId: savedEntry.expenseId,
+    }));
+
+    res.status(201).json(savedEntry);
+  } catch (error) {
+    console.error("Error adding driver ledger entry:", error);
+    logger.error("Failed to add driver ledger entry", getFullContext(req, {
+      error: error.message,
+      stack: error.stack
+    }));
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: "Failed to add ledger entry" });
+  }
+};
+
+// Controller to get a driver's entries and statement for a month
+const getDriverLedgerByDriverId = async (req, res) => {
+  try {
+    const { driverId, month } = req.query;
+
+    if (!MONTH_FORMAT.test(month || "")) {
+      return res.status(400).json({ message: "Month must be in YYYY-MM format" });
+    }
+
+    if (!(await findOwnedDriver(req, driverId))) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    const [statement, settlement] = await Promise.all([
+      buildStatement(driverId, month),
+      DriverSettlement.findOne({ driverId, month }),
+    ]);
+
+    res.status(200).json({ ...statement, settlement });
+  } catch (error) {
+    console.error("Error retrieving driver ledger:", error);
+    res.status(500).json({ message: "Failed to retrieve driver ledger" });
+  }
+};
+
+// Controller to get every active driver's statement for a month
+const getDriverStatementsByUserId = async (req, res) => {
+  try {
+    const { userId, month } = req.query;
+
+    if (!MONTH_FORMAT.test(month || "")) {
+      return res.status(400).json({ message: "Month must be in YYYY-MM format" });
+    }
+
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json(await buildAllStatements(ownerId, month));
+  } catch (error) {
+    console.error("Error retrieving driver statements:", error);
+    res.status(500).json({ message: "Failed to retrieve driver statements" });
+  }
+};
+
+const buildAllStatements = async (ownerId, month) => {
+  const [drivers, settlements] = await Promise.all([
+    DriverProfile.find({ addedBy: ownerId, isActive: true }).sort({ name: 1 }),
+    DriverSettlement.find({ addedBy: ownerId, month }),
+  ]);
+  const settlementsByDriver = settlements.reduce((acc, settlement) => {
+    acc[settlement.driverId] = settlement;
+    return acc;
+  }, {});
+
+  return Promise.all(drivers.map(async (driver) => {
+    const { entries, ...statement } = await buildStatement(driver._id.toString(), month);
+    return {
+      driverId: driver._id,
+      driverName: driver.name,
+      ...statement,
+      entryCount: entries.length,
+      settlement: settlementsByDriver[driver._id.toString()] || null,
+    };
+  }));
+};
+
+const updateDriverLedgerEntryById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { truckId, tripId, date, type, amount, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ledger entry ID" });
+    }
+
+    const existingEntry = await DriverLedgerEntry.findOne({ _id: id, ...ownerScope(req) });
+    if (!existingEntry) {
+      return res.status(404).json({ message: "Ledger entry not found" });
+    }
+
+    if (existingEntry.settlementId || (date && (await isMonthSettled(existingEntry.driverId, date)))) {
+      return res.status(400).json({ message: SETTLED_MESSAGE });
+    }
+
+    // Links are checked as they will be, so a kept trip is checked against a new truck
+    const links = {
+      truckId: truckId === undefined ? existingEntry.truckId : truckId || null,
+      tripId: tripId === undefined ? existingEntry.tripId : tripId || null,
+    };
+    const linkError = await validateEntryLinks(req, links);
+    if (linkError) {
+      return res.status(linkError.status).json({ message: linkError.message });
+    }
+
+    existingEntry.set({
+      ...links,
+      date,
+      type,
+      amount,
+      note,
+    });
+    const updatedEntry = await existingEntry.save();
+
+    const driver = await DriverProfile.findById(updatedEntry.driverId);
+    await postEntryExpense(updatedEntry, driver);
+
+    logger.info(`Driver ledger entry updated successfully`, {
+      entryId: id,
+      driverId: updatedEntry.driverId,
+      type: updatedEntry.type,
+      amount: updatedEntry.amount,
+    });
+
+    res.status(200).json({
+      message: "Ledger entry updated successfully",
+      entry: updatedEntry,
+    });
+  } catch (error) {
+    console.error("Error updating driver ledger entry:", error);
+    logger.error(`Failed to update driver ledger entry`, {
+      entryId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update ledger entry", error: error.message });
+  }
+};
+
+const deleteDriverLedgerEntryById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ledger entry ID" });
+    }
+
+    const entry = await DriverLedgerEntry.findOne({ _id: id, ...ownerScope(req) });
+    if (!entry) {
+      return res.status(404).json({ message: "Ledger entry not found" });
+    }
+    if (entry.settlementId) {
+      return res.status(400).json({ message: SETTLED_MESSAGE });
+    }
+
+    await removeEntryExpense(entry);
+    await DriverLedgerEntry.deleteOne({ _id: id });
+
+    logger.info(`Driver ledger entry deleted successfully`, {
+      entryId: id,
+      driverId: entry.driverId,
+    });
+
+    res.status(200).json({ message: "Ledger entry deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting driver ledger entry:", error);
+    logger.error(`Failed to delete driver ledger entry`, {
+      entryId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to delete ledger entry", error: error.message });
+  }
+};
+
+// Controller to freeze a driver's statement for a month and lock its entries
+const settleDriverMonth = async (req, res) => {
+  try {
+    const { driverId, month, addedBy, note } = req.body;
+
+    if (!MONTH_FORMAT.test(month || "")) {
+      return res.status(400).json({ message: "Month must be in YYYY-MM format" });
+    }
+
+    const driver = await findOwnedDriver(req, driverId);
+    if (!driver) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    if (await DriverSettlement.exists({ driverId, month })) {
+      return res.status(400).json({ message: "This month is already settled for the driver" });
+    }
+
+    const { entries, ...statement } = await buildStatement(driverId, month);
+    const settlement = await new DriverSettlement({
+      ...statement,
+      driverId,
+      addedBy,
+      note,
+    }).save();
+
+    await DriverLedgerEntry.updateMany(
+      { _id: { $in: entries.map((entry) => entry._id) } },
+      { settlementId: settlement._id.toString() }
+    );
+
+    logger.info("Driver month settled", getFullContext(req, {
+      settlementId: settlement._id,
+      driverId,
+      month,
+      netPayable: settlement.netPayable,
+    }));
+
+    res.status(201).json(settlement);
+  } catch (error) {
+    console.error("Error settling driver month:", error);
+    logger.error("Failed to settle driver month", getFullContext(req, {
+      error: error.message,
+      stack: error.stack
+    }));
+    res.status(500).json({ message: "Failed to settle month" });
+  }
+};
+
+// Controller to undo a settlement so the month's entries can be changed again
+const reopenDriverMonth = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid settlement ID" });
+    }
+
+    const settlement = await DriverSettlement.findOneAndDelete({ _id: id, ...ownerScope(req) });
+    if (!settlement) {
+      return res.status(404).json({ message: "Settlement not found" });
+    }
+
+    await DriverLedgerEntry.updateMany({ settlementId: id }, { settlementId: null });
+
+    logger.info(`Driver month reopened`, {
+      settlementId: id,
+      driverId: settlement.driverId,
+      month: settlement.month,
+    });
+
+    res.status(200).json({ message: "Month reopened successfully" });
+  } catch (error) {
+    console.error("Error reopening driver month:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to reopen month", error: error.message });
+  }
+};
+
+const styleWorksheet = (worksheet, title, subtitle, columnCount) => {
+  const lastColumn = String.fromCharCode(64 + columnCount);
+
+  worksheet.mergeCells(`A1:${lastColumn}1`);
+  worksheet.getCell("A1").value = title;
+  worksheet.getCell("A1").font = { size: 18, bold: true, color: { argb: "FFFFFF" } };
+  worksheet.getCell("A1").alignment = { horizontal: "center", vertical: "middle" };
+  worksheet.getCell("A1").fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF0C4736" },
+  };
+  worksheet.getRow(1).height = 36;
+
+  worksheet.mergeCells(`A2:${lastColumn}2`);
+  worksheet.getCell("A2").value = subtitle;
+  worksheet.getCell("A2").font = { size: 12, bold: true, color: { argb: "333333" } };
+  worksheet.getCell("A2").alignment = { horizontal: "center", vertical: "middle" };
+};
+
+const addHeaderRow = (worksheet, headings) => {
+  const headerRow = worksheet.addRow(headings);
+  headerRow.font = { bold: true, color: { argb: "FFFFFF" } };
+  headerRow.eachCell((cell) => {
+    cell.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF57A773" }
+    };
+  });
+  headerRow.alignment = { horizontal: "center" };
+  headerRow.height = 24;
+};
+
+const addBorders = (worksheet) => {
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      cell.border = {
+        top: { style: "thin", color: { argb: "CCCCCC" } },
+        left: { style: "thin", color: { argb: "CCCCCC" } },
+        bottom: { style: "thin", color: { argb: "CCCCCC" } },
+        right: { style: "thin", color: { argb: "CCCCCC" } },
+      };
+      cell.alignment = { horizontal: "center", vertical: "middle", wrapText: true };
+    });
+  });
+};
+
+const sendWorkbook = async (res, workbook, filename) => {
+  const buffer = await workbook.xlsx.writeBuffer();
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.send(buffer);
+};
+
+const downloadDriverLedgerExcel = async (req, res) => {
+  try {
+    const { driverId, month } = req.query;
+
+    if (!MONTH_FORMAT.test(month || "")) {
+      return res.status(400).json({ message: "Month must be in YYYY-MM format" });
+    }
+
+    const driver = await findOwnedDriver(req, driverId);
+    if (!driver) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    const [statement, settlement] = await Promise.all([
+      buildStatement(driverId, month),
+      DriverSettlement.findOne({ driverId, month }),
+    ]);
+    const trucks = await TruckExpense.find({ _id: { $in: statement.entries.map((entry) => entry.truckId).filter(Boolean) } });
+    const registrationNos = trucks.reduce((acc, truck) => {
+      acc[truck._id.toString()] = truck.registrationNo;
+      return acc;
+    }, {});
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Settlement");
+    const headings = ["Date", "Type", "Registration No", "Note", "Earnings", "Advance", "Recovery"];
+    const monthLabel = moment.utc(month, "YYYY-MM").format("MMMM YYYY");
+
+    styleWorksheet(
+      worksheet,
+      "Manage My Truck - Driver Settlement",
+      `${driver.name} | ${monthLabel} | ${settlement ? `Settled on ${moment(settlement.settledAt).format("DD-MM-YYYY")}` : "Not settled"}`,
+      headings.length
+    );
+    addHeaderRow(worksheet, headings);
+
+    statement.entries.forEach((entry) => {
+      worksheet.addRow([
+        moment.utc(entry.date).format("DD-MM-YYYY"),
+        LEDGER_TYPE_LABELS[entry.type],
+        entry.truckId ? registrationNos[entry.truckId] || "Unknown" : "-",
+        entry.note || "",
+        ["salary", "allowance"].includes(entry.type) ? entry.amount : "",
+        entry.type === "advance" ? entry.amount : "",
+        entry.type === "recovery" ? entry.amount : "",
+      ]);
+    });
+
+    const figures = settlement || statement;
+    worksheet.addRow([]);
+    [
+      ["Advance outstanding at start of month", figures.openingAdvance],
+      ["Salary", figures.salary],
+      ["Trip allowances", figures.allowance],
+      ["Advances paid", figures.advances],
+      ["Recovered from pay", figures.recoveries],
+      ["Net payable", figures.netPayable],
+      ["Advance outstanding at end of month", figures.closingAdvance],
+    ].forEach(([label, value]) => {
+      const row = worksheet.addRow([label, "", "", "", value]);
+      worksheet.mergeCells(`A${row.number}:D${row.number}`);
+      row.font = { bold: label === "Net payable" };
+    });
+
+    worksheet.columns = headings.map((heading) => ({
+      width: heading === "Note" ? 30 : 16,
+    }));
+    addBorders(worksheet);
+
+    logger.info(`Driver settlement Excel downloaded`, {
+      driverId,
+      month,
+      recordCount: statement.entries.length,
+    });
+
+    await sendWorkbook(res, workbook, "driver-settlement.xlsx");
+  } catch (error) {
+    console.error("Error generating Excel file:", error);
+    logger.error(`Failed to generate driver settlement Excel`, {
+      driverId: req.query.driverId,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to generate Excel file", error: error.message });
+  }
+};
+
+const downloadAllDriverLedgersExcel = async (req, res) => {
+  try {
+    const { userId, month } = req.query;
+
+    if (!MONTH_FORMAT.test(month || "")) {
+      return res.status(400).json({ message: "Month must be in YYYY-MM format" });
+    }
+
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const statements = await buildAllStatements(ownerId, month);
+    if (statements.length === 0) {
+      return res.status(404).json({ message: "No drivers found for this user" });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Payroll");
+    const headings = [
+      "Driver",
+      "Opening Advance",
+      "Salary",
+      "Allowances",
+      "Advances",
+      "Recoveries",
+      "Net Payable",
+      "Closing Advance",
+      "Status",
+    ];
+
+    styleWorksheet(
+      worksheet,
+      "Manage My Truck - Driver Payroll",
+      moment.utc(month, "YYYY-MM").format("MMMM YYYY"),
+      headings.length
+    );
+    addHeaderRow(worksheet, headings);
+
+    statements.forEach((statement) => {
+      const figures = statement.settlement || statement;
+      worksheet.addRow([
+        statement.driverName,
+        figures.openingAdvance,
+        figures.salary,
+        figures.allowance,
+        figures.advances,
+        figures.recoveries,
+        figures.netPayable,
+        figures.closingAdvance,
+        statement.settlement ? "Settled" : "Open",
+      ]);
+    });
+
+    worksheet.columns = headings.map((heading) => ({
+      width: heading === "Driver" ? 25 : 15,
+    }));
+    addBorders(worksheet);
+
+    logger.info(`All driver payroll Excel downloaded`, {
+      userId: ownerId,
+      month,
+      recordCount: statements.length,
+    });
+
+    await sendWorkbook(res, workbook, "driver-payroll.xlsx");
+  } catch (error) {
+    console.error("Error generating Excel file:", error);
+    logger.error(`Failed to generate driver payroll Excel`, {
+      userId: req.query.userId,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to generate Excel file", error: error.message });
+  }
+};
+
+module.exports = {
+  addDriverLedgerEntry,
+  getDriverLedgerByDriverId,
+  getDriverStatementsByUserId,
+  updateDriverLedgerEntryById,
+  deleteDriverLedgerEntryById,
+  settleDriverMonth,
+  reopenDriverMonth,
+  downloadDriverLedgerExcel,
+  downloadAllDriverLedgersExcel,
+};
@@ -4,11 +4,26 @@ const { catchAsyncError } = require('../middleware/catchAsyncError');
 const ErrorHandler = require('../middleware/errorHandlers');
 const logger = require('../utils/logger');
 const { getFullContext } = require('../utils/requestContext');
+const { ownerScope, resolveOwnerId } = require('../utils/ownership');
+const { addAttachment, downloadAttachment, deleteAttachment } = require('../utils/attachments');
+const {
+    syncDriverExpiryAlerts,
+    resetChangedExpiryAlerts,
+    deactivateDriverExpiryAlerts
+} = require('../utils/driverDocuments');
+const { endDriverAssignments } = require('../utils/driverAssignments');
+const DriverAssignment = require('../models/driverAssignment-model');
+
+// Empty dates from the form clear the expiry
+const toExpiryDate = (value) => (value === '' ? null : value);
 
 // Add a new driver profile
 const addDriverProfile = catchAsyncError(async (req, res, next) => {
     try {
-        const { addedBy, name, contact, age, experience, license, gender, photo } = req.body;
+        const {
+            addedBy, name, contact, age, experience, license, gender, photo,
+            licenseClass, licenseExpiry, badgeExpiry, medicalCertificateExpiry
+        } = req.body;
 
         logger.info('Adding new driver profile', getFullContext(req, { addedBy, name, license, age }));
 
@@ -27,10 +42,15 @@ const addDriverProfile = catchAsyncError(async (req, res, next) => {
             experience,
             license,
             gender,
-            photo: photo || '/driver.png'
+            photo: photo || '/driver.png',
+            licenseClass,
+            licenseExpiry: toExpiryDate(licenseExpiry),
+            badgeExpiry: toExpiryDate(badgeExpiry),
+            medicalCertificateExpiry: toExpiryDate(medicalCertificateExpiry)
         });
 
         const savedDriver = await newDriver.save();
+        await syncDriverExpiryAlerts(savedDriver);
 
         logger.info('Driver profile created successfully', getFullContext(req, {
             driverId: savedDriver._id,
@@ -50,6 +70,9 @@ const addDriverProfile = catchAsyncError(async (req, res, next) => {
             error: error.message,
             stack: error.stack
         }));
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
         return next(new ErrorHandler('Failed to add driver profile', 500));
     }
 });
@@ -66,7 +89,7 @@ const getDriverProfileById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Invalid driver profile ID', 400));
         }
 
-        const driver = await DriverProfile.findById(id);
+        const driver = await DriverProfile.findOne({ _id: id, ...ownerScope(req) });
 
         if (!driver) {
             logger.warn('Driver profile not found', getFullContext(req, { driverId: id }));
@@ -89,9 +112,14 @@ const getDriverProfileById = catchAsyncError(async (req, res, next) => {
 // Get all driver profiles by user
 const getAllDriverProfilesByUser = catchAsyncError(async (req, res, next) => {
     try {
-        const { addedBy } = req.params;
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
+
+        logger.info('Fetching driver profiles by user', getFullContext(req, { userId: req.params.addedBy }));
 
-        logger.info('Fetching driver profiles by user', getFullContext(req, { userId: addedBy }));
+        if (!addedBy) {
+            logger.warn('Driver profiles requested for another user', getFullContext(req, { userId: req.params.addedBy }));
+            return next(new ErrorHandler('Driver profiles not found', 404));
+        }
 
         const drivers = await DriverProfile.find({
             addedBy,
@@ -163,12 +191,20 @@ const getAllDriverProfiles = catchAsyncError(async (req, res, next) => {
 const updateDriverProfileById = catchAsyncError(async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { name, contact, age, experience, license, gender, photo } = req.body;
+        const {
+            name, contact, age, experience, license, gender, photo,
+            licenseClass, licenseExpiry, badgeExpiry, medicalCertificateExpiry
+        } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return next(new ErrorHandler('Invalid driver profile ID', 400));
         }
 
+        const existingProfile = await DriverProfile.findOne({ _id: id, ...ownerScope(req) });
+        if (!existingProfile) {
+            return next(new ErrorHandler('Driver profile not found', 404));
+        }
+
         // Check if license number already exists for another driver
         if (license) {
             const existingDriver = await DriverProfile.findOne({
@@ -180,9 +216,14 @@ const updateDriverProfileById = catchAsyncError(async (req, res, next) => {
             }
         }
 
-        const updatedDriver = await DriverProfile.findByIdAndUpdate(
-            id,
-            { name, contact, age, experience, license, gender, photo },
+        const updatedDriver = await DriverProfile.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
+            {
+                name, contact, age, experience, license, gender, photo, licenseClass,
+                licenseExpiry: toExpiryDate(licenseExpiry),
+                badgeExpiry: toExpiryDate(badgeExpiry),
+                medicalCertificateExpiry: toExpiryDate(medicalCertificateExpiry)
+            },
             { new: true, runValidators: true }
         );
 
@@ -190,6 +231,10 @@ const updateDriverProfileById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Driver profile not found', 404));
         }
 
+        // A renewed document gets a fresh reminder instead of the old one
+        await resetChangedExpiryAlerts(existingProfile, updatedDriver);
+        await syncDriverExpiryAlerts(updatedDriver);
+
         logger.info(`Driver profile updated`, {
             driverId: id,
             name: updatedDriver.name,
@@ -208,6 +253,9 @@ const updateDriverProfileById = catchAsyncError(async (req, res, next) => {
             error: error.message,
             stack: error.stack
         });
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
         return next(new ErrorHandler('Failed to update driver profile', 500));
     }
 });
@@ -221,8 +269,8 @@ const deleteDriverProfileById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Invalid driver profile ID', 400));
         }
 
-        const deletedDriver = await DriverProfile.findByIdAndUpdate(
-            id,
+        const deletedDriver = await DriverProfile.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { isActive: false },
             { new: true }
         );
@@ -231,6 +279,9 @@ const deleteDriverProfileById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Driver profile not found', 404));
         }
 
+        await deactivateDriverExpiryAlerts(deletedDriver);
+        await endDriverAssignments(id);
+
         logger.info(`Driver profile soft deleted`, {
             driverId: id,
             name: deletedDriver.name,
@@ -268,6 +319,9 @@ const permanentDeleteDriverProfileById = catchAsyncError(async (req, res, next)
             return next(new ErrorHandler('Driver profile not found', 404));
         }
 
+        await deactivateDriverExpiryAlerts(deletedDriver);
+        await DriverAssignment.deleteMany({ driverId: id }).setOptions({ withArchived: true });
+
         logger.warn(`Driver profile permanently deleted`, {
             driverId: id,
             name: deletedDriver.name,
@@ -299,9 +353,10 @@ const restoreDriverProfileById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Invalid driver profile ID', 400));
         }
 
+        // Reminders were switched off on delete, so due ones are raised afresh
         const restoredDriver = await DriverProfile.findByIdAndUpdate(
             id,
-            { isActive: true },
+            { isActive: true, $unset: { expiryAlerts: '' } },
             { new: true }
         );
 
@@ -309,6 +364,8 @@ const restoreDriverProfileById = catchAsyncError(async (req, res, next) => {
             return next(new ErrorHandler('Driver profile not found', 404));
         }
 
+        await syncDriverExpiryAlerts(restoredDriver);
+
         logger.info(`Driver profile restored`, {
             driverId: id,
             name: restoredDriver.name,
@@ -334,7 +391,11 @@ const restoreDriverProfileById = catchAsyncError(async (req, res, next) => {
 // Get driver statistics by user
 const getDriverStatsByUser = catchAsyncError(async (req, res, next) => {
     try {
-        const { addedBy } = req.params;
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
+
+        if (!addedBy) {
+            return next(new ErrorHandler('Driver profiles not found', 404));
+        }
 
         const stats = await DriverProfile.aggregate([
             { $match: { addedBy } },
@@ -383,6 +444,11 @@ const getDriverStatsByUser = catchAsyncError(async (req, res, next) => {
     }
 });
 
+// Scanned copies of the licence, badge and medical certificate
+const addDriverProfileAttachment = addAttachment(DriverProfile);
+const downloadDriverProfileAttachment = downloadAttachment(DriverProfile);
+const deleteDriverProfileAttachment = deleteAttachment(DriverProfile);
+
 module.exports = {
     addDriverProfile,
     getDriverProfileById,
@@ -392,5 +458,8 @@ module.exports = {
     deleteDriverProfileById,
     permanentDeleteDriverProfileById,
     restoreDriverProfileById,
-    getDriverStatsByUser
+    getDriverStatsByUser,
+    addDriverProfileAttachment,
+    downloadDriverProfileAttachment,
+    deleteDriverProfileAttachment
 };
\ No newline at end of file
@@ -5,24 +5,49 @@ const ExcelJS = require("exceljs");
 const TruckExpense = require("../models/truck-model");
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck, checkTripOfTruck } = require("../utils/ownership");
+const { importSheet } = require("../utils/expenseImport");
+const { addAttachment, downloadAttachment, deleteAttachment } = require("../utils/attachments");
+const { checkOdometerReading, checkOdometerUpdate } = require("../utils/odometer");
+const { buildFuelAnalytics } = require("../utils/fuelAnalytics");
+const { syncTruckMaintenance } = require("../utils/maintenancePlans");
 
 // Controller to add a new fuel filling record
 const addFuelExpense = async (req, res) => {
   try {
-    const { truckId, addedBy, date, currentKM, litres, cost, note } = req.body;
+    const { truckId, tripId, addedBy, date, currentKM, litres, cost, fullTank, note } = req.body;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
+
+    const odometerIssues = await checkOdometerReading({ truckId, date, currentKM });
+    if (odometerIssues.length > 0 && !req.body.confirmOdometer) {
+      logger.warn("Suspicious odometer reading rejected", getFullContext(req, { truckId, currentKM, issues: odometerIssues.map((issue) => issue.code) }));
+      return res.status(400).json({ message: "Odometer reading looks wrong", odometerIssues });
+    }
+
     logger.info("Adding fuel expense", getFullContext(req, { truckId, addedBy, cost, litres }));
 
     const newFuelExpense = new FuelExpense({
       truckId,
+      tripId: tripId || null,
       addedBy,
       date,
       currentKM,
       litres,
       cost,
+      fullTank,
       note,
     });
 
     const savedFuelExpense = await newFuelExpense.save();
+    await syncTruckMaintenance(truckId);
     logger.info("Fuel expense added successfully", getFullContext(req, { expenseId: savedFuelExpense._id, truckId, cost }));
     res.status(201).json(savedFuelExpense);
   } catch (error) {
@@ -41,6 +66,11 @@ const getAllFuelExpensesByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -123,6 +153,12 @@ const getAllFuelExpensesByUserId = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -132,7 +168,7 @@ const getAllFuelExpensesByUserId = async (req, res) => {
       : null;
 
     // Build the query filter
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -265,7 +301,7 @@ const getAllFuelByTruckHelper = async (truckId) => {
 const updateFuelExpenseByTruckId = async (req, res) => {
   try {
     const { id } = req.params;
-    const { truckId, addedBy, date, currentKM, litres, cost, note } = req.body;
+    const { truckId, tripId, addedBy, date, currentKM, litres, cost, fullTank, note } = req.body;
     logger.info("Updating fuel expense", { expenseId: id, truckId });
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -273,6 +309,28 @@ const updateFuelExpenseByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Invalid fuel expense ID" });
     }
 
+    if (truckId && !(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const existing = await FuelExpense.findOne({ _id: id, ...ownerScope(req) });
+    if (!existing) {
+      logger.warn("Fuel expense not found for update", { expenseId: id });
+      return res.status(404).json({ message: "Fuel expense not found" });
+    }
+
+    // The trip has to have run on the truck the entry ends up on
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId || existing.truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
+
+    const odometerIssues = await checkOdometerUpdate(existing, { truckId, date, currentKM });
+    if (odometerIssues.length > 0 && !req.body.confirmOdometer) {
+      logger.warn("Suspicious odometer reading rejected", getFullContext(req, { expenseId: id, currentKM, issues: odometerIssues.map((issue) => issue.code) }));
+      return res.status(400).json({ message: "Odometer reading looks wrong", odometerIssues });
+    }
+
     // Update the invoice URL if a new file is provided
     let invoiceURL = req.body.invoiceURL;
     const file = req.file;
@@ -281,9 +339,9 @@ const updateFuelExpenseByTruckId = async (req, res) => {
     }
 
     // Update the fuel
-    const updatedFuel = await FuelExpense.findByIdAndUpdate(
-      { _id: id },
-      { truckId, addedBy, date, currentKM, litres, cost, note },
+    const updatedFuel = await FuelExpense.findOneAndUpdate(
+      { _id: id, ...ownerScope(req) },
+      { truckId, tripId: tripId || null, addedBy, date, currentKM, litres, cost, fullTank, note },
       { new: true }
     );
 
@@ -292,6 +350,11 @@ const updateFuelExpenseByTruckId = async (req, res) => {
       return res.status(404).json({ message: "Fuel expense not found" });
     }
 
+    await syncTruckMaintenance(updatedFuel.truckId);
+    if (existing.truckId !== updatedFuel.truckId) {
+      await syncTruckMaintenance(existing.truckId);
+    }
+
     logger.info("Fuel expense updated successfully", { expenseId: id, truckId });
     res.status(200).json({
       message: "Fuel expense updated successfully",
@@ -313,13 +376,15 @@ const deleteFuelExpenseById = async (req, res) => {
       return res.status(400).json({ message: "Invalid Expense ID" });
     }
 
-    const deletedTruck = await FuelExpense.findByIdAndDelete(id);
+    const deletedTruck = await FuelExpense.findOneAndDelete({ _id: id, ...ownerScope(req) });
 
     if (!deletedTruck) {
       logger.warn("Fuel expense not found for deletion", { expenseId: id });
       return res.status(404).json({ message: "Expense not found" });
     }
 
+    await syncTruckMaintenance(deletedTruck.truckId);
+
     logger.info("Fuel expense deleted successfully", { expenseId: id });
     res.status(200).json({ message: "Expense deleted" });
   } catch (error) {
@@ -338,6 +403,11 @@ const downloadFuelExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -499,6 +569,12 @@ const downloadAllFuelExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -506,7 +582,7 @@ const downloadAllFuelExpensesExcel = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
         query.date = { $eq: startDate };
@@ -647,6 +723,59 @@ const downloadAllFuelExpensesExcel = async (req, res) => {
   }
 };
 
+// Controller to import fuel expenses from a CSV/Excel upload (dry run or all-or-nothing commit)
+// Full-tank-to-full-tank efficiency per truck with baselines and make/model/year benchmarks
+const getFuelAnalyticsByUserId = async (req, res) => {
+  try {
+    const { userId, truckId, selectedDates } = req.query;
+    logger.info("Fetching fuel analytics", { userId, truckId, dateRange: selectedDates });
+
+    if (!userId) {
+      logger.warn("User ID missing in fuel analytics request");
+      return res.status(400).json({ message: "User ID is required" });
+    }
+
+    const addedBy = resolveOwnerId(req, userId);
+    if (!addedBy) {
+      logger.warn("Fuel analytics requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const query = { addedBy };
+    if (selectedDates) {
+      query.date = {
+        $gte: moment.utc(selectedDates[0]).startOf("day").toDate(),
+        $lte: moment.utc(selectedDates[1]).endOf("day").toDate(),
+      };
+    }
+
+    // Benchmarks always cover the whole fleet, even when one truck is requested
+    const trucks = await TruckExpense.find({ addedBy });
+    const fills = await FuelExpense.find(query).select("truckId date currentKM litres cost fullTank").lean();
+    const analytics = buildFuelAnalytics(trucks, fills);
+
+    if (truckId) {
+      analytics.trucks = analytics.trucks.filter((stats) => stats.truckId === truckId);
+      if (analytics.trucks.length === 0) {
+        logger.warn("Truck not found for fuel analytics", getFullContext(req, { truckId }));
+        return res.status(404).json({ message: "Truck not found" });
+      }
+    }
+
+    logger.info("Fuel analytics fetched successfully", { userId: addedBy, trucks: analytics.trucks.length, flagged: analytics.flaggedCount });
+    res.status(200).json(analytics);
+  } catch (error) {
+    logger.error("Error retrieving fuel analytics", { error: error.message, userId: req.query.userId });
+    res.status(500).json({ message: "Failed to retrieve fuel analytics" });
+  }
+};
+
+const importFuelExpenses = importSheet("fuel");
+
+const addFuelExpenseAttachment = addAttachment(FuelExpense);
+const downloadFuelExpenseAttachment = downloadAttachment(FuelExpense);
+const deleteFuelExpenseAttachment = deleteAttachment(FuelExpense);
+
 module.exports = {
   addFuelExpense,
   getAllFuelExpensesByTruckId,
@@ -655,4 +784,9 @@ module.exports = {
   downloadFuelExpensesExcel,
   getAllFuelExpensesByUserId,
   downloadAllFuelExpensesExcel,
+  importFuelExpenses,
+  getFuelAnalyticsByUserId,
+  addFuelExpenseAttachment,
+  downloadFuelExpenseAttachment,
+  deleteFuelExpenseAttachment,
 };
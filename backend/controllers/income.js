@@ -9,16 +9,29 @@ const OtherExpense = require("../models/otherExpense-model");
 const LoanCalculation = require("../models/calculateLoan-model");
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck, checkTripOfTruck } = require("../utils/ownership");
+const { importSheet } = require("../utils/expenseImport");
+const { addAttachment, downloadAttachment, deleteAttachment } = require("../utils/attachments");
 
 // Controller to add a new income record
 const addIncome = async (req, res) => {
   try {
-    const { truckId, addedBy, date, amount, note } = req.body;
+    const { truckId, tripId, addedBy, date, amount, note } = req.body;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
 
     logger.info("Adding new income", getFullContext(req, { truckId, addedBy, amount, date }));
 
     const newIncome = new Income({
       truckId,
+      tripId: tripId || null,
       addedBy,
       date,
       amount,
@@ -57,6 +70,11 @@ const getAllIncomesByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -153,6 +171,12 @@ const getAllIncomesByUserId = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -162,7 +186,7 @@ const getAllIncomesByUserId = async (req, res) => {
       : null;
 
     // Build the query filter
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -210,13 +234,13 @@ const getAllIncomesByUserId = async (req, res) => {
     );
 
     // Fetch all trucks for the user to check which are financed
-    const userTrucks = await TruckExpense.find({ addedBy: userId });
+    const userTrucks = await TruckExpense.find({ addedBy: ownerId });
     const financedTruckIds = userTrucks
       .filter(truck => truck.isFinanced)
       .map(truck => truck._id.toString());
 
     // Fetch all expenses for the same user and date range
-    const expenseQuery = { addedBy: userId };
+    const expenseQuery = { addedBy: ownerId };
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
         expenseQuery.date = { $eq: startDate };
@@ -260,18 +284,34 @@ const getAllIncomesByUserId = async (req, res) => {
 const updateIncomeById = async (req, res) => {
   try {
     const { id } = req.params;
-    const { truckId, addedBy, date, amount, note } = req.body;
+    const { truckId, tripId, addedBy, date, amount, note } = req.body;
 
     // Validate the income ID
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid income ID" });
     }
 
+    if (truckId && !(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const existing = await Income.findOne({ _id: id, ...ownerScope(req) });
+    if (!existing) {
+      return res.status(404).json({ message: "Income not found" });
+    }
+
+    // The trip has to have run on the truck the entry ends up on
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId || existing.truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
+
     // Update the income
-    const updatedIncome = await Income.findByIdAndUpdate(
-      { _id: id },
+    const updatedIncome = await Income.findOneAndUpdate(
+      { _id: id, ...ownerScope(req) },
       {
         truckId,
+        tripId: tripId || null,
         addedBy,
         date,
         amount,
@@ -316,7 +356,7 @@ const deleteIncomeById = async (req, res) => {
       return res.status(400).json({ message: "Invalid Income ID" });
     }
 
-    const deletedIncome = await Income.findByIdAndDelete(id);
+    const deletedIncome = await Income.findOneAndDelete({ _id: id, ...ownerScope(req) });
 
     if (!deletedIncome) {
       return res.status(404).json({ message: "Income not found" });
@@ -350,6 +390,11 @@ const downloadIncomesExcel = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -489,6 +534,12 @@ const downloadAllIncomesExcel = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -496,7 +547,7 @@ const downloadAllIncomesExcel = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
         query.date = { $eq: startDate };
@@ -631,6 +682,13 @@ const downloadAllIncomesExcel = async (req, res) => {
   }
 };
 
+// Controller to import income entries from a CSV/Excel upload (dry run or all-or-nothing commit)
+const importIncomes = importSheet("income");
+
+const addIncomeAttachment = addAttachment(Income);
+const downloadIncomeAttachment = downloadAttachment(Income);
+const deleteIncomeAttachment = deleteAttachment(Income);
+
 module.exports = {
   addIncome,
   getAllIncomesByTruckId,
@@ -639,4 +697,8 @@ module.exports = {
   deleteIncomeById,
   downloadIncomesExcel,
   downloadAllIncomesExcel,
+  importIncomes,
+  addIncomeAttachment,
+  downloadIncomeAttachment,
+  deleteIncomeAttachment,
 };
\ No newline at end of file
@@ -0,0 +1,262 @@
+const { default: mongoose } = require("mongoose");
+const MaintenancePlan = require("../models/maintenancePlan-model");
+const Alert = require("../models/alert-model");
+const logger = require("../utils/logger");
+const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, findOwnedTruck } = require("../utils/ownership");
+const { getOdometerReadings } = require("../utils/odometer");
+const {
+  getOdometerOn,
+  getPlanStatus,
+  refreshTruckMaintenance,
+  closeMaintenanceCycle,
+} = require("../utils/maintenancePlans");
+
+const PLAN_FIELDS = ["task", "intervalKm", "intervalDays", "reminderKm", "reminderDays", "lastServiceDate", "lastServiceKm", "note"];
+// Fields an empty value clears; other empty fields are left as they are
+const NULLABLE_FIELDS = ["intervalKm", "intervalDays", "lastServiceKm"];
+
+// Picks the plan fields sent in a request, leaving out the ones not sent
+const readPlanFields = (body) => PLAN_FIELDS.reduce((fields, field) => {
+  const value = body[field];
+  if (value === undefined) {
+    return fields;
+  }
+  if (value === "" || value === null) {
+    if (NULLABLE_FIELDS.includes(field)) {
+      fields[field] = null;
+    }
+    return fields;
+  }
+  fields[field] = value;
+  return fields;
+}, {});
+
+const isInvalidDate = (date) => date !== undefined && Number.isNaN(new Date(date).getTime());
+
+// Controller to add a maintenance plan to a truck. Without a last service, the cycle starts today at the latest odometer reading
+const addMaintenancePlan = async (req, res) => {
+  try {
+    const { truckId, addedBy } = req.body;
+    const fields = readPlanFields(req.body);
+
+    const truck = await findOwnedTruck(req, truckId);
+    if (!truck) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+    if (isInvalidDate(fields.lastServiceDate)) {
+      return res.status(400).json({ message: "Invalid last service date" });
+    }
+
+    logger.info("Adding maintenance plan", getFullContext(req, {
+      truckId,
+      addedBy,
+      task: fields.task,
+      intervalKm: fields.intervalKm,
+      intervalDays: fields.intervalDays,
+    }));
+
+    const lastServiceDate = fields.lastServiceDate || new Date();
+    const lastServiceKm = fields.lastServiceKm !== undefined
+      ? fields.lastServiceKm
+      : getOdometerOn(await getOdometerReadings({ truckId }), lastServiceDate);
+
+    const savedPlan = await new MaintenancePlan({
+      ...fields,
+      truckId,
+      addedBy,
+      lastServiceDate,
+      lastServiceKm,
+    }).save();
+
+    await refreshTruckMaintenance(truckId);
+
+    logger.info("Maintenance plan added successfully", getFullContext(req, {
+      planId: savedPlan._id,
+      truckId,
+      task: savedPlan.task,
+    }));
+
+    res.status(201).json(await MaintenancePlan.findById(savedPlan._id));
+  } catch (error) {
+    console.error("Error adding maintenance plan:", error);
+    logger.error("Failed to add maintenance plan", getFullContext(req, {
+      error: error.message,
+      stack: error.stack
+    }));
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: "Failed to add maintenance plan" });
+  }
+};
+
+// Controller to list a truck's maintenance plans with when each task is due
+const getMaintenancePlansByTruckId = async (req, res) => {
+  try {
+    const { truckId } = req.params;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const [plans, readings] = await Promise.all([
+      MaintenancePlan.find({ truckId }).sort({ task: 1 }),
+      getOdometerReadings({ truckId }),
+    ]);
+    const currentKm = getOdometerOn(readings);
+
+    res.status(200).json({
+      currentKm,
+      plans: plans.map((plan) => ({ ...plan.toObject(), status: getPlanStatus(plan, currentKm) })),
+    });
+  } catch (error) {
+    console.error("Error retrieving maintenance plans:", error);
+    res.status(500).json({ message: "Failed to retrieve maintenance plans" });
+  }
+};
+
+const updateMaintenancePlanById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = readPlanFields(req.body);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid maintenance plan ID" });
+    }
+    if (isInvalidDate(fields.lastServiceDate)) {
+      return res.status(400).json({ message: "Invalid last service date" });
+    }
+
+    const plan = await MaintenancePlan.findOne({ _id: id, ...ownerScope(req) });
+    if (!plan) {
+      return res.status(404).json({ message: "Maintenance plan not found" });
+    }
+
+    plan.set(fields);
+    await plan.save();
+    await refreshTruckMaintenance(plan.truckId);
+
+    logger.info(`Maintenance plan updated successfully`, {
+      planId: id,
+      truckId: plan.truckId,
+      task: plan.task,
+    });
+
+    res.status(200).json({
+      message: "Maintenance plan updated successfully",
+      plan: await MaintenancePlan.findById(id),
+    });
+  } catch (error) {
+    console.error("Error updating maintenance plan:", error);
+    logger.error(`Failed to update maintenance plan`, {
+      planId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update maintenance plan", error: error.message });
+  }
+};
+
+// Controller to mark a task done when the service was not recorded as an expense
+const completeMaintenancePlanById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, km } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid maintenance plan ID" });
+    }
+    if (date && isInvalidDate(date)) {
+      return res.status(400).json({ message: "Invalid service date" });
+    }
+
+    const plan = await MaintenancePlan.findOne({ _id: id, ...ownerScope(req) });
+    if (!plan) {
+      return res.status(404).json({ message: "Maintenance plan not found" });
+    }
+
+    const serviceDate = date || new Date();
+    const serviceKm = km === undefined || km === "" || km === null
+      ? getOdometerOn(await getOdometerReadings({ truckId: plan.truckId }), serviceDate)
+      : km;
+
+    await closeMaintenanceCycle(plan, { date: serviceDate, km: serviceKm });
+    await refreshTruckMaintenance(plan.truckId);
+
+    logger.info("Maintenance task marked done", getFullContext(req, {
+      planId: id,
+      truckId: plan.truckId,
+      task: plan.task,
+      date: serviceDate,
+      km: serviceKm,
+    }));
+
+    res.status(200).json({
+      message: "Maintenance task marked done",
+      plan: await MaintenancePlan.findById(id),
+    });
+  } catch (error) {
+    console.error("Error completing maintenance plan:", error);
+    logger.error("Failed to complete maintenance plan", getFullContext(req, {
+      planId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    }));
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: "Failed to mark maintenance task done" });
+  }
+};
+
+const deleteMaintenancePlanById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid maintenance plan ID" });
+    }
+
+    const deletedPlan = await MaintenancePlan.findOneAndDelete({ _id: id, ...ownerScope(req) });
+
+    if (!deletedPlan) {
+      return res.status(404).json({ message: "Maintenance plan not found" });
+    }
+
+    if (deletedPlan.alertId) {
+      await Alert.updateOne({ _id: deletedPlan.alertId }, { isActive: false, updatedAt: new Date() });
+    }
+
+    logger.info(`Maintenance plan deleted successfully`, {
+      planId: id,
+      truckId: deletedPlan.truckId,
+    });
+
+    res.status(200).json({ message: "Maintenance plan deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting maintenance plan:", error);
+    logger.error(`Failed to delete maintenance plan`, {
+      planId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to delete maintenance plan", error: error.message });
+  }
+};
+
+module.exports = {
+  addMaintenancePlan,
+  getMaintenancePlansByTruckId,
+  updateMaintenancePlanById,
+  completeMaintenancePlanById,
+  deleteMaintenancePlanById,
+};
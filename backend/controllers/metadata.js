@@ -10,6 +10,7 @@ const { default: mongoose } = require('mongoose');
 const moment = require("moment");
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { resolveOwnerId, findOwnedTruck } = require("../utils/ownership");
 
 const getMetadataByTruckId = async (req, res) => {
     const { truckId } = req.query;
@@ -25,6 +26,11 @@ const getMetadataByTruckId = async (req, res) => {
     const endOfMonth = moment().endOf('month').toDate();
 
     try {
+        if (!(await findOwnedTruck(req, truckId))) {
+            logger.warn("Metadata requested for a truck the caller does not own", getFullContext(req, { truckId }));
+            return res.status(404).json({ error: 'Truck not found' });
+        }
+
         const fuelResult = await FuelExpense.aggregate([
             {
                 $match: {
@@ -108,6 +114,11 @@ const getMetadataByUserId = async (req, res) => {
         return res.status(400).json({ error: 'Invalid User ID' });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+        return res.status(404).json({ error: 'User not found.' });
+    }
+
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
@@ -115,7 +126,7 @@ const getMetadataByUserId = async (req, res) => {
     try {
         // Total fuel expenses
         const fuelResult = await FuelExpense.aggregate([
-            { $match: { addedBy: userId } },
+            { $match: { addedBy: ownerId } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -123,7 +134,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Total DEF expenses
         const defResult = await DefExpense.aggregate([
-            { $match: { addedBy: userId } },
+            { $match: { addedBy: ownerId } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -131,7 +142,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Total other expenses
         const otherResult = await OtherExpense.aggregate([
-            { $match: { addedBy: userId } },
+            { $match: { addedBy: ownerId } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -139,7 +150,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Total loan expenses
         const loanResult = await LoanCalculation.aggregate([
-            { $match: { addedBy: userId } },
+            { $match: { addedBy: ownerId } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -147,7 +158,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Total fuel used
         const fuelUsedResult = await FuelExpense.aggregate([
-            { $match: { addedBy: userId } },
+            { $match: { addedBy: ownerId } },
             { $group: { _id: null, totalCost: { $sum: "$litres" } } }
         ]);
 
@@ -155,7 +166,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Monthly fuel expenses
         const fuelMonthlyResult = await FuelExpense.aggregate([
-            { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+            { $match: { addedBy: ownerId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -163,7 +174,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Monthly DEF expenses
         const defMonthlyResult = await DefExpense.aggregate([
-            { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+            { $match: { addedBy: ownerId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -171,7 +182,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Monthly other expenses
         const otherMonthlyResult = await OtherExpense.aggregate([
-            { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+            { $match: { addedBy: ownerId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -179,7 +190,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Monthly loan expenses
         const loanMonthlyResult = await LoanCalculation.aggregate([
-            { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+            { $match: { addedBy: ownerId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
             { $group: { _id: null, totalCost: { $sum: "$cost" } } }
         ]);
 
@@ -187,7 +198,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Monthly fuel used
         const fuelUsedMonthlyResult = await FuelExpense.aggregate([
-            { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+            { $match: { addedBy: ownerId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
             { $group: { _id: null, totalCost: { $sum: "$litres" } } }
         ]);
 
@@ -195,7 +206,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Total income
         const incomeResult = await Income.aggregate([
-            { $match: { addedBy: userId } },
+            { $match: { addedBy: ownerId } },
             { $group: { _id: null, totalAmount: { $sum: "$amount" } } }
         ]);
 
@@ -203,7 +214,7 @@ const getMetadataByUserId = async (req, res) => {
 
         // Monthly income
         const incomeMonthlyResult = await Income.aggregate([
-            { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+            { $match: { addedBy: ownerId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
             { $group: { _id: null, totalAmount: { $sum: "$amount" } } }
         ]);
 
@@ -248,7 +259,11 @@ const getMetadataByUserId = async (req, res) => {
 };
 
 const getProfileMetadataByUserId = async (req, res) => {
-    const { userId } = req.query;
+    const userId = resolveOwnerId(req, req.query.userId);
+
+    if (!userId) {
+        return res.status(404).json({ error: 'User not found.' });
+    }
 
     try {
         // Calculate total kilometers from FuelExpense collection
@@ -329,6 +344,11 @@ const getSixMonthsDataByUserId = async (req, res) => {
         return res.status(400).json({ error: 'Invalid User ID' });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+        return res.status(404).json({ error: 'User not found.' });
+    }
+
     try {
         // Get the last 6 months
         const months = [];
@@ -353,7 +373,7 @@ const getSixMonthsDataByUserId = async (req, res) => {
             const fuelResult = await FuelExpense.aggregate([
                 {
                     $match: {
-                        addedBy: userId,
+                        addedBy: ownerId,
                         date: { $gte: month.start, $lte: month.end }
                     }
                 },
@@ -365,7 +385,7 @@ const getSixMonthsDataByUserId = async (req, res) => {
             const defResult = await DefExpense.aggregate([
                 {
                     $match: {
-                        addedBy: userId,
+                        addedBy: ownerId,
                         date: { $gte: month.start, $lte: month.end }
                     }
                 },
@@ -377,7 +397,7 @@ const getSixMonthsDataByUserId = async (req, res) => {
             const otherResult = await OtherExpense.aggregate([
                 {
                     $match: {
-                        addedBy: userId,
+                        addedBy: ownerId,
                         date: { $gte: month.start, $lte: month.end }
                     }
                 },
@@ -389,7 +409,7 @@ const getSixMonthsDataByUserId = async (req, res) => {
             const loanResult = await LoanCalculation.aggregate([
                 {
                     $match: {
-                        addedBy: userId,
+                        addedBy: ownerId,
                         date: { $gte: month.start, $lte: month.end }
                     }
                 },
@@ -401,7 +421,7 @@ const getSixMonthsDataByUserId = async (req, res) => {
             const incomeResult = await Income.aggregate([
                 {
                     $match: {
-                        addedBy: userId,
+                        addedBy: ownerId,
                         date: { $gte: month.start, $lte: month.end }
                     }
                 },
@@ -0,0 +1,404 @@
+const { default: mongoose } = require('mongoose');
+const Organization = require('../models/organization-model');
+const { catchAsyncError } = require('../middleware/catchAsyncError');
+const ErrorHandler = require('../middleware/errorHandlers');
+const logger = require('../utils/logger');
+const { getFullContext } = require('../utils/requestContext');
+const { ORG_ROLES } = require('../utils/orgRoles');
+
+const INVITABLE_ROLES = ORG_ROLES.filter((role) => role !== 'owner');
+
+// Organisation the caller is an active member of, with their member entry
+const findMembership = async (userId) => {
+    const org = await Organization.findOne({
+        members: { $elemMatch: { userId, status: 'active' } }
+    });
+    if (!org) {
+        return { org: null, member: null };
+    }
+    const member = org.members.find((m) => m.userId === userId && m.status === 'active');
+    return { org, member };
+};
+
+// Same as findMembership, but the caller has to be the owner
+const findOwnedOrganization = async (req, next) => {
+    const { org, member } = await findMembership(req.user.userId);
+    if (!org) {
+        next(new ErrorHandler('Organisation not found', 404));
+        return null;
+    }
+    if (member.role !== 'owner') {
+        logger.warn('Organisation change denied - caller is not the owner', getFullContext(req, { organizationId: org._id, role: member.role }));
+        next(new ErrorHandler('Only the organisation owner can manage members', 403));
+        return null;
+    }
+    return org;
+};
+
+// Create an organisation owned by the caller
+const createOrganization = catchAsyncError(async (req, res, next) => {
+    try {
+        const { name } = req.body;
+        const { userId, email } = req.user;
+
+        logger.info('Creating organisation', getFullContext(req, { name }));
+
+        const { org: existing } = await findMembership(userId);
+        if (existing) {
+            logger.warn('Organisation creation failed - already a member', getFullContext(req, { organizationId: existing._id }));
+            return next(new ErrorHandler('You already belong to an organisation', 400));
+        }
+
+        const organization = new Organization({
+            name,
+            ownerId: userId,
+            members: [{
+                userId,
+                email,
+                name: req.user.name,
+                role: 'owner',
+                status: 'active',
+                invitedBy: userId,
+                joinedAt: new Date()
+            }]
+        });
+
+        const savedOrganization = await organization.save();
+
+        logger.info('Organisation created successfully', getFullContext(req, { organizationId: savedOrganization._id, name }));
+
+        res.status(201).json({
+            success: true,
+            message: 'Organisation created successfully',
+            data: savedOrganization
+        });
+    } catch (error) {
+        logger.error('Failed to create organisation', getFullContext(req, { error: error.message, stack: error.stack }));
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
+        return next(new ErrorHandler('Failed to create organisation', 500));
+    }
+});
+
+// Get the organisation the caller belongs to, with their role
+const getMyOrganization = catchAsyncError(async (req, res, next) => {
+    try {
+        const { org, member } = await findMembership(req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: org ? 'Organisation found' : 'You do not belong to an organisation',
+            data: org ? { organization: org, role: member.role } : null
+        });
+    } catch (error) {
+        logger.error('Failed to fetch organisation', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to fetch organisation', 500));
+    }
+});
+
+// Rename the caller's organisation (owner only)
+const updateOrganization = catchAsyncError(async (req, res, next) => {
+    try {
+        const org = await findOwnedOrganization(req, next);
+        if (!org) return;
+
+        org.name = req.body.name;
+        const savedOrganization = await org.save();
+
+        logger.info('Organisation updated', getFullContext(req, { organizationId: org._id, name: org.name }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Organisation updated successfully',
+            data: savedOrganization
+        });
+    } catch (error) {
+        logger.error('Failed to update organisation', getFullContext(req, { error: error.message }));
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
+        return next(new ErrorHandler('Failed to update organisation', 500));
+    }
+});
+
+// Delete the caller's organisation (owner only); members go back to their own data
+const deleteOrganization = catchAsyncError(async (req, res, next) => {
+    try {
+        const org = await findOwnedOrganization(req, next);
+        if (!org) return;
+
+        await Organization.deleteOne({ _id: org._id });
+
+        logger.info('Organisation deleted', getFullContext(req, { organizationId: org._id }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Organisation deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Failed to delete organisation', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to delete organisation', 500));
+    }
+});
+
+// Invite a user by email with a role (owner only)
+const inviteMember = catchAsyncError(async (req, res, next) => {
+    try {
+        const { email, role } = req.body;
+
+        if (!email) {
+            return next(new ErrorHandler('Email is required', 400));
+        }
+        if (!INVITABLE_ROLES.includes(role)) {
+            return next(new ErrorHandler(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 400));
+        }
+
+        const org = await findOwnedOrganization(req, next);
+        if (!org) return;
+
+        const normalizedEmail = email.trim().toLowerCase();
+        if (org.members.some((m) => m.email === normalizedEmail)) {
+            return next(new ErrorHandler('This email is already a member or has a pending invitation', 400));
+        }
+
+        org.members.push({
+            email: normalizedEmail,
+            role,
+            status: 'invited',
+            invitedBy: req.user.userId
+        });
+        const savedOrganization = await org.save();
+
+        logger.info('Organisation member invited', getFullContext(req, { organizationId: org._id, email: normalizedEmail, role }));
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent successfully',
+            data: savedOrganization
+        });
+    } catch (error) {
+        logger.error('Failed to invite member', getFullContext(req, { error: error.message }));
+        if (error.name === 'ValidationError') {
+            return next(new ErrorHandler(Object.values(error.errors)[0].message, 400));
+        }
+        return next(new ErrorHandler('Failed to invite member', 500));
+    }
+});
+
+// Change a member's role (owner only)
+const updateMemberRole = catchAsyncError(async (req, res, next) => {
+    try {
+        const { memberId } = req.params;
+        const { role } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(memberId)) {
+            return next(new ErrorHandler('Invalid member ID', 400));
+        }
+        if (!INVITABLE_ROLES.includes(role)) {
+            return next(new ErrorHandler(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 400));
+        }
+
+        const org = await findOwnedOrganization(req, next);
+        if (!org) return;
+
+        const member = org.members.id(memberId);
+        if (!member) {
+            return next(new ErrorHandler('Member not found', 404));
+        }
+        if (member.role === 'owner') {
+            return next(new ErrorHandler("The owner's role cannot be changed", 400));
+        }
+
+        member.role = role;
+        const savedOrganization = await org.save();
+
+        logger.info('Organisation member role updated', getFullContext(req, { organizationId: org._id, memberId, role }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Member role updated successfully',
+            data: savedOrganization
+        });
+    } catch (error) {
+        logger.error('Failed to update member role', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to update member role', 500));
+    }
+});
+
+// Remove a member or cancel an invitation (owner only)
+const removeMember = catchAsyncError(async (req, res, next) => {
+    try {
+        const { memberId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(memberId)) {
+            return next(new ErrorHandler('Invalid member ID', 400));
+        }
+
+        const org = await findOwnedOrganization(req, next);
+        if (!org) return;
+
+        const member = org.members.id(memberId);
+        if (!member) {
+            return next(new ErrorHandler('Member not found', 404));
+        }
+        if (member.role === 'owner') {
+            return next(new ErrorHandler('The owner cannot be removed', 400));
+        }
+
+        member.deleteOne();
+        const savedOrganization = await org.save();
+
+        logger.info('Organisation member removed', getFullContext(req, { organizationId: org._id, memberId, email: member.email }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Member removed successfully',
+            data: savedOrganization
+        });
+    } catch (error) {
+        logger.error('Failed to remove member', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to remove member', 500));
+    }
+});
+
+// Pending invitations for the caller's email
+const getMyInvitations = catchAsyncError(async (req, res, next) => {
+    try {
+        const email = (req.user.email || '').toLowerCase();
+
+        const organizations = await Organization.find({
+            members: { $elemMatch: { email, status: 'invited' } }
+        });
+
+        const invitations = organizations.map((org) => {
+            const invite = org.members.find((m) => m.email === email && m.status === 'invited');
+            return {
+                organizationId: org._id,
+                name: org.name,
+                role: invite.role,
+                invitedAt: invite.invitedAt
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Found ${invitations.length} invitations`,
+            data: invitations
+        });
+    } catch (error) {
+        logger.error('Failed to fetch invitations', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to fetch invitations', 500));
+    }
+});
+
+// Accept an invitation; a user can only be active in one organisation
+const acceptInvitation = catchAsyncError(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const email = (req.user.email || '').toLowerCase();
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return next(new ErrorHandler('Invalid organisation ID', 400));
+        }
+
+        const { org: existing } = await findMembership(req.user.userId);
+        if (existing) {
+            return next(new ErrorHandler('Leave your current organisation before joining another', 400));
+        }
+
+        const org = await Organization.findById(id);
+        const invite = org && org.members.find((m) => m.email === email && m.status === 'invited');
+        if (!invite) {
+            return next(new ErrorHandler('Invitation not found', 404));
+        }
+
+        invite.userId = req.user.userId;
+        invite.name = req.user.name;
+        invite.status = 'active';
+        invite.joinedAt = new Date();
+        const savedOrganization = await org.save();
+
+        logger.info('Organisation invitation accepted', getFullContext(req, { organizationId: org._id, role: invite.role }));
+
+        res.status(200).json({
+            success: true,
+            message: `You joined ${org.name}`,
+            data: savedOrganization
+        });
+    } catch (error) {
+        logger.error('Failed to accept invitation', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to accept invitation', 500));
+    }
+});
+
+// Decline an invitation
+const declineInvitation = catchAsyncError(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const email = (req.user.email || '').toLowerCase();
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return next(new ErrorHandler('Invalid organisation ID', 400));
+        }
+
+        const result = await Organization.updateOne(
+            { _id: id },
+            { $pull: { members: { email, status: 'invited' } } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return next(new ErrorHandler('Invitation not found', 404));
+        }
+
+        logger.info('Organisation invitation declined', getFullContext(req, { organizationId: id }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation declined'
+        });
+    } catch (error) {
+        logger.error('Failed to decline invitation', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to decline invitation', 500));
+    }
+});
+
+// Leave the caller's organisation (the owner deletes it instead)
+const leaveOrganization = catchAsyncError(async (req, res, next) => {
+    try {
+        const { org, member } = await findMembership(req.user.userId);
+        if (!org) {
+            return next(new ErrorHandler('Organisation not found', 404));
+        }
+        if (member.role === 'owner') {
+            return next(new ErrorHandler('The owner cannot leave; delete the organisation instead', 400));
+        }
+
+        member.deleteOne();
+        await org.save();
+
+        logger.info('Member left organisation', getFullContext(req, { organizationId: org._id }));
+
+        res.status(200).json({
+            success: true,
+            message: `You left ${org.name}`
+        });
+    } catch (error) {
+        logger.error('Failed to leave organisation', getFullContext(req, { error: error.message }));
+        return next(new ErrorHandler('Failed to leave organisation', 500));
+    }
+});
+
+module.exports = {
+    createOrganization,
+    getMyOrganization,
+    updateOrganization,
+    deleteOrganization,
+    inviteMember,
+    updateMemberRole,
+    removeMember,
+    getMyInvitations,
+    acceptInvitation,
+    declineInvitation,
+    leaveOrganization,
+};
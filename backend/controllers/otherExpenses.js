@@ -5,25 +5,38 @@ const ExcelJS = require("exceljs");
 const TruckExpense = require("../models/truck-model");
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck, checkTripOfTruck } = require("../utils/ownership");
+const { importSheet } = require("../utils/expenseImport");
+const { addAttachment, downloadAttachment, deleteAttachment } = require("../utils/attachments");
+const { syncTruckMaintenance } = require("../utils/maintenancePlans");
+const { isLedgerExpense } = require("../utils/driverPayroll");
 
-const otherNameConversions = {
-  toll: "Toll",
-  pollution: "Pollution",
-  insurance: "Insurance",
-  "service&Maintenance": "Service & Maintenance",
-  "salary&incentives": "Salary & Incentives",
-  other: "Other",
-};
+const {
+  OTHER_EXPENSE_CATEGORIES: otherNameConversions,
+  formatOtherExpenseCategory,
+} = require("../utils/otherExpenseCategories");
+
+const LEDGER_EXPENSE_MESSAGE = "This expense is posted from a driver's ledger; change or delete the ledger entry instead";
 
 // Controller to add a new other filling record
 const addOtherExpense = async (req, res) => {
   try {
-    const { truckId, addedBy, date, category, cost, note, other } = req.body;
+    const { truckId, tripId, addedBy, date, category, cost, note, other } = req.body;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
 
     logger.info("Adding new other expense", getFullContext(req, { truckId, addedBy, category, cost }));
 
     const newOtherExpense = new OtherExpense({
       truckId,
+      tripId: tripId || null,
       addedBy,
       other,
       date,
@@ -33,6 +46,8 @@ const addOtherExpense = async (req, res) => {
     });
 
     const savedOtherExpense = await newOtherExpense.save();
+    // A service naming a maintenance task closes its cycle
+    await syncTruckMaintenance(truckId, savedOtherExpense);
     logger.info("Other expense added successfully", getFullContext(req, {
       expenseId: savedOtherExpense._id,
       truckId,
@@ -55,6 +70,7 @@ const updateOtherExpenseByTruckId = async (req, res) => {
     const { id } = req.params;
     const {
       truckId,
+      tripId,
       addedBy,
       other,
       date,
@@ -70,6 +86,25 @@ const updateOtherExpenseByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Invalid other expense ID" });
     }
 
+    if (truckId && !(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const existing = await OtherExpense.findOne({ _id: id, ...ownerScope(req) });
+    if (!existing) {
+      return res.status(404).json({ message: "Other expense not found" });
+    }
+
+    if (await isLedgerExpense(existing)) {
+      return res.status(400).json({ message: LEDGER_EXPENSE_MESSAGE });
+    }
+
+    // The trip has to have run on the truck the entry ends up on
+    const tripError = tripId && (await checkTripOfTruck(req, tripId, truckId || existing.truckId));
+    if (tripError) {
+      return res.status(tripError.status).json({ message: tripError.message });
+    }
+
     // Update the invoice URL if a new file is provided
     let invoiceURL = req.body.invoiceURL;
     if (file) {
@@ -77,10 +112,11 @@ const updateOtherExpenseByTruckId = async (req, res) => {
     }
 
     // Update the def
-    const updatedOtherExpense = await OtherExpense.findByIdAndUpdate(
-      { _id: id },
+    const updatedOtherExpense = await OtherExpense.findOneAndUpdate(
+      { _id: id, ...ownerScope(req) },
       {
         truckId,
+        tripId: tripId || null,
         addedBy,
         other,
         date,
@@ -96,6 +132,8 @@ const updateOtherExpenseByTruckId = async (req, res) => {
       return res.status(404).json({ message: "Other expense not found" });
     }
 
+    await syncTruckMaintenance(updatedOtherExpense.truckId, updatedOtherExpense);
+
     logger.info(`Other expense updated successfully: ${id}`, {
       userId: addedBy,
       truckId,
@@ -127,6 +165,11 @@ const getAllOtherExpensesByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -216,6 +259,12 @@ const getAllOtherExpensesByUserId = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
@@ -225,7 +274,7 @@ const getAllOtherExpensesByUserId = async (req, res) => {
       : null;
 
     // Build the query filter
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -309,13 +358,19 @@ const deleteOtherExpenseById = async (req, res) => {
       return res.status(400).json({ message: "Invalid Expense ID" });
     }
 
-    const deletedTruck = await OtherExpense.findByIdAndDelete(id);
+    const expense = await OtherExpense.findOne({ _id: id, ...ownerScope(req) });
 
-    if (!deletedTruck) {
+    if (!expense) {
       logger.warn(`Other expense not found for deletion: ${id}`);
       return res.status(404).json({ message: "Expense not found" });
     }
 
+    if (await isLedgerExpense(expense)) {
+      return res.status(400).json({ message: LEDGER_EXPENSE_MESSAGE });
+    }
+
+    await OtherExpense.deleteOne({ _id: expense._id });
+
     logger.info(`Other expense deleted successfully: ${id}`, {
       expenseId: id
     });
@@ -343,6 +398,11 @@ const downloadOtherExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -380,7 +440,7 @@ const downloadOtherExpensesExcel = async (req, res) => {
 
       return {
         Date: formattedDate,
-        Category: expense.category === "other" ? expense.other : expense.category,
+        Category: formatOtherExpenseCategory(expense),
         Cost: expense.cost,
         Note: expense.note || "",
       };
@@ -493,6 +553,12 @@ const downloadAllOtherExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -500,7 +566,7 @@ const downloadAllOtherExpensesExcel = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
         query.date = { $eq: startDate };
@@ -534,7 +600,7 @@ const downloadAllOtherExpensesExcel = async (req, res) => {
         return {
           Date: formattedDate,
           "Registration No": registrationNo,
-          Category: expense.category === "other" ? expense.other : expense.category,
+          Category: formatOtherExpenseCategory(expense),
           Cost: expense.cost,
           Note: expense.note || "",
         };
@@ -646,6 +712,13 @@ const downloadAllOtherExpensesExcel = async (req, res) => {
   }
 };
 
+// Controller to import other expenses from a CSV/Excel upload (dry run or all-or-nothing commit)
+const importOtherExpenses = importSheet("other");
+
+const addOtherExpenseAttachment = addAttachment(OtherExpense);
+const downloadOtherExpenseAttachment = downloadAttachment(OtherExpense);
+const deleteOtherExpenseAttachment = deleteAttachment(OtherExpense);
+
 module.exports = {
   addOtherExpense,
   getAllOtherExpensesByTruckId,
@@ -654,4 +727,8 @@ module.exports = {
   deleteOtherExpenseById,
   downloadOtherExpensesExcel,
   downloadAllOtherExpensesExcel,
+  importOtherExpenses,
+  addOtherExpenseAttachment,
+  downloadOtherExpenseAttachment,
+  deleteOtherExpenseAttachment,
 };
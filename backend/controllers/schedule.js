@@ -0,0 +1,59 @@
+const moment = require("moment");
+const Truck = require("../models/truck-model");
+const logger = require("../utils/logger");
+const { getFullContext } = require("../utils/requestContext");
+const { isAdminUser, resolveOwnerId } = require("../utils/ownership");
+const { canAccess } = require("../utils/orgRoles");
+const { MAX_RANGE_DAYS, getFleetSchedule } = require("../utils/fleetSchedule");
+
+// Organisation members only see the parts of the schedule their role may read
+const canRead = (req) => (resource) =>
+  !req.org || isAdminUser(req) || canAccess(req.org.role, resource, "read");
+
+// Controller to get the fleet calendar between two dates
+const getScheduleByUserId = async (req, res) => {
+  try {
+    const { userId, from, to } = req.query;
+
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const start = moment(from, moment.ISO_8601, true);
+    const end = moment(to, moment.ISO_8601, true);
+    if (!start.isValid() || !end.isValid()) {
+      return res.status(400).json({ message: "Valid from and to dates are required" });
+    }
+    if (end.isBefore(start)) {
+      return res.status(400).json({ message: "The range cannot end before it starts" });
+    }
+    if (end.diff(start, "days") > MAX_RANGE_DAYS) {
+      return res.status(400).json({ message: `The range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const trucks = await Truck.find({ addedBy: ownerId }).sort({ registrationNo: 1 });
+    const entries = await getFleetSchedule({
+      ownerId,
+      trucks,
+      from: start.toDate(),
+      to: end.toDate(),
+      canRead: canRead(req),
+    });
+
+    res.status(200).json({
+      from: start.toDate(),
+      to: end.toDate(),
+      trucks: trucks.map((truck) => ({ _id: truck._id, registrationNo: truck.registrationNo })),
+      entries,
+    });
+  } catch (error) {
+    logger.error("Failed to build schedule", getFullContext(req, { error: error.message, stack: error.stack }));
+    res.status(500).json({ message: "Failed to retrieve schedule" });
+  }
+};
+
+module.exports = {
+  getScheduleByUserId,
+};
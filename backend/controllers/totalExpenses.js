@@ -8,6 +8,7 @@ const ExcelJS = require("exceljs");
 const TruckExpense = require("../models/truck-model");
 const logger = require("../utils/logger");
 const { getFullContext } = require("../utils/requestContext");
+const { resolveOwnerId, findOwnedTruck } = require("../utils/ownership");
 
 const getAllTotalExpensesByUserId = async (req, res) => {
   try {
@@ -20,6 +21,12 @@ const getAllTotalExpensesByUserId = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -27,7 +34,7 @@ const getAllTotalExpensesByUserId = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = { addedBy: userId };
+    const query = { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -137,6 +144,12 @@ const downloadAllTotalExpensesExcel = async (req, res) => {
       return res.status(400).json({ message: "User ID or Truck ID is required" });
     }
 
+    const ownerId = truckId ? null : resolveOwnerId(req, userId);
+    if (truckId ? !(await findOwnedTruck(req, truckId)) : !ownerId) {
+      logger.warn("Total expenses requested for another user", getFullContext(req, { userId, truckId }));
+      return res.status(404).json({ message: "No expenses found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
@@ -144,7 +157,7 @@ const downloadAllTotalExpensesExcel = async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf("day").toDate()
       : null;
 
-    const query = truckId ? { truckId } : { addedBy: userId };
+    const query = truckId ? { truckId } : { addedBy: ownerId };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -352,6 +365,11 @@ const getAllTotalExpensesByTruckId = async (req, res) => {
       return res.status(400).json({ message: "Truck ID is required" });
     }
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
     const startDate = selectedDates
       ? moment.utc(selectedDates[0]).startOf("day").toDate()
       : null;
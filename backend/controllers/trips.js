@@ -0,0 +1,687 @@
+const { default: mongoose } = require("mongoose");
+const moment = require("moment");
+const ExcelJS = require("exceljs");
+const Trip = require("../models/trip-model");
+const TruckExpense = require("../models/truck-model");
+const DriverProfile = require("../models/driverProfiles-model");
+const Income = require("../models/income-model");
+const FuelExpense = require("../models/fuelExpense-model");
+const DefExpense = require("../models/defExpense-model");
+const OtherExpense = require("../models/otherExpense-model");
+const logger = require("../utils/logger");
+const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck } = require("../utils/ownership");
+
+const buildDateQuery = (selectedDates) => {
+  // Ensure the dates are in UTC and set the time to 00:00:00 to avoid time zone issues
+  const startDate = selectedDates
+    ? moment.utc(selectedDates[0]).startOf("day").toDate()
+    : null;
+  const endDate = selectedDates
+    ? moment.utc(selectedDates[1]).endOf("day").toDate()
+    : null;
+
+  if (!startDate || !endDate) {
+    return null;
+  }
+  if (startDate.toDateString() === endDate.toDateString()) {
+    return { $eq: startDate };
+  }
+  return { $gte: startDate, $lte: endDate };
+};
+
+const formatDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const year = date.getFullYear();
+  return `${day}-${month}-${year}`;
+};
+
+const sumByTrip = async (Model, field, tripIds) => {
+  const rows = await Model.aggregate([
+    { $match: { tripId: { $in: tripIds } } },
+    { $group: { _id: "$tripId", total: { $sum: `$${field}` } } },
+  ]);
+  return rows.reduce((acc, row) => {
+    acc[row._id] = row.total;
+    return acc;
+  }, {});
+};
+
+// Attach P&L figures to each trip. Nothing is stored on the trip itself so
+// edits to linked income/expense rows are always reflected on the next read.
+const withProfitAndLoss = async (trips) => {
+  const tripIds = trips.map((trip) => trip._id.toString());
+
+  const [received, fuel, def, other] = await Promise.all([
+    sumByTrip(Income, "amount", tripIds),
+    sumByTrip(FuelExpense, "cost", tripIds),
+    sumByTrip(DefExpense, "cost", tripIds),
+    sumByTrip(OtherExpense, "cost", tripIds),
+  ]);
+
+  return trips.map((trip) => {
+    const id = trip._id.toString();
+    const fuelCost = fuel[id] || 0;
+    const defCost = def[id] || 0;
+    const otherCost = other[id] || 0;
+    const totalExpense = fuelCost + defCost + otherCost;
+    const amountReceived = received[id] || 0;
+    const profit = trip.freightAmount - totalExpense;
+    const distance =
+      typeof trip.endKM === "number" ? trip.endKM - trip.startKM : null;
+
+    return {
+      ...trip.toObject(),
+      distance,
+      fuelCost,
+      defCost,
+      otherCost,
+      totalExpense,
+      amountReceived,
+      balanceDue: trip.freightAmount - amountReceived,
+      profit,
+      costPerKM: distance ? Number((totalExpense / distance).toFixed(2)) : null,
+      profitPerKM: distance ? Number((profit / distance).toFixed(2)) : null,
+    };
+  });
+};
+
+const formatTrips = async (trips, { withRegistrationNo = false } = {}) => {
+  const tripsWithPnL = await withProfitAndLoss(trips);
+
+  const driverIds = trips.filter((trip) => trip.driverId).map((trip) => trip.driverId);
+  const drivers = await DriverProfile.find({ _id: { $in: driverIds } });
+  const driverNames = drivers.reduce((acc, driver) => {
+    acc[driver._id.toString()] = driver.name;
+    return acc;
+  }, {});
+
+  let registrationNos = {};
+  if (withRegistrationNo) {
+    const truckIds = [...new Set(trips.map((trip) => trip.truckId))].filter((id) =>
+      mongoose.Types.ObjectId.isValid(id)
+    );
+    const trucks = await TruckExpense.find({ _id: { $in: truckIds } });
+    registrationNos = trucks.reduce((acc, truck) => {
+      acc[truck._id.toString()] = truck.registrationNo;
+      return acc;
+    }, {});
+  }
+
+  return tripsWithPnL.map((trip, index) => ({
+    ...trip,
+    date: formatDate(trip.date),
+    endDate: formatDate(trip.endDate),
+    route: `${trip.origin} - ${trip.destination}`,
+    driverName: trip.driverId ? driverNames[trip.driverId.toString()] || "Unknown" : "-",
+    ...(withRegistrationNo && {
+      registrationNo: registrationNos[trip.truckId] || "Unknown",
+    }),
+    key: index,
+  }));
+};
+
+const validateTripPayload = ({ driverId, startKM, endKM }) => {
+  if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) {
+    return "Invalid driver profile ID";
+  }
+  if (
+    endKM !== undefined &&
+    endKM !== null &&
+    endKM !== "" &&
+    startKM !== undefined &&
+    Number(endKM) < Number(startKM)
+  ) {
+    return "End KM cannot be less than start KM";
+  }
+  return null;
+};
+
+// Controller to add a new trip
+const addTrip = async (req, res) => {
+  try {
+    const {
+      truckId,
+      addedBy,
+      driverId,
+      origin,
+      destination,
+      date,
+      endDate,
+      startKM,
+      endKM,
+      freightAmount,
+      status,
+      note,
+    } = req.body;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    logger.info("Adding new trip", getFullContext(req, { truckId, addedBy, origin, destination }));
+
+    const validationError = validateTripPayload({ driverId, startKM, endKM });
+    if (validationError) {
+      logger.warn("Trip validation failed", getFullContext(req, { truckId, reason: validationError }));
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (driverId && !(await DriverProfile.findOne({ _id: driverId, ...ownerScope(req) }))) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    const newTrip = new Trip({
+      truckId,
+      addedBy,
+      driverId: driverId || null,
+      origin,
+      destination,
+      date,
+      endDate: endDate || null,
+      startKM,
+      endKM: endKM === "" || endKM === undefined ? null : endKM,
+      freightAmount,
+      status,
+      note,
+    });
+
+    const savedTrip = await newTrip.save();
+
+    logger.info("Trip added successfully", getFullContext(req, {
+      tripId: savedTrip._id,
+      truckId,
+      addedBy,
+      freightAmount,
+    }));
+
+    res.status(201).json(savedTrip);
+  } catch (error) {
+    console.error("Error adding trip:", error);
+    logger.error("Failed to add trip", getFullContext(req, {
+      error: error.message,
+      stack: error.stack
+    }));
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: "Failed to add trip" });
+  }
+};
+
+// Controller to get a single trip with its P&L and linked entries
+const getTripById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid trip ID" });
+    }
+
+    const trip = await Trip.findOne({ _id: id, ...ownerScope(req) });
+
+    if (!trip) {
+      return res.status(404).json({ message: "Trip not found" });
+    }
+
+    const [formattedTrip] = await formatTrips([trip]);
+
+    const [incomes, fuelExpenses, defExpenses, otherExpenses] = await Promise.all([
+      Income.find({ tripId: id, ...ownerScope(req) }).sort({ date: 1 }),
+      FuelExpense.find({ tripId: id, ...ownerScope(req) }).sort({ date: 1 }),
+      DefExpense.find({ tripId: id, ...ownerScope(req) }).sort({ date: 1 }),
+      OtherExpense.find({ tripId: id, ...ownerScope(req) }).sort({ date: 1 }),
+    ]);
+
+    res.status(200).json({
+      ...formattedTrip,
+      entries: {
+        incomes,
+        fuelExpenses,
+        defExpenses,
+        otherExpenses,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving trip:", error);
+    res.status(500).json({ message: "Failed to retrieve trip" });
+  }
+};
+
+const getAllTripsByTruckId = async (req, res) => {
+  try {
+    const { truckId, selectedDates } = req.query;
+
+    logger.info("Fetching trips by truck ID", getFullContext(req, { truckId, selectedDates }));
+
+    if (!truckId) {
+      logger.warn("Truck ID missing in trip fetch request", getFullContext(req));
+      return res.status(400).json({ message: "Truck ID is required" });
+    }
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const query = { truckId };
+    const dateQuery = buildDateQuery(selectedDates);
+    if (dateQuery) {
+      query.date = dateQuery;
+    }
+
+    const trips = await Trip.find(query).sort({ date: 1 });
+
+    if (trips.length === 0) {
+      return res.status(404).json({
+        message: "No trips found for this truck in the given date range",
+      });
+    }
+
+    const formattedTrips = await formatTrips(trips);
+
+    res.status(200).json({
+      expenses: formattedTrips,
+      totalExpense: formattedTrips.reduce((sum, trip) => sum + trip.freightAmount, 0),
+      totalProfit: formattedTrips.reduce((sum, trip) => sum + trip.profit, 0),
+    });
+  } catch (error) {
+    console.error("Error retrieving trips:", error);
+    res.status(500).json({ message: "Failed to retrieve trips" });
+  }
+};
+
+const getAllTripsByUserId = async (req, res) => {
+  try {
+    const { userId, selectedDates } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ message: "User ID is required" });
+    }
+
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const query = { addedBy: ownerId };
+    const dateQuery = buildDateQuery(selectedDates);
+    if (dateQuery) {
+      query.date = dateQuery;
+    }
+
+    const trips = await Trip.find(query).sort({ date: 1 });
+
+    if (trips.length === 0) {
+      return res.status(404).json({
+        message: "No trips found for this user in the given date range",
+      });
+    }
+
+    const formattedTrips = await formatTrips(trips, { withRegistrationNo: true });
+
+    res.status(200).json({
+      expenses: formattedTrips,
+      totalExpense: formattedTrips.reduce((sum, trip) => sum + trip.freightAmount, 0),
+      totalProfit: formattedTrips.reduce((sum, trip) => sum + trip.profit, 0),
+    });
+  } catch (error) {
+    console.error("Error retrieving trips:", error);
+    res.status(500).json({ message: "Failed to retrieve trips" });
+  }
+};
+
+const updateTripById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      driverId,
+      origin,
+      destination,
+      date,
+      endDate,
+      startKM,
+      endKM,
+      freightAmount,
+      status,
+      note,
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid trip ID" });
+    }
+
+    const existingTrip = await Trip.findOne({ _id: id, ...ownerScope(req) });
+    if (!existingTrip) {
+      return res.status(404).json({ message: "Trip not found" });
+    }
+
+    const validationError = validateTripPayload({
+      driverId,
+      startKM: startKM !== undefined ? startKM : existingTrip.startKM,
+      endKM: endKM !== undefined ? endKM : existingTrip.endKM,
+    });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (driverId && !(await DriverProfile.findOne({ _id: driverId, ...ownerScope(req) }))) {
+      return res.status(404).json({ message: "Driver profile not found" });
+    }
+
+    // Only the fields sent are changed; optional ones sent empty are cleared
+    const fields = {
+      driverId: driverId === undefined ? undefined : driverId || null,
+      origin,
+      destination,
+      date,
+      endDate: endDate === undefined ? undefined : endDate || null,
+      startKM,
+      endKM: endKM === "" ? null : endKM,
+      freightAmount,
+      status,
+      note,
+    };
+    const updatedTrip = await Trip.findOneAndUpdate(
+      { _id: id, ...ownerScope(req) },
+      { $set: Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)) },
+      { new: true, runValidators: true }
+    );
+
+    logger.info(`Trip updated successfully`, {
+      tripId: id,
+      truckId: updatedTrip.truckId,
+      freightAmount: updatedTrip.freightAmount,
+    });
+
+    res.status(200).json({
+      message: "Trip updated successfully",
+      expense: updatedTrip,
+    });
+  } catch (error) {
+    console.error("Error updating trip:", error);
+    logger.error(`Failed to update trip`, {
+      tripId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to update trip", error: error.message });
+  }
+};
+
+const deleteTripById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid trip ID" });
+    }
+
+    const deletedTrip = await Trip.findOneAndDelete({ _id: id, ...ownerScope(req) });
+
+    if (!deletedTrip) {
+      return res.status(404).json({ message: "Trip not found" });
+    }
+
+    // Linked entries stay in the truck ledger, they just lose their trip
+    await Promise.all([
+      Income.updateMany({ tripId: id }, { tripId: null }),
+      FuelExpense.updateMany({ tripId: id }, { tripId: null }),
+      DefExpense.updateMany({ tripId: id }, { tripId: null }),
+      OtherExpense.updateMany({ tripId: id }, { tripId: null }),
+    ]);
+
+    logger.info(`Trip deleted successfully`, {
+      tripId: id,
+      truckId: deletedTrip.truckId,
+    });
+
+    res.status(200).json({ message: "Trip deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting trip:", error);
+    logger.error(`Failed to delete trip`, {
+      tripId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to delete trip", error: error.message });
+  }
+};
+
+const buildTripsWorkbook = (title, subtitle, trips, withRegistrationNo) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Trips");
+
+  const headings = [
+    "Date",
+    ...(withRegistrationNo ? ["Registration No"] : []),
+    "Route",
+    "Driver",
+    "Distance",
+    "Freight",
+    "Expenses",
+    "Profit",
+    "Received",
+    "Status",
+  ];
+  const lastColumn = String.fromCharCode(64 + headings.length);
+
+  // Main Title
+  worksheet.mergeCells(`A1:${lastColumn}1`);
+  worksheet.getCell("A1").value = title;
+  worksheet.getCell("A1").font = { size: 18, bold: true, color: { argb: "FFFFFF" } };
+  worksheet.getCell("A1").alignment = { horizontal: "center", vertical: "middle" };
+  worksheet.getCell("A1").fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF0C4736" },
+  };
+  worksheet.getRow(1).height = 36;
+
+  // Subtitle
+  worksheet.mergeCells(`A2:${lastColumn}2`);
+  worksheet.getCell("A2").value = subtitle;
+  worksheet.getCell("A2").font = { size: 12, bold: true, color: { argb: "333333" } };
+  worksheet.getCell("A2").alignment = { horizontal: "center", vertical: "middle" };
+
+  // Column Headings
+  const headerRow = worksheet.addRow(headings);
+  headerRow.font = { bold: true, color: { argb: "FFFFFF" } };
+  headerRow.eachCell((cell) => {
+    cell.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF57A773" }
+    };
+  });
+  headerRow.alignment = { horizontal: "center" };
+  headerRow.height = 24;
+
+  // Add Data Rows
+  trips.forEach((trip) => {
+    worksheet.addRow([
+      trip.date,
+      ...(withRegistrationNo ? [trip.registrationNo] : []),
+      trip.route,
+      trip.driverName,
+      trip.distance !== null ? trip.distance : "",
+      trip.freightAmount,
+      trip.totalExpense,
+      trip.profit,
+      trip.amountReceived,
+      trip.status,
+    ]);
+  });
+
+  worksheet.columns = headings.map((heading) => ({
+    width: heading === "Route" ? 30 : 15,
+  }));
+
+  // Add borders and center alignment to all cells
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      const existingFill = cell.fill;
+      cell.border = {
+        top: { style: "thin", color: { argb: "CCCCCC" } },
+        left: { style: "thin", color: { argb: "CCCCCC" } },
+        bottom: { style: "thin", color: { argb: "CCCCCC" } },
+        right: { style: "thin", color: { argb: "CCCCCC" } },
+      };
+      cell.alignment = { horizontal: "center", vertical: "middle", wrapText: true };
+      if (existingFill) {
+        cell.fill = existingFill;
+      }
+    });
+  });
+
+  return workbook;
+};
+
+const downloadTripsExcel = async (req, res) => {
+  try {
+    const { truckId, selectedDates } = req.query;
+
+    if (!truckId) {
+      return res.status(400).json({ message: "Truck ID is required" });
+    }
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const query = { truckId };
+    const dateQuery = buildDateQuery(selectedDates);
+    if (dateQuery) {
+      query.date = dateQuery;
+    }
+
+    const trips = await Trip.find(query).sort({ date: 1 });
+    const truck = await TruckExpense.findById(truckId);
+
+    if (trips.length === 0) {
+      return res.status(404).json({
+        message: "No trips found for this truck in the given date range",
+      });
+    }
+
+    const formattedTrips = await formatTrips(trips);
+    const workbook = buildTripsWorkbook(
+      "Manage My Truck - Trips",
+      `${truck ? truck.registrationNo : "Unknown"} | ${selectedDates[0]} to ${selectedDates[1]}`,
+      formattedTrips,
+      false
+    );
+
+    // Write the workbook to a buffer
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    logger.info(`Trips Excel downloaded`, {
+      truckId,
+      dateRange: selectedDates,
+      recordCount: trips.length,
+    });
+
+    res.setHeader("Content-Disposition", "attachment; filename=trips.xlsx");
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error generating Excel file:", error);
+    logger.error(`Failed to generate trips Excel`, {
+      truckId: req.query.truckId,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to generate Excel file", error: error.message });
+  }
+};
+
+const downloadAllTripsExcel = async (req, res) => {
+  try {
+    const { userId, selectedDates } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ message: "User ID is required" });
+    }
+
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const query = { addedBy: ownerId };
+    const dateQuery = buildDateQuery(selectedDates);
+    if (dateQuery) {
+      query.date = dateQuery;
+    }
+
+    const trips = await Trip.find(query).sort({ date: 1 });
+
+    if (trips.length === 0) {
+      return res.status(404).json({
+        message: "No trips found for this user in the given date range",
+      });
+    }
+
+    const formattedTrips = await formatTrips(trips, { withRegistrationNo: true });
+    const workbook = buildTripsWorkbook(
+      "Manage My Truck - All Trips",
+      `Date Range: ${selectedDates[0]} to ${selectedDates[1]}`,
+      formattedTrips,
+      true
+    );
+
+    // Write the workbook to a buffer
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    logger.info(`All trips Excel downloaded`, {
+      userId,
+      dateRange: selectedDates,
+      recordCount: trips.length,
+    });
+
+    res.setHeader("Content-Disposition", "attachment; filename=trips.xlsx");
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error generating Excel file:", error);
+    logger.error(`Failed to generate all trips Excel`, {
+      userId: req.query.userId,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to generate Excel file", error: error.message });
+  }
+};
+
+module.exports = {
+  addTrip,
+  getTripById,
+  getAllTripsByTruckId,
+  getAllTripsByUserId,
+  updateTripById,
+  deleteTripById,
+  downloadTripsExcel,
+  downloadAllTripsExcel,
+};
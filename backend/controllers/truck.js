@@ -1,10 +1,10 @@
 const { default: mongoose, get } = require('mongoose');
 const Truck = require('../models/truck-model');
-const FuelExpense = require('../models/fuelExpense-model');
-const DefExpense = require('../models/defExpense-model');
-const OtherExpense = require('../models/otherExpense-model');
 const logger = require('../utils/logger');
 const { getFullContext } = require('../utils/requestContext');
+const { ownerScope, resolveOwnerId } = require('../utils/ownership');
+const { archiveTruck, restoreTruck, getPurgeDate } = require('../utils/truckArchive');
+const { getOdometerReadings, findOdometerAnomalies } = require('../utils/odometer');
 
 const addTruck = async (req, res) => {
     try {
@@ -44,7 +44,7 @@ const getTruckById = async (req, res) => {
             return res.status(400).json({ message: 'Invalid truck ID' });
         }
 
-        const truck = await Truck.findById(id);
+        const truck = await Truck.findOne({ _id: id, ...ownerScope(req) });
 
         if (!truck) {
             logger.warn("Truck not found", { truckId: id });
@@ -61,8 +61,13 @@ const getTruckById = async (req, res) => {
 
 const getAllTruckByUser = async (req, res) => {
     try {
-        const { addedBy } = req.params;
-        logger.info("Fetching all trucks by user", { userId: addedBy });
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
+        logger.info("Fetching all trucks by user", { userId: req.params.addedBy });
+
+        if (!addedBy) {
+            logger.warn("Trucks requested for another user", getFullContext(req, { userId: req.params.addedBy }));
+            return res.status(404).json({ message: 'No trucks found for this user' });
+        }
 
         const trucks = await Truck.find({ addedBy });
 
@@ -90,8 +95,8 @@ const updateTruckById = async (req, res) => {
             return res.status(400).json({ message: 'Invalid truck ID' });
         }
 
-        const updatedTruck = await Truck.findByIdAndUpdate(
-            {_id:id},
+        const updatedTruck = await Truck.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { registrationNo, make, model, year, isFinanced, financeAmount, imgURL, chassisNo, engineNo, desc },
             { new: true }
         );
@@ -133,7 +138,7 @@ const updateTruck = async (req, res) => {
             return res.status(400).json({ message: 'Invalid truck ID' });
         }
 
-        const updatedTruck = await Truck.findByIdAndUpdate(id, {
+        const updatedTruck = await Truck.findOneAndUpdate({ _id: id, ...ownerScope(req) }, {
             registrationNo,
             make,
             model,
@@ -144,6 +149,11 @@ const updateTruck = async (req, res) => {
             desc,
         }, { new: true });
 
+        if (!updatedTruck) {
+            logger.warn("Truck not found for update (legacy)", { truckId: id });
+            return res.status(404).json({ message: 'Truck not found' });
+        }
+
         logger.info("Truck updated successfully (legacy)", { truckId: id });
         res.status(200).json(updatedTruck);
     } catch (error) {
@@ -152,40 +162,137 @@ const updateTruck = async (req, res) => {
     }
 }
 
+// Soft delete: archives the truck and its linked records until the scheduled purge
 const deleteTruckById = async (req, res) => {
     try {
         const { id } = req.params;
-        logger.info("Deleting truck and associated expenses", { truckId: id });
+        logger.info("Archiving truck and associated records", { truckId: id });
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             logger.warn("Invalid truck ID for deletion", { truckId: id });
             return res.status(400).json({ message: 'Invalid truck ID' });
         }
 
-        await FuelExpense.deleteMany({ truckId: id });
-        logger.info("Fuel expenses deleted", { truckId: id });
+        const truck = await Truck.findOne({ _id: id, ...ownerScope(req) });
 
-        await DefExpense.deleteMany({ truckId: id });
-        logger.info("DEF expenses deleted", { truckId: id });
-
-        await OtherExpense.deleteMany({ truckId: id });
-        logger.info("Other expenses deleted", { truckId: id });
-
-        const deletedTruck = await Truck.findByIdAndDelete(id);
-
-        if (!deletedTruck) {
+        if (!truck) {
             logger.warn("Truck not found for deletion", { truckId: id });
             return res.status(404).json({ message: 'Truck not found' });
         }
 
-        logger.info("Truck deleted successfully", { truckId: id, registrationNo: deletedTruck.registrationNo });
-        res.status(200).json({ message: 'Truck and associated expenses deleted' });
+        const archivedAt = await archiveTruck(truck);
+
+        logger.info("Truck archived successfully", getFullContext(req, { truckId: id, registrationNo: truck.registrationNo }));
+        res.status(200).json({
+            message: 'Truck and associated records archived',
+            archivedAt,
+            purgeAfter: getPurgeDate(archivedAt)
+        });
     } catch (error) {
         logger.error('Error deleting truck', { truckId: req.params.id, error: error.message });
         res.status(500).json({ message: 'Failed to delete truck', error: error.message });
     }
 };
 
+const restoreTruckById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        logger.info("Restoring archived truck", { truckId: id });
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            logger.warn("Invalid truck ID for restore", { truckId: id });
+            return res.status(400).json({ message: 'Invalid truck ID' });
+        }
+
+        const truck = await Truck.findOne({ _id: id, isArchived: true, ...ownerScope(req) });
+
+        if (!truck) {
+            logger.warn("Archived truck not found for restore", { truckId: id });
+            return res.status(404).json({ message: 'Archived truck not found' });
+        }
+
+        const restoredTruck = await restoreTruck(truck);
+
+        logger.info("Truck restored successfully", getFullContext(req, { truckId: id, registrationNo: truck.registrationNo }));
+        res.status(200).json(restoredTruck);
+    } catch (error) {
+        logger.error('Error restoring truck', { truckId: req.params.id, error: error.message });
+        res.status(500).json({ message: 'Failed to restore truck', error: error.message });
+    }
+};
+
+const getArchivedTrucksByUser = async (req, res) => {
+    try {
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
+        logger.info("Fetching archived trucks by user", { userId: req.params.addedBy });
+
+        if (!addedBy) {
+            logger.warn("Archived trucks requested for another user", getFullContext(req, { userId: req.params.addedBy }));
+            return res.status(404).json({ message: 'No archived trucks found for this user' });
+        }
+
+        const trucks = await Truck.find({ addedBy, isArchived: true }).sort({ archivedAt: -1 });
+
+        logger.info("Archived trucks fetched successfully", { userId: addedBy, count: trucks.length });
+        res.status(200).json(trucks.map((truck) => ({
+            ...truck.toObject(),
+            purgeAfter: getPurgeDate(truck.archivedAt)
+        })));
+    } catch (error) {
+        logger.error('Error fetching archived trucks by user', { userId: req.params.addedBy, error: error.message });
+        res.status(500).json({ message: 'Failed to fetch archived trucks', error: error.message });
+    }
+};
+
+// Suspicious odometer readings in fuel and DEF entries, grouped per truck
+const getOdometerAnomaliesByUser = async (req, res) => {
+    try {
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
+        const { truckId } = req.query;
+        logger.info("Fetching odometer anomalies", { userId: req.params.addedBy, truckId });
+
+        if (!addedBy) {
+            logger.warn("Odometer anomalies requested for another user", getFullContext(req, { userId: req.params.addedBy }));
+            return res.status(404).json({ message: 'No trucks found for this user' });
+        }
+
+        const truckFilter = { addedBy };
+        if (truckId) {
+            if (!mongoose.Types.ObjectId.isValid(truckId)) {
+                return res.status(400).json({ message: 'Invalid truck ID' });
+            }
+            truckFilter._id = truckId;
+        }
+
+        const trucks = await Truck.find(truckFilter);
+        if (truckId && trucks.length === 0) {
+            logger.warn("Truck not found for odometer anomalies", { truckId });
+            return res.status(404).json({ message: 'Truck not found' });
+        }
+
+        const readings = await getOdometerReadings({
+            truckId: { $in: trucks.map((truck) => truck._id.toString()) },
+        });
+
+        const report = trucks
+            .map((truck) => ({
+                truckId: truck._id,
+                registrationNo: truck.registrationNo,
+                anomalies: findOdometerAnomalies(
+                    readings.filter((reading) => reading.truckId === truck._id.toString())
+                ),
+            }))
+            .filter((entry) => truckId || entry.anomalies.length > 0);
+
+        const count = report.reduce((sum, entry) => sum + entry.anomalies.length, 0);
+        logger.info("Odometer anomalies fetched successfully", { userId: addedBy, truckId, count });
+        res.status(200).json({ count, trucks: report });
+    } catch (error) {
+        logger.error('Error fetching odometer anomalies', { userId: req.params.addedBy, error: error.message });
+        res.status(500).json({ message: 'Failed to fetch odometer anomalies', error: error.message });
+    }
+};
+
 module.exports = {
     addTruck,
     getTruckById,
@@ -194,4 +301,7 @@ module.exports = {
     deleteTruckById,
     getAllTruckByUser,
     updateTruckById,
+    restoreTruckById,
+    getArchivedTrucksByUser,
+    getOdometerAnomaliesByUser,
 };
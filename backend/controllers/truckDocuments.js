@@ -0,0 +1,251 @@
+const { default: mongoose } = require("mongoose");
+const TruckDocument = require("../models/truckDocument-model");
+const Truck = require("../models/truck-model");
+const logger = require("../utils/logger");
+const { getFullContext } = require("../utils/requestContext");
+const { ownerScope, resolveOwnerId, findOwnedTruck } = require("../utils/ownership");
+const { addAttachment, downloadAttachment, deleteAttachment } = require("../utils/attachments");
+const {
+  syncDocumentAlerts,
+  deactivateDocumentAlert,
+  getTruckCompliance,
+} = require("../utils/truckDocuments");
+
+const validateDocumentPayload = ({ issueDate, expiryDate }) => {
+  if (expiryDate && Number.isNaN(new Date(expiryDate).getTime())) {
+    return "Invalid expiry date";
+  }
+  if (issueDate && expiryDate && new Date(issueDate) > new Date(expiryDate)) {
+    return "Issue date cannot be after the expiry date";
+  }
+  return null;
+};
+
+// Controller to add a document to a truck and schedule its renewal reminder
+const addTruckDocument = async (req, res) => {
+  try {
+    const { truckId, addedBy, type, number, issueDate, expiryDate, reminderDays, note } = req.body;
+
+    const truck = await findOwnedTruck(req, truckId);
+    if (!truck) {
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    logger.info("Adding truck document", getFullContext(req, { truckId, addedBy, type, expiryDate }));
+
+    const validationError = validateDocumentPayload({ issueDate, expiryDate });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const savedDocument = await new TruckDocument({
+      truckId,
+      addedBy,
+      type,
+      number,
+      issueDate: issueDate || null,
+      expiryDate,
+      reminderDays: reminderDays === "" || reminderDays === null ? undefined : reminderDays,
+      note,
+    }).save();
+
+    await syncDocumentAlerts(truck, savedDocument.type);
+
+    logger.info("Truck document added successfully", getFullContext(req, {
+      documentId: savedDocument._id,
+      truckId,
+      type: savedDocument.type,
+    }));
+
+    res.status(201).json(await TruckDocument.findById(savedDocument._id));
+  } catch (error) {
+    console.error("Error adding truck document:", error);
+    logger.error("Failed to add truck document", getFullContext(req, {
+      error: error.message,
+      stack: error.stack
+    }));
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: "Failed to add truck document" });
+  }
+};
+
+// Controller to list a truck's documents with its compliance status
+const getTruckDocumentsByTruckId = async (req, res) => {
+  try {
+    const { truckId } = req.params;
+
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn("Truck not found for caller", getFullContext(req, { truckId }));
+      return res.status(404).json({ message: "Truck not found" });
+    }
+
+    const documents = await TruckDocument.find({ truckId }).sort({ type: 1, expiryDate: -1 });
+
+    res.status(200).json({
+      documents,
+      compliance: getTruckCompliance(documents),
+    });
+  } catch (error) {
+    console.error("Error retrieving truck documents:", error);
+    res.status(500).json({ message: "Failed to retrieve truck documents" });
+  }
+};
+
+// Controller to get the compliance status of every truck of a user, keyed by truck ID
+const getTruckComplianceByUserId = async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    const ownerId = resolveOwnerId(req, userId);
+    if (!ownerId) {
+      logger.warn("Data requested for another user", getFullContext(req, { userId }));
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const [trucks, documents] = await Promise.all([
+      Truck.find({ addedBy: ownerId }, "_id"),
+      TruckDocument.find({ addedBy: ownerId }),
+    ]);
+
+    const documentsByTruck = documents.reduce((acc, document) => {
+      (acc[document.truckId] = acc[document.truckId] || []).push(document);
+      return acc;
+    }, {});
+
+    const compliance = trucks.reduce((acc, truck) => {
+      const truckId = truck._id.toString();
+      acc[truckId] = getTruckCompliance(documentsByTruck[truckId] || []);
+      return acc;
+    }, {});
+
+    res.status(200).json(compliance);
+  } catch (error) {
+    console.error("Error retrieving truck compliance:", error);
+    res.status(500).json({ message: "Failed to retrieve truck compliance" });
+  }
+};
+
+const updateTruckDocumentById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, number, issueDate, expiryDate, reminderDays, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid document ID" });
+    }
+
+    const existingDocument = await TruckDocument.findOne({ _id: id, ...ownerScope(req) });
+    if (!existingDocument) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    const validationError = validateDocumentPayload({
+      issueDate: issueDate !== undefined ? issueDate : existingDocument.issueDate,
+      expiryDate: expiryDate || existingDocument.expiryDate,
+    });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const updatedDocument = await TruckDocument.findOneAndUpdate(
+      { _id: id, ...ownerScope(req) },
+      {
+        type,
+        number,
+        issueDate: issueDate === "" ? null : issueDate,
+        expiryDate,
+        reminderDays: reminderDays === "" || reminderDays === null ? undefined : reminderDays,
+        note,
+      },
+      { new: true, runValidators: true }
+    );
+
+    const truck = await Truck.findById(updatedDocument.truckId);
+    await syncDocumentAlerts(truck, updatedDocument.type);
+    if (existingDocument.type !== updatedDocument.type) {
+      await syncDocumentAlerts(truck, existingDocument.type);
+    }
+
+    logger.info(`Truck document updated successfully`, {
+      documentId: id,
+      truckId: updatedDocument.truckId,
+      type: updatedDocument.type,
+    });
+
+    res.status(200).json({
+      message: "Document updated successfully",
+      document: await TruckDocument.findById(id),
+    });
+  } catch (error) {
+    console.error("Error updating truck document:", error);
+    logger.error(`Failed to update truck document`, {
+      documentId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update document", error: error.message });
+  }
+};
+
+const deleteTruckDocumentById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid document ID" });
+    }
+
+    const deletedDocument = await TruckDocument.findOneAndDelete({ _id: id, ...ownerScope(req) });
+
+    if (!deletedDocument) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    // An older document of the same type may become current again
+    await deactivateDocumentAlert(deletedDocument);
+    const truck = await Truck.findById(deletedDocument.truckId);
+    if (truck) {
+      await syncDocumentAlerts(truck, deletedDocument.type);
+    }
+
+    logger.info(`Truck document deleted successfully`, {
+      documentId: id,
+      truckId: deletedDocument.truckId,
+    });
+
+    res.status(200).json({ message: "Document deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting truck document:", error);
+    logger.error(`Failed to delete truck document`, {
+      documentId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res
+      .status(500)
+      .json({ message: "Failed to delete document", error: error.message });
+  }
+};
+
+// Scanned copies of a document
+const addTruckDocumentAttachment = addAttachment(TruckDocument);
+const downloadTruckDocumentAttachment = downloadAttachment(TruckDocument);
+const deleteTruckDocumentAttachment = deleteAttachment(TruckDocument);
+
+module.exports = {
+  addTruckDocument,
+  getTruckDocumentsByTruckId,
+  getTruckComplianceByUserId,
+  updateTruckDocumentById,
+  deleteTruckDocumentById,
+  addTruckDocumentAttachment,
+  downloadTruckDocumentAttachment,
+  deleteTruckDocumentAttachment,
+};
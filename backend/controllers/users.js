@@ -5,7 +5,8 @@ const logger = require('../utils/logger');
 const { getFullContext } = require('../utils/requestContext');
 
 module.exports.getMyProfile = catchAsyncError(async (req, res, next) => {
-    const { decodedUser } = req.body;
+    // Identity comes from the verified token, never from the request body
+    const decodedUser = req.user;
 
     if (!decodedUser) {
         logger.warn("Profile request attempted with invalid application id", getFullContext(req));
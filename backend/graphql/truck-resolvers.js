@@ -1,15 +1,22 @@
 const mongoose = require('mongoose');
 const Truck = require('../models/truck-model');
-const FuelExpense = require('../models/fuelExpense-model');
-const DefExpense = require('../models/defExpense-model');
-const OtherExpense = require('../models/otherExpense-model');
+const { isAdminUser, getOwnerId, ownerScope, resolveOwnerId } = require('../utils/ownership');
+const { canAccess } = require('../utils/orgRoles');
+const { archiveTruck } = require('../utils/truckArchive');
+
+// GraphQL requests are all POSTs, so organisation roles are checked per mutation
+const assertCanWriteTrucks = (req) => {
+  if (req.org && !isAdminUser(req) && !canAccess(req.org.role, 'trucks', 'write')) {
+    throw new Error(`Your role (${req.org.role}) cannot write trucks`);
+  }
+};
 
 const truckResolvers = {
   Query: {
     /**
      * Get a truck by its ID
      */
-    getTruckById: async (_, { id }) => {
+    getTruckById: async (_, { id }, { req }) => {
       try {
         // Validate the ID
         if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -17,7 +24,7 @@ const truckResolvers = {
         }
 
         // Find the truck by ID
-        const truck = await Truck.findById(id);
+        const truck = await Truck.findOne({ _id: id, ...ownerScope(req) });
 
         if (!truck) {
           throw new Error('Truck not found');
@@ -47,10 +54,14 @@ const truckResolvers = {
     },
 
     /**
-     * Get all trucks in the system
+     * Get all trucks in the system (admin only)
      */
-    getAllTrucks: async () => {
+    getAllTrucks: async (_, __, { req }) => {
       try {
+        if (!isAdminUser(req)) {
+          throw new Error('Admin status not found');
+        }
+
         const trucks = await Truck.find();
 
         return {
@@ -79,8 +90,17 @@ const truckResolvers = {
     /**
      * Get all trucks added by a specific user
      */
-    getAllTrucksByUser: async (_, { addedBy }) => {
+    getAllTrucksByUser: async (_, args, { req }) => {
       try {
+        const addedBy = resolveOwnerId(req, args.addedBy);
+
+        if (!addedBy) {
+          return {
+            message: 'No trucks found for this user',
+            trucks: [],
+          };
+        }
+
         const trucks = await Truck.find({ addedBy });
 
         if (trucks.length === 0) {
@@ -118,10 +138,11 @@ const truckResolvers = {
     /**
      * Add a new truck to the system
      */
-    addTruck: async (_, { input }) => {
+    addTruck: async (_, { input }, { req }) => {
       try {
+        assertCanWriteTrucks(req);
+
         const {
-          addedBy,
           registrationNo,
           make,
           model,
@@ -133,6 +154,8 @@ const truckResolvers = {
           engineNo,
           desc,
         } = input;
+        // Admins may add trucks on behalf of another user
+        const addedBy = isAdminUser(req) ? input.addedBy : getOwnerId(req);
 
         const newTruck = new Truck({
           addedBy,
@@ -178,8 +201,10 @@ const truckResolvers = {
     /**
      * Update an existing truck by ID
      */
-    updateTruckById: async (_, { id, input }) => {
+    updateTruckById: async (_, { id, input }, { req }) => {
       try {
+        assertCanWriteTrucks(req);
+
         // Validate the ID
         if (!mongoose.Types.ObjectId.isValid(id)) {
           throw new Error('Invalid truck ID');
@@ -199,8 +224,8 @@ const truckResolvers = {
         } = input;
 
         // Update the truck with the provided fields
-        const updatedTruck = await Truck.findByIdAndUpdate(
-          { _id: id },
+        const updatedTruck = await Truck.findOneAndUpdate(
+          { _id: id, ...ownerScope(req) },
           {
             registrationNo,
             make,
@@ -246,33 +271,28 @@ const truckResolvers = {
     },
 
     /**
-     * Delete a truck and all its associated expenses
+     * Archive a truck and all its associated records (restorable until purged)
      */
-    deleteTruckById: async (_, { id }) => {
+    deleteTruckById: async (_, { id }, { req }) => {
       try {
+        assertCanWriteTrucks(req);
+
         // Validate the truck ID
         if (!mongoose.Types.ObjectId.isValid(id)) {
           throw new Error('Invalid truck ID');
         }
 
-        // Delete associated fuel expenses
-        await FuelExpense.deleteMany({ truckId: id });
+        const truck = await Truck.findOne({ _id: id, ...ownerScope(req) });
 
-        // Delete associated DefExpenses
-        await DefExpense.deleteMany({ truckId: id });
-
-        // Delete associated other expenses
-        await OtherExpense.deleteMany({ truckId: id });
-
-        // Delete the truck
-        const deletedTruck = await Truck.findByIdAndDelete(id);
-
-        if (!deletedTruck) {
+        if (!truck) {
           throw new Error('Truck not found');
         }
 
+        // Archive the truck with its expenses, trips, income, loan payments and alerts
+        await archiveTruck(truck);
+
         return {
-          message: 'Truck and associated expenses deleted successfully',
+          message: 'Truck and associated records archived successfully',
           success: true,
         };
       } catch (error) {
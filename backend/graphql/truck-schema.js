@@ -33,7 +33,7 @@ const typeDefs = gql`
   }
 
   input TruckInput {
-    addedBy: String!
+    addedBy: String
     registrationNo: String!
     isFinanced: Boolean
     financeAmount: Float
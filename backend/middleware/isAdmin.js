@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const ErrorHandler = require('./errorHandlers');
 
 module.exports = async (req, res, next) => {
     try {
@@ -0,0 +1,39 @@
+const Organization = require('../models/organization-model');
+const logger = require('../utils/logger');
+const ErrorHandler = require('./errorHandlers');
+const { getFullContext } = require('../utils/requestContext');
+const { canAccess } = require('../utils/orgRoles');
+
+// Loads the caller's organisation membership onto `req.org` and enforces the
+// role table for `resource` (when given). Must run after isAuthenticated and
+// before scopeOwner, which stamps records with the organisation owner's id.
+module.exports = (resource) => async (req, res, next) => {
+    try {
+        const org = await Organization.findOne({
+            members: { $elemMatch: { userId: req.user.userId, status: 'active' } }
+        });
+
+        if (!org) {
+            req.org = null;
+            return next();
+        }
+
+        const member = org.members.find((m) => m.userId === req.user.userId && m.status === 'active');
+        req.org = { id: org._id.toString(), ownerId: org.ownerId, role: member.role };
+
+        if (!resource) {
+            return next();
+        }
+
+        const action = req.method === 'GET' ? 'read' : 'write';
+        if (!req.user.isAdmin && !canAccess(member.role, resource, action)) {
+            logger.warn("Organisation role denied access", getFullContext(req, { role: member.role, resource, action }));
+            return next(new ErrorHandler(`Your role (${member.role}) cannot ${action} ${resource}`, 403));
+        }
+
+        next();
+    } catch (error) {
+        logger.error("Organisation access error", getFullContext(req, { error: error.message }));
+        next(error);
+    }
+}
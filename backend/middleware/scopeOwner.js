@@ -0,0 +1,20 @@
+const { isAdminUser, getOwnerId } = require('../utils/ownership');
+
+// Stamps the owner of written records from the token instead of the client.
+// New records belong to the caller (admins may create on behalf of `addedBy`);
+// ownership can never be changed through an update.
+module.exports = (req, res, next) => {
+    if (!req.body || typeof req.body !== 'object') {
+        return next();
+    }
+
+    if (req.method === 'POST') {
+        if (!isAdminUser(req) || !req.body.addedBy) {
+            req.body.addedBy = getOwnerId(req);
+        }
+    } else if (req.method === 'PUT' || req.method === 'PATCH') {
+        delete req.body.addedBy;
+    }
+
+    next();
+};
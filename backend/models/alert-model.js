@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+
+// A snooze or escalation of an alert, newest last (see shared/alerts/snooze)
+const AlertHistorySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['snoozed', 'unsnoozed', 'escalated'],
+        required: true
+    },
+    at: {
+        type: Date,
+        default: () => new Date()
+    },
+    // User who snoozed the alert; `system` for escalations
+    by: {
+        type: String,
+        required: true
+    },
+    // End of a snooze
+    until: {
+        type: Date,
+        default: null
+    },
+    // Escalation level reached, with the priority before and after it
+    level: {
+        type: Number,
+        default: null
+    },
+    fromPriority: {
+        type: String,
+        default: null
+    },
+    toPriority: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
 
 const AlertSchema = new mongoose.Schema({
     addedBy: {
@@ -62,24 +99,66 @@ const AlertSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Escalations hold off until then
+    snoozedUntil: {
+        type: Date,
+        default: null
+    },
+    // Set by the escalation scan (utils/alertEscalation) each time the unread, overdue
+    // occurrence was escalated; reset when the alert moves to a new date
+    escalationLevel: {
+        type: Number,
+        default: 0
+    },
+    escalatedAt: {
+        type: Date,
+        default: null
+    },
+    history: {
+        type: [AlertHistorySchema],
+        default: []
+    },
     isRecurring: {
         type: Boolean,
         default: false
     },
+    // Frequency of a recurring alert; `daily` with an interval of N means every N days
     recurringType: {
         type: String,
         enum: {
-            values: ['none', 'monthly'],
+            values: ['none', 'daily', 'weekly', 'monthly', 'quarterly', 'halfYearly', 'yearly'],
             message: "Invalid recurring type"
         },
         default: 'none'
     },
+    recurringInterval: {
+        type: Number,
+        min: [1, "Recurring interval must be at least 1"],
+        max: [366, "Recurring interval cannot exceed 366"],
+        default: 1
+    },
+    // Day monthly-based recurrences keep to; shorter months use their last day
     recurringDayOfMonth: {
         type: Number,
         min: [1, "Day of month must be between 1 and 31"],
         max: [31, "Day of month must be between 1 and 31"],
         required: false
     },
+    // The rule ends after this date or after this many occurrences, whichever comes first
+    recurringEndDate: {
+        type: Date,
+        default: null
+    },
+    recurringCount: {
+        type: Number,
+        min: [1, "Occurrence count must be at least 1"],
+        default: null
+    },
+    // Occurrences so far, counting the current one
+    occurrenceCount: {
+        type: Number,
+        default: 1
+    },
     lastRecurredDate: {
         type: Date,
         required: false
@@ -134,4 +213,6 @@ AlertSchema.virtual('isDueSoon').get(function() {
     return hoursDiff <= 24 && hoursDiff > 0;
 });
 
+AlertSchema.plugin(archivable);
+
 module.exports = mongoose.model('Alert', AlertSchema);
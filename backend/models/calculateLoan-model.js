@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
 
 const LoanCalculationSchema = new mongoose.Schema({
     truckId: {
@@ -32,4 +33,6 @@ const LoanCalculationSchema = new mongoose.Schema({
     }
 });
 
+LoanCalculationSchema.plugin(archivable);
+
 module.exports = mongoose.model('LoanCalculation', LoanCalculationSchema);
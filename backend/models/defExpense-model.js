@@ -1,6 +1,8 @@
 // models/DefExpense.js
 
 const mongoose = require("mongoose");
+const archivable = require("../utils/archivable");
+const attachable = require("../utils/attachable");
 const Schema = mongoose.Schema;
 
 const defExpenseSchema = new Schema({
@@ -10,6 +12,11 @@ const defExpenseSchema = new Schema({
     ref: "Truck",
     required: [true, "Truck ID is required"],
   },
+  tripId: {
+    type: String,
+    ref: "Trip",
+    default: null,
+  },
   addedBy: {
     type: String,
     required: [true, "User Id not recieved"],
@@ -40,6 +47,9 @@ const defExpenseSchema = new Schema({
   },
 });
 
+defExpenseSchema.plugin(archivable);
+defExpenseSchema.plugin(attachable);
+
 const DefExpense = mongoose.model("DefExpense", defExpenseSchema);
 
 module.exports = DefExpense;
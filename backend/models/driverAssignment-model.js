@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+
+// A driver on a truck for a period of days; `to` stays null while the assignment is ongoing
+const DriverAssignmentSchema = new mongoose.Schema({
+    driverId: {
+        type: String,
+        ref: 'DriverProfile',
+        required: [true, "Driver ID is required"],
+    },
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        required: [true, "Truck ID is required"],
+    },
+    addedBy: {
+        type: String,
+        required: [true, "User Id not received"],
+    },
+    from: {
+        type: Date,
+        required: [true, "Start date is required"],
+    },
+    to: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (value) {
+                return !value || !this.from || value >= this.from;
+            },
+            message: "End date cannot be before the start date"
+        },
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Note cannot exceed 200 characters"]
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+});
+
+DriverAssignmentSchema.index({ truckId: 1, from: 1 });
+DriverAssignmentSchema.index({ driverId: 1, from: 1 });
+
+DriverAssignmentSchema.plugin(archivable);
+
+module.exports = mongoose.model('DriverAssignment', DriverAssignmentSchema);
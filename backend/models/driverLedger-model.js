@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Salary and allowances are the driver's earnings and a cost to the truck; advances
+// are cash paid ahead of pay and recoveries are deductions that pay them back
+const EARNING_TYPES = ['salary', 'allowance'];
+
+const DriverLedgerEntrySchema = new mongoose.Schema({
+    driverId: {
+        type: String,
+        ref: 'DriverProfile',
+        required: [true, "Driver ID is required"],
+    },
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        required: [function () { return EARNING_TYPES.includes(this.type); }, "Truck ID is required for salary and allowances"],
+        default: null,
+    },
+    tripId: {
+        type: String,
+        ref: 'Trip',
+        default: null,
+    },
+    addedBy: {
+        type: String,
+        required: [true, "User Id not received"],
+    },
+    date: {
+        type: Date,
+        required: [true, "Date is required"],
+    },
+    type: {
+        type: String,
+        required: [true, "Entry type is required"],
+        enum: {
+            values: ['salary', 'allowance', 'advance', 'recovery'],
+            message: "Invalid ledger entry type"
+        },
+    },
+    amount: {
+        type: Number,
+        required: [true, "Amount is required"],
+        min: [0.01, "Amount must be greater than zero"],
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Note cannot exceed 200 characters"]
+    },
+    // Salary & Incentives expense posted to the truck for earnings (see utils/driverPayroll)
+    expenseId: {
+        type: String,
+        ref: 'OtherExpense',
+        default: null,
+    },
+    // Set once the entry's month is settled; settled entries cannot change
+    settlementId: {
+        type: String,
+        ref: 'DriverSettlement',
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+});
+
+DriverLedgerEntrySchema.index({ driverId: 1, date: 1 });
+DriverLedgerEntrySchema.index({ addedBy: 1, date: 1 });
+
+module.exports = mongoose.model('DriverLedgerEntry', DriverLedgerEntrySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const attachable = require('../utils/attachable');
 
 const DriverProfileSchema = new mongoose.Schema({
     addedBy: {
@@ -43,6 +44,30 @@ const DriverProfileSchema = new mongoose.Schema({
         minlength: [5, "License number must be at least 5 characters"],
         maxlength: [20, "License number cannot exceed 20 characters"]
     },
+    licenseClass: {
+        type: String,
+        trim: true,
+        maxlength: [20, "License class cannot exceed 20 characters"]
+    },
+    licenseExpiry: {
+        type: Date,
+        default: null
+    },
+    // Transport badge / authorisation to drive a commercial vehicle
+    badgeExpiry: {
+        type: Date,
+        default: null
+    },
+    medicalCertificateExpiry: {
+        type: Date,
+        default: null
+    },
+    // Renewal reminder alert of each expiry (see utils/driverDocuments)
+    expiryAlerts: {
+        license: { type: String, ref: 'Alert' },
+        badge: { type: String, ref: 'Alert' },
+        medical: { type: String, ref: 'Alert' }
+    },
     gender: {
         type: String,
         required: [true, "Gender is required"],
@@ -72,4 +97,6 @@ DriverProfileSchema.pre('findOneAndUpdate', function() {
     this.set({ updatedAt: new Date() });
 });
 
+DriverProfileSchema.plugin(attachable);
+
 module.exports = mongoose.model('DriverProfile', DriverProfileSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Monthly pay statement of a driver, frozen when the month is settled
+const DriverSettlementSchema = new mongoose.Schema({
+    driverId: {
+        type: String,
+        ref: 'DriverProfile',
+        required: [true, "Driver ID is required"],
+    },
+    addedBy: {
+        type: String,
+        required: [true, "User Id not received"],
+    },
+    month: {
+        type: String,
+        required: [true, "Month is required"],
+        match: [/^\d{4}-(0[1-9]|1[0-2])$/, "Month must be in YYYY-MM format"],
+    },
+    // Advances still to be recovered at the start of the month
+    openingAdvance: {
+        type: Number,
+        default: 0,
+    },
+    salary: {
+        type: Number,
+        default: 0,
+    },
+    allowance: {
+        type: Number,
+        default: 0,
+    },
+    earnings: {
+        type: Number,
+        default: 0,
+    },
+    advances: {
+        type: Number,
+        default: 0,
+    },
+    recoveries: {
+        type: Number,
+        default: 0,
+    },
+    // Earnings less recoveries, paid out at settlement
+    netPayable: {
+        type: Number,
+        default: 0,
+    },
+    closingAdvance: {
+        type: Number,
+        default: 0,
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Note cannot exceed 200 characters"]
+    },
+    settledAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+});
+
+DriverSettlementSchema.index({ driverId: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('DriverSettlement', DriverSettlementSchema);
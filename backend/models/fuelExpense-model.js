@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+const attachable = require('../utils/attachable');
 
 const FuelExpenseSchema = new mongoose.Schema({
     truckId: {
@@ -7,6 +9,11 @@ const FuelExpenseSchema = new mongoose.Schema({
         ref: 'Truck',
         required: [true, "Truck ID is required"],
     },
+    tripId: {
+        type: String,
+        ref: 'Trip',
+        default: null,
+    },
     addedBy: {
         type: String,
         required: [true, "User Id not recieved"],
@@ -31,10 +38,18 @@ const FuelExpenseSchema = new mongoose.Schema({
         type: Number,
         required: [true, "Cost of the fuel is required"],
     },
+    // Partial fills are carried into the next full tank for efficiency figures (see utils/fuelAnalytics)
+    fullTank: {
+        type: Boolean,
+        default: true,
+    },
     note: {
         type: String,
         trim: true
     }
 });
 
+FuelExpenseSchema.plugin(archivable);
+FuelExpenseSchema.plugin(attachable);
+
 module.exports = mongoose.model('FuelExpense', FuelExpenseSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+const attachable = require('../utils/attachable');
 
 const IncomeSchema = new mongoose.Schema({
     truckId: {
@@ -6,6 +8,11 @@ const IncomeSchema = new mongoose.Schema({
         ref: 'Truck',
         required: [true, "Truck ID is required"],
     },
+    tripId: {
+        type: String,
+        ref: 'Trip',
+        default: null,
+    },
     addedBy: {
         type: String,
         required: [true, "User Id not received"],
@@ -28,4 +35,7 @@ const IncomeSchema = new mongoose.Schema({
     }
 });
 
+IncomeSchema.plugin(archivable);
+IncomeSchema.plugin(attachable);
+
 module.exports = mongoose.model('Income', IncomeSchema);
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+
+// A recurring service task of a truck, due every `intervalKm` and/or `intervalDays` after the last service
+const MaintenancePlanSchema = new mongoose.Schema({
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        required: [true, "Truck ID is required"],
+    },
+    addedBy: {
+        type: String,
+        required: [true, "User Id not received"],
+    },
+    task: {
+        type: String,
+        required: [true, "Task is required"],
+        trim: true,
+        maxLength: [60, "Task cannot exceed 60 characters"]
+    },
+    intervalKm: {
+        type: Number,
+        default: null,
+        min: [1, "Interval in km must be at least 1"],
+    },
+    intervalDays: {
+        type: Number,
+        default: null,
+        min: [1, "Interval in days must be at least 1"],
+        max: [3650, "Interval in days cannot exceed 3650"],
+    },
+    // How early the reminder alert falls due, by distance and by time
+    reminderKm: {
+        type: Number,
+        min: [0, "Reminder km cannot be negative"],
+        default: () => Number(process.env.MAINTENANCE_REMINDER_KM) || 500,
+    },
+    reminderDays: {
+        type: Number,
+        min: [0, "Reminder days cannot be negative"],
+        max: [365, "Reminder days cannot exceed 365"],
+        default: () => Number(process.env.MAINTENANCE_REMINDER_DAYS) || 7,
+    },
+    // Start of the current cycle, moved forward each time the task is done
+    lastServiceDate: {
+        type: Date,
+        required: [true, "Last service date is required"],
+    },
+    lastServiceKm: {
+        type: Number,
+        default: null,
+        min: [0, "Last service km cannot be negative"],
+    },
+    // Service & Maintenance expense that closed the last cycle, if any
+    lastExpenseId: {
+        type: String,
+        ref: 'OtherExpense',
+        default: null,
+    },
+    // Reminder alert of the current cycle (see utils/maintenancePlans)
+    alertId: {
+        type: String,
+        ref: 'Alert',
+        default: null,
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Note cannot exceed 200 characters"]
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+});
+
+MaintenancePlanSchema.pre('validate', function (next) {
+    if (!this.intervalKm && !this.intervalDays) {
+        this.invalidate('intervalKm', "Set an interval in km, in days, or both");
+    }
+    next();
+});
+
+MaintenancePlanSchema.index({ truckId: 1, task: 1 });
+
+MaintenancePlanSchema.plugin(archivable);
+
+module.exports = mongoose.model('MaintenancePlan', MaintenancePlanSchema);
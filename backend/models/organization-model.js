@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { ORG_ROLES } = require('../utils/orgRoles');
+
+const MemberSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        default: null,
+    },
+    email: {
+        type: String,
+        required: [true, "Member email is required"],
+        trim: true,
+        lowercase: true,
+    },
+    name: {
+        type: String,
+        trim: true,
+    },
+    role: {
+        type: String,
+        enum: ORG_ROLES,
+        required: [true, "Member role is required"],
+    },
+    status: {
+        type: String,
+        enum: ['invited', 'active'],
+        default: 'invited',
+    },
+    invitedBy: {
+        type: String,
+    },
+    invitedAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+    joinedAt: {
+        type: Date,
+        default: null,
+    }
+});
+
+const OrganizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Organisation name is required"],
+        trim: true,
+        minlength: [2, "Organisation name must be at least 2 characters"],
+        maxlength: [100, "Organisation name cannot exceed 100 characters"]
+    },
+    ownerId: {
+        type: String,
+        ref: 'User',
+        required: [true, "Owner ID is required"],
+    },
+    members: [MemberSchema],
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+    updatedAt: {
+        type: Date,
+        default: () => new Date(),
+    }
+});
+
+OrganizationSchema.index({ ownerId: 1 });
+OrganizationSchema.index({ 'members.userId': 1, 'members.status': 1 });
+OrganizationSchema.index({ 'members.email': 1, 'members.status': 1 });
+
+// Update the updatedAt field before saving
+OrganizationSchema.pre('save', function() {
+    this.updatedAt = new Date();
+});
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
@@ -1,6 +1,8 @@
 // models/OtherExpense.js
 
 const mongoose = require("mongoose");
+const archivable = require("../utils/archivable");
+const attachable = require("../utils/attachable");
 const Schema = mongoose.Schema;
 
 // Define the schema
@@ -11,6 +13,17 @@ const otherExpenseSchema = new Schema({
     ref: "Truck",
     required: [true, "Truck ID is required"],
   },
+  tripId: {
+    type: String,
+    ref: "Trip",
+    default: null,
+  },
+  // Driver ledger entry this expense mirrors; such rows change only through the ledger
+  ledgerEntryId: {
+    type: String,
+    ref: "DriverLedgerEntry",
+    default: null,
+  },
   addedBy: {
     type: String,
     required: [true, "User Id not recieved"],
@@ -40,6 +53,9 @@ const otherExpenseSchema = new Schema({
   },
 });
 
+otherExpenseSchema.plugin(archivable);
+otherExpenseSchema.plugin(attachable);
+
 // Create the model
 const OtherExpense = mongoose.model("OtherExpense", otherExpenseSchema);
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+
+const TripSchema = new mongoose.Schema({
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        required: [true, "Truck ID is required"],
+    },
+    addedBy: {
+        type: String,
+        required: [true, "User Id not received"],
+    },
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DriverProfile',
+        default: null,
+    },
+    origin: {
+        type: String,
+        required: [true, "Origin is required"],
+        trim: true,
+        maxlength: [100, "Origin cannot exceed 100 characters"]
+    },
+    destination: {
+        type: String,
+        required: [true, "Destination is required"],
+        trim: true,
+        maxlength: [100, "Destination cannot exceed 100 characters"]
+    },
+    date: {
+        type: Date,
+        required: [true, "Trip start date is required"],
+    },
+    endDate: {
+        type: Date,
+        default: null,
+    },
+    startKM: {
+        type: Number,
+        required: [true, "Start KM is required"],
+        min: [0, "Start KM cannot be negative"]
+    },
+    endKM: {
+        type: Number,
+        default: null,
+        validate: {
+            validator: function(v) {
+                // On updates `this` is the query, so only compare when both values are on the document
+                if (v === null || v === undefined || typeof this.startKM !== 'number') {
+                    return true;
+                }
+                return v >= this.startKM;
+            },
+            message: "End KM cannot be less than start KM"
+        }
+    },
+    freightAmount: {
+        type: Number,
+        required: [true, "Freight amount is required"],
+        min: [0, "Freight amount cannot be negative"]
+    },
+    status: {
+        type: String,
+        enum: ['planned', 'inTransit', 'completed', 'cancelled'],
+        default: 'planned'
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+    updatedAt: {
+        type: Date,
+        default: () => new Date(),
+    }
+});
+
+TripSchema.index({ truckId: 1, date: -1 });
+TripSchema.index({ addedBy: 1, date: -1 });
+
+// Update the updatedAt field before saving
+TripSchema.pre('findOneAndUpdate', function() {
+    this.set({ updatedAt: new Date() });
+});
+
+TripSchema.plugin(archivable);
+
+module.exports = mongoose.model('Trip', TripSchema);
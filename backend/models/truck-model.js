@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
 
 const TruckSchema = new mongoose.Schema({
     addedBy: {
@@ -42,7 +43,34 @@ const TruckSchema = new mongoose.Schema({
     },
     desc: {
         type: String,
+    },
+    // Terms used to build the EMI schedule (see utils/loanSchedule)
+    loanTerms: {
+        principal: {
+            type: Number,
+            min: [1, "Loan principal must be greater than zero"],
+        },
+        annualRate: {
+            type: Number,
+            min: [0, "Interest rate cannot be negative"],
+            max: [100, "Interest rate cannot exceed 100%"],
+        },
+        tenureMonths: {
+            type: Number,
+            min: [1, "Tenure must be at least 1 month"],
+            max: [600, "Tenure cannot exceed 600 months"],
+        },
+        startDate: {
+            type: Date,
+        },
+        emiDay: {
+            type: Number,
+            min: [1, "EMI day must be between 1 and 31"],
+            max: [31, "EMI day must be between 1 and 31"],
+        },
     }
 });
 
+TruckSchema.plugin(archivable);
+
 module.exports = mongoose.model('Truck', TruckSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const archivable = require('../utils/archivable');
+const attachable = require('../utils/attachable');
+
+const TruckDocumentSchema = new mongoose.Schema({
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        required: [true, "Truck ID is required"],
+    },
+    addedBy: {
+        type: String,
+        required: [true, "User Id not received"],
+    },
+    type: {
+        type: String,
+        required: [true, "Document type is required"],
+        enum: {
+            values: ['rc', 'insurance', 'permit', 'fitness', 'pollution'],
+            message: "Invalid document type"
+        },
+    },
+    number: {
+        type: String,
+        trim: true,
+        maxLength: [50, "Document number cannot exceed 50 characters"]
+    },
+    issueDate: {
+        type: Date,
+    },
+    expiryDate: {
+        type: Date,
+        required: [true, "Expiry date is required"],
+    },
+    // Days before expiry on which the reminder alert falls due
+    reminderDays: {
+        type: Number,
+        min: [0, "Reminder days cannot be negative"],
+        max: [365, "Reminder days cannot exceed 365"],
+        default: () => Number(process.env.TRUCK_DOCUMENT_REMINDER_DAYS) || 30,
+    },
+    // Reminder alert kept in step with the expiry date (see utils/truckDocuments)
+    alertId: {
+        type: String,
+        ref: 'Alert',
+        default: null,
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [500, "Note cannot exceed 500 characters"]
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+});
+
+TruckDocumentSchema.index({ truckId: 1, type: 1 });
+
+TruckDocumentSchema.plugin(archivable);
+TruckDocumentSchema.plugin(attachable);
+
+module.exports = mongoose.model('TruckDocument', TruckDocumentSchema);
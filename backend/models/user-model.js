@@ -16,7 +16,11 @@ const userSchema = new mongoose.Schema({
     transports: [{ type: String }],
     createdAt: { type: Date, default: () => new Date() }
   }],
-  currentChallenge: { type: String }
+  currentChallenge: { type: String },
+  // SHA-256 of the secret in the URL of the user's calendar (.ics) feed, which is only
+  // shown when it is issued; clearing it revokes the feed
+  calendarFeedTokenHash: { type: String, unique: true, sparse: true, select: false },
+  calendarFeedCreatedAt: { type: Date }
 });
 
 module.exports = mongoose.model("User", userSchema);
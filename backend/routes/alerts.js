@@ -6,12 +6,15 @@ const {
     getAllAlerts,
     updateAlertById,
     markAlertAsRead,
+    snoozeAlertById,
+    unsnoozeAlertById,
     deleteAlertById,
     permanentDeleteAlertById,
     restoreAlertById,
     getAlertsSummary,
     markRecurringAlertAsDone
 } = require('../controllers/alerts');
+const isAdmin = require('../middleware/isAdmin');
 
 const router = express.Router();
 
@@ -19,17 +22,19 @@ const router = express.Router();
 router.post('/addAlert', addAlert);
 router.get('/getAlertById/:id', getAlertById);
 router.get('/getAllAlertsByUser/:addedBy', getAllAlertsByUser);
-router.get('/getAllAlerts', getAllAlerts);
+router.get('/getAllAlerts', isAdmin, getAllAlerts);
 router.put('/updateAlertById/:id', updateAlertById);
 router.delete('/deleteAlertById/:id', deleteAlertById);
 
 // Alert status operations
 router.put('/markAlertAsRead/:id', markAlertAsRead);
 router.put('/markRecurringAlertAsDone/:id', markRecurringAlertAsDone);
+router.put('/snoozeAlertById/:id', snoozeAlertById);
+router.put('/unsnoozeAlertById/:id', unsnoozeAlertById);
 
 // Admin routes
-router.delete('/permanentDeleteAlertById/:id', permanentDeleteAlertById);
-router.put('/restoreAlertById/:id', restoreAlertById);
+router.delete('/permanentDeleteAlertById/:id', isAdmin, permanentDeleteAlertById);
+router.put('/restoreAlertById/:id', isAdmin, restoreAlertById);
 
 // Summary and statistics routes
 router.get('/getAlertsSummary/:addedBy', getAlertsSummary);
@@ -5,7 +5,9 @@ const {
   getAllLoanCalculationsByUserId,
   deleteLoanCalculationById,
   downloadLoanCalculationsExcel,
-  downloadAllLoanCalculationsExcel
+  downloadAllLoanCalculationsExcel,
+  updateLoanTermsByTruckId,
+  getLoanScheduleByTruckId
 } = require('../controllers/calculateLoan');
 
 const router = express.Router();
@@ -16,5 +18,7 @@ router.get('/getAllLoanCalculationsByUserId', getAllLoanCalculationsByUserId);
 router.delete('/deleteLoanCalculationById/:id', deleteLoanCalculationById);
 router.get('/downloadLoanCalculationExcel', downloadLoanCalculationsExcel);
 router.get('/downloadAllLoanCalculationExcel', downloadAllLoanCalculationsExcel);
+router.put('/updateLoanTermsByTruckId/:truckId', updateLoanTermsByTruckId);
+router.get('/getLoanScheduleByTruckId', getLoanScheduleByTruckId);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+    getCalendarFeed,
+    createCalendarFeed,
+    revokeCalendarFeed,
+    getCalendarFeedByToken
+} = require('../controllers/calendar');
+const isAuthenticated = require('../middleware/isAuthenticated');
+
+const router = express.Router();
+
+// Feed management
+router.get('/getCalendarFeed', isAuthenticated, getCalendarFeed);
+router.post('/createCalendarFeed', isAuthenticated, createCalendarFeed);
+router.delete('/revokeCalendarFeed', isAuthenticated, revokeCalendarFeed);
+
+// Public feed, authorised by the token in its URL
+router.get('/feed/:token.ics', getCalendarFeedByToken);
+
+module.exports = router;
@@ -6,8 +6,14 @@ const {
   deleteDefExpenseById,
   downloadDefExpensesExcel,
   downloadAllDefExpensesExcel,
-  updateDefExpenseByTruckId
+  updateDefExpenseByTruckId,
+  importDefExpenses,
+  addDefExpenseAttachment,
+  downloadDefExpenseAttachment,
+  deleteDefExpenseAttachment
 } = require('../controllers/defExpenses');
+const { uploadSpreadsheet } = require('../utils/multer');
+const { uploadAttachment } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -18,5 +24,9 @@ router.put('/updateDefExpenseByTruckId/:id', updateDefExpenseByTruckId);
 router.delete('/deleteDefExpenseById/:id', deleteDefExpenseById);
 router.get('/downloadDefExpensesExcel', downloadDefExpensesExcel);
 router.get('/downloadAllDefExpensesExcel', downloadAllDefExpensesExcel);
+router.post('/importDefExpenses', uploadSpreadsheet('file'), importDefExpenses);
+router.post('/addDefExpenseAttachment/:id', uploadAttachment('file'), addDefExpenseAttachment);
+router.get('/downloadDefExpenseAttachment/:id/:attachmentId', downloadDefExpenseAttachment);
+router.delete('/deleteDefExpenseAttachment/:id/:attachmentId', deleteDefExpenseAttachment);
 
 module.exports = router;
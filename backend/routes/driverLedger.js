@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  addDriverLedgerEntry,
+  getDriverLedgerByDriverId,
+  getDriverStatementsByUserId,
+  updateDriverLedgerEntryById,
+  deleteDriverLedgerEntryById,
+  settleDriverMonth,
+  reopenDriverMonth,
+  downloadDriverLedgerExcel,
+  downloadAllDriverLedgersExcel
+} = require('../controllers/driverLedger');
+
+const router = express.Router();
+
+router.post('/addDriverLedgerEntry', addDriverLedgerEntry);
+router.get('/getDriverLedgerByDriverId', getDriverLedgerByDriverId);
+router.get('/getDriverStatementsByUserId', getDriverStatementsByUserId);
+router.put('/updateDriverLedgerEntryById/:id', updateDriverLedgerEntryById);
+router.delete('/deleteDriverLedgerEntryById/:id', deleteDriverLedgerEntryById);
+router.post('/settleDriverMonth', settleDriverMonth);
+router.delete('/reopenDriverMonth/:id', reopenDriverMonth);
+router.get('/downloadDriverLedgerExcel', downloadDriverLedgerExcel);
+router.get('/downloadAllDriverLedgersExcel', downloadAllDriverLedgersExcel);
+
+module.exports = router;
@@ -8,8 +8,23 @@ const {
     deleteDriverProfileById,
     permanentDeleteDriverProfileById,
     restoreDriverProfileById,
-    getDriverStatsByUser
+    getDriverStatsByUser,
+    addDriverProfileAttachment,
+    downloadDriverProfileAttachment,
+    deleteDriverProfileAttachment
 } = require('../controllers/driverProfiles');
+const {
+    addDriverAssignment,
+    getDriverAssignmentsByDriverId,
+    getDriverAssignmentsByTruckId,
+    getDriverOnDuty,
+    updateDriverAssignmentById,
+    deleteDriverAssignmentById,
+    getDriverReportByUserId
+} = require('../controllers/driverAssignments');
+const isAdmin = require('../middleware/isAdmin');
+const orgAccess = require('../middleware/orgAccess');
+const { uploadAttachment } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -17,15 +32,30 @@ const router = express.Router();
 router.post('/addDriverProfile', addDriverProfile);
 router.get('/getDriverProfileById/:id', getDriverProfileById);
 router.get('/getAllDriverProfilesByUser/:addedBy', getAllDriverProfilesByUser);
-router.get('/getAllDriverProfiles', getAllDriverProfiles);
+router.get('/getAllDriverProfiles', isAdmin, getAllDriverProfiles);
 router.put('/updateDriverProfileById/:id', updateDriverProfileById);
 router.delete('/deleteDriverProfileById/:id', deleteDriverProfileById);
 
 // Admin routes
-router.delete('/permanentDeleteDriverProfileById/:id', permanentDeleteDriverProfileById);
-router.put('/restoreDriverProfileById/:id', restoreDriverProfileById);
+router.delete('/permanentDeleteDriverProfileById/:id', isAdmin, permanentDeleteDriverProfileById);
+router.put('/restoreDriverProfileById/:id', isAdmin, restoreDriverProfileById);
+
+// Scanned licence, badge and medical certificate copies
+router.post('/addDriverProfileAttachment/:id', uploadAttachment('file'), addDriverProfileAttachment);
+router.get('/downloadDriverProfileAttachment/:id/:attachmentId', downloadDriverProfileAttachment);
+router.delete('/deleteDriverProfileAttachment/:id/:attachmentId', deleteDriverProfileAttachment);
+
+// Driver-to-truck assignments
+router.post('/addDriverAssignment', addDriverAssignment);
+router.get('/getDriverAssignmentsByDriverId/:driverId', getDriverAssignmentsByDriverId);
+router.get('/getDriverAssignmentsByTruckId/:truckId', getDriverAssignmentsByTruckId);
+router.get('/getDriverOnDuty', getDriverOnDuty);
+router.put('/updateDriverAssignmentById/:id', updateDriverAssignmentById);
+router.delete('/deleteDriverAssignmentById/:id', deleteDriverAssignmentById);
 
 // Statistics routes
 router.get('/getDriverStatsByUser/:addedBy', getDriverStatsByUser);
+// Totals expenses and income, so it needs expense access on top of driver access
+router.get('/getDriverReportByUserId', orgAccess('expenses'), getDriverReportByUserId);
 
 module.exports = router;
\ No newline at end of file
@@ -6,17 +6,29 @@ const {
   updateFuelExpenseByTruckId,
   deleteFuelExpenseById,
   downloadFuelExpensesExcel,
-  downloadAllFuelExpensesExcel
+  downloadAllFuelExpensesExcel,
+  importFuelExpenses,
+  getFuelAnalyticsByUserId,
+  addFuelExpenseAttachment,
+  downloadFuelExpenseAttachment,
+  deleteFuelExpenseAttachment
 } = require('../controllers/fuelExpenses');
+const { uploadSpreadsheet } = require('../utils/multer');
+const { uploadAttachment } = require('../utils/attachments');
 
 const router = express.Router();
 
 router.post('/addFuelExpense', addFuelExpense);
 router.get('/getAllFuelExpensesByTruckId', getAllFuelExpensesByTruckId);
 router.get('/getAllFuelExpensesByUserId', getAllFuelExpensesByUserId);
+router.get('/getFuelAnalyticsByUserId', getFuelAnalyticsByUserId);
 router.put('/updateFuelExpenseByTruckId/:id', updateFuelExpenseByTruckId);
 router.delete('/deleteFuelExpenseById/:id', deleteFuelExpenseById);
 router.get('/downloadFuelExpensesExcel', downloadFuelExpensesExcel);
 router.get('/downloadAllFuelExpensesExcel', downloadAllFuelExpensesExcel);
+router.post('/importFuelExpenses', uploadSpreadsheet('file'), importFuelExpenses);
+router.post('/addFuelExpenseAttachment/:id', uploadAttachment('file'), addFuelExpenseAttachment);
+router.get('/downloadFuelExpenseAttachment/:id/:attachmentId', downloadFuelExpenseAttachment);
+router.delete('/deleteFuelExpenseAttachment/:id/:attachmentId', deleteFuelExpenseAttachment);
 
 module.exports = router;
@@ -9,4 +9,12 @@ router.get('/checkHealth', (req, res) => {
   });
 });
 
+// Feature areas with routes here but not behind the API gateway, which answers the
+// same request with its own list. The frontend hides the areas missing from it.
+const FEATURES = ['trips', 'truckDocuments', 'driverLedger', 'maintenancePlans', 'schedule', 'organizations', 'calendar'];
+
+router.get('/features', (req, res) => {
+  res.status(200).json({ features: FEATURES });
+});
+
 module.exports = router;
@@ -6,8 +6,14 @@ const {
   updateIncomeById,
   deleteIncomeById,
   downloadIncomesExcel,
-  downloadAllIncomesExcel
+  downloadAllIncomesExcel,
+  importIncomes,
+  addIncomeAttachment,
+  downloadIncomeAttachment,
+  deleteIncomeAttachment
 } = require('../controllers/income');
+const { uploadSpreadsheet } = require('../utils/multer');
+const { uploadAttachment } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -18,5 +24,9 @@ router.put('/updateIncomeByTruckId/:id', updateIncomeById);
 router.delete('/deleteIncomeById/:id', deleteIncomeById);
 router.get('/downloadIncomesExcel', downloadIncomesExcel);
 router.get('/downloadAllIncomesExcel', downloadAllIncomesExcel);
+router.post('/importIncomes', uploadSpreadsheet('file'), importIncomes);
+router.post('/addIncomeAttachment/:id', uploadAttachment('file'), addIncomeAttachment);
+router.get('/downloadIncomeAttachment/:id/:attachmentId', downloadIncomeAttachment);
+router.delete('/deleteIncomeAttachment/:id/:attachmentId', deleteIncomeAttachment);
 
 module.exports = router;
\ No newline at end of file
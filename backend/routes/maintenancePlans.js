@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  addMaintenancePlan,
+  getMaintenancePlansByTruckId,
+  updateMaintenancePlanById,
+  completeMaintenancePlanById,
+  deleteMaintenancePlanById
+} = require('../controllers/maintenancePlans');
+
+const router = express.Router();
+
+router.post('/addMaintenancePlan', addMaintenancePlan);
+router.get('/getMaintenancePlansByTruckId/:truckId', getMaintenancePlansByTruckId);
+router.put('/updateMaintenancePlanById/:id', updateMaintenancePlanById);
+router.post('/completeMaintenancePlanById/:id', completeMaintenancePlanById);
+router.delete('/deleteMaintenancePlanById/:id', deleteMaintenancePlanById);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+    createOrganization,
+    getMyOrganization,
+    updateOrganization,
+    deleteOrganization,
+    inviteMember,
+    updateMemberRole,
+    removeMember,
+    getMyInvitations,
+    acceptInvitation,
+    declineInvitation,
+    leaveOrganization
+} = require('../controllers/organizations');
+
+const router = express.Router();
+
+// Organisation of the caller
+router.post('/createOrganization', createOrganization);
+router.get('/getMyOrganization', getMyOrganization);
+router.put('/updateOrganization', updateOrganization);
+router.delete('/deleteOrganization', deleteOrganization);
+router.delete('/leaveOrganization', leaveOrganization);
+
+// Members (owner only)
+router.post('/inviteMember', inviteMember);
+router.put('/updateMemberRole/:memberId', updateMemberRole);
+router.delete('/removeMember/:memberId', removeMember);
+
+// Invitations for the caller
+router.get('/getMyInvitations', getMyInvitations);
+router.post('/acceptInvitation/:id', acceptInvitation);
+router.post('/declineInvitation/:id', declineInvitation);
+
+module.exports = router;
@@ -6,8 +6,14 @@ const {
   deleteOtherExpenseById,
   downloadOtherExpensesExcel,
   downloadAllOtherExpensesExcel,
-  updateOtherExpenseByTruckId
+  updateOtherExpenseByTruckId,
+  importOtherExpenses,
+  addOtherExpenseAttachment,
+  downloadOtherExpenseAttachment,
+  deleteOtherExpenseAttachment
 } = require('../controllers/otherExpenses');
+const { uploadSpreadsheet } = require('../utils/multer');
+const { uploadAttachment } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -18,5 +24,9 @@ router.put('/updateOtherExpenseByTruckId/:id', updateOtherExpenseByTruckId);
 router.delete('/deleteOtherExpenseById/:id', deleteOtherExpenseById);
 router.get('/downloadOtherExpensesExcel', downloadOtherExpensesExcel);
 router.get('/downloadAllOtherExpensesExcel', downloadAllOtherExpensesExcel);
+router.post('/importOtherExpenses', uploadSpreadsheet('file'), importOtherExpenses);
+router.post('/addOtherExpenseAttachment/:id', uploadAttachment('file'), addOtherExpenseAttachment);
+router.get('/downloadOtherExpenseAttachment/:id/:attachmentId', downloadOtherExpenseAttachment);
+router.delete('/deleteOtherExpenseAttachment/:id/:attachmentId', deleteOtherExpenseAttachment);
 
 module.exports = router;
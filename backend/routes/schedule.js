@@ -0,0 +1,8 @@
+const express = require('express');
+const { getScheduleByUserId } = require('../controllers/schedule');
+
+const router = express.Router();
+
+router.get('/getScheduleByUserId', getScheduleByUserId);
+
+module.exports = router;
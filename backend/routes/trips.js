@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  addTrip,
+  getTripById,
+  getAllTripsByTruckId,
+  getAllTripsByUserId,
+  updateTripById,
+  deleteTripById,
+  downloadTripsExcel,
+  downloadAllTripsExcel
+} = require('../controllers/trips');
+
+const router = express.Router();
+
+router.post('/addTrip', addTrip);
+router.get('/getTripById/:id', getTripById);
+router.get('/getAllTripsByTruckId', getAllTripsByTruckId);
+router.get('/getAllTripsByUserId', getAllTripsByUserId);
+router.put('/updateTripById/:id', updateTripById);
+router.delete('/deleteTripById/:id', deleteTripById);
+router.get('/downloadTripsExcel', downloadTripsExcel);
+router.get('/downloadAllTripsExcel', downloadAllTripsExcel);
+
+module.exports = router;
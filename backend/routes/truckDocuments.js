@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  addTruckDocument,
+  getTruckDocumentsByTruckId,
+  getTruckComplianceByUserId,
+  updateTruckDocumentById,
+  deleteTruckDocumentById,
+  addTruckDocumentAttachment,
+  downloadTruckDocumentAttachment,
+  deleteTruckDocumentAttachment
+} = require('../controllers/truckDocuments');
+const { uploadAttachment } = require('../utils/attachments');
+
+const router = express.Router();
+
+router.post('/addTruckDocument', addTruckDocument);
+router.get('/getTruckDocumentsByTruckId/:truckId', getTruckDocumentsByTruckId);
+router.get('/getTruckComplianceByUserId', getTruckComplianceByUserId);
+router.put('/updateTruckDocumentById/:id', updateTruckDocumentById);
+router.delete('/deleteTruckDocumentById/:id', deleteTruckDocumentById);
+router.post('/addTruckDocumentAttachment/:id', uploadAttachment('file'), addTruckDocumentAttachment);
+router.get('/downloadTruckDocumentAttachment/:id/:attachmentId', downloadTruckDocumentAttachment);
+router.delete('/deleteTruckDocumentAttachment/:id/:attachmentId', deleteTruckDocumentAttachment);
+
+module.exports = router;
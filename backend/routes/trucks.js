@@ -5,16 +5,23 @@ const {
   getAllTrucks,
   getAllTruckByUser,
   updateTruckById,
-  deleteTruckById
+  deleteTruckById,
+  restoreTruckById,
+  getArchivedTrucksByUser,
+  getOdometerAnomaliesByUser
 } = require('../controllers/truck');
+const isAdmin = require('../middleware/isAdmin');
 
 const router = express.Router();
 
 router.post('/addTruck', addTruck);
-router.get('/getAllTrucks', getAllTrucks);
+router.get('/getAllTrucks', isAdmin, getAllTrucks);
 router.get('/getTruckById/:id', getTruckById);
 router.get('/getAllTrucksByUser/:addedBy', getAllTruckByUser);
 router.put('/updateTruckById/:id', updateTruckById);
 router.delete('/deleteTruckById/:id', deleteTruckById);
+router.put('/restoreTruckById/:id', restoreTruckById);
+router.get('/getArchivedTrucksByUser/:addedBy', getArchivedTrucksByUser);
+router.get('/getOdometerAnomaliesByUser/:addedBy', getOdometerAnomaliesByUser);
 
 module.exports = router;
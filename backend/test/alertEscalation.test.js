@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubQueries } = require('./helpers');
+const { ESCALATION_AFTER_HOURS, escalateAlerts } = require('../utils/alertEscalation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+const unreadAlert = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    addedBy: 'owner-1',
+    priority: 'high',
+    isRead: false,
+    escalationLevel: 0,
+    escalatedAt: null,
+    snoozedUntil: null,
+    history: [],
+    ...fields,
+});
+
+// Answers the scan with `alerts` and each escalation claim with the claimed alert
+const stubScan = (t, alerts) => stubQueries(t, ({ filter }) => {
+    if (filter._id) {
+        return alerts.find((alert) => alert._id.equals(filter._id));
+    }
+    return alerts;
+});
+
+const escalationsOf = (calls) => calls.filter((call) => call.filter._id).map((call) => call.filter._id);
+
+test('unread alerts past their escalation delay are escalated', async (t) => {
+    const due = unreadAlert({ alertDate: hoursAgo(ESCALATION_AFTER_HOURS + 1) });
+    const notYetDue = unreadAlert({ alertDate: hoursAgo(ESCALATION_AFTER_HOURS - 1) });
+    const calls = stubScan(t, [due, notYetDue]);
+
+    assert.equal(await escalateAlerts(now), 1);
+    assert.deepEqual(escalationsOf(calls), [due._id]);
+});
+
+test('a snooze restarts the escalation delay', async (t) => {
+    const snoozed = unreadAlert({
+        alertDate: hoursAgo(ESCALATION_AFTER_HOURS * 3),
+        snoozedUntil: hoursAgo(ESCALATION_AFTER_HOURS - 1),
+    });
+    const calls = stubScan(t, [snoozed]);
+
+    assert.equal(await escalateAlerts(now), 0);
+    assert.deepEqual(escalationsOf(calls), []);
+});
+
+test('alerts due long ago are not escalated all at once', async (t) => {
+    const stale = unreadAlert({ alertDate: hoursAgo(ESCALATION_AFTER_HOURS + 48) });
+    const calls = stubScan(t, [stale]);
+
+    assert.equal(await escalateAlerts(now), 0);
+    assert.deepEqual(escalationsOf(calls), []);
+});
+
+test('an alert claimed elsewhere first is not counted', async (t) => {
+    const due = unreadAlert({ alertDate: hoursAgo(ESCALATION_AFTER_HOURS + 1) });
+    stubQueries(t, ({ filter }) => (filter._id ? null : [due]));
+
+    assert.equal(await escalateAlerts(now), 0);
+});
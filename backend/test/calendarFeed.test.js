@@ -0,0 +1,79 @@
+// A zone with daylight saving time, so the feed has offset changes to describe
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockRequest, mockResponse, stubQueries } = require('./helpers');
+const userModel = require('../models/user-model');
+const { buildCalendarFeed, hashFeedToken } = require('../utils/calendarFeed');
+const { createCalendarFeed, getCalendarFeedByToken } = require('../controllers/calendar');
+
+const alert = {
+    _id: 'alert-1',
+    alertDate: new Date('2026-03-20T08:00:00Z'),
+    title: 'Service',
+    type: 'maintenance',
+    priority: 'high',
+    isRecurring: true,
+    recurringType: 'weekly',
+};
+
+// Builds the feed of a user outside any organisation with `alert` as their only alert
+const buildFeed = async (t) => {
+    stubQueries(t, ({ model }) => {
+        if (model === 'Organization') {
+            return null;
+        }
+        return model === 'Alert' ? [alert] : [];
+    });
+    const calendar = await buildCalendarFeed({ _id: 'owner-1' }, new Date('2026-03-01T00:00:00Z'));
+    return calendar.split('\r\n');
+};
+
+test('timed events are written in a zone the feed defines', async (t) => {
+    const lines = await buildFeed(t);
+
+    assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20260320T090000'));
+    assert.equal(lines.indexOf('TZID:Europe/Berlin'), lines.indexOf('BEGIN:VTIMEZONE') + 1);
+    assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+});
+
+test('the feed zone spells out its daylight saving changes', async (t) => {
+    const lines = await buildFeed(t);
+    const start = lines.indexOf('DTSTART:20260329T020000');
+
+    assert.equal(lines[start - 1], 'BEGIN:DAYLIGHT');
+    assert.deepEqual(lines.slice(start + 1, start + 3), ['TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200']);
+    assert.ok(lines.includes('DTSTART:20261025T030000'));
+});
+
+// Runs a controller wrapped in catchAsyncError until it responds or calls next
+const run = (handler, req) => new Promise((resolve) => {
+    const res = mockResponse();
+    const json = res.json;
+    res.json = (body) => {
+        json(body);
+        resolve(res);
+        return res;
+    };
+    handler(req, res, (error) => resolve({ error }));
+});
+
+test('a feed token is stored only as its hash', async (t) => {
+    const findByIdAndUpdate = t.mock.method(userModel, 'findByIdAndUpdate', async (id, update) => update);
+    const res = await run(createCalendarFeed, mockRequest({ user: { userId: 'owner-1' }, protocol: 'https', get: () => 'api.example.com' }));
+
+    const [, update] = findByIdAndUpdate.mock.calls[0].arguments;
+    const [, token] = res.body.data.url.match(/\/feed\/([a-f0-9]+)\.ics$/);
+    assert.deepEqual(Object.keys(update).sort(), ['calendarFeedCreatedAt', 'calendarFeedTokenHash']);
+    assert.equal(update.calendarFeedTokenHash, hashFeedToken(token));
+});
+
+test('feeds are looked up by the hash of their token', async (t) => {
+    const calls = stubQueries(t, null);
+    const token = 'a'.repeat(48);
+    const { error } = await run(getCalendarFeedByToken, mockRequest({ params: { token } }));
+
+    assert.equal(error.statusCode, 404);
+    assert.deepEqual(calls[0].filter, { calendarFeedTokenHash: hashFeedToken(token) });
+});
@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { mockRequest, mockResponse, stubQueries } = require('./helpers');
+const { importSheet } = require('../utils/expenseImport');
+const {
+    OTHER_EXPENSE_CATEGORIES,
+    formatOtherExpenseCategory,
+    parseOtherExpenseCategory,
+} = require('../utils/otherExpenseCategories');
+
+const truck = { _id: new mongoose.Types.ObjectId(), registrationNo: 'MH12AB1234', addedBy: 'owner-1' };
+
+// Dry run of an other-expenses CSV for `truck`, returning the parsed rows
+const previewOtherExpenses = async (t, lines) => {
+    stubQueries(t, [truck]);
+    const res = mockResponse();
+    const csv = ['Date,Registration No,Category,Cost,Note', ...lines].join('\n');
+    await importSheet('other')(mockRequest({
+        body: { dryRun: 'true' },
+        file: { buffer: Buffer.from(csv), originalname: 'other.csv' },
+        user: { userId: 'owner-1' },
+    }), res);
+    assert.equal(res.statusCode, 200);
+    return res.body.rows;
+};
+
+test('exported other-expense categories read back as stored', () => {
+    Object.keys(OTHER_EXPENSE_CATEGORIES).forEach((category) => {
+        assert.deepEqual(parseOtherExpenseCategory(formatOtherExpenseCategory({ category })), { category });
+    });
+    assert.deepEqual(
+        parseOtherExpenseCategory(formatOtherExpenseCategory({ category: 'other', other: 'Tyre repair' })),
+        { category: 'other', other: 'Tyre repair' }
+    );
+});
+
+test('imported other-expense categories are stored as category keys', async (t) => {
+    const rows = await previewOtherExpenses(t, [
+        '2026-01-05,MH12AB1234,Service & Maintenance,4500,Oil change',
+        '2026-01-06,MH12AB1234,toll,300,',
+        '2026-01-07,MH12AB1234,Other: Tyre repair,800,',
+    ]);
+
+    assert.deepEqual(rows.map((row) => row.errors), [[], [], []]);
+    assert.equal(rows[0].values.category, 'service&Maintenance');
+    assert.equal(rows[1].values.category, 'toll');
+    assert.equal(rows[2].values.category, 'other');
+    assert.equal(rows[2].values.other, 'Tyre repair');
+});
+
+test('unknown other-expense categories are row errors', async (t) => {
+    const [row] = await previewOtherExpenses(t, ['2026-01-05,MH12AB1234,Tyres,800,']);
+
+    assert.equal(row.errors.length, 1);
+    assert.match(row.errors[0], /Category "Tyres" is not one of/);
+});
+
+// Connects imports to a stand-in database that answers `hello` with `hello`
+const useDatabase = (t, hello) => {
+    const { db } = mongoose.connection;
+    mongoose.connection.db = { admin: () => ({ command: async () => hello }) };
+    t.after(() => {
+        mongoose.connection.db = db;
+    });
+};
+
+const importIncome = async () => {
+    const res = mockResponse();
+    await importSheet('income')(mockRequest({
+        file: { buffer: Buffer.from('Date,Registration No,Amount\n2026-01-05,MH12AB1234,12000'), originalname: 'income.csv' },
+        user: { userId: 'owner-1' },
+    }), res);
+    return res;
+};
+
+test('imports into a replica set are saved in a transaction', async (t) => {
+    const Income = mongoose.model('Income');
+    const session = { withTransaction: async (fn) => fn(), endSession: async () => {} };
+    useDatabase(t, { setName: 'rs0' });
+    stubQueries(t, [truck]);
+    t.mock.method(mongoose, 'startSession', async () => session);
+    const insertMany = t.mock.method(Income, 'insertMany', async (docs) => docs);
+    const res = await importIncome();
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.transactional, true);
+    assert.equal(insertMany.mock.calls[0].arguments[1].session, session);
+});
+
+test('imports into a standalone server say they were not transactional', async (t) => {
+    const Income = mongoose.model('Income');
+    useDatabase(t, {});
+    stubQueries(t, [truck]);
+    t.mock.method(Income, 'insertMany', async (docs) => docs);
+    const res = await importIncome();
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.transactional, false);
+});
+
+test('an import whose cleanup fails says rows may have been saved', async (t) => {
+    const Income = mongoose.model('Income');
+    useDatabase(t, {});
+    stubQueries(t, [truck]);
+    t.mock.method(Income, 'insertMany', async () => {
+        throw new Error('insert failed');
+    });
+    const deleteMany = t.mock.method(Income, 'deleteMany', async () => {
+        throw new Error('delete failed');
+    });
+    const res = await importIncome();
+
+    assert.equal(deleteMany.mock.callCount(), 1);
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body.message, /some rows may have been saved/);
+});
+
+// Answers truck lookups with `truck`, fuel history with `fuelHistory`, and anything else with nothing
+const stubFleet = (t, fuelHistory = []) => stubQueries(t, ({ model }) => {
+    if (model === 'Truck') {
+        return [truck];
+    }
+    return model === 'FuelExpense' ? fuelHistory : [];
+});
+
+const importFuel = async (body) => {
+    const res = mockResponse();
+    const csv = ['Date,Registration No,Current KM,Litres,Cost', '2026-01-05,MH12AB1234,49000,100,9000'].join('\n');
+    await importSheet('fuel')(mockRequest({
+        body,
+        file: { buffer: Buffer.from(csv), originalname: 'fuel.csv' },
+        user: { userId: 'owner-1' },
+    }), res);
+    return res;
+};
+
+const fuelHistory = [{ _id: new mongoose.Types.ObjectId(), truckId: truck._id.toString(), date: new Date('2026-01-01'), currentKM: 50000 }];
+
+test('imported fuel readings below the odometer history are flagged', async (t) => {
+    stubFleet(t, fuelHistory);
+    const res = await importFuel({ dryRun: 'true' });
+
+    assert.equal(res.body.warningCount, 1);
+    assert.match(res.body.rows[0].warnings[0], /lower than 50000 km/);
+});
+
+test('imported fuel readings within the file are checked against each other', async (t) => {
+    stubFleet(t);
+    const res = mockResponse();
+    const csv = [
+        'Date,Registration No,Current KM,Litres,Cost',
+        '2026-01-05,MH12AB1234,50000,100,9000',
+        '2026-01-06,MH12AB1234,49500,100,9000',
+    ].join('\n');
+    await importSheet('fuel')(mockRequest({
+        body: { dryRun: 'true' },
+        file: { buffer: Buffer.from(csv), originalname: 'fuel.csv' },
+        user: { userId: 'owner-1' },
+    }), res);
+
+    assert.deepEqual(res.body.rows.map((row) => row.warnings.length), [1, 1]);
+});
+
+test('flagged fuel readings are only saved once confirmed, then maintenance is synced', async (t) => {
+    useDatabase(t, {});
+    const calls = stubFleet(t, fuelHistory);
+    const insertMany = t.mock.method(mongoose.model('FuelExpense'), 'insertMany', async () => []);
+
+    const refused = await importFuel({});
+    assert.equal(refused.statusCode, 400);
+    assert.equal(insertMany.mock.callCount(), 0);
+
+    const confirmed = await importFuel({ confirmOdometer: 'true' });
+    assert.equal(confirmed.statusCode, 201);
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.ok(calls.some((call) => call.model === 'MaintenancePlan' && call.filter.truckId === truck._id.toString()));
+});
+
+test('imported Service & Maintenance expenses complete maintenance tasks', async (t) => {
+    useDatabase(t, {});
+    const calls = stubFleet(t);
+    t.mock.method(mongoose.model('OtherExpense'), 'insertMany', async () => []);
+    const res = mockResponse();
+    const csv = [
+        'Date,Registration No,Category,Cost,Note',
+        '2026-01-05,MH12AB1234,Service & Maintenance,4500,Oil change',
+        '2026-01-06,MH12AB1234,Toll,300,',
+    ].join('\n');
+    await importSheet('other')(mockRequest({
+        file: { buffer: Buffer.from(csv), originalname: 'other.csv' },
+        user: { userId: 'owner-1' },
+    }), res);
+
+    assert.equal(res.statusCode, 201);
+    // One lookup to complete the service's tasks and one to refresh the truck's reminders
+    assert.equal(calls.filter((call) => call.model === 'MaintenancePlan').length, 2);
+});
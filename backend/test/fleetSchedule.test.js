@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Alert = require('../models/alert-model');
+const { stubQueries } = require('./helpers');
+const { getFleetSchedule } = require('../utils/fleetSchedule');
+
+test('a daily alert started years ago fills the whole range', async (t) => {
+    const alert = new Alert({
+        title: 'Walkaround check',
+        addedBy: 'owner-1',
+        alertDate: new Date(2020, 0, 1, 9),
+        isRecurring: true,
+        recurringType: 'daily',
+    });
+    stubQueries(t, ({ model }) => (model === 'Alert' ? [alert] : []));
+
+    const entries = await getFleetSchedule({
+        ownerId: 'owner-1',
+        trucks: [],
+        from: new Date(2026, 2, 1),
+        to: new Date(2026, 2, 31, 23, 59),
+        canRead: (resource) => resource === 'alerts',
+    });
+
+    assert.equal(entries.length, 31);
+    assert.deepEqual(entries[0].date, new Date(2026, 2, 1, 9));
+    assert.ok(entries.every((entry) => !entry.draggable));
+});
@@ -0,0 +1,66 @@
+/**
+ * Helpers for controller tests that run without a database: requests and responses
+ * shaped like Express's, and a stub for mongoose queries that records each filter.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * @param {Object} [fields] - Request fields (`query`, `params`, `body`, `user`, `org`)
+ * @returns {Object} Express-like request
+ */
+const mockRequest = (fields = {}) => ({
+    query: {},
+    params: {},
+    body: {},
+    headers: {},
+    get: () => undefined,
+    ...fields,
+});
+
+/**
+ * @returns {Object} Express-like response that records its status and body
+ */
+const mockResponse = () => {
+    const res = { statusCode: 200, body: undefined, headers: {} };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.send = res.json;
+    res.setHeader = (name, value) => {
+        res.headers[name] = value;
+    };
+    res.end = () => res;
+    return res;
+};
+
+/**
+ * Answers every mongoose query and aggregation with `result` instead of running it.
+ * @param {Function} t - node:test context, which restores the stubs after the test
+ * @param {*} [result] - What each query resolves to, or a function of the recorded call returning it
+ * @returns {Object[]} Filters of the queries (`model`, `filter`, `update`, `options`) and aggregations (`model`, `pipeline`)
+ */
+const stubQueries = (t, result = []) => {
+    const calls = [];
+    t.mock.method(mongoose.Query.prototype, 'exec', async function exec() {
+        const call = { model: this.model.modelName, filter: this.getFilter(), update: this.getUpdate(), options: this.getOptions() };
+        calls.push(call);
+        return typeof result === 'function' ? result(call) : result;
+    });
+    t.mock.method(mongoose.Aggregate.prototype, 'exec', async function exec() {
+        const call = { model: this._model.modelName, pipeline: this.pipeline() };
+        calls.push(call);
+        return typeof result === 'function' ? result(call) : result;
+    });
+    return calls;
+};
+
+module.exports = {
+    mockRequest,
+    mockResponse,
+    stubQueries,
+};
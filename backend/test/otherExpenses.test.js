@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { mockRequest, mockResponse, stubQueries } = require('./helpers');
+const { updateOtherExpenseByTruckId, deleteOtherExpenseById } = require('../controllers/otherExpenses');
+
+const OWNER_ID = 'owner-1';
+const expenseId = new mongoose.Types.ObjectId().toString();
+
+const expense = (fields) => ({ _id: expenseId, truckId: 'truck-1', addedBy: OWNER_ID, category: 'salary&incentives', cost: 20000, ...fields });
+const ownerRequest = (fields) => mockRequest({ user: { userId: OWNER_ID }, params: { id: expenseId }, ...fields });
+
+test('an expense posted from a driver\'s ledger cannot be deleted', async (t) => {
+    const calls = stubQueries(t, ({ model }) => (model === 'OtherExpense' ? expense({ ledgerEntryId: 'entry-1' }) : null));
+    const res = mockResponse();
+    await deleteOtherExpenseById(ownerRequest(), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(calls.filter((call) => call.model === 'OtherExpense').length, 1);
+});
+
+test('a ledger expense posted before rows were marked cannot be edited either', async (t) => {
+    const calls = stubQueries(t, ({ model }) => (model === 'OtherExpense' ? expense() : { _id: 'entry-1' }));
+    const res = mockResponse();
+    await updateOtherExpenseByTruckId(ownerRequest({ body: { cost: 1 } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(calls.find((call) => call.model === 'DriverLedgerEntry').filter, { expenseId });
+    assert.equal(calls.some((call) => call.update), false);
+});
+
+test('other expenses entered by hand can still be deleted', async (t) => {
+    const calls = stubQueries(t, ({ model }) => (model === 'OtherExpense' ? expense({ category: 'repairs' }) : null));
+    const res = mockResponse();
+    await deleteOtherExpenseById(ownerRequest(), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(calls.filter((call) => call.model === 'OtherExpense').length, 2);
+});
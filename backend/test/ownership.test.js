@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockRequest, mockResponse, stubQueries } = require('./helpers');
+const { getAllFuelExpensesByUserId, downloadAllFuelExpensesExcel } = require('../controllers/fuelExpenses');
+const { getAllIncomesByUserId } = require('../controllers/income');
+const { getSixMonthsDataByUserId } = require('../controllers/metadata');
+
+const OWNER_ID = 'owner-1';
+const MEMBER_ID = 'member-1';
+const selectedDates = ['2026-01-01', '2026-01-31'];
+
+// A member of OWNER_ID's organisation asking for "their" data, as the web app does
+const memberRequest = () => mockRequest({
+    query: { userId: MEMBER_ID, selectedDates },
+    user: { userId: MEMBER_ID },
+    org: { ownerId: OWNER_ID, role: 'accountant' },
+});
+
+test('fuel expenses of an organisation member are the owner\'s', async (t) => {
+    const calls = stubQueries(t);
+    await getAllFuelExpensesByUserId(memberRequest(), mockResponse());
+
+    const query = calls.find((call) => call.model === 'FuelExpense');
+    assert.equal(query.filter.addedBy, OWNER_ID);
+});
+
+test('the fuel expenses download of an organisation member holds the owner\'s', async (t) => {
+    const calls = stubQueries(t);
+    await downloadAllFuelExpensesExcel(memberRequest(), mockResponse());
+
+    const query = calls.find((call) => call.model === 'FuelExpense');
+    assert.equal(query.filter.addedBy, OWNER_ID);
+});
+
+test('incomes of an organisation member, and the expenses netted against them, are the owner\'s', async (t) => {
+    const calls = stubQueries(t);
+    await getAllIncomesByUserId(memberRequest(), mockResponse());
+
+    assert.ok(calls.length > 0);
+    calls.forEach((call) => assert.equal(call.filter.addedBy, OWNER_ID, call.model));
+});
+
+test('six-month totals of an organisation member are the owner\'s', async (t) => {
+    const calls = stubQueries(t);
+    await getSixMonthsDataByUserId(memberRequest(), mockResponse());
+
+    assert.ok(calls.length > 0);
+    calls.forEach((call) => assert.equal(call.pipeline[0].$match.addedBy, OWNER_ID, call.model));
+});
+
+test('another user\'s data is not found', async (t) => {
+    const calls = stubQueries(t);
+    const res = mockResponse();
+    await getAllFuelExpensesByUserId(mockRequest({
+        query: { userId: 'someone-else', selectedDates },
+        user: { userId: MEMBER_ID },
+        org: { ownerId: OWNER_ID, role: 'accountant' },
+    }), res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(calls.length, 0);
+});
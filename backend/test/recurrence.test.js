@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextOccurrence, getOccurrenceFrom, toRRule, validateRecurrence } = require('../../shared/alerts/recurrence');
+
+// Local dates, as occurrences are worked out in the server's time zone
+const at = (year, month, day, hours = 9) => new Date(year, month - 1, day, hours);
+
+const monthly = (fields) => ({ isRecurring: true, recurringType: 'monthly', ...fields });
+
+test('daily and weekly rules step by their interval', () => {
+    assert.deepEqual(
+        getNextOccurrence({ isRecurring: true, recurringType: 'daily', alertDate: at(2026, 1, 30) }),
+        at(2026, 1, 31)
+    );
+    assert.deepEqual(
+        getNextOccurrence({ isRecurring: true, recurringType: 'weekly', recurringInterval: 2, alertDate: at(2026, 1, 30) }),
+        at(2026, 2, 13)
+    );
+});
+
+test('month-based rules fall back to the last day of shorter months and return to their day', () => {
+    const february = getNextOccurrence(monthly({ alertDate: at(2026, 1, 31), recurringDayOfMonth: 31 }));
+    assert.deepEqual(february, at(2026, 2, 28));
+
+    const march = getNextOccurrence(monthly({ alertDate: february, recurringDayOfMonth: 31 }));
+    assert.deepEqual(march, at(2026, 3, 31));
+
+    assert.deepEqual(
+        getNextOccurrence({ isRecurring: true, recurringType: 'quarterly', alertDate: at(2026, 11, 30), recurringDayOfMonth: 30 }),
+        at(2027, 2, 28)
+    );
+});
+
+test('rules end after their count or on their end date', () => {
+    assert.equal(getNextOccurrence(monthly({ alertDate: at(2026, 1, 5), recurringCount: 3, occurrenceCount: 3 })), null);
+    assert.deepEqual(
+        getNextOccurrence(monthly({ alertDate: at(2026, 1, 5), recurringCount: 3, occurrenceCount: 2 })),
+        at(2026, 2, 5)
+    );
+    // The end date counts to the end of its day
+    assert.deepEqual(
+        getNextOccurrence(monthly({ alertDate: at(2026, 1, 5, 18), recurringEndDate: at(2026, 2, 5, 0) })),
+        at(2026, 2, 5, 18)
+    );
+    assert.equal(getNextOccurrence(monthly({ alertDate: at(2026, 1, 5), recurringEndDate: at(2026, 2, 4, 0) })), null);
+});
+
+test('alerts that do not recur have no next occurrence', () => {
+    assert.equal(getNextOccurrence({ isRecurring: false, recurringType: 'monthly', alertDate: at(2026, 1, 5) }), null);
+    assert.equal(getNextOccurrence({ isRecurring: true, recurringType: 'none', alertDate: at(2026, 1, 5) }), null);
+});
+
+test('rules move on to their first occurrence from a date as stepping would', () => {
+    const daily = { isRecurring: true, recurringType: 'daily', alertDate: at(2020, 1, 1), occurrenceCount: 1 };
+    let stepped = daily;
+    while (stepped.alertDate < at(2026, 3, 1, 0)) {
+        stepped = { ...stepped, alertDate: getNextOccurrence(stepped), occurrenceCount: stepped.occurrenceCount + 1 };
+    }
+    const jumped = getOccurrenceFrom(daily, at(2026, 3, 1, 0));
+    assert.deepEqual(jumped.alertDate, stepped.alertDate);
+    assert.equal(jumped.occurrenceCount, stepped.occurrenceCount);
+
+    const endOfMonth = getOccurrenceFrom(monthly({ alertDate: at(2020, 1, 31), recurringDayOfMonth: 31 }), at(2026, 4, 1, 0));
+    assert.deepEqual(endOfMonth.alertDate, at(2026, 4, 30));
+    assert.equal(endOfMonth.occurrenceCount, 76);
+});
+
+test('rules that end before a date have no occurrence from it', () => {
+    assert.equal(getOccurrenceFrom({ ...monthly({ alertDate: at(2020, 1, 5) }), recurringCount: 12 }, at(2026, 1, 1)), null);
+    assert.equal(getOccurrenceFrom(monthly({ alertDate: at(2020, 1, 5), recurringEndDate: at(2025, 12, 31) }), at(2026, 1, 1)), null);
+    assert.equal(getOccurrenceFrom({ isRecurring: false, alertDate: at(2020, 1, 5) }, at(2026, 1, 1)), null);
+});
+
+test('month-end rules become RRULEs picking the last available day', () => {
+    assert.equal(
+        toRRule(monthly({ alertDate: at(2026, 1, 30), recurringDayOfMonth: 30, recurringCount: 5, occurrenceCount: 2 })),
+        'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=28,29,30;BYSETPOS=-1;COUNT=4'
+    );
+    assert.equal(toRRule({ isRecurring: true, recurringType: 'weekly', alertDate: at(2026, 1, 5) }), 'FREQ=WEEKLY;INTERVAL=1');
+});
+
+test('recurrences cannot end before the alert', () => {
+    assert.equal(validateRecurrence({ alertDate: at(2026, 1, 5), recurringEndDate: at(2026, 1, 5, 0) }), null);
+    assert.equal(
+        validateRecurrence({ alertDate: at(2026, 1, 5), recurringEndDate: at(2026, 1, 4) }),
+        'Recurrence cannot end before the alert date'
+    );
+    assert.equal(validateRecurrence({ alertDate: at(2026, 1, 5), recurringEndDate: 'soon' }), 'Invalid recurrence end date');
+});
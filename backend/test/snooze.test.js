@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_SNOOZE_HOURS, resolveSnoozeUntil, pushHistory, resetEscalation } = require('../../shared/alerts/snooze');
+
+const now = new Date('2026-03-01T10:00:00Z');
+
+test('snoozes end at a date or after a number of hours', () => {
+    assert.deepEqual(resolveSnoozeUntil({ hours: 4 }, now), { snoozedUntil: new Date('2026-03-01T14:00:00Z') });
+    assert.deepEqual(resolveSnoozeUntil({ until: '2026-03-02T08:00:00Z' }, now), { snoozedUntil: new Date('2026-03-02T08:00:00Z') });
+});
+
+test('snoozes need exactly one end, in the future and within the limit', () => {
+    assert.ok(resolveSnoozeUntil({}, now).error);
+    assert.ok(resolveSnoozeUntil({ hours: 4, until: '2026-03-02T08:00:00Z' }, now).error);
+    assert.equal(resolveSnoozeUntil({ until: 'tomorrow' }, now).error, 'Invalid snooze time');
+    assert.equal(resolveSnoozeUntil({ hours: -1 }, now).error, 'Snooze must end in the future');
+    assert.match(resolveSnoozeUntil({ hours: MAX_SNOOZE_HOURS + 1 }, now).error, /at most 30 days/);
+});
+
+test('history keeps the latest entries', () => {
+    const entry = { action: 'snoozed', by: 'user-1' };
+    assert.deepEqual(pushHistory(entry), { $push: { history: { $each: [entry], $slice: -50 } } });
+});
+
+test('moving an escalated alert restores the priority it had before', () => {
+    const alert = {
+        priority: 'urgent',
+        escalationLevel: 2,
+        history: [
+            { action: 'escalated', level: 1, fromPriority: 'high', toPriority: 'urgent' },
+            { action: 'escalated', level: 2, fromPriority: 'urgent', toPriority: 'urgent' },
+        ],
+    };
+    assert.deepEqual(resetEscalation(alert), { snoozedUntil: null, escalationLevel: 0, escalatedAt: null, priority: 'high' });
+    assert.equal(resetEscalation(alert, 'medium').priority, 'medium');
+    assert.equal(resetEscalation({ priority: 'low', escalationLevel: 0 }).priority, 'low');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { mockRequest, mockResponse, stubQueries } = require('./helpers');
+const { updateTripById } = require('../controllers/trips');
+const { addFuelExpense } = require('../controllers/fuelExpenses');
+const { updateIncomeById } = require('../controllers/income');
+const { updateDriverLedgerEntryById } = require('../controllers/driverLedger');
+
+const OWNER_ID = 'owner-1';
+const truckId = new mongoose.Types.ObjectId().toString();
+const otherTruckId = new mongoose.Types.ObjectId().toString();
+const tripId = new mongoose.Types.ObjectId().toString();
+const entryId = new mongoose.Types.ObjectId().toString();
+
+const trip = { _id: tripId, truckId, addedBy: OWNER_ID, startKM: 100, endKM: 400, freightAmount: 5000 };
+
+const ownerRequest = (fields) => mockRequest({ user: { userId: OWNER_ID }, ...fields });
+
+// Answers truck lookups with a truck, trip lookups with `trip` and any other lookup with `record`
+const stubRecords = (t, record) => stubQueries(t, ({ model, filter }) => {
+    if (model === 'Truck') {
+        return { _id: filter._id, addedBy: OWNER_ID };
+    }
+    return model === 'Trip' ? trip : record;
+});
+
+test('a trip update changes only the fields sent', async (t) => {
+    const calls = stubRecords(t);
+    await updateTripById(ownerRequest({ params: { id: tripId }, body: { note: 'Detour', endKM: '' } }), mockResponse());
+
+    const { update, options } = calls.find((call) => call.update);
+    assert.deepEqual(update, { $set: { note: 'Detour', endKM: null } });
+    assert.equal(options.runValidators, true);
+});
+
+test('a trip update is checked against the end KM it keeps', async (t) => {
+    const calls = stubRecords(t);
+    const res = mockResponse();
+    await updateTripById(ownerRequest({ params: { id: tripId }, body: { startKM: 500 } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(calls.some((call) => call.update), false);
+});
+
+test('an entry cannot be linked to a trip of another truck', async (t) => {
+    stubRecords(t);
+    const res = mockResponse();
+    await addFuelExpense(ownerRequest({ body: { truckId: otherTruckId, tripId, litres: 50, cost: 5000 } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Trip belongs to another truck');
+});
+
+test('an updated entry is checked against the truck it keeps', async (t) => {
+    stubRecords(t, { _id: entryId, truckId: otherTruckId, addedBy: OWNER_ID });
+    const res = mockResponse();
+    await updateIncomeById(ownerRequest({ params: { id: entryId }, body: { tripId, amount: 100 } }), res);
+
+    assert.equal(res.statusCode, 400);
+});
+
+test('moving a ledger entry to another truck re-checks the trip it keeps', async (t) => {
+    stubRecords(t, { _id: entryId, driverId: 'driver-1', truckId, tripId, settlementId: null, addedBy: OWNER_ID });
+    const res = mockResponse();
+    await updateDriverLedgerEntryById(ownerRequest({ params: { id: entryId }, body: { truckId: otherTruckId } }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Trip belongs to another truck');
+});
@@ -0,0 +1,117 @@
+/**
+ * Escalation of unread high and urgent alerts.
+ *
+ * An alert still unread ESCALATION_AFTER_HOURS after it fell due becomes urgent, and
+ * again after each further ESCALATION_AFTER_HOURS, at most ESCALATION_MAX_LEVEL times
+ * per occurrence. A snooze holds escalation off and its end restarts the clock. Each
+ * escalation is recorded in the alert's history (see shared/alerts/snooze); the
+ * monolith sends no notifications, so the raised priority is what users see.
+ *
+ * Escalations are claimed with a conditional update, so overlapping scans escalate an
+ * alert once. Those due more than ESCALATION_GRACE_HOURS ago, e.g. after downtime, are
+ * skipped rather than raised all at once.
+ */
+const Alert = require('../models/alert-model');
+const logger = require('./logger');
+const { ESCALATED_PRIORITIES, pushHistory, getEscalationDue } = require('../../shared/alerts/snooze');
+
+const ESCALATION_AFTER_HOURS = Number(process.env.ESCALATION_AFTER_HOURS) || 4;
+const ESCALATION_MAX_LEVEL = Number(process.env.ESCALATION_MAX_LEVEL) || 3;
+const ESCALATION_GRACE_HOURS = 24;
+const SCAN_INTERVAL_MS = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Records the next escalation of an alert, unless it changed since it was read.
+ * @param {Object} alert - Alert due for escalation
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} The escalated alert, null when another scan or an edit got there first
+ */
+const escalateAlert = async (alert, now) => {
+    const level = (alert.escalationLevel || 0) + 1;
+    const escalatedAlert = await Alert.findOneAndUpdate(
+        {
+            _id: alert._id,
+            alertDate: alert.alertDate,
+            escalatedAt: alert.escalatedAt,
+            snoozedUntil: alert.snoozedUntil,
+            isRead: false,
+        },
+        {
+            escalationLevel: level,
+            escalatedAt: now,
+            priority: 'urgent',
+            ...pushHistory({
+                action: 'escalated',
+                at: now,
+                by: 'system',
+                level,
+                fromPriority: alert.priority,
+                toPriority: 'urgent',
+            }),
+        },
+        { new: true }
+    );
+    if (escalatedAlert) {
+        logger.info('Alert escalated', { alertId: alert._id, userId: alert.addedBy, level });
+    }
+    return escalatedAlert;
+};
+
+/**
+ * Escalates the unread alerts whose delay ran out.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of alerts escalated
+ */
+const escalateAlerts = async (now = new Date()) => {
+    const since = new Date(now.getTime() - (ESCALATION_GRACE_HOURS + ESCALATION_AFTER_HOURS) * HOUR_MS);
+    const alerts = await Alert.find({
+        isActive: true,
+        isRead: false,
+        priority: { $in: ESCALATED_PRIORITIES },
+        escalationLevel: { $not: { $gte: ESCALATION_MAX_LEVEL } },
+        alertDate: { $lte: now },
+        $and: [
+            { $or: [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }] },
+            { $or: [{ alertDate: { $gte: since } }, { escalatedAt: { $gte: since } }, { snoozedUntil: { $gte: since } }] },
+        ],
+    }).sort({ alertDate: 1 });
+
+    let escalated = 0;
+    for (const alert of alerts) {
+        const due = getEscalationDue(alert, ESCALATION_AFTER_HOURS);
+        if (due > now || now.getTime() - due.getTime() > ESCALATION_GRACE_HOURS * HOUR_MS) {
+            continue;
+        }
+        if (await escalateAlert(alert, now)) {
+            escalated += 1;
+        }
+    }
+    return escalated;
+};
+
+/**
+ * Runs the escalation scan now and then every few minutes. Call after the database is connected.
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+const startEscalationSchedule = () => {
+    const run = () => escalateAlerts()
+        .then((count) => {
+            if (count > 0) {
+                logger.info('Unread alerts escalated', { count });
+            }
+        })
+        .catch((error) => logger.error('Alert escalation failed', { error: error.message, stack: error.stack }));
+
+    run();
+    const interval = setInterval(run, SCAN_INTERVAL_MS);
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    ESCALATION_AFTER_HOURS,
+    ESCALATION_MAX_LEVEL,
+    escalateAlerts,
+    startEscalationSchedule,
+};
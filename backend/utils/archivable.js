@@ -0,0 +1,51 @@
+/**
+ * Mongoose plugin for truck-linked collections that are soft archived together
+ * with their truck (see utils/truckArchive).
+ *
+ * Adds `isArchived` / `archivedAt` and hides archived documents from queries and
+ * aggregations, so existing lookups keep working unchanged. A query that filters on
+ * `isArchived` itself, or sets the `withArchived` option, sees archived documents.
+ */
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'countDocuments',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+];
+
+/**
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const archivable = (schema) => {
+    schema.add({
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+    });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (this.getOptions().withArchived || this.getFilter().isArchived !== undefined) {
+            return;
+        }
+        this.where({ isArchived: { $ne: true } });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withArchived) {
+            return;
+        }
+        this.pipeline().unshift({ $match: { isArchived: { $ne: true } } });
+    });
+};
+
+module.exports = archivable;
@@ -0,0 +1,89 @@
+/**
+ * Mongoose plugin for entries that carry receipt or document attachments
+ * (see utils/attachments).
+ *
+ * Adds an `attachments` array of stored file references and removes the stored files
+ * when their entries are deleted, whether one at a time or by a truck purge.
+ */
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const { removeFile } = require('./storage');
+
+const AttachmentSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    // Only images get a thumbnail
+    thumbnailKey: {
+        type: String,
+        default: null,
+    },
+    fileName: {
+        type: String,
+        required: true,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    size: {
+        type: Number,
+    },
+    uploadedBy: {
+        type: String,
+    },
+    uploadedAt: {
+        type: Date,
+        default: () => new Date(),
+    },
+});
+
+/**
+ * Deletes the stored files of the given entries. Failures are logged, not thrown,
+ * so a missing file never blocks deleting its entry.
+ * @param {Object[]} entries - Entries with `attachments`
+ */
+const removeAttachmentFiles = async (entries) => {
+    const keys = entries
+        .flatMap((entry) => entry.attachments || [])
+        .flatMap((attachment) => [attachment.key, attachment.thumbnailKey])
+        .filter(Boolean);
+
+    for (const key of keys) {
+        try {
+            await removeFile(key);
+        } catch (error) {
+            logger.error('Failed to remove attachment file', { key, error: error.message });
+        }
+    }
+};
+
+/**
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const attachable = (schema) => {
+    schema.add({
+        attachments: {
+            type: [AttachmentSchema],
+            default: [],
+        },
+    });
+
+    schema.post('findOneAndDelete', async (doc) => {
+        if (doc) {
+            await removeAttachmentFiles([doc]);
+        }
+    });
+
+    // deleteMany does not return the documents, so their files are looked up first
+    schema.pre('deleteMany', async function () {
+        const entries = await this.model
+            .find(this.getFilter(), 'attachments', this.getOptions())
+            .where('attachments.0').exists(true)
+            .lean();
+        await removeAttachmentFiles(entries);
+    });
+};
+
+module.exports = attachable;
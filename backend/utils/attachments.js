@@ -0,0 +1,187 @@
+/**
+ * Receipt and document attachments on fuel, DEF, other expenses, income, and
+ * scanned truck and driver documents.
+ *
+ * Files are kept by utils/storage and listed on the entry (see utils/attachable).
+ * Images get a small JPEG thumbnail for previews; PDFs are stored as they are.
+ * Every handler loads the entry through the caller's owner scope first, so files
+ * of other users' entries can neither be read nor changed.
+ */
+const { default: mongoose } = require('mongoose');
+const sharp = require('sharp');
+const logger = require('./logger');
+const { getFullContext } = require('./requestContext');
+const { ownerScope } = require('./ownership');
+const { uploadToStorage, readFile, createReadStream, saveFile, removeFile } = require('./storage');
+
+// Content types come from the extension, never from the client, so downloads cannot be served as HTML
+const ATTACHMENT_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    pdf: 'application/pdf',
+};
+const ATTACHMENT_EXTENSIONS = Object.keys(ATTACHMENT_TYPES);
+const MAX_ATTACHMENT_MB = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const MAX_ATTACHMENTS_PER_ENTRY = 10;
+const THUMBNAIL_SIZE = 200;
+
+/**
+ * @param {Object} file - Uploaded multer file
+ * @returns {string} Content type for the file's extension
+ */
+const getMimeType = (file) => ATTACHMENT_TYPES[file.originalname.split('.').pop().toLowerCase()];
+
+/**
+ * @param {Object} file - Uploaded multer file
+ * @returns {Promise<string|null>} Key of the stored thumbnail, null for non-images
+ */
+const createThumbnail = async (file) => {
+    if (!getMimeType(file).startsWith('image/')) {
+        return null;
+    }
+    const thumbnail = await sharp(await readFile(file.storageKey))
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+    return saveFile(`${file.storageKey.replace(/\.[^.]+$/, '')}-thumb.jpg`, thumbnail);
+};
+
+/**
+ * @param {mongoose.Model} Model - Attachable entry model
+ * @param {Object} req - Express request with `params.id`
+ * @returns {Promise<Object|null>} The caller's entry, or null
+ */
+const findOwnedEntry = (Model, req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return null;
+    }
+    return Model.findOne({ _id: req.params.id, ...ownerScope(req) });
+};
+
+/**
+ * Stores the file uploaded as `file` and attaches it to the entry `:id`.
+ * @param {mongoose.Model} Model - Attachable entry model
+ */
+const addAttachment = (Model) => async (req, res) => {
+    const file = req.file;
+    try {
+        if (!file) {
+            return res.status(400).json({ message: `Please upload an image or PDF (${ATTACHMENT_EXTENSIONS.join(', ')})` });
+        }
+
+        const entry = await findOwnedEntry(Model, req);
+        if (!entry) {
+            await removeFile(file.storageKey);
+            return res.status(404).json({ message: 'Entry not found' });
+        }
+        if (entry.attachments.length >= MAX_ATTACHMENTS_PER_ENTRY) {
+            await removeFile(file.storageKey);
+            return res.status(400).json({ message: `An entry can have at most ${MAX_ATTACHMENTS_PER_ENTRY} attachments` });
+        }
+
+        let thumbnailKey;
+        try {
+            thumbnailKey = await createThumbnail(file);
+        } catch (error) {
+            await removeFile(file.storageKey);
+            logger.warn('Unreadable image attachment rejected', getFullContext(req, { entryId: entry._id, error: error.message }));
+            return res.status(400).json({ message: 'The image could not be read' });
+        }
+
+        const attachment = entry.attachments.create({
+            key: file.storageKey,
+            thumbnailKey,
+            fileName: file.originalname,
+            mimeType: getMimeType(file),
+            size: file.size,
+            uploadedBy: req.user.userId,
+        });
+        await Model.updateOne({ _id: entry._id }, { $push: { attachments: attachment } });
+
+        logger.info('Attachment added', getFullContext(req, { entryId: entry._id, attachmentId: attachment._id, model: Model.modelName }));
+        res.status(201).json(attachment);
+    } catch (error) {
+        if (file) {
+            await removeFile(file.storageKey).catch(() => {});
+        }
+        logger.error('Error adding attachment', getFullContext(req, { error: error.message, stack: error.stack }));
+        res.status(500).json({ message: 'Failed to add attachment' });
+    }
+};
+
+/**
+ * Streams attachment `:attachmentId` of entry `:id`, or its thumbnail with `?thumbnail=true`.
+ * @param {mongoose.Model} Model - Attachable entry model
+ */
+const downloadAttachment = (Model) => async (req, res) => {
+    try {
+        const entry = await findOwnedEntry(Model, req);
+        const attachment = entry && entry.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        const thumbnail = String(req.query.thumbnail) === 'true';
+        if (thumbnail && !attachment.thumbnailKey) {
+            return res.status(404).json({ message: 'No preview for this attachment' });
+        }
+
+        const stream = createReadStream(thumbnail ? attachment.thumbnailKey : attachment.key);
+        stream.on('error', (error) => {
+            logger.error('Attachment file missing', getFullContext(req, { attachmentId: attachment._id, error: error.message }));
+            if (!res.headersSent) {
+                res.status(404).json({ message: 'Attachment file is missing' });
+            } else {
+                res.destroy(error);
+            }
+        });
+        stream.once('open', () => {
+            res.setHeader('Content-Type', thumbnail ? 'image/jpeg' : attachment.mimeType);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+            res.setHeader('Cache-Control', 'private, max-age=3600');
+            stream.pipe(res);
+        });
+    } catch (error) {
+        logger.error('Error downloading attachment', getFullContext(req, { error: error.message, stack: error.stack }));
+        res.status(500).json({ message: 'Failed to download attachment' });
+    }
+};
+
+/**
+ * Detaches attachment `:attachmentId` from entry `:id` and deletes its files.
+ * @param {mongoose.Model} Model - Attachable entry model
+ */
+const deleteAttachment = (Model) => async (req, res) => {
+    try {
+        const entry = await findOwnedEntry(Model, req);
+        const attachment = entry && entry.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        await Model.updateOne({ _id: entry._id }, { $pull: { attachments: { _id: attachment._id } } });
+        await removeFile(attachment.key);
+        if (attachment.thumbnailKey) {
+            await removeFile(attachment.thumbnailKey);
+        }
+
+        logger.info('Attachment deleted', getFullContext(req, { entryId: entry._id, attachmentId: attachment._id, model: Model.modelName }));
+        res.status(200).json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting attachment', getFullContext(req, { error: error.message, stack: error.stack }));
+        res.status(500).json({ message: 'Failed to delete attachment' });
+    }
+};
+
+module.exports = {
+    ATTACHMENT_EXTENSIONS,
+    MAX_ATTACHMENT_MB,
+    uploadAttachment: (fileId) => uploadToStorage(fileId, { extensions: ATTACHMENT_EXTENSIONS, maxSizeMB: MAX_ATTACHMENT_MB }),
+    addAttachment,
+    downloadAttachment,
+    deleteAttachment,
+};
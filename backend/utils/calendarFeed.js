@@ -0,0 +1,356 @@
+/**
+ * iCalendar (RFC 5545) feed of a user's schedule: active alerts, with their
+ * recurrence as an RRULE, loan EMIs still to be paid and the expiry of current truck
+ * and driver documents.
+ *
+ * The feed is fetched by calendar apps without a session, through a secret token
+ * whose hash is stored on the user (see controllers/calendar). Members of an organisation get the
+ * owner's schedule, limited to what their role may read.
+ *
+ * Timed events are written in the server's zone, which recurrences step in, and the
+ * zone's offsets are spelled out in a VTIMEZONE from the first timed event until
+ * TIMEZONE_YEARS_AHEAD years from now.
+ */
+const crypto = require('crypto');
+const moment = require('moment');
+const Organization = require('../models/organization-model');
+const Alert = require('../models/alert-model');
+const Truck = require('../models/truck-model');
+const TruckDocument = require('../models/truckDocument-model');
+const DriverProfile = require('../models/driverProfiles-model');
+const { toRRule } = require('../../shared/alerts/recurrence');
+const { DOCUMENT_TYPES, getTruckCompliance } = require('./truckDocuments');
+const { DRIVER_DOCUMENTS } = require('./driverDocuments');
+const { getTruckInstallments } = require('./fleetSchedule');
+const { canAccess } = require('./orgRoles');
+
+const UID_DOMAIN = 'managemytruck';
+const ALERT_DURATION = 'PT1H';
+// How often subscribed calendars are asked to refresh
+const REFRESH_INTERVAL = 'PT1H';
+const TIMEZONE_YEARS_AHEAD = 5;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// iCalendar PRIORITY (1 highest - 9 lowest) of each alert priority
+const ALERT_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+/**
+ * @returns {string} A new feed token
+ */
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * @param {string} token - Feed token
+ * @returns {string} The hash stored on the user in place of the token
+ */
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @param {string} value - Free text
+ * @returns {string} The text escaped for a TEXT property value
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line into lines of at most 75 octets.
+ * @param {string} line - Unfolded content line
+ * @returns {string} The folded line
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+        chunk += char;
+        size += charSize;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+};
+
+const formatUtc = (date) => moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+const formatLocal = (date) => moment(date).format('YYYYMMDD[T]HHmmss');
+const formatDay = (date) => moment.utc(date).format('YYYYMMDD');
+
+// UTC offset of the server's zone at an instant, in minutes
+const getOffset = (time) => -new Date(time).getTimezoneOffset();
+
+// An offset in minutes as a UTC-OFFSET value, e.g. +0530
+const formatOffset = (offset) => {
+    const minutes = Math.abs(offset);
+    return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Finds where the server's zone changes its UTC offset, to the minute.
+ * @param {Date} from - Start of the span, on a whole minute
+ * @param {Date} to - End of the span
+ * @returns {Object[]} Changes in order, `{ at, from, to }` with offsets in minutes
+ */
+const getOffsetChanges = (from, to) => {
+    const changes = [];
+    for (let day = from.getTime(); day < to.getTime(); day += DAY_MS) {
+        if (getOffset(day) === getOffset(day + DAY_MS)) {
+            continue;
+        }
+        let before = day / MINUTE_MS;
+        let after = (day + DAY_MS) / MINUTE_MS;
+        while (after - before > 1) {
+            const middle = Math.floor((before + after) / 2);
+            if (getOffset(middle * MINUTE_MS) === getOffset(before * MINUTE_MS)) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+        changes.push({ at: new Date(after * MINUTE_MS), from: getOffset(before * MINUTE_MS), to: getOffset(after * MINUTE_MS) });
+    }
+    return changes;
+};
+
+/**
+ * Describes the server's zone over a span, with one observance per offset change.
+ * Calendar apps need it to place the TZID times of timed events (RFC 5545 3.6.5).
+ * @param {string} timeZone - TZID of the zone
+ * @param {Date} from - Start of the span
+ * @param {Date} to - End of the span
+ * @returns {string[]} VTIMEZONE content lines
+ */
+const buildTimeZone = (timeZone, from, to) => {
+    const start = moment(from).startOf('year').toDate();
+    const observance = (kind, at, offsetFrom, offsetTo) => [
+        `BEGIN:${kind}`,
+        `DTSTART:${moment.utc(at).add(offsetFrom, 'minutes').format('YYYYMMDD[T]HHmmss')}`,
+        `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(offsetTo)}`,
+        `END:${kind}`,
+    ];
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance('STANDARD', start, getOffset(start), getOffset(start)),
+        ...getOffsetChanges(start, to).flatMap((change) => (
+            observance(change.to > change.from ? 'DAYLIGHT' : 'STANDARD', change.at, change.from, change.to)
+        )),
+        'END:VTIMEZONE',
+    ];
+};
+
+/**
+ * @param {Object} event - Event fields
+ * @param {string} event.uid - Stable id, so updates replace the event
+ * @param {Date} event.date - Start of the event; the whole day for all-day events
+ * @param {boolean} [event.allDay] - Whether the event takes up its (UTC) day
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string} [event.rrule] - Recurrence rule
+ * @param {string} [event.category] - Category shown by some calendar apps
+ * @param {number} [event.priority] - iCalendar priority
+ * @param {Date} [event.updatedAt] - Last change of the source record
+ * @param {string} timeZone - Zone timed events are written in
+ * @param {Date} now - Time the feed is built
+ * @returns {string[]} VEVENT content lines
+ */
+const buildEvent = (event, timeZone, now) => {
+    const lines = ['BEGIN:VEVENT', `UID:${event.uid}@${UID_DOMAIN}`, `DTSTAMP:${formatUtc(now)}`];
+    if (event.allDay) {
+        lines.push(
+            `DTSTART;VALUE=DATE:${formatDay(event.date)}`,
+            `DTEND;VALUE=DATE:${formatDay(moment.utc(event.date).add(1, 'day'))}`,
+            'TRANSP:TRANSPARENT'
+        );
+    } else {
+        lines.push(`DTSTART;TZID=${timeZone}:${formatLocal(event.date)}`, `DURATION:${ALERT_DURATION}`);
+    }
+    if (event.rrule) {
+        lines.push(`RRULE:${event.rrule}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.category) {
+        lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    }
+    if (event.priority) {
+        lines.push(`PRIORITY:${event.priority}`);
+    }
+    if (event.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * @param {string} ownerId - Owner of the alerts
+ * @returns {Promise<Object[]>} Events of the owner's active alerts
+ */
+const getAlertEvents = async (ownerId) => {
+    const alerts = await Alert.find({ addedBy: ownerId, isActive: true }).sort({ alertDate: 1 });
+    return alerts.map((alert) => ({
+        uid: `alert-${alert._id}`,
+        date: alert.alertDate,
+        summary: alert.title,
+        description: alert.description,
+        rrule: toRRule(alert),
+        category: alert.type,
+        priority: ALERT_PRIORITIES[alert.priority],
+        updatedAt: alert.updatedAt,
+    }));
+};
+
+/**
+ * @param {Object[]} trucks - The owner's trucks
+ * @returns {Promise<Object[]>} All-day events of the EMIs not paid in full, overdue ones included
+ */
+const getEmiEvents = async (trucks) => {
+    const events = [];
+    for (const truck of trucks) {
+        const installments = await getTruckInstallments(truck);
+        for (const row of installments) {
+            if (row.status === 'paid') {
+                continue;
+            }
+            const paid = row.amountPaid > 0 ? ` (${row.amountPaid} paid)` : '';
+            events.push({
+                uid: `emi-${truck._id}-${row.installment}`,
+                date: row.dueDate,
+                allDay: true,
+                summary: `EMI due - ${truck.registrationNo}`,
+                description: `Installment ${row.installment} of ${installments.length}: ${row.amountDue} due of ${row.emi}${paid}.`,
+                category: 'payment',
+            });
+        }
+    }
+    return events;
+};
+
+/**
+ * @param {Object[]} trucks - The owner's trucks
+ * @returns {Promise<Object[]>} All-day events on the expiry of each truck's current documents
+ */
+const getTruckDocumentEvents = async (trucks) => {
+    const truckIds = trucks.map((truck) => truck._id.toString());
+    const documents = await TruckDocument.find({ truckId: { $in: truckIds } });
+
+    const events = [];
+    for (const truck of trucks) {
+        const { documents: current } = getTruckCompliance(
+            documents.filter((document) => document.truckId === truck._id.toString())
+        );
+        for (const document of current) {
+            const number = document.number ? ` ${document.number}` : '';
+            events.push({
+                uid: `truck-document-${document._id}`,
+                date: document.expiryDate,
+                allDay: true,
+                summary: `${DOCUMENT_TYPES[document.type].label} expires - ${truck.registrationNo}`,
+                description: `${DOCUMENT_TYPES[document.type].label}${number} of ${truck.registrationNo} expires today.`,
+                category: DOCUMENT_TYPES[document.type].alertType,
+            });
+        }
+    }
+    return events;
+};
+
+/**
+ * @param {string} ownerId - Owner of the drivers
+ * @returns {Promise<Object[]>} All-day events on the expiry of active drivers' documents
+ */
+const getDriverDocumentEvents = async (ownerId) => {
+    const drivers = await DriverProfile.find({ addedBy: ownerId, isActive: true });
+
+    const events = [];
+    for (const driver of drivers) {
+        for (const [document, { field, label }] of Object.entries(DRIVER_DOCUMENTS)) {
+            if (!driver[field]) {
+                continue;
+            }
+            events.push({
+                uid: `driver-${driver._id}-${document}`,
+                date: driver[field],
+                allDay: true,
+                summary: `${label} expires - ${driver.name}`,
+                description: `${label} of ${driver.name} expires today.`,
+                category: 'license',
+            });
+        }
+    }
+    return events;
+};
+
+/**
+ * Works out whose schedule a feed shows, and which parts of it.
+ * @param {string} userId - Owner of the feed token
+ * @returns {Promise<{ ownerId: string, canRead: Function }>} Data owner and a check per resource
+ */
+const resolveFeedScope = async (userId) => {
+    const org = await Organization.findOne({
+        members: { $elemMatch: { userId, status: 'active' } }
+    });
+    if (!org) {
+        return { ownerId: userId, canRead: () => true };
+    }
+    const member = org.members.find((m) => m.userId === userId && m.status === 'active');
+    return { ownerId: org.ownerId, canRead: (resource) => canAccess(member.role, resource, 'read') };
+};
+
+/**
+ * Builds the calendar of a feed token's owner.
+ * @param {Object} user - User the feed belongs to
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<string>} The iCalendar document
+ */
+const buildCalendarFeed = async (user, now = new Date()) => {
+    const { ownerId, canRead } = await resolveFeedScope(user._id.toString());
+    const trucks = canRead('trucks') || canRead('loans') ? await Truck.find({ addedBy: ownerId }) : [];
+
+    const events = [
+        ...(canRead('alerts') ? await getAlertEvents(ownerId) : []),
+        ...(canRead('loans') ? await getEmiEvents(trucks) : []),
+        ...(canRead('trucks') ? await getTruckDocumentEvents(trucks) : []),
+        ...(canRead('drivers') ? await getDriverDocumentEvents(ownerId) : []),
+    ];
+
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const firstTimed = events.reduce(
+        (first, event) => (event.allDay || event.date >= first ? first : event.date),
+        now
+    );
+    const lastTimed = moment(now).add(TIMEZONE_YEARS_AHEAD, 'years').endOf('year').toDate();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Manage My Truck//Calendar Feed//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Manage My Truck',
+        `X-WR-TIMEZONE:${timeZone}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+        ...buildTimeZone(timeZone, firstTimed, lastTimed),
+        ...events.flatMap((event) => buildEvent(event, timeZone, now)),
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    generateFeedToken,
+    hashFeedToken,
+    buildCalendarFeed,
+};
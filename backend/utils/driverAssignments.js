@@ -0,0 +1,162 @@
+/**
+ * Driver-to-truck assignments: who drove which truck, and when.
+ *
+ * Assignments cover whole days (UTC) and an ongoing one has no end date. A truck has
+ * one driver at a time and a driver one truck, so assignments of the same truck or
+ * driver may not overlap. Expenses and income are attributed to the driver assigned
+ * to their truck on their date, which is what per-driver reporting is built on.
+ */
+const moment = require('moment');
+const DriverAssignment = require('../models/driverAssignment-model');
+const DriverProfile = require('../models/driverProfiles-model');
+const FuelExpense = require('../models/fuelExpense-model');
+const DefExpense = require('../models/defExpense-model');
+const OtherExpense = require('../models/otherExpense-model');
+const Income = require('../models/income-model');
+
+// Records attributed to drivers, with the field holding their value
+const ATTRIBUTED_RECORDS = {
+    fuel: { Model: FuelExpense, field: 'cost' },
+    def: { Model: DefExpense, field: 'cost' },
+    other: { Model: OtherExpense, field: 'cost' },
+    income: { Model: Income, field: 'amount' },
+};
+
+/**
+ * @param {Object} period - `{ from, to }` as dates or date strings; `to` may be empty
+ * @returns {{ from: Date, to: Date|null }} The period stretched to whole days
+ */
+const toAssignmentPeriod = ({ from, to }) => ({
+    from: moment.utc(from).startOf('day').toDate(),
+    to: to ? moment.utc(to).endOf('day').toDate() : null,
+});
+
+/**
+ * Query matching assignments that overlap a period.
+ * @param {Date} from - Start of the period
+ * @param {Date|null} to - End of the period, null when open-ended
+ * @returns {Object} Mongo filter
+ */
+const overlapping = (from, to) => ({
+    ...(to ? { from: { $lte: to } } : {}),
+    $or: [{ to: null }, { to: { $gte: from } }],
+});
+
+/**
+ * Finds an assignment of the same truck or driver overlapping the given one.
+ * @param {Object} assignment - `{ _id, driverId, truckId, from, to }`
+ * @returns {Promise<Object|null>} The first conflicting assignment
+ */
+const findConflictingAssignment = ({ _id, driverId, truckId, from, to }) => DriverAssignment.findOne({
+    ...(_id ? { _id: { $ne: _id } } : {}),
+    $and: [
+        { $or: [{ truckId }, { driverId }] },
+        overlapping(from, to),
+    ],
+});
+
+/**
+ * @param {Object[]} assignments - Assignments to search
+ * @param {string} truckId - Truck id
+ * @param {Date} date - Date of a record on the truck
+ * @returns {Object|undefined} The assignment covering the truck on that date
+ */
+const findAssignmentOn = (assignments, truckId, date) => assignments.find((assignment) =>
+    assignment.truckId === truckId && assignment.from <= date && (!assignment.to || assignment.to >= date));
+
+/**
+ * Totals the expenses and income of each driver over a period, by the trucks they
+ * were assigned to at the time.
+ * @param {string} ownerId - User owning the drivers and trucks
+ * @param {Object} range - `{ startDate, endDate, driverId }`; `driverId` narrows the report to one driver
+ * @returns {Promise<Object[]>} One row per driver with `fuel`, `def`, `other`, `expenses`,
+ *   `income`, `net`, `records`, `days` and `truckIds`
+ */
+const buildDriverReport = async (ownerId, { startDate, endDate, driverId }) => {
+    const assignments = await DriverAssignment.find({
+        addedBy: ownerId,
+        ...(driverId ? { driverId } : {}),
+        ...overlapping(startDate, endDate),
+    });
+    if (assignments.length === 0) {
+        return [];
+    }
+
+    const truckIds = [...new Set(assignments.map((assignment) => assignment.truckId))];
+    const driverIds = [...new Set(assignments.map((assignment) => assignment.driverId))];
+    const drivers = await DriverProfile.find({ _id: { $in: driverIds } });
+
+    const rows = Object.fromEntries(drivers.map((driver) => [driver._id.toString(), {
+        driverId: driver._id.toString(),
+        driverName: driver.name,
+        truckIds: [],
+        days: 0,
+        fuel: 0,
+        def: 0,
+        other: 0,
+        income: 0,
+        records: 0,
+    }]));
+
+    for (const assignment of assignments) {
+        const row = rows[assignment.driverId];
+        if (!row) {
+            continue;
+        }
+        const start = moment.max(moment.utc(assignment.from), moment.utc(startDate));
+        const end = moment.min(moment.utc(assignment.to || endDate), moment.utc(endDate));
+        row.days += end.diff(start.clone().startOf('day'), 'days') + 1;
+        if (!row.truckIds.includes(assignment.truckId)) {
+            row.truckIds.push(assignment.truckId);
+        }
+    }
+
+    for (const [kind, { Model, field }] of Object.entries(ATTRIBUTED_RECORDS)) {
+        const records = await Model.find({
+            truckId: { $in: truckIds },
+            date: { $gte: startDate, $lte: endDate },
+        });
+        for (const record of records) {
+            const assignment = findAssignmentOn(assignments, record.truckId, record.date);
+            const row = assignment && rows[assignment.driverId];
+            if (row) {
+                row[kind] += record[field] || 0;
+                row.records += 1;
+            }
+        }
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return Object.values(rows).map((row) => {
+        const expenses = row.fuel + row.def + row.other;
+        return {
+            ...row,
+            fuel: round(row.fuel),
+            def: round(row.def),
+            other: round(row.other),
+            income: round(row.income),
+            expenses: round(expenses),
+            net: round(row.income - expenses),
+        };
+    });
+};
+
+/**
+ * Ends the ongoing assignment of a driver, e.g. when the profile is deleted.
+ * @param {string} driverId - Driver profile id
+ * @param {Date} [date] - Last day of the assignment
+ */
+const endDriverAssignments = async (driverId, date = new Date()) => {
+    const to = moment.utc(date).endOf('day').toDate();
+    // An assignment that had not started yet cannot be ended before its start
+    await DriverAssignment.deleteMany({ driverId, to: null, from: { $gt: to } });
+    await DriverAssignment.updateMany({ driverId, to: null }, { to });
+};
+
+module.exports = {
+    toAssignmentPeriod,
+    findConflictingAssignment,
+    findAssignmentOn,
+    buildDriverReport,
+    endDriverAssignments,
+};
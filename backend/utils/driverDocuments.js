@@ -0,0 +1,157 @@
+/**
+ * Expiry reminders for driver documents: driving licence, transport badge and
+ * medical certificate.
+ *
+ * A `license` alert linked to the driver is raised `DRIVER_DOCUMENT_REMINDER_DAYS`
+ * before a document lapses, once per expiry date. Entering a new expiry date switches
+ * the old reminder off so the renewed document gets its own. A daily job raises the
+ * reminders that have come due and escalates their priority as expiry gets closer.
+ */
+const moment = require('moment');
+const DriverProfile = require('../models/driverProfiles-model');
+const Alert = require('../models/alert-model');
+const logger = require('./logger');
+const { getReminderPriority } = require('./truckDocuments');
+
+// Expiry field on the driver profile for each document
+const DRIVER_DOCUMENTS = {
+    license: { field: 'licenseExpiry', label: 'Driving licence' },
+    badge: { field: 'badgeExpiry', label: 'Driver badge' },
+    medical: { field: 'medicalCertificateExpiry', label: 'Medical certificate' },
+};
+
+const REMINDER_DAYS = Number(process.env.DRIVER_DOCUMENT_REMINDER_DAYS) || 30;
+const CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} expiryDate - Document expiry
+ * @returns {Date} When the renewal reminder falls due
+ */
+const getReminderDate = (expiryDate) => moment.utc(expiryDate).subtract(REMINDER_DAYS, 'days').toDate();
+
+/**
+ * Raises the reminders of a driver that have come due and updates the priority of
+ * existing ones. Reminders the user dismissed are not raised again for the same expiry.
+ * @param {Object} driver - Driver profile
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders raised
+ */
+const syncDriverExpiryAlerts = async (driver, now = new Date()) => {
+    if (!driver.isActive) {
+        return 0;
+    }
+
+    let raised = 0;
+    for (const [document, { field, label }] of Object.entries(DRIVER_DOCUMENTS)) {
+        const expiryDate = driver[field];
+        if (!expiryDate || getReminderDate(expiryDate) > now) {
+            continue;
+        }
+
+        const priority = getReminderPriority(expiryDate, now);
+        const alertId = driver.expiryAlerts && driver.expiryAlerts[document];
+        if (alertId) {
+            await Alert.updateOne(
+                // Escalated reminders are already urgent
+                { _id: alertId, isActive: true, escalationLevel: { $not: { $gt: 0 } }, priority: { $ne: priority } },
+                { priority, updatedAt: new Date() }
+            );
+            continue;
+        }
+
+        const alert = await new Alert({
+            addedBy: driver.addedBy,
+            driverId: driver._id.toString(),
+            type: 'license',
+            priority,
+            title: `${label} renewal - ${driver.name}`.slice(0, 100),
+            description: `${label} of ${driver.name} (licence ${driver.license}) expires on ${moment.utc(expiryDate).format('DD-MM-YYYY')}.`,
+            alertDate: getReminderDate(expiryDate),
+        }).save();
+        await DriverProfile.updateOne({ _id: driver._id }, { $set: { [`expiryAlerts.${document}`]: alert._id.toString() } });
+
+        logger.info('Driver document reminder raised', { driverId: driver._id, document, alertId: alert._id, expiryDate });
+        raised += 1;
+    }
+    return raised;
+};
+
+/**
+ * Switches off the reminders of documents whose expiry date was changed, so the new
+ * date gets a reminder of its own.
+ * @param {Object} previous - Driver profile before the update
+ * @param {Object} updated - Driver profile after the update
+ */
+const resetChangedExpiryAlerts = async (previous, updated) => {
+    for (const [document, { field }] of Object.entries(DRIVER_DOCUMENTS)) {
+        const alertId = previous.expiryAlerts && previous.expiryAlerts[document];
+        const before = previous[field] ? previous[field].getTime() : null;
+        const after = updated[field] ? updated[field].getTime() : null;
+        if (alertId && before !== after) {
+            await Alert.updateOne({ _id: alertId }, { isActive: false, updatedAt: new Date() });
+            await DriverProfile.updateOne({ _id: updated._id }, { $unset: { [`expiryAlerts.${document}`]: '' } });
+            updated.set(`expiryAlerts.${document}`, undefined);
+        }
+    }
+};
+
+/**
+ * Switches off every reminder of a driver, e.g. when the profile is deleted.
+ * @param {Object} driver - Driver profile
+ */
+const deactivateDriverExpiryAlerts = async (driver) => {
+    const alertIds = Object.keys(DRIVER_DOCUMENTS)
+        .map((document) => driver.expiryAlerts && driver.expiryAlerts[document])
+        .filter(Boolean);
+    if (alertIds.length > 0) {
+        await Alert.updateMany({ _id: { $in: alertIds } }, { isActive: false, updatedAt: new Date() });
+    }
+};
+
+/**
+ * Checks every active driver whose documents are within the reminder window.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders raised
+ */
+const raiseDriverExpiryAlerts = async (now = new Date()) => {
+    const horizon = moment.utc(now).add(REMINDER_DAYS, 'days').toDate();
+    const drivers = await DriverProfile.find({
+        isActive: true,
+        $or: Object.values(DRIVER_DOCUMENTS).map(({ field }) => ({ [field]: { $ne: null, $lte: horizon } })),
+    });
+
+    let raised = 0;
+    for (const driver of drivers) {
+        raised += await syncDriverExpiryAlerts(driver, now);
+    }
+    return raised;
+};
+
+/**
+ * Runs the driver document check now and then once a day. Call after the database is connected.
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+const startDriverExpirySchedule = () => {
+    const run = () => raiseDriverExpiryAlerts()
+        .then((count) => {
+            if (count > 0) {
+                logger.info('Driver document reminders raised', { count, reminderDays: REMINDER_DAYS });
+            }
+        })
+        .catch((error) => logger.error('Driver document check failed', { error: error.message, stack: error.stack }));
+
+    run();
+    const interval = setInterval(run, CHECK_INTERVAL_MS);
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    DRIVER_DOCUMENTS,
+    REMINDER_DAYS,
+    syncDriverExpiryAlerts,
+    resetChangedExpiryAlerts,
+    deactivateDriverExpiryAlerts,
+    raiseDriverExpiryAlerts,
+    startDriverExpirySchedule,
+};
@@ -0,0 +1,147 @@
+/**
+ * Driver payroll: a per-driver ledger of salary, trip allowances (bhatta), cash
+ * advances and recoveries, settled month by month.
+ *
+ * Salary and allowance entries are the truck's cost, so each one is mirrored as a
+ * `salary&incentives` OtherExpense on its truck (and trip) and kept in step when the
+ * entry changes; the mirrored row itself cannot be edited or deleted. Advances are cash paid ahead of pay and recoveries deduct them
+ * again; neither is a cost. A month's statement carries the advance balance over
+ * from earlier months; settling it freezes the figures and locks its entries.
+ */
+const moment = require('moment');
+const DriverLedgerEntry = require('../models/driverLedger-model');
+const OtherExpense = require('../models/otherExpense-model');
+
+const EARNING_TYPES = ['salary', 'allowance'];
+const LEDGER_TYPE_LABELS = {
+    salary: 'Salary',
+    allowance: 'Trip allowance',
+    advance: 'Advance',
+    recovery: 'Recovery',
+};
+const MONTH_FORMAT = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * @param {string} month - Month as YYYY-MM
+ * @returns {{ start: Date, end: Date }} First and last instant of the month (UTC)
+ */
+const getMonthRange = (month) => ({
+    start: moment.utc(month, 'YYYY-MM').startOf('month').toDate(),
+    end: moment.utc(month, 'YYYY-MM').endOf('month').toDate(),
+});
+
+/**
+ * @param {Date} date - Any date
+ * @returns {string} Its month as YYYY-MM (UTC)
+ */
+const toMonth = (date) => moment.utc(date).format('YYYY-MM');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds a driver's pay statement for a month from the ledger.
+ * @param {string} driverId - Driver profile id
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Promise<Object>} `{ month, openingAdvance, salary, allowance, earnings, advances,
+ *   recoveries, netPayable, closingAdvance, entries }`
+ */
+const buildStatement = async (driverId, month) => {
+    const { start, end } = getMonthRange(month);
+
+    const [before, entries] = await Promise.all([
+        DriverLedgerEntry.aggregate([
+            { $match: { driverId, date: { $lt: start }, type: { $in: ['advance', 'recovery'] } } },
+            { $group: { _id: '$type', total: { $sum: '$amount' } } },
+        ]),
+        DriverLedgerEntry.find({ driverId, date: { $gte: start, $lte: end } }).sort({ date: 1, createdAt: 1 }),
+    ]);
+
+    const earlier = before.reduce((acc, row) => ({ ...acc, [row._id]: row.total }), { advance: 0, recovery: 0 });
+    const totals = entries.reduce((acc, entry) => {
+        acc[entry.type] += entry.amount;
+        return acc;
+    }, { salary: 0, allowance: 0, advance: 0, recovery: 0 });
+
+    const openingAdvance = round(earlier.advance - earlier.recovery);
+    const earnings = round(totals.salary + totals.allowance);
+
+    return {
+        month,
+        openingAdvance,
+        salary: round(totals.salary),
+        allowance: round(totals.allowance),
+        earnings,
+        advances: round(totals.advance),
+        recoveries: round(totals.recovery),
+        netPayable: round(earnings - totals.recovery),
+        closingAdvance: round(openingAdvance + totals.advance - totals.recovery),
+        entries,
+    };
+};
+
+/**
+ * Creates, updates or removes the truck expense mirroring a ledger entry, and
+ * stores its id on the entry.
+ * @param {Object} entry - Ledger entry, as saved
+ * @param {Object} driver - Driver profile the entry belongs to
+ */
+const postEntryExpense = async (entry, driver) => {
+    if (!EARNING_TYPES.includes(entry.type)) {
+        await removeEntryExpense(entry);
+        return;
+    }
+
+    const expense = {
+        truckId: entry.truckId,
+        tripId: entry.tripId || null,
+        ledgerEntryId: entry._id.toString(),
+        addedBy: entry.addedBy,
+        date: entry.date,
+        category: 'salary&incentives',
+        cost: entry.amount,
+        note: `${LEDGER_TYPE_LABELS[entry.type]} - ${driver.name}${entry.note ? `: ${entry.note}` : ''}`,
+    };
+
+    const updated = entry.expenseId
+        ? await OtherExpense.findOneAndUpdate({ _id: entry.expenseId }, expense, { new: true })
+        : null;
+    if (!updated) {
+        const saved = await new OtherExpense(expense).save();
+        await DriverLedgerEntry.updateOne({ _id: entry._id }, { expenseId: saved._id.toString() });
+        entry.expenseId = saved._id.toString();
+    }
+};
+
+/**
+ * Deletes the truck expense mirroring a ledger entry, if any.
+ * @param {Object} entry - Ledger entry
+ */
+const removeEntryExpense = async (entry) => {
+    if (!entry.expenseId) {
+        return;
+    }
+    await OtherExpense.findOneAndDelete({ _id: entry.expenseId });
+    await DriverLedgerEntry.updateOne({ _id: entry._id }, { expenseId: null });
+    entry.expenseId = null;
+};
+
+/**
+ * Whether an other expense mirrors a ledger entry, and so may only change through
+ * it. Rows posted before they were marked are found through the entry instead.
+ * @param {Object} expense - Other expense
+ * @returns {Promise<boolean>}
+ */
+const isLedgerExpense = async (expense) => Boolean(expense.ledgerEntryId)
+    || Boolean(await DriverLedgerEntry.exists({ expenseId: expense._id.toString() }));
+
+module.exports = {
+    EARNING_TYPES,
+    LEDGER_TYPE_LABELS,
+    MONTH_FORMAT,
+    getMonthRange,
+    toMonth,
+    buildStatement,
+    postEntryExpense,
+    removeEntryExpense,
+    isLedgerExpense,
+};
@@ -0,0 +1,384 @@
+/**
+ * Bulk import of fuel, DEF, other expenses and income from CSV or Excel files.
+ *
+ * Files use the column layout of the matching `download*Excel` export (title rows
+ * above the header are skipped, derived columns such as Range or Mileage are ignored).
+ * A "Registration No" column, as in the all-trucks exports, picks the truck per row;
+ * otherwise every row goes to the `truckId` sent with the upload.
+ *
+ * Imported rows get the checks and follow-ups of entries saved one by one: fuel and DEF
+ * readings are checked against the odometer history, and maintenance reminders are
+ * synced after saving.
+ *
+ * With `dryRun=true` the parsed rows are returned with per-row errors and odometer
+ * warnings, and nothing is saved. Otherwise the rows are saved only if every row is
+ * valid and its warnings are confirmed. Saving is all-or-nothing only where MongoDB
+ * supports transactions (see insertAll); the response says whether it was.
+ */
+const XLSX = require('xlsx');
+const moment = require('moment');
+const { default: mongoose } = require('mongoose');
+const FuelExpense = require('../models/fuelExpense-model');
+const DefExpense = require('../models/defExpense-model');
+const OtherExpense = require('../models/otherExpense-model');
+const Income = require('../models/income-model');
+const Truck = require('../models/truck-model');
+const logger = require('./logger');
+const { getFullContext } = require('./requestContext');
+const { ownerScope, findOwnedTruck } = require('./ownership');
+const { parseOtherExpenseCategory } = require('./otherExpenseCategories');
+const { checkOdometerReadings } = require('./odometer');
+const { syncTruckMaintenance } = require('./maintenancePlans');
+
+const MAX_IMPORT_ROWS = 2000;
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD-MM-YYYY', 'DD/MM/YYYY', 'YYYY/MM/DD', 'DD.MM.YYYY'];
+const REGISTRATION_HEADER = 'Registration No';
+
+// Model field -> export column heading
+const IMPORT_LAYOUTS = {
+    fuel: {
+        model: FuelExpense,
+        label: 'fuel expenses',
+        columns: { date: 'Date', currentKM: 'Current KM', litres: 'Litres', cost: 'Cost', note: 'Note' },
+        odometer: true,
+    },
+    def: {
+        model: DefExpense,
+        label: 'DEF expenses',
+        columns: { date: 'Date', currentKM: 'Current KM', litres: 'Litres', cost: 'Cost', note: 'Note' },
+        odometer: true,
+    },
+    other: {
+        model: OtherExpense,
+        label: 'other expenses',
+        columns: { date: 'Date', category: 'Category', cost: 'Cost', note: 'Note' },
+        // A category cell may also fill `other`
+        parsers: { category: parseOtherExpenseCategory },
+        // Service & Maintenance expenses may complete maintenance tasks
+        services: true,
+    },
+    income: {
+        model: Income,
+        label: 'income entries',
+        columns: { date: 'Date', amount: 'Amount', note: 'Note' },
+    },
+};
+
+const normaliseHeader = (value) => String(value || '').trim().toLowerCase();
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Reads the first sheet of a CSV/XLSX buffer into objects keyed by column heading.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} fileName - Original file name, used to detect CSV
+ * @returns {{ headers: string[], rows: Object[] }} Rows carry their sheet row number as `__row`
+ */
+const parseSheet = (buffer, fileName = '') => {
+    // CSV cells stay text so day-first dates are not read as US dates
+    const isCsv = fileName.toLowerCase().endsWith('.csv');
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: isCsv });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const table = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true }) : [];
+
+    // Exports put a title and subtitle above the header row
+    const headerIndex = table.findIndex((cells) => cells.some((cell) => normaliseHeader(cell) === 'date'));
+    if (headerIndex === -1) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = table[headerIndex].map((cell) => String(cell).trim());
+    const rows = table
+        .slice(headerIndex + 1)
+        .map((cells, offset) => {
+            const row = { __row: headerIndex + offset + 2 };
+            headers.forEach((header, i) => {
+                row[normaliseHeader(header)] = cells[i];
+            });
+            return row;
+        })
+        .filter((row) => headers.some((header) => !isBlank(row[normaliseHeader(header)])));
+
+    return { headers, rows };
+};
+
+/**
+ * @param {*} value - Cell value (Date from Excel, or text)
+ * @returns {Date|null} UTC start of day, or null when not a date
+ */
+const parseDate = (value) => {
+    if (value instanceof Date) {
+        // SheetJS builds dates in local time; keep the calendar day
+        return moment.utc(moment(value).format('YYYY-MM-DD')).toDate();
+    }
+    const parsed = moment.utc(String(value).trim(), DATE_FORMATS, true);
+    return parsed.isValid() ? parsed.toDate() : null;
+};
+
+/**
+ * Maps and validates one sheet row against the model schema.
+ * @returns {{ row: number, registrationNo: string, values: Object, errors: string[], doc: Object|null }}
+ */
+const buildRow = (row, layout, truck, registrationNo) => {
+    const { model: Model, columns, parsers = {} } = layout;
+    const errors = [];
+    const values = {};
+
+    Object.entries(columns).forEach(([field, heading]) => {
+        const raw = row[normaliseHeader(heading)];
+        if (isBlank(raw)) {
+            return;
+        }
+        if (field === 'date') {
+            const date = parseDate(raw);
+            if (date) {
+                values.date = date;
+            } else {
+                errors.push(`${heading} "${raw}" is not a valid date`);
+            }
+            return;
+        }
+        if (parsers[field]) {
+            const { error, ...parsed } = parsers[field](raw);
+            if (error) {
+                errors.push(error);
+            } else {
+                Object.assign(values, parsed);
+            }
+            return;
+        }
+        if (Model.schema.path(field).instance === 'Number') {
+            const number = Number(String(raw).replace(/,/g, ''));
+            if (Number.isFinite(number)) {
+                values[field] = number;
+            } else {
+                errors.push(`${heading} "${raw}" is not a number`);
+            }
+            return;
+        }
+        values[field] = String(raw).trim();
+    });
+
+    if (!truck) {
+        errors.push(registrationNo ? `Truck ${registrationNo} not found` : 'No truck selected for this row');
+    }
+
+    // Cells that failed to parse are already reported above with their original value
+    const reported = Object.keys(columns).filter((field) => !(field in values) && !isBlank(row[normaliseHeader(columns[field])]));
+    const skipped = ['truckId', 'addedBy', ...reported];
+
+    const doc = new Model({ ...values, truckId: truck?._id.toString(), addedBy: truck?.addedBy });
+    const validationError = doc.validateSync();
+    if (validationError) {
+        Object.entries(validationError.errors)
+            .filter(([field]) => !skipped.includes(field))
+            .forEach(([, error]) => errors.push(error.message));
+    }
+
+    return {
+        row: row.__row,
+        registrationNo: truck ? truck.registrationNo : registrationNo,
+        values,
+        errors,
+        doc: errors.length === 0 ? doc : null,
+    };
+};
+
+const transactionSupport = new WeakMap();
+
+/**
+ * Whether the database can run transactions: replica set members and mongos can,
+ * a standalone server cannot. Asked once per connection, on the first import that saves.
+ * @returns {Promise<boolean>}
+ */
+const supportsTransactions = async () => {
+    const { db } = mongoose.connection;
+    if (!transactionSupport.has(db)) {
+        const hello = await db.admin().command({ hello: 1 });
+        transactionSupport.set(db, Boolean(hello.setName) || hello.msg === 'isdbgrid');
+    }
+    return transactionSupport.get(db);
+};
+
+/**
+ * Inserts the documents in one batch, in a transaction where the database supports
+ * them. Without one MongoDB has no rollback, so rows inserted before a failure are
+ * deleted again; if that cleanup fails too, the error carries the ids it could not
+ * remove as `orphanIds`.
+ * @param {Object} Model - Mongoose model of the rows
+ * @param {Object[]} docs - Documents to insert
+ * @returns {Promise<boolean>} Whether the rows were inserted in a transaction
+ */
+const insertAll = async (Model, docs) => {
+    if (await supportsTransactions()) {
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(() => Model.insertMany(docs, { ordered: true, session }));
+        } finally {
+            await session.endSession();
+        }
+        return true;
+    }
+
+    try {
+        await Model.insertMany(docs, { ordered: true });
+    } catch (error) {
+        const ids = docs.map((doc) => doc._id);
+        try {
+            await Model.deleteMany({ _id: { $in: ids } });
+        } catch (cleanupError) {
+            logger.error(`Failed to remove partly imported ${Model.modelName} documents`, {
+                error: cleanupError.message,
+                ids: ids.map(String),
+            });
+            error.orphanIds = ids;
+        }
+        throw error;
+    }
+    return false;
+};
+
+/**
+ * Flags rows whose odometer reading does not fit the truck's history, or the other
+ * rows of the file, as a single fuel or DEF entry would be (see utils/odometer).
+ * @param {Object[]} results - Built rows; valid ones get `warnings`
+ */
+const flagOdometerIssues = async (results) => {
+    const valid = results.filter((result) => result.doc);
+    const issues = await checkOdometerReadings(valid.map((result) => result.doc));
+    valid.forEach((result, index) => {
+        result.warnings = issues[index].map((issue) => issue.message);
+    });
+};
+
+/**
+ * Keeps maintenance reminders in step with imported entries, as saving them one by
+ * one would. Services are applied oldest first so the latest closes the cycle.
+ * @param {Object} layout - Import layout
+ * @param {Object[]} docs - Saved documents
+ */
+const syncImportedMaintenance = async (layout, docs) => {
+    if (layout.services) {
+        const services = [...docs].sort((a, b) => a.date - b.date);
+        for (const doc of services) {
+            await syncTruckMaintenance(doc.truckId, doc);
+        }
+    } else if (layout.odometer) {
+        for (const truckId of new Set(docs.map((doc) => doc.truckId))) {
+            await syncTruckMaintenance(truckId);
+        }
+    }
+};
+
+/**
+ * Builds the import handler for one record type.
+ * Expects a multipart `file` (see `uploadSpreadsheet`) and optional `truckId` / `dryRun`,
+ * plus `confirmOdometer=true` to save rows with suspicious odometer readings.
+ * @param {string} type - Key of IMPORT_LAYOUTS
+ * @returns {Function} Express handler
+ */
+const importSheet = (type) => async (req, res) => {
+    const layout = IMPORT_LAYOUTS[type];
+    try {
+        const truckId = req.body.truckId || req.query.truckId;
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+        const confirmOdometer = String(req.body.confirmOdometer ?? req.query.confirmOdometer) === 'true';
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please upload a CSV or Excel file' });
+        }
+
+        const { headers, rows } = parseSheet(req.file.buffer, req.file.originalname);
+        if (headers.length === 0) {
+            return res.status(400).json({
+                message: `No header row found. Expected columns: ${Object.values(layout.columns).join(', ')}`,
+            });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({ message: 'The file has no rows to import' });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `A file can contain at most ${MAX_IMPORT_ROWS} rows` });
+        }
+
+        const hasRegistrationColumn = headers.some((header) => normaliseHeader(header) === normaliseHeader(REGISTRATION_HEADER));
+        let defaultTruck = null;
+        if (truckId) {
+            defaultTruck = await findOwnedTruck(req, truckId);
+            if (!defaultTruck) {
+                return res.status(404).json({ message: 'Truck not found' });
+            }
+        } else if (!hasRegistrationColumn) {
+            return res.status(400).json({ message: `Choose a truck or add a "${REGISTRATION_HEADER}" column` });
+        }
+
+        const trucksByRegistration = new Map();
+        if (hasRegistrationColumn) {
+            const trucks = await Truck.find(ownerScope(req));
+            trucks.forEach((truck) => trucksByRegistration.set(truck.registrationNo.trim().toUpperCase(), truck));
+        }
+
+        const results = rows.map((row) => {
+            const registrationNo = String(row[normaliseHeader(REGISTRATION_HEADER)] || '').trim().toUpperCase();
+            const truck = registrationNo ? trucksByRegistration.get(registrationNo) : defaultTruck;
+            return buildRow(row, layout, truck, registrationNo);
+        });
+
+        if (layout.odometer) {
+            await flagOdometerIssues(results);
+        }
+
+        const invalidCount = results.filter((result) => result.errors.length > 0).length;
+        const warningCount = results.filter((result) => result.warnings && result.warnings.length > 0).length;
+        const preview = {
+            dryRun,
+            total: results.length,
+            validCount: results.length - invalidCount,
+            invalidCount,
+            warningCount,
+            rows: results.map(({ doc, ...result }) => result),
+        };
+
+        logger.info(`Import of ${layout.label} parsed`, getFullContext(req, {
+            type,
+            dryRun,
+            fileName: req.file.originalname,
+            total: preview.total,
+            invalidCount,
+        }));
+
+        if (dryRun) {
+            return res.status(200).json(preview);
+        }
+        if (invalidCount > 0) {
+            return res.status(400).json({ message: `${invalidCount} rows have errors; nothing was imported`, ...preview });
+        }
+        if (warningCount > 0 && !confirmOdometer) {
+            return res.status(400).json({
+                message: `${warningCount} rows have suspicious odometer readings; nothing was imported`,
+                ...preview,
+            });
+        }
+
+        const docs = results.map((result) => result.doc);
+        const transactional = await insertAll(layout.model, docs);
+        await syncImportedMaintenance(layout, docs);
+
+        logger.info(`Import of ${layout.label} committed`, getFullContext(req, { type, count: results.length, transactional }));
+        res.status(201).json({ message: `Imported ${results.length} ${layout.label}`, imported: results.length, transactional });
+    } catch (error) {
+        logger.error(`Failed to import ${layout.label}`, getFullContext(req, { error: error.message, stack: error.stack }));
+        if (error.orphanIds) {
+            return res.status(500).json({
+                message: `Failed to import ${layout.label}, and some rows may have been saved; check them before importing again`,
+            });
+        }
+        res.status(500).json({ message: `Failed to import ${layout.label}` });
+    }
+};
+
+module.exports = {
+    IMPORT_LAYOUTS,
+    parseSheet,
+    importSheet,
+};
@@ -0,0 +1,194 @@
+/**
+ * The fleet's schedule over a date range, for the dashboard calendar: alerts (every
+ * occurrence of recurring ones), maintenance tasks due by date, loan EMIs and trips.
+ *
+ * Each entry points back at its source record. Only the current occurrence of an
+ * alert can be moved; later occurrences follow from it.
+ */
+const moment = require('moment');
+const Alert = require('../models/alert-model');
+const Trip = require('../models/trip-model');
+const MaintenancePlan = require('../models/maintenancePlan-model');
+const LoanCalculation = require('../models/calculateLoan-model');
+const { getNextOccurrence, getOccurrenceFrom } = require('../../shared/alerts/recurrence');
+const { buildAmortisationSchedule, allocatePayments } = require('./loanSchedule');
+const { getOdometerOn, getPlanStatus } = require('./maintenancePlans');
+const { getOdometerReadings } = require('./odometer');
+
+// Widest range served at once; a month view spans six weeks
+const MAX_RANGE_DAYS = 100;
+// Most occurrences of one alert listed, counted from the first within the range
+const MAX_OCCURRENCES = 500;
+
+/**
+ * @param {Object} truck - Truck with loan terms
+ * @returns {Promise<Object[]>} Its installments with payments allocated, none without complete terms
+ */
+const getTruckInstallments = async (truck) => {
+    const terms = truck.loanTerms;
+    if (!terms || !terms.principal || !terms.tenureMonths || !terms.startDate || !terms.emiDay) {
+        return [];
+    }
+    const payments = await LoanCalculation.find({ truckId: truck._id.toString() }).sort({ date: 1 });
+    return allocatePayments(buildAmortisationSchedule(terms), payments).installments;
+};
+
+/**
+ * @param {string} ownerId - Owner of the alerts
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Object[]>} Alert occurrences within the range
+ */
+const getAlertEntries = async (ownerId, from, to) => {
+    const alerts = await Alert.find({
+        addedBy: ownerId,
+        isActive: true,
+        alertDate: { $lte: to },
+        $or: [{ alertDate: { $gte: from } }, { isRecurring: true }]
+    });
+
+    const entries = [];
+    for (const alert of alerts) {
+        const firstCount = alert.occurrenceCount || 1;
+        let occurrence = getOccurrenceFrom({ ...alert.toObject(), occurrenceCount: firstCount }, from);
+        for (let listed = 0; occurrence && occurrence.alertDate <= to && listed < MAX_OCCURRENCES; listed++) {
+            // 0 for the alert's current occurrence, the one that can be rescheduled
+            const index = occurrence.occurrenceCount - firstCount;
+            entries.push({
+                id: `alert-${alert._id}-${index}`,
+                kind: 'alert',
+                sourceId: alert._id.toString(),
+                title: alert.title,
+                date: occurrence.alertDate,
+                allDay: false,
+                truckId: alert.truckId || null,
+                type: alert.type,
+                priority: alert.priority,
+                status: alert.isRead ? 'read' : 'unread',
+                draggable: index === 0,
+            });
+            const next = getNextOccurrence(occurrence);
+            occurrence = next
+                ? { ...occurrence, alertDate: next, occurrenceCount: occurrence.occurrenceCount + 1 }
+                : null;
+        }
+    }
+    return entries;
+};
+
+/**
+ * @param {string} ownerId - Owner of the plans
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Object[]>} Maintenance tasks falling due by date within the range
+ */
+const getMaintenanceEntries = async (ownerId, from, to) => {
+    const [plans, readings] = await Promise.all([
+        MaintenancePlan.find({ addedBy: ownerId, intervalDays: { $ne: null } }),
+        getOdometerReadings({ addedBy: ownerId }),
+    ]);
+
+    return plans
+        .map((plan) => {
+            const currentKm = getOdometerOn(readings.filter((reading) => String(reading.truckId) === plan.truckId));
+            return { plan, status: getPlanStatus(plan, currentKm) };
+        })
+        .filter(({ status }) => status.dueDate && status.dueDate >= from && status.dueDate <= to)
+        .map(({ plan, status }) => ({
+            id: `maintenance-${plan._id}`,
+            kind: 'maintenance',
+            sourceId: plan._id.toString(),
+            title: plan.task,
+            date: status.dueDate,
+            allDay: true,
+            truckId: plan.truckId,
+            status: status.state,
+            draggable: false,
+        }));
+};
+
+/**
+ * @param {Object[]} trucks - The owner's trucks
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Object[]>} EMIs falling due within the range
+ */
+const getEmiEntries = async (trucks, from, to) => {
+    const entries = [];
+    for (const truck of trucks) {
+        const installments = await getTruckInstallments(truck);
+        installments
+            .filter((row) => row.dueDate >= from && row.dueDate <= to)
+            .forEach((row) => entries.push({
+                id: `emi-${truck._id}-${row.installment}`,
+                kind: 'emi',
+                sourceId: truck._id.toString(),
+                title: `EMI ${row.installment}/${installments.length}`,
+                date: row.dueDate,
+                allDay: true,
+                truckId: truck._id.toString(),
+                amount: row.amountDue > 0 ? row.amountDue : row.emi,
+                status: row.status,
+                draggable: false,
+            }));
+    }
+    return entries;
+};
+
+/**
+ * @param {string} ownerId - Owner of the trips
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Object[]>} Trips running at some point within the range
+ */
+const getTripEntries = async (ownerId, from, to) => {
+    const trips = await Trip.find({
+        addedBy: ownerId,
+        status: { $ne: 'cancelled' },
+        date: { $lte: to },
+        $or: [{ date: { $gte: from } }, { endDate: { $gte: from } }, { endDate: null, status: 'inTransit' }]
+    }).sort({ date: 1 });
+
+    return trips.map((trip) => ({
+        id: `trip-${trip._id}`,
+        kind: 'trip',
+        sourceId: trip._id.toString(),
+        title: `${trip.origin} → ${trip.destination}`,
+        date: trip.date,
+        endDate: trip.endDate,
+        allDay: true,
+        truckId: trip.truckId,
+        status: trip.status,
+        draggable: false,
+    }));
+};
+
+/**
+ * Collects the schedule of an owner's fleet.
+ * @param {Object} options
+ * @param {string} options.ownerId - Owner of the data
+ * @param {Object[]} options.trucks - The owner's trucks
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {Function} options.canRead - Whether the caller may read a resource (see utils/orgRoles)
+ * @returns {Promise<Object[]>} Entries sorted by date, with the truck's registration number
+ */
+const getFleetSchedule = async ({ ownerId, trucks, from, to, canRead }) => {
+    const entries = [
+        ...(canRead('alerts') ? await getAlertEntries(ownerId, from, to) : []),
+        ...(canRead('trucks') ? await getMaintenanceEntries(ownerId, from, to) : []),
+        ...(canRead('loans') ? await getEmiEntries(trucks, from, to) : []),
+        ...(canRead('trips') ? await getTripEntries(ownerId, from, to) : []),
+    ];
+
+    const registrationNos = new Map(trucks.map((truck) => [truck._id.toString(), truck.registrationNo]));
+    return entries
+        .map((entry) => ({ ...entry, registrationNo: registrationNos.get(String(entry.truckId)) || null }))
+        .sort((a, b) => moment(a.date).diff(b.date));
+};
+
+module.exports = {
+    MAX_RANGE_DAYS,
+    getTruckInstallments,
+    getFleetSchedule,
+};
@@ -0,0 +1,171 @@
+/**
+ * Fuel efficiency analytics.
+ *
+ * Efficiency is measured full tank to full tank: the distance between two full fills
+ * divided by the litres put in after the first of them (partial fills included). Each
+ * such stretch is a segment. Trucks are compared with their own baseline (older
+ * segments) and with fleet benchmarks of trucks sharing make, model and year.
+ */
+
+// Segments averaged for the rolling km/l and for the truck's recent efficiency
+const ROLLING_WINDOW = 3;
+// Baseline segments needed before a truck can be flagged
+const MIN_BASELINE_SEGMENTS = 3;
+// Drop in km/l against the baseline, in percent, that flags a truck
+const DEVIATION_THRESHOLD = Number(process.env.FUEL_DEVIATION_THRESHOLD_PERCENT) || 15;
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * @param {Object[]} segments - Segments with distance, litres and cost
+ * @returns {{ distance: number, litres: number, cost: number, kmPerLitre: number|null, costPerKm: number|null }}
+ */
+const summariseSegments = (segments) => {
+    const totals = segments.reduce((sum, segment) => ({
+        distance: sum.distance + segment.distance,
+        litres: sum.litres + segment.litres,
+        cost: sum.cost + segment.cost,
+    }), { distance: 0, litres: 0, cost: 0 });
+
+    return {
+        distance: round(totals.distance),
+        litres: round(totals.litres),
+        cost: round(totals.cost),
+        kmPerLitre: totals.litres > 0 ? round(totals.distance / totals.litres) : null,
+        costPerKm: totals.distance > 0 ? round(totals.cost / totals.distance) : null,
+    };
+};
+
+/**
+ * @param {number|null} value - Measured figure
+ * @param {number|null} reference - Figure to compare with
+ * @returns {number|null} Difference in percent of the reference
+ */
+const getDeviation = (value, reference) =>
+    (value !== null && reference ? round(((value - reference) / reference) * 100, 1) : null);
+
+/**
+ * Splits one truck's fills into full-tank-to-full-tank segments.
+ * Stretches where the odometer does not move forward are skipped.
+ * @param {Object[]} fills - Fuel expenses of one truck
+ * @returns {Object[]} Segments `{ startDate, endDate, distance, litres, cost, kmPerLitre, costPerKm, rollingKmPerLitre }`
+ */
+const buildSegments = (fills) => {
+    const sorted = [...fills].sort((a, b) => new Date(a.date) - new Date(b.date) || a.currentKM - b.currentKM);
+    const segments = [];
+    let lastFull = null;
+    let litres = 0;
+    let cost = 0;
+
+    sorted.forEach((fill) => {
+        if (lastFull) {
+            litres += fill.litres;
+            cost += fill.cost;
+        }
+        // Entries saved before fullTank existed count as full tanks
+        if (fill.fullTank === false) {
+            return;
+        }
+        if (lastFull) {
+            const distance = fill.currentKM - lastFull.currentKM;
+            if (distance > 0 && litres > 0) {
+                segments.push({
+                    startDate: lastFull.date,
+                    endDate: fill.date,
+                    distance,
+                    litres: round(litres),
+                    cost: round(cost),
+                    kmPerLitre: round(distance / litres),
+                    costPerKm: round(cost / distance),
+                });
+            }
+        }
+        lastFull = fill;
+        litres = 0;
+        cost = 0;
+    });
+
+    return segments.map((segment, index) => ({
+        ...segment,
+        rollingKmPerLitre: summariseSegments(segments.slice(Math.max(0, index - ROLLING_WINDOW + 1), index + 1)).kmPerLitre,
+    }));
+};
+
+/**
+ * @param {Object} truck - Truck document
+ * @returns {string} Benchmark group key
+ */
+const getBenchmarkKey = (truck) =>
+    [truck.make, truck.model, truck.year].map((part) => String(part || '').trim().toUpperCase()).join('|');
+
+/**
+ * Builds fuel analytics for a set of trucks.
+ * @param {Object[]} trucks - Truck documents
+ * @param {Object[]} fills - Fuel expenses of those trucks
+ * @returns {Object} `{ fleet, benchmarks, trucks, flaggedCount }`
+ */
+const buildFuelAnalytics = (trucks, fills) => {
+    const truckStats = trucks.map((truck) => {
+        const truckId = truck._id.toString();
+        const segments = buildSegments(fills.filter((fill) => fill.truckId === truckId));
+        const baselineSegments = segments.slice(0, -ROLLING_WINDOW);
+        const recentSegments = segments.slice(-ROLLING_WINDOW);
+        const baselineKmPerLitre = summariseSegments(baselineSegments).kmPerLitre;
+        const recentKmPerLitre = summariseSegments(recentSegments).kmPerLitre;
+        const baselineDeviation = getDeviation(recentKmPerLitre, baselineKmPerLitre);
+        const flagged = baselineSegments.length >= MIN_BASELINE_SEGMENTS
+            && baselineDeviation !== null
+            && baselineDeviation <= -DEVIATION_THRESHOLD;
+
+        return {
+            truckId,
+            registrationNo: truck.registrationNo,
+            make: truck.make || null,
+            model: truck.model || null,
+            year: truck.year || null,
+            ...summariseSegments(segments),
+            baselineKmPerLitre,
+            recentKmPerLitre,
+            baselineDeviation,
+            flagged,
+            flagReason: flagged
+                ? `Recent efficiency is ${Math.abs(baselineDeviation)}% below this truck's baseline, check for fuel theft or engine issues`
+                : null,
+            segments,
+        };
+    });
+
+    const groups = new Map();
+    trucks.forEach((truck, index) => {
+        const key = getBenchmarkKey(truck);
+        if (!groups.has(key)) {
+            groups.set(key, { make: truck.make || null, model: truck.model || null, year: truck.year || null, members: [] });
+        }
+        groups.get(key).members.push(truckStats[index]);
+    });
+
+    const benchmarks = new Map([...groups].map(([key, { members, ...group }]) => [key, {
+        ...group,
+        truckCount: members.length,
+        ...summariseSegments(members.flatMap((member) => member.segments)),
+    }]));
+
+    trucks.forEach((truck, index) => {
+        const benchmark = benchmarks.get(getBenchmarkKey(truck));
+        truckStats[index].benchmarkKmPerLitre = benchmark.kmPerLitre;
+        truckStats[index].benchmarkDeviation = getDeviation(truckStats[index].kmPerLitre, benchmark.kmPerLitre);
+    });
+
+    return {
+        fleet: summariseSegments(truckStats.flatMap((stats) => stats.segments)),
+        benchmarks: [...benchmarks.values()],
+        trucks: truckStats,
+        flaggedCount: truckStats.filter((stats) => stats.flagged).length,
+    };
+};
+
+module.exports = {
+    DEVIATION_THRESHOLD,
+    buildSegments,
+    buildFuelAnalytics,
+};
@@ -0,0 +1,173 @@
+/**
+ * Amortisation helpers for truck loans.
+ *
+ * A schedule is built from the loan terms stored on a truck (reducing-balance
+ * EMI) and recorded `LoanCalculation` payments are allocated to installments
+ * oldest first, so each installment can be flagged paid, partial or missed.
+ * Additional charges on a payment are not counted towards an EMI.
+ */
+const moment = require('moment');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {number} principal - Amount financed
+ * @param {number} annualRate - Yearly interest rate in percent
+ * @param {number} tenureMonths - Number of monthly installments
+ * @returns {number} Monthly installment
+ */
+const calculateEmi = (principal, annualRate, tenureMonths) => {
+    const monthlyRate = annualRate / 12 / 100;
+    if (monthlyRate === 0) {
+        return round2(principal / tenureMonths);
+    }
+    const factor = Math.pow(1 + monthlyRate, tenureMonths);
+    return round2((principal * monthlyRate * factor) / (factor - 1));
+};
+
+/**
+ * Due date of an installment: `emiDay` of the month `installment` months after
+ * the start, clamped to the last day of short months.
+ * @param {Date} startDate - Loan start (disbursement) date
+ * @param {number} emiDay - Day of month the EMI falls due
+ * @param {number} installment - 1-based installment number
+ * @returns {Date} Due date (UTC, start of day)
+ */
+const getDueDate = (startDate, emiDay, installment) => {
+    const month = moment.utc(startDate).startOf('month').add(installment, 'months');
+    return month.date(Math.min(emiDay, month.daysInMonth())).toDate();
+};
+
+/**
+ * @param {Object} terms - Loan terms from the truck
+ * @param {number} terms.principal
+ * @param {number} terms.annualRate
+ * @param {number} terms.tenureMonths
+ * @param {Date} terms.startDate
+ * @param {number} terms.emiDay
+ * @returns {Object[]} One row per installment
+ */
+const buildAmortisationSchedule = ({ principal, annualRate, tenureMonths, startDate, emiDay }) => {
+    const emi = calculateEmi(principal, annualRate, tenureMonths);
+    const monthlyRate = annualRate / 12 / 100;
+    const schedule = [];
+    let balance = principal;
+
+    for (let installment = 1; installment <= tenureMonths; installment++) {
+        const interest = round2(balance * monthlyRate);
+        // The last installment absorbs rounding so the loan closes at zero
+        const principalPart = installment === tenureMonths ? balance : round2(Math.min(emi - interest, balance));
+        const closingBalance = round2(balance - principalPart);
+
+        schedule.push({
+            installment,
+            dueDate: getDueDate(startDate, emiDay, installment),
+            openingBalance: round2(balance),
+            emi: round2(interest + principalPart),
+            interest,
+            principal: round2(principalPart),
+            closingBalance,
+        });
+
+        balance = closingBalance;
+    }
+
+    return schedule;
+};
+
+/**
+ * Allocates payments to installments oldest first and flags each installment.
+ * Status is `paid`, `partial` (due and short), `missed` (due and nothing paid)
+ * or `upcoming`; `late` marks installments completed after their due date.
+ * @param {Object[]} schedule - Output of buildAmortisationSchedule
+ * @param {Object[]} payments - LoanCalculation rows ({ date, cost })
+ * @param {Date} [asOf] - Date to judge overdue installments against
+ * @returns {{ installments: Object[], unallocated: number }}
+ */
+const allocatePayments = (schedule, payments, asOf = new Date()) => {
+    const queue = payments
+        .map((payment) => ({ date: new Date(payment.date), remaining: payment.cost || 0 }))
+        .sort((a, b) => a.date - b.date);
+    const today = moment.utc(asOf).startOf('day').toDate();
+    let cursor = 0;
+
+    const installments = schedule.map((row) => {
+        let amountPaid = 0;
+        let paidOn = null;
+
+        while (amountPaid < row.emi - 0.005 && cursor < queue.length) {
+            const payment = queue[cursor];
+            const take = Math.min(payment.remaining, row.emi - amountPaid);
+            amountPaid += take;
+            payment.remaining -= take;
+            paidOn = payment.date;
+            if (payment.remaining <= 0.005) {
+                cursor++;
+            }
+        }
+
+        amountPaid = round2(amountPaid);
+        const isPaid = amountPaid >= row.emi - 0.005;
+        const isDue = row.dueDate <= today;
+        let status = 'upcoming';
+        if (isPaid) {
+            status = 'paid';
+        } else if (isDue) {
+            status = amountPaid > 0 ? 'partial' : 'missed';
+        }
+
+        return {
+            ...row,
+            amountPaid,
+            amountDue: round2(row.emi - amountPaid),
+            paidOn: isPaid ? paidOn : null,
+            late: isPaid && paidOn > moment.utc(row.dueDate).endOf('day').toDate(),
+            status,
+        };
+    });
+
+    const unallocated = round2(queue.slice(cursor).reduce((sum, payment) => sum + payment.remaining, 0));
+
+    return { installments, unallocated };
+};
+
+/**
+ * @param {Object[]} installments - Output of allocatePayments
+ * @param {number} unallocated - Payments left after the last installment
+ * @returns {Object} Totals for the schedule header
+ */
+const summariseSchedule = (installments, unallocated) => {
+    const paid = installments.filter((row) => row.status === 'paid');
+    const overdue = installments.filter((row) => row.status === 'missed' || row.status === 'partial');
+    const next = installments.find((row) => row.status !== 'paid');
+    const principalRepaid = installments.reduce(
+        (sum, row) => sum + (row.amountPaid >= row.emi - 0.005 ? row.principal : 0),
+        0
+    );
+    const principal = installments.length > 0 ? installments[0].openingBalance : 0;
+
+    return {
+        emi: installments.length > 0 ? installments[0].emi : 0,
+        totalInterest: round2(installments.reduce((sum, row) => sum + row.interest, 0)),
+        totalPayable: round2(installments.reduce((sum, row) => sum + row.emi, 0)),
+        totalPaid: round2(installments.reduce((sum, row) => sum + row.amountPaid, 0) + unallocated),
+        installmentsPaid: paid.length,
+        lateCount: paid.filter((row) => row.late).length,
+        missedCount: installments.filter((row) => row.status === 'missed').length,
+        partialCount: installments.filter((row) => row.status === 'partial').length,
+        overdueAmount: round2(overdue.reduce((sum, row) => sum + row.amountDue, 0)),
+        outstandingPrincipal: round2(principal - principalRepaid),
+        excessPaid: unallocated,
+        nextDue: next
+            ? { installment: next.installment, dueDate: next.dueDate, amountDue: next.amountDue }
+            : null,
+    };
+};
+
+module.exports = {
+    calculateEmi,
+    getDueDate,
+    buildAmortisationSchedule,
+    allocatePayments,
+    summariseSchedule,
+};
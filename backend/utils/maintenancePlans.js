@@ -0,0 +1,288 @@
+/**
+ * Preventive maintenance plans: service tasks due every N km and/or every N days.
+ *
+ * A plan's cycle starts at its last service. The distance driven since is read from
+ * the latest odometer reading of the truck's fuel and DEF entries, so a task falls
+ * due by distance, by time, or whichever comes first. Each plan owns a `maintenance`
+ * alert for its current cycle, falling due when the task enters its reminder window.
+ * A Service & Maintenance expense whose note names the task closes the cycle: the
+ * alert is switched off and unlinked, and the next cycle starts from the expense.
+ */
+const moment = require('moment');
+const MaintenancePlan = require('../models/maintenancePlan-model');
+const Truck = require('../models/truck-model');
+const Alert = require('../models/alert-model');
+const { getOdometerReadings } = require('./odometer');
+const logger = require('./logger');
+const { resetEscalation } = require('../../shared/alerts/snooze');
+
+// Other-expense category that completes maintenance tasks
+const SERVICE_CATEGORY = 'service&Maintenance';
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const ALERT_PRIORITIES = { ok: 'medium', due: 'high', overdue: 'urgent' };
+
+/**
+ * @param {Object[]} readings - Sorted readings of one truck (see getOdometerReadings)
+ * @param {Date} [date] - Latest day to consider, all readings when omitted
+ * @returns {number|null} Odometer at the end of that day, null without readings
+ */
+const getOdometerOn = (readings, date) => {
+    const end = date ? moment.utc(date).endOf('day').toDate() : null;
+    const reading = [...readings].reverse().find((candidate) => !end || candidate.date <= end);
+    return reading ? reading.currentKM : null;
+};
+
+/**
+ * Works out when a plan's task is due. Without an odometer reading at the last
+ * service, only the time interval applies.
+ * @param {Object} plan - Maintenance plan
+ * @param {number|null} currentKm - Latest odometer reading of the truck
+ * @param {Date} [now] - Reference time
+ * @returns {Object} `{ currentKm, dueKm, kmLeft, dueDate, daysLeft, state }`; state is
+ *   `ok`, `due` (within the reminder window) or `overdue`
+ */
+const getPlanStatus = (plan, currentKm, now = new Date()) => {
+    const dueKm = plan.intervalKm && plan.lastServiceKm !== null ? plan.lastServiceKm + plan.intervalKm : null;
+    const kmLeft = dueKm !== null && currentKm !== null ? dueKm - currentKm : null;
+    const dueDate = plan.intervalDays
+        ? moment.utc(plan.lastServiceDate).startOf('day').add(plan.intervalDays, 'days').toDate()
+        : null;
+    const daysLeft = dueDate ? moment.utc(dueDate).diff(moment.utc(now).startOf('day'), 'days') : null;
+
+    let state = 'ok';
+    if ((kmLeft !== null && kmLeft < 0) || (daysLeft !== null && daysLeft < 0)) {
+        state = 'overdue';
+    } else if ((kmLeft !== null && kmLeft <= plan.reminderKm) || (daysLeft !== null && daysLeft <= plan.reminderDays)) {
+        state = 'due';
+    }
+
+    return { currentKm, dueKm, kmLeft, dueDate, daysLeft, state };
+};
+
+/**
+ * Day on which the reminder of the current cycle falls due: `reminderDays` before the
+ * due date, or the day the truck came within `reminderKm` of the due distance.
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} status - Result of getPlanStatus
+ * @param {Object|null} alert - Current reminder, whose date is kept once reached by distance
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Reminder date, null while neither interval is near
+ */
+const getReminderDate = (plan, status, alert, now) => {
+    const dates = [];
+    if (status.dueDate) {
+        dates.push(moment.utc(status.dueDate).subtract(plan.reminderDays, 'days').toDate());
+    }
+    if (status.kmLeft !== null && status.kmLeft <= plan.reminderKm) {
+        dates.push(alert && alert.alertDate <= now ? alert.alertDate : moment.utc(now).startOf('day').toDate());
+    }
+    return dates.length > 0 ? new Date(Math.min(...dates.map((date) => date.getTime()))) : null;
+};
+
+/**
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} truck - Truck the plan belongs to
+ * @param {Object} status - Result of getPlanStatus
+ * @returns {Object} Alert fields derived from the plan
+ */
+const buildReminder = (plan, truck, status) => {
+    const limits = [];
+    if (status.dueKm !== null) {
+        const left = status.kmLeft !== null ? ` (${status.kmLeft} km left)` : '';
+        limits.push(`at ${status.dueKm} km${left}`);
+    }
+    if (status.dueDate) {
+        limits.push(`on ${moment.utc(status.dueDate).format('DD-MM-YYYY')}`);
+    }
+    return {
+        addedBy: truck.addedBy,
+        truckId: truck._id.toString(),
+        type: 'maintenance',
+        priority: ALERT_PRIORITIES[status.state],
+        title: `${plan.task} due - ${truck.registrationNo}`.slice(0, 100),
+        description: `${plan.task} of ${truck.registrationNo} is due ${limits.join(' or ')}, whichever comes first.`.slice(0, 500),
+    };
+};
+
+/**
+ * Creates, reschedules or switches off the reminder of a plan's current cycle. A
+ * reminder the user dismissed stays dismissed until its date changes.
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} truck - Truck the plan belongs to
+ * @param {number|null} currentKm - Latest odometer reading of the truck
+ * @param {Date} now - Reference time
+ */
+const syncPlanAlert = async (plan, truck, currentKm, now) => {
+    const status = getPlanStatus(plan, currentKm, now);
+    const alert = plan.alertId ? await Alert.findById(plan.alertId) : null;
+    const alertDate = getReminderDate(plan, status, alert, now);
+
+    if (!alertDate) {
+        if (alert) {
+            await Alert.updateOne({ _id: alert._id }, { isActive: false, updatedAt: new Date() });
+            await MaintenancePlan.updateOne({ _id: plan._id }, { alertId: null });
+        }
+        return;
+    }
+
+    const reminder = { ...buildReminder(plan, truck, status), alertDate };
+    if (!alert) {
+        const saved = await new Alert(reminder).save();
+        await MaintenancePlan.updateOne({ _id: plan._id }, { alertId: saved._id.toString() });
+        logger.info('Maintenance reminder created', { planId: plan._id, alertId: saved._id, alertDate });
+        return;
+    }
+
+    const rescheduled = alert.alertDate.getTime() !== alertDate.getTime();
+    await Alert.findOneAndUpdate(
+        { _id: alert._id },
+        rescheduled
+            ? { ...reminder, isActive: true, isRead: false, ...resetEscalation(alert, reminder.priority) }
+            // An escalated reminder stays urgent until it moves to a new date
+            : { ...reminder, priority: alert.escalationLevel > 0 ? alert.priority : reminder.priority }
+    );
+};
+
+/**
+ * Re-syncs the reminders of every plan of a truck against its latest odometer reading.
+ * @param {string} truckId - Truck id
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of plans synced
+ */
+const refreshTruckMaintenance = async (truckId, now = new Date()) => {
+    const plans = await MaintenancePlan.find({ truckId });
+    const truck = plans.length > 0 ? await Truck.findById(truckId) : null;
+    if (!truck) {
+        return 0;
+    }
+
+    const currentKm = getOdometerOn(await getOdometerReadings({ truckId }));
+    for (const plan of plans) {
+        await syncPlanAlert(plan, truck, currentKm, now);
+    }
+    return plans.length;
+};
+
+/**
+ * Starts a new cycle of a plan from a service, switching off the reminder of the cycle
+ * it closes. The next reminder is created by the following sync.
+ * @param {Object} plan - Maintenance plan document
+ * @param {Object} service - `{ date, km, expenseId }` of the service
+ * @returns {Promise<Object>} The saved plan
+ */
+const closeMaintenanceCycle = async (plan, { date, km, expenseId = null }) => {
+    if (plan.alertId) {
+        await Alert.updateOne({ _id: plan.alertId }, { isActive: false, updatedAt: new Date() });
+    }
+    plan.set({
+        lastServiceDate: date,
+        lastServiceKm: km,
+        lastExpenseId: expenseId,
+        alertId: null,
+    });
+    return plan.save();
+};
+
+/**
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} expense - Other expense
+ * @returns {boolean} Whether the expense's note or description names the plan's task
+ */
+const matchesTask = (plan, expense) =>
+    `${expense.note || ''} ${expense.other || ''}`.toLowerCase().includes(plan.task.toLowerCase());
+
+/**
+ * Closes the cycle of every plan a Service & Maintenance expense names. Services older
+ * than a plan's current cycle are ignored, unless the expense itself started that cycle.
+ * @param {Object} expense - Saved other expense
+ * @returns {Promise<Object[]>} Plans whose cycle was closed
+ */
+const completeMaintenanceTasks = async (expense) => {
+    if (expense.category !== SERVICE_CATEGORY) {
+        return [];
+    }
+
+    const expenseId = expense._id.toString();
+    const plans = (await MaintenancePlan.find({ truckId: expense.truckId })).filter((plan) =>
+        matchesTask(plan, expense)
+        && (plan.lastExpenseId === expenseId || moment.utc(expense.date).isSameOrAfter(plan.lastServiceDate, 'day')));
+    if (plans.length === 0) {
+        return [];
+    }
+
+    const km = getOdometerOn(await getOdometerReadings({ truckId: expense.truckId }), expense.date);
+    const completed = [];
+    for (const plan of plans) {
+        completed.push(await closeMaintenanceCycle(plan, { date: expense.date, km, expenseId }));
+        logger.info('Maintenance task completed by expense', { planId: plan._id, expenseId, task: plan.task });
+    }
+    return completed;
+};
+
+/**
+ * Keeps a truck's maintenance reminders in step after one of its expenses changed.
+ * Never rejects, so a failed sync does not fail the expense it follows; the daily
+ * refresh catches up.
+ * @param {string} truckId - Truck id
+ * @param {Object} [expense] - Saved other expense, which may complete tasks
+ */
+const syncTruckMaintenance = async (truckId, expense) => {
+    if (!truckId || (expense && expense.category !== SERVICE_CATEGORY)) {
+        return;
+    }
+    try {
+        if (expense) {
+            await completeMaintenanceTasks(expense);
+        }
+        await refreshTruckMaintenance(truckId);
+    } catch (error) {
+        logger.error('Maintenance plan sync failed', { truckId, error: error.message, stack: error.stack });
+    }
+};
+
+/**
+ * Re-syncs the reminders of every truck with maintenance plans, so time-based tasks
+ * fall due and priorities rise without new entries.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of plans synced
+ */
+const refreshMaintenanceAlerts = async (now = new Date()) => {
+    const truckIds = await MaintenancePlan.distinct('truckId', { isArchived: { $ne: true } });
+    let synced = 0;
+    for (const truckId of truckIds) {
+        synced += await refreshTruckMaintenance(truckId, now);
+    }
+    return synced;
+};
+
+/**
+ * Runs the reminder refresh now and then once a day. Call after the database is connected.
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+const startMaintenanceSchedule = () => {
+    const run = () => refreshMaintenanceAlerts()
+        .then((count) => {
+            if (count > 0) {
+                logger.info('Maintenance reminders refreshed', { count });
+            }
+        })
+        .catch((error) => logger.error('Maintenance reminder refresh failed', { error: error.message, stack: error.stack }));
+
+    run();
+    const interval = setInterval(run, REFRESH_INTERVAL_MS);
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    SERVICE_CATEGORY,
+    getOdometerOn,
+    getPlanStatus,
+    refreshTruckMaintenance,
+    closeMaintenanceCycle,
+    completeMaintenanceTasks,
+    syncTruckMaintenance,
+    refreshMaintenanceAlerts,
+    startMaintenanceSchedule,
+};
@@ -1,16 +1,48 @@
+const crypto = require('crypto');
 const multer = require('multer');
+const ErrorHandler = require('../middleware/errorHandlers');
 
-module.exports.uploadFile = (fileId,loc="./public/general/") => multer({
+// `options.limits` and `options.fileFilter` are passed on to multer. With `options.fixedLocation`
+// the `location` query parameter is ignored, for files that must stay where `loc` puts them.
+module.exports.uploadFile = (fileId,loc="./public/general/",options={}) => multer({
+    limits: options.limits,
+    fileFilter: options.fileFilter,
     storage: multer.diskStorage({
         destination: (req, file, cb) => {
-            if(req?.query?.location){
+            if(req?.query?.location && !options.fixedLocation){
                 cb(null, `./public/${req.query.location}/`)
             }else{
                 cb(null, loc)
             }
         },
         filename: (req, file, cb) => {
-            cb(null, Date.now() + "." + (ext = file.originalname.split(".").pop()))
+            // Random suffix keeps uploads made in the same millisecond apart
+            cb(null, Date.now() + "-" + crypto.randomBytes(6).toString("hex") + "." + file.originalname.split(".").pop())
         }
     })
-}).single(fileId);
\ No newline at end of file
+}).single(fileId);
+
+const SPREADSHEET_EXTENSIONS = ["csv", "xlsx", "xls"];
+
+// Keeps the upload in memory (`req.file.buffer`) for imports that are parsed, not stored.
+// Rejected files are reported as 400s.
+module.exports.uploadSpreadsheet = (fileId, maxSizeMB = 5) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSizeMB * 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            const ext = file.originalname.split(".").pop().toLowerCase();
+            if (!SPREADSHEET_EXTENSIONS.includes(ext)) {
+                return cb(new ErrorHandler("Only CSV or Excel (.xlsx) files can be imported", 400));
+            }
+            cb(null, true);
+        }
+    }).single(fileId);
+
+    return (req, res, next) => upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return next(new ErrorHandler(err.code === "LIMIT_FILE_SIZE" ? `File is larger than ${maxSizeMB} MB` : err.message, 400));
+        }
+        next(err);
+    });
+};
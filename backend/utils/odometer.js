@@ -0,0 +1,212 @@
+/**
+ * Odometer integrity checks for fuel and DEF entries.
+ *
+ * Both collections record the truck's `currentKM`, so they are read together as one
+ * odometer history, ordered by date (readings on the same day by kilometres). A reading
+ * is suspicious when it is lower than the one before it, higher than the one after it,
+ * or further ahead of the previous reading than the truck could plausibly drive.
+ */
+const moment = require('moment');
+const FuelExpense = require('../models/fuelExpense-model');
+const DefExpense = require('../models/defExpense-model');
+
+const ODOMETER_SOURCES = {
+    fuel: FuelExpense,
+    def: DefExpense,
+};
+
+// Upper bound of kilometres a truck can cover in one day
+const MAX_KM_PER_DAY = Number(process.env.ODOMETER_MAX_KM_PER_DAY) || 1000;
+
+const compareReadings = (a, b) =>
+    new Date(a.date) - new Date(b.date) || a.currentKM - b.currentKM;
+
+/**
+ * @param {Date} from - Earlier reading date
+ * @param {Date} to - Later reading date
+ * @returns {number} Whole days between the two dates
+ */
+const daysBetween = (from, to) =>
+    moment.utc(to).startOf('day').diff(moment.utc(from).startOf('day'), 'days');
+
+/**
+ * @param {number} days - Days between two readings
+ * @returns {number} Most kilometres plausible in that time
+ */
+const getAllowedDistance = (days) => MAX_KM_PER_DAY * Math.max(1, days);
+
+/**
+ * Loads the odometer history of the given filter from fuel and DEF entries.
+ * @param {Object} filter - Mongo filter, e.g. `{ truckId }` or an owner scope
+ * @returns {Promise<Object[]>} Readings `{ expenseId, type, truckId, date, currentKM }`, sorted
+ */
+const getOdometerReadings = async (filter) => {
+    const readings = [];
+    for (const [type, Model] of Object.entries(ODOMETER_SOURCES)) {
+        const entries = await Model.find(filter).select('truckId date currentKM').lean();
+        entries.forEach((entry) => readings.push({
+            expenseId: entry._id.toString(),
+            type,
+            truckId: entry.truckId,
+            date: entry.date,
+            currentKM: entry.currentKM,
+        }));
+    }
+    return readings.sort(compareReadings);
+};
+
+/**
+ * Checks a reading against the one recorded before it.
+ * @returns {Object|null} Issue `{ code, message, previous, distance, days }`, or null if plausible
+ */
+const checkAgainstPrevious = (previous, reading) => {
+    const distance = reading.currentKM - previous.currentKM;
+    const days = daysBetween(previous.date, reading.date);
+    const previousDate = moment.utc(previous.date).format('DD-MM-YYYY');
+
+    if (distance < 0) {
+        return {
+            code: 'BELOW_PREVIOUS',
+            message: `Odometer ${reading.currentKM} km is lower than ${previous.currentKM} km recorded on ${previousDate}`,
+            previous,
+            distance,
+            days,
+        };
+    }
+    const allowed = getAllowedDistance(days);
+    if (distance > allowed) {
+        return {
+            code: 'TOO_FAR_AHEAD',
+            message: `Odometer ${reading.currentKM} km is ${distance} km ahead of ${previous.currentKM} km recorded on ${previousDate}, more than ${allowed} km is unlikely in ${Math.max(1, days)} day(s)`,
+            previous,
+            distance,
+            days,
+        };
+    }
+    return null;
+};
+
+/**
+ * Checks a reading against its neighbours in the odometer history.
+ * @param {Object} candidate - `{ date, currentKM }` being saved, `currentKM` as a number
+ * @param {Object} [previous] - Reading recorded at or before it
+ * @param {Object} [next] - Reading recorded after it
+ * @returns {Object[]} Issues found, empty when the reading is plausible
+ */
+const checkAgainstNeighbours = (candidate, previous, next) => {
+    const issues = [];
+    if (previous) {
+        const issue = checkAgainstPrevious(previous, candidate);
+        if (issue) {
+            issues.push(issue);
+        }
+    }
+    if (next && candidate.currentKM > next.currentKM) {
+        issues.push({
+            code: 'ABOVE_NEXT',
+            message: `Odometer ${candidate.currentKM} km is higher than ${next.currentKM} km recorded later on ${moment.utc(next.date).format('DD-MM-YYYY')}`,
+            next,
+        });
+    }
+    return issues;
+};
+
+/**
+ * Validates a new or edited reading against the truck's odometer history.
+ * @param {Object} reading - `{ truckId, date, currentKM }` of the entry being saved
+ * @param {string} [excludeId] - Id of the entry being edited, so it is not compared with itself
+ * @returns {Promise<Object[]>} Issues found, empty when the reading is plausible
+ */
+const checkOdometerReading = async ({ truckId, date, currentKM }, excludeId) => {
+    const value = Number(currentKM);
+    if (!truckId || !date || !Number.isFinite(value)) {
+        return [];
+    }
+
+    const candidate = { date: new Date(date), currentKM: value };
+    const readings = (await getOdometerReadings({ truckId }))
+        .filter((reading) => reading.expenseId !== String(excludeId));
+
+    const previous = [...readings].reverse().find((reading) => compareReadings(reading, candidate) <= 0);
+    const next = readings.find((reading) => compareReadings(reading, candidate) > 0);
+    return checkAgainstNeighbours(candidate, previous, next);
+};
+
+/**
+ * Validates new readings saved together, e.g. by an import, against each truck's
+ * odometer history and against each other.
+ * @param {Object[]} readings - `{ truckId, date, currentKM }` of the entries being saved
+ * @returns {Promise<Object[][]>} Issues of each reading, in the order given
+ */
+const checkOdometerReadings = async (readings) => {
+    const candidates = readings.map(({ truckId, date, currentKM }, index) => ({
+        index,
+        truckId: truckId && String(truckId),
+        date: new Date(date),
+        currentKM: Number(currentKM),
+    }));
+    const issues = candidates.map(() => []);
+
+    const truckIds = [...new Set(candidates.map((candidate) => candidate.truckId).filter(Boolean))];
+    for (const truckId of truckIds) {
+        const history = await getOdometerReadings({ truckId });
+        const merged = [...history, ...candidates.filter((candidate) => candidate.truckId === truckId)]
+            .sort(compareReadings);
+
+        merged.forEach((reading, position) => {
+            if (reading.index === undefined || Number.isNaN(reading.date.getTime()) || !Number.isFinite(reading.currentKM)) {
+                return;
+            }
+            const next = merged[position + 1];
+            issues[reading.index] = checkAgainstNeighbours(
+                reading,
+                merged[position - 1],
+                next && compareReadings(next, reading) > 0 ? next : undefined
+            );
+        });
+    }
+    return issues;
+};
+
+/**
+ * Validates an edit of an existing entry. Edits that leave the truck, date and
+ * kilometres unchanged are not checked again.
+ * @param {Object} existing - Entry as currently stored
+ * @param {Object} changes - Incoming `{ truckId, date, currentKM }`, missing values keep the stored ones
+ * @returns {Promise<Object[]>} Issues found, empty when the reading is plausible or unchanged
+ */
+const checkOdometerUpdate = async (existing, { truckId, date, currentKM }) => {
+    const reading = {
+        truckId: truckId || existing.truckId,
+        date: date ?? existing.date,
+        currentKM: currentKM ?? existing.currentKM,
+    };
+    const changed = reading.truckId !== existing.truckId
+        || Number(reading.currentKM) !== existing.currentKM
+        || new Date(reading.date).getTime() !== new Date(existing.date).getTime();
+
+    return changed ? checkOdometerReading(reading, existing._id) : [];
+};
+
+/**
+ * Lists suspicious readings in an odometer history.
+ * @param {Object[]} readings - Sorted readings of one truck (see getOdometerReadings)
+ * @returns {Object[]} Each suspicious reading with its issue and the reading before it
+ */
+const findOdometerAnomalies = (readings) =>
+    readings.slice(1).reduce((anomalies, reading, index) => {
+        const issue = checkAgainstPrevious(readings[index], reading);
+        if (issue) {
+            anomalies.push({ ...reading, ...issue });
+        }
+        return anomalies;
+    }, []);
+
+module.exports = {
+    MAX_KM_PER_DAY,
+    getOdometerReadings,
+    checkOdometerReading,
+    checkOdometerReadings,
+    checkOdometerUpdate,
+    findOdometerAnomalies,
+};
@@ -0,0 +1,40 @@
+/**
+ * Organisation roles and what each may do per resource.
+ *
+ * Members act on the organisation owner's data (see `utils/ownership`); this
+ * table decides whether a member may read (GET) or write (anything else) it.
+ * Users that do not belong to an organisation own their data outright.
+ */
+const ORG_ROLES = ['owner', 'accountant', 'dispatcher', 'driver-readonly'];
+
+const ALL_ROLES = ORG_ROLES;
+const OFFICE_ROLES = ['owner', 'accountant', 'dispatcher'];
+
+const PERMISSIONS = {
+    trucks: { read: ALL_ROLES, write: ['owner', 'dispatcher'] },
+    drivers: { read: ALL_ROLES, write: ['owner', 'dispatcher'] },
+    trips: { read: ALL_ROLES, write: OFFICE_ROLES },
+    alerts: { read: ALL_ROLES, write: OFFICE_ROLES },
+    expenses: { read: OFFICE_ROLES, write: OFFICE_ROLES },
+    income: { read: OFFICE_ROLES, write: ['owner', 'accountant'] },
+    loans: { read: OFFICE_ROLES, write: ['owner', 'accountant'] },
+    payroll: { read: ['owner', 'accountant'], write: ['owner', 'accountant'] },
+    metadata: { read: OFFICE_ROLES, write: [] },
+};
+
+/**
+ * @param {string} role - Member role
+ * @param {string} resource - Key of PERMISSIONS
+ * @param {'read'|'write'} action - Requested action
+ * @returns {boolean} Whether the role may perform the action
+ */
+const canAccess = (role, resource, action) => {
+    const permission = PERMISSIONS[resource];
+    return Boolean(permission && permission[action].includes(role));
+};
+
+module.exports = {
+    ORG_ROLES,
+    PERMISSIONS,
+    canAccess,
+};
@@ -0,0 +1,61 @@
+/**
+ * Categories of other expenses, as stored (`category`) and as shown in the app and
+ * in Excel exports. An expense in the `other` category describes itself in `other`;
+ * exports write it as "Other: <description>" so an import can tell it apart from a
+ * mistyped category.
+ */
+
+// Stored category -> label
+const OTHER_EXPENSE_CATEGORIES = {
+    toll: 'Toll',
+    pollution: 'Pollution',
+    insurance: 'Insurance',
+    'service&Maintenance': 'Service & Maintenance',
+    'salary&incentives': 'Salary & Incentives',
+    other: 'Other',
+};
+
+const OTHER_PREFIX = /^other\s*[:\-]\s*/i;
+
+const normalise = (value) => String(value).trim().toLowerCase();
+
+/**
+ * @param {Object} expense - Other expense (`category`, `other`)
+ * @returns {string} Category cell of an export
+ */
+const formatOtherExpenseCategory = ({ category, other }) => {
+    if (category === 'other') {
+        return other ? `Other: ${other}` : OTHER_EXPENSE_CATEGORIES.other;
+    }
+    return OTHER_EXPENSE_CATEGORIES[category] || category;
+};
+
+/**
+ * Reads a category cell written by an export, or typed by hand. Stored keys and labels
+ * are matched regardless of case.
+ * @param {string} value - Category cell
+ * @returns {{ category?: string, other?: string, error?: string }} Fields to store, or why the cell is refused
+ */
+const parseOtherExpenseCategory = (value) => {
+    const text = String(value).trim();
+    const described = text.match(OTHER_PREFIX);
+    if (described) {
+        const other = text.slice(described[0].length).trim();
+        return other ? { category: 'other', other } : { category: 'other' };
+    }
+
+    const category = Object.keys(OTHER_EXPENSE_CATEGORIES).find((key) =>
+        normalise(key) === normalise(text) || normalise(OTHER_EXPENSE_CATEGORIES[key]) === normalise(text));
+    if (category) {
+        return { category };
+    }
+
+    const labels = Object.values(OTHER_EXPENSE_CATEGORIES).join(', ');
+    return { error: `Category "${text}" is not one of ${labels}; write other costs as "Other: <description>"` };
+};
+
+module.exports = {
+    OTHER_EXPENSE_CATEGORIES,
+    formatOtherExpenseCategory,
+    parseOtherExpenseCategory,
+};
@@ -0,0 +1,112 @@
+/**
+ * Ownership helpers used to scope every data query to the authenticated caller.
+ *
+ * The owner of a record is the `userId` carried in the JWT decoded by
+ * `isAuthenticated` (stored on records as `addedBy`). Members of an organisation
+ * (`req.org`, loaded by `orgAccess`) act on the organisation owner's data instead.
+ * Ids sent by the client in params, query or body are never trusted on their own;
+ * admins (`isAdmin` in the token) bypass the scope and may act on any user's data.
+ */
+const { default: mongoose } = require('mongoose');
+const Truck = require('../models/truck-model');
+const Trip = require('../models/trip-model');
+
+/**
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether the caller is an admin
+ */
+const isAdminUser = (req) => Boolean(req.user && req.user.isAdmin);
+
+/**
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Id of the user whose data the caller works on
+ */
+const getOwnerId = (req) => {
+    if (req.org) {
+        return req.org.ownerId;
+    }
+    return req.user ? req.user.userId : undefined;
+};
+
+/**
+ * Filter to merge into queries on owned collections. Admins are not scoped.
+ * @param {Object} req - Express request object
+ * @returns {Object} Mongo filter
+ */
+const ownerScope = (req) => (isAdminUser(req) ? {} : { addedBy: getOwnerId(req) });
+
+/**
+ * Resolves the owner id a request is asking about.
+ * Missing ids, and the caller's own id, resolve to the data owner; admins may ask for anyone.
+ * @param {Object} req - Express request object
+ * @param {string} [requestedId] - Owner id sent by the client
+ * @returns {string|null} Owner id to query with, or null when the caller may not see it
+ */
+const resolveOwnerId = (req, requestedId) => {
+    const ownerId = getOwnerId(req);
+    if (!requestedId) {
+        return ownerId;
+    }
+    if (String(requestedId) === String(ownerId) || String(requestedId) === String(req.user.userId)) {
+        return ownerId;
+    }
+    if (isAdminUser(req)) {
+        return requestedId;
+    }
+    return null;
+};
+
+/**
+ * Finds a truck only if the caller owns it (or is an admin).
+ * @param {Object} req - Express request object
+ * @param {string} truckId - Truck id sent by the client
+ * @returns {Promise<Object|null>} The truck, or null when missing or foreign
+ */
+const findOwnedTruck = async (req, truckId) => {
+    if (!truckId || !mongoose.Types.ObjectId.isValid(truckId)) {
+        return null;
+    }
+    return Truck.findOne({ _id: truckId, ...ownerScope(req) });
+};
+
+/**
+ * Finds a trip only if the caller owns it (or is an admin).
+ * @param {Object} req - Express request object
+ * @param {string} tripId - Trip id sent by the client
+ * @returns {Promise<Object|null>} The trip, or null when missing or foreign
+ */
+const findOwnedTrip = async (req, tripId) => {
+    if (!tripId || !mongoose.Types.ObjectId.isValid(tripId)) {
+        return null;
+    }
+    return Trip.findOne({ _id: tripId, ...ownerScope(req) });
+};
+
+/**
+ * Checks that an entry on `truckId` may be linked to `tripId`: the trip must be
+ * the caller's and have run on that truck.
+ * @param {Object} req - Express request object
+ * @param {string} tripId - Trip id sent by the client
+ * @param {string} truckId - Truck the entry is (or will be) on
+ * @returns {Promise<{status: number, message: string}|null>} The error to respond with, or null when the link is fine
+ */
+const checkTripOfTruck = async (req, tripId, truckId) => {
+    const trip = await findOwnedTrip(req, tripId);
+    if (!trip) {
+        return { status: 404, message: 'Trip not found' };
+    }
+    if (String(trip.truckId) !== String(truckId)) {
+        return { status: 400, message: 'Trip belongs to another truck' };
+    }
+    return null;
+};
+
+module.exports = {
+    isAdminUser,
+    getOwnerId,
+    ownerScope,
+    resolveOwnerId,
+    findOwnedTruck,
+    findOwnedTrip,
+    checkTripOfTruck,
+};
@@ -0,0 +1,81 @@
+/**
+ * File storage for entry attachments.
+ *
+ * Records only keep the key a driver returns, never a path or URL, so files can move
+ * to another backend by adding a driver with the same methods. The local driver keeps
+ * files in ATTACHMENT_STORAGE_DIR, outside `public/`, so they are reachable only through
+ * endpoints that check ownership.
+ */
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const ErrorHandler = require('../middleware/errorHandlers');
+const { uploadFile } = require('./multer');
+
+const LOCAL_DIR = path.resolve(process.env.ATTACHMENT_STORAGE_DIR || './storage/attachments');
+
+// Keys are plain file names; anything else is stripped so a key cannot leave the directory
+const resolveLocalPath = (key) => path.join(LOCAL_DIR, path.basename(String(key)));
+
+const localDriver = {
+    upload: (fileId, options) => {
+        fs.mkdirSync(LOCAL_DIR, { recursive: true });
+        return uploadFile(fileId, `${LOCAL_DIR}/`, { ...options, fixedLocation: true });
+    },
+    // Key of a file stored by `upload`
+    keyOf: (file) => file.filename,
+    read: (key) => fs.promises.readFile(resolveLocalPath(key)),
+    createReadStream: (key) => fs.createReadStream(resolveLocalPath(key)),
+    save: async (key, buffer) => {
+        await fs.promises.mkdir(LOCAL_DIR, { recursive: true });
+        await fs.promises.writeFile(resolveLocalPath(key), buffer);
+        return key;
+    },
+    remove: (key) => fs.promises.rm(resolveLocalPath(key), { force: true }),
+};
+
+const DRIVERS = {
+    local: localDriver,
+};
+
+const driver = DRIVERS[process.env.ATTACHMENT_STORAGE_DRIVER || 'local'];
+if (!driver) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE_DRIVER "${process.env.ATTACHMENT_STORAGE_DRIVER}"`);
+}
+
+/**
+ * Middleware storing the uploaded `fileId` field; `req.file.storageKey` is set on success.
+ * Rejected files are reported as 400s.
+ * @param {string} fileId - Multipart field name
+ * @param {Object} options - `{ extensions, maxSizeMB }`
+ */
+const uploadToStorage = (fileId, { extensions, maxSizeMB }) => {
+    const upload = driver.upload(fileId, {
+        limits: { fileSize: maxSizeMB * 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            const ext = file.originalname.split('.').pop().toLowerCase();
+            if (!extensions.includes(ext)) {
+                return cb(new ErrorHandler(`Only ${extensions.join(', ')} files can be attached`, 400));
+            }
+            cb(null, true);
+        },
+    });
+
+    return (req, res, next) => upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return next(new ErrorHandler(err.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${maxSizeMB} MB` : err.message, 400));
+        }
+        if (!err && req.file) {
+            req.file.storageKey = driver.keyOf(req.file);
+        }
+        next(err);
+    });
+};
+
+module.exports = {
+    uploadToStorage,
+    readFile: (key) => driver.read(key),
+    createReadStream: (key) => driver.createReadStream(key),
+    saveFile: (key, buffer) => driver.save(key, buffer),
+    removeFile: (key) => driver.remove(key),
+};
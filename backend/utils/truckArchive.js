@@ -0,0 +1,123 @@
+/**
+ * Soft archive for trucks.
+ *
+ * Deleting a truck archives it together with everything linked to it (expenses,
+ * trips, income, loan payments, alerts, documents, driver assignments and
+ * maintenance plans), so it can be restored. Archived trucks are permanently purged
+ * once they are older than the retention period.
+ */
+const Truck = require('../models/truck-model');
+const FuelExpense = require('../models/fuelExpense-model');
+const DefExpense = require('../models/defExpense-model');
+const OtherExpense = require('../models/otherExpense-model');
+const Trip = require('../models/trip-model');
+const Income = require('../models/income-model');
+const LoanCalculation = require('../models/calculateLoan-model');
+const Alert = require('../models/alert-model');
+const TruckDocument = require('../models/truckDocument-model');
+const DriverAssignment = require('../models/driverAssignment-model');
+const MaintenancePlan = require('../models/maintenancePlan-model');
+const logger = require('./logger');
+
+const RELATED_MODELS = [FuelExpense, DefExpense, OtherExpense, Trip, Income, LoanCalculation, Alert, TruckDocument, DriverAssignment, MaintenancePlan];
+
+const ARCHIVE_RETENTION_DAYS = Number(process.env.TRUCK_ARCHIVE_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} archivedAt - When the truck was archived
+ * @returns {Date} When the truck becomes eligible for purging
+ */
+const getPurgeDate = (archivedAt) =>
+    new Date(archivedAt.getTime() + ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Archives a truck and its linked records with a shared `archivedAt`.
+ * @param {Object} truck - Truck document
+ * @returns {Promise<Date>} The archive timestamp
+ */
+const archiveTruck = async (truck) => {
+    const truckId = truck._id.toString();
+    const archivedAt = new Date();
+
+    for (const Model of RELATED_MODELS) {
+        const result = await Model.updateMany({ truckId }, { isArchived: true, archivedAt });
+        logger.info(`${Model.modelName} records archived`, { truckId, count: result.modifiedCount });
+    }
+
+    await Truck.updateOne({ _id: truck._id }, { isArchived: true, archivedAt });
+    return archivedAt;
+};
+
+/**
+ * Restores an archived truck and the records archived with it. Records archived
+ * at a different time are left alone.
+ * @param {Object} truck - Archived truck document
+ * @returns {Promise<Object>} The restored truck
+ */
+const restoreTruck = async (truck) => {
+    const truckId = truck._id.toString();
+
+    for (const Model of RELATED_MODELS) {
+        const result = await Model.updateMany(
+            { truckId, isArchived: true, archivedAt: truck.archivedAt },
+            { isArchived: false, archivedAt: null }
+        );
+        logger.info(`${Model.modelName} records restored`, { truckId, count: result.modifiedCount });
+    }
+
+    return Truck.findOneAndUpdate(
+        { _id: truck._id, isArchived: true },
+        { isArchived: false, archivedAt: null },
+        { new: true }
+    );
+};
+
+/**
+ * Permanently deletes trucks archived before the retention cut-off, with their records.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of trucks purged
+ */
+const purgeArchivedTrucks = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const trucks = await Truck.find({ isArchived: true, archivedAt: { $lte: cutoff } });
+
+    for (const truck of trucks) {
+        const truckId = truck._id.toString();
+        for (const Model of RELATED_MODELS) {
+            await Model.deleteMany({ truckId, isArchived: true });
+        }
+        await Truck.deleteOne({ _id: truck._id, isArchived: true });
+        logger.info('Archived truck purged', { truckId, registrationNo: truck.registrationNo, archivedAt: truck.archivedAt });
+    }
+
+    return trucks.length;
+};
+
+/**
+ * Runs the purge now and then once a day. Call after the database is connected.
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+const startTruckPurgeSchedule = () => {
+    const run = () => purgeArchivedTrucks()
+        .then((count) => {
+            if (count > 0) {
+                logger.info('Archived truck purge completed', { count, retentionDays: ARCHIVE_RETENTION_DAYS });
+            }
+        })
+        .catch((error) => logger.error('Archived truck purge failed', { error: error.message, stack: error.stack }));
+
+    run();
+    const interval = setInterval(run, PURGE_INTERVAL_MS);
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    ARCHIVE_RETENTION_DAYS,
+    getPurgeDate,
+    archiveTruck,
+    restoreTruck,
+    purgeArchivedTrucks,
+    startTruckPurgeSchedule,
+};
@@ -0,0 +1,237 @@
+/**
+ * Truck documents (RC, insurance, permit, fitness and pollution certificates) and
+ * the compliance picture built from them.
+ *
+ * The latest-expiring document of each type is the truck's current one. It owns a
+ * reminder alert falling due `reminderDays` before expiry; older documents of the
+ * same type are superseded and their alerts switched off and unlinked. Alerts are
+ * re-synced when a document changes and their priority is raised daily as expiry
+ * gets closer.
+ */
+const moment = require('moment');
+const TruckDocument = require('../models/truckDocument-model');
+const Alert = require('../models/alert-model');
+const logger = require('./logger');
+const { resetEscalation } = require('../../shared/alerts/snooze');
+
+// Alert type used for the reminders of each document type
+const DOCUMENT_TYPES = {
+    rc: { label: 'Registration certificate', alertType: 'license' },
+    insurance: { label: 'Insurance', alertType: 'insurance' },
+    permit: { label: 'Permit', alertType: 'license' },
+    fitness: { label: 'Fitness certificate', alertType: 'inspection' },
+    pollution: { label: 'Pollution certificate', alertType: 'inspection' },
+};
+const REQUIRED_DOCUMENT_TYPES = Object.keys(DOCUMENT_TYPES);
+
+// Documents expiring within this many days get a high priority reminder
+const HIGH_PRIORITY_DAYS = 7;
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} expiryDate - Expiry date
+ * @param {Date} now - Reference time
+ * @returns {number} Whole days until expiry, negative once expired
+ */
+const getDaysToExpiry = (expiryDate, now) =>
+    moment.utc(expiryDate).startOf('day').diff(moment.utc(now).startOf('day'), 'days');
+
+/**
+ * @param {Date} expiryDate - Expiry date
+ * @param {Date} now - Reference time
+ * @returns {string} Alert priority for a renewal reminder
+ */
+const getReminderPriority = (expiryDate, now) => {
+    const days = getDaysToExpiry(expiryDate, now);
+    if (days < 0) {
+        return 'urgent';
+    }
+    return days <= HIGH_PRIORITY_DAYS ? 'high' : 'medium';
+};
+
+/**
+ * @param {Object} document - Truck document
+ * @param {Object} truck - Truck the document belongs to
+ * @returns {Object} Alert fields derived from the document
+ */
+const buildReminder = (document, truck) => {
+    const { label, alertType } = DOCUMENT_TYPES[document.type];
+    const expiry = moment.utc(document.expiryDate).format('DD-MM-YYYY');
+    const number = document.number ? ` ${document.number}` : '';
+    return {
+        addedBy: truck.addedBy,
+        truckId: truck._id.toString(),
+        type: alertType,
+        title: `${label} renewal - ${truck.registrationNo}`.slice(0, 100),
+        description: `${label}${number} of ${truck.registrationNo} expires on ${expiry}.`,
+        alertDate: moment.utc(document.expiryDate).subtract(document.reminderDays, 'days').toDate(),
+    };
+};
+
+/**
+ * Creates or updates the reminder alert of a current document. A reminder the user
+ * dismissed stays dismissed until the document's dates change.
+ * @param {Object} document - Truck document
+ * @param {Object} truck - Truck the document belongs to
+ * @param {Date} now - Reference time
+ */
+const upsertReminder = async (document, truck, now) => {
+    const reminder = { ...buildReminder(document, truck), priority: getReminderPriority(document.expiryDate, now) };
+    const alert = document.alertId ? await Alert.findById(document.alertId) : null;
+
+    if (!alert) {
+        const saved = await new Alert(reminder).save();
+        await TruckDocument.updateOne({ _id: document._id }, { alertId: saved._id.toString() });
+        logger.info('Document reminder created', { documentId: document._id, alertId: saved._id, alertDate: saved.alertDate });
+        return;
+    }
+
+    const rescheduled = alert.alertDate.getTime() !== reminder.alertDate.getTime();
+    await Alert.findOneAndUpdate(
+        { _id: alert._id },
+        rescheduled
+            ? { ...reminder, isActive: true, isRead: false, ...resetEscalation(alert, reminder.priority) }
+            // An escalated reminder stays urgent until it moves to a new date
+            : { ...reminder, priority: alert.escalationLevel > 0 ? alert.priority : reminder.priority }
+    );
+};
+
+/**
+ * Re-syncs the reminders of one document type on one truck.
+ * @param {Object} truck - Truck document
+ * @param {string} type - Document type
+ * @param {Date} [now] - Reference time
+ */
+const syncDocumentAlerts = async (truck, type, now = new Date()) => {
+    const documents = await TruckDocument.find({ truckId: truck._id.toString(), type }).sort({ expiryDate: -1, createdAt: -1 });
+    const [current, ...superseded] = documents;
+
+    if (current) {
+        await upsertReminder(current, truck, now);
+    }
+
+    // Unlinked, so a superseded document that becomes current again gets a fresh reminder
+    const supersededAlertIds = superseded.map((document) => document.alertId).filter(Boolean);
+    if (supersededAlertIds.length > 0) {
+        await Alert.updateMany({ _id: { $in: supersededAlertIds } }, { isActive: false, updatedAt: new Date() });
+        await TruckDocument.updateMany({ alertId: { $in: supersededAlertIds } }, { alertId: null });
+    }
+};
+
+/**
+ * Switches off the reminder of a deleted document.
+ * @param {Object} document - Deleted truck document
+ */
+const deactivateDocumentAlert = async (document) => {
+    if (document.alertId) {
+        await Alert.updateOne({ _id: document.alertId }, { isActive: false, updatedAt: new Date() });
+    }
+};
+
+/**
+ * Builds the compliance status of a truck from its documents. A truck is `expired`
+ * when any current document has expired, `expiring` when one is within its reminder
+ * window, `missing` when a document type was never added and `compliant` otherwise.
+ * @param {Object[]} documents - The truck's documents
+ * @param {Date} [now] - Reference time
+ * @returns {Object} `{ status, expired, expiring, missing, documents }`, types listed by state
+ */
+const getTruckCompliance = (documents, now = new Date()) => {
+    const current = {};
+    for (const document of documents) {
+        const latest = current[document.type];
+        if (!latest || new Date(document.expiryDate) > new Date(latest.expiryDate)) {
+            current[document.type] = document;
+        }
+    }
+
+    const compliance = { expired: [], expiring: [], missing: [], documents: [] };
+    for (const type of REQUIRED_DOCUMENT_TYPES) {
+        const document = current[type];
+        if (!document) {
+            compliance.missing.push(type);
+            continue;
+        }
+        const daysToExpiry = getDaysToExpiry(document.expiryDate, now);
+        let state = 'valid';
+        if (daysToExpiry < 0) {
+            state = 'expired';
+        } else if (daysToExpiry <= document.reminderDays) {
+            state = 'expiring';
+        }
+        if (state !== 'valid') {
+            compliance[state].push(type);
+        }
+        compliance.documents.push({
+            _id: document._id,
+            type,
+            number: document.number,
+            expiryDate: document.expiryDate,
+            daysToExpiry,
+            state,
+        });
+    }
+
+    let status = 'compliant';
+    if (compliance.expired.length > 0) {
+        status = 'expired';
+    } else if (compliance.expiring.length > 0) {
+        status = 'expiring';
+    } else if (compliance.missing.length > 0) {
+        status = 'missing';
+    }
+
+    return { status, ...compliance };
+};
+
+/**
+ * Raises the priority of active reminders whose documents are close to or past expiry.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders updated
+ */
+const refreshDocumentAlerts = async (now = new Date()) => {
+    const horizon = moment.utc(now).add(HIGH_PRIORITY_DAYS, 'days').endOf('day').toDate();
+    const documents = await TruckDocument.find({ alertId: { $ne: null }, expiryDate: { $lte: horizon } });
+
+    let updated = 0;
+    for (const document of documents) {
+        const result = await Alert.updateOne(
+            // Escalated reminders are already urgent
+            { _id: document.alertId, isActive: true, escalationLevel: { $not: { $gt: 0 } }, priority: { $ne: getReminderPriority(document.expiryDate, now) } },
+            { priority: getReminderPriority(document.expiryDate, now), updatedAt: new Date() }
+        );
+        updated += result.modifiedCount;
+    }
+    return updated;
+};
+
+/**
+ * Runs the reminder refresh now and then once a day. Call after the database is connected.
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+const startDocumentAlertSchedule = () => {
+    const run = () => refreshDocumentAlerts()
+        .then((count) => {
+            if (count > 0) {
+                logger.info('Document reminders refreshed', { count });
+            }
+        })
+        .catch((error) => logger.error('Document reminder refresh failed', { error: error.message, stack: error.stack }));
+
+    run();
+    const interval = setInterval(run, REFRESH_INTERVAL_MS);
+    interval.unref();
+    return interval;
+};
+
+module.exports = {
+    HIGH_PRIORITY_DAYS,
+    getReminderPriority,
+    DOCUMENT_TYPES,
+    REQUIRED_DOCUMENT_TYPES,
+    syncDocumentAlerts,
+    deactivateDocumentAlert,
+    getTruckCompliance,
+    refreshDocumentAlerts,
+    startDocumentAlertSchedule,
+};
@@ -72,10 +72,7 @@ echo ""
 echo -e "${BLUE}Access URLs:${NC}"
 echo -e "  ${GREEN}•${NC} API Gateway:        http://localhost:5001"
 echo -e "  ${GREEN}•${NC} Auth Service:       http://localhost:3001"
-echo -e "  ${GREEN}•${NC} Fleet Service:      http://localhost:3002"
-echo -e "  ${GREEN}•${NC} Finance Service:    http://localhost:3003"
-echo -e "  ${GREEN}•${NC} Analytics Service:  http://localhost:3004"
-echo -e "  ${GREEN}•${NC} Notification Service: http://localhost:3005"
+echo -e "  ${GREEN}•${NC} Fleet, Finance, Analytics and Notification services: through the API Gateway only"
 echo -e "  ${GREEN}•${NC} MongoDB:            mongodb://localhost:27017"
 echo -e "  ${GREEN}•${NC} RabbitMQ Management: http://localhost:15672 (admin/password)"
 echo ""
@@ -3,6 +3,7 @@ import "bootstrap/dist/js/bootstrap.bundle.min";
 import React, { useState, useEffect } from "react";
 import { ToastProvider } from "./Components/ToastContext/ToastContext";
 import { MobileProvider } from "./Components/MobileContext/MobileContext";
+import { FeatureProvider } from "./Components/FeatureContext/FeatureContext";
 import "./App.css";
 import Routes from "./Routes/Routes";
 import { Axios } from "./Config/Axios/Axios";
@@ -54,9 +55,11 @@ function App() {
       <GoogleOAuthProvider clientId={process.env.REACT_APP_GOOGLE_URL}>
         <UserContext.Provider value={{ user, setUser }}>
           <MobileProvider>
-            <ToastProvider>
-              <Routes />
-            </ToastProvider>
+            <FeatureProvider>
+              <ToastProvider>
+                <Routes />
+              </ToastProvider>
+            </FeatureProvider>
           </MobileProvider>
         </UserContext.Provider>
       </GoogleOAuthProvider>
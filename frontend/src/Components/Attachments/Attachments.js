@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { Image, Upload, Popconfirm, Tooltip, Spin, message } from "antd";
+import { PaperClipOutlined, FilePdfOutlined, CloseCircleFilled } from "@ant-design/icons";
+import { Axios } from "../../Config/Axios/Axios";
+
+const THEME_GREEN = "#1a7f37";
+const THUMB_SIZE = 40;
+
+// Model name used in each type's attachment routes, keyed by API path
+const ATTACHMENT_MODELS = {
+  fuelExpenses: "FuelExpense",
+  defExpenses: "DefExpense",
+  otherExpenses: "OtherExpense",
+  income: "Income",
+  truckDocuments: "TruckDocument",
+  driverProfiles: "DriverProfile",
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+// Files are behind auth, so they are fetched as blobs instead of linked directly
+const fetchFileUrl = async (url, params) => {
+  const response = await Axios.get(url, { params, headers: authHeaders(), responseType: "blob" });
+  return URL.createObjectURL(response.data);
+};
+
+const AttachmentThumb = ({ downloadUrl, deleteUrl, attachment, onChange }) => {
+  const [thumbUrl, setThumbUrl] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const isImage = attachment.mimeType.startsWith("image/");
+
+  useEffect(() => {
+    if (!isImage) return undefined;
+    let url = null;
+    let cancelled = false;
+    fetchFileUrl(downloadUrl, { thumbnail: true })
+      .then((objectUrl) => {
+        if (cancelled) {
+          URL.revokeObjectURL(objectUrl);
+        } else {
+          url = objectUrl;
+          setThumbUrl(objectUrl);
+        }
+      })
+      .catch((err) => console.error("Failed to load attachment preview:", err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [downloadUrl, isImage]);
+
+  const openFile = async () => {
+    try {
+      const url = await fetchFileUrl(downloadUrl);
+      if (isImage) {
+        setPreviewUrl(url);
+      } else {
+        window.open(url, "_blank", "noopener");
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      }
+    } catch (error) {
+      message.error("Failed to open attachment");
+    }
+  };
+
+  const closePreview = () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+    setPreviewUrl(null);
+  };
+
+  const deleteFile = async () => {
+    try {
+      await Axios.delete(deleteUrl, { headers: authHeaders() });
+      message.success("Attachment removed");
+      onChange();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to remove attachment");
+    }
+  };
+
+  return (
+    <div className="position-relative" style={{ width: THUMB_SIZE, height: THUMB_SIZE }}>
+      <Tooltip title={attachment.fileName}>
+        {isImage ? (
+          thumbUrl ? (
+            <Image
+              src={thumbUrl}
+              width={THUMB_SIZE}
+              height={THUMB_SIZE}
+              style={{ objectFit: "cover", borderRadius: 4 }}
+              preview={{
+                visible: Boolean(previewUrl),
+                src: previewUrl || thumbUrl,
+                onVisibleChange: (visible) => (visible ? openFile() : closePreview()),
+              }}
+            />
+          ) : (
+            <div className="d-flex align-items-center justify-content-center border rounded h-100">
+              <Spin size="small" />
+            </div>
+          )
+        ) : (
+          <div
+            className="d-flex align-items-center justify-content-center border rounded h-100"
+            style={{ cursor: "pointer" }}
+            onClick={openFile}
+          >
+            <FilePdfOutlined style={{ fontSize: 20, color: "#cf1322" }} />
+          </div>
+        )}
+      </Tooltip>
+      <Popconfirm title="Remove this attachment?" onConfirm={deleteFile} okText="Remove">
+        <CloseCircleFilled
+          className="position-absolute"
+          style={{ top: -6, right: -6, color: "#8c8c8c", background: "#fff", borderRadius: "50%", cursor: "pointer" }}
+        />
+      </Popconfirm>
+    </div>
+  );
+};
+
+// Receipt and document thumbnails of one entry, with an upload button
+const Attachments = ({ apiPath, record, onChange }) => {
+  const [uploading, setUploading] = useState(false);
+  const model = ATTACHMENT_MODELS[apiPath];
+  const attachments = record.attachments || [];
+
+  if (!model) return "-";
+
+  const upload = async ({ file, onSuccess, onError }) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    try {
+      setUploading(true);
+      const response = await Axios.post(`/api/v1/app/${apiPath}/add${model}Attachment/${record._id}`, formData, {
+        headers: authHeaders(),
+      });
+      onSuccess(response.data);
+      message.success("Attachment added");
+      onChange();
+    } catch (error) {
+      onError(error);
+      message.error(error.response?.data?.message || "Failed to upload attachment");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2">
+      {attachments.map((attachment) => (
+        <AttachmentThumb
+          key={attachment._id}
+          attachment={attachment}
+          downloadUrl={`/api/v1/app/${apiPath}/download${model}Attachment/${record._id}/${attachment._id}`}
+          deleteUrl={`/api/v1/app/${apiPath}/delete${model}Attachment/${record._id}/${attachment._id}`}
+          onChange={onChange}
+        />
+      ))}
+      <Upload accept=".jpg,.jpeg,.png,.webp,.pdf" showUploadList={false} customRequest={upload} disabled={uploading}>
+        <Tooltip title="Attach receipt or document">
+          <button
+            type="button"
+            className="btn btn-light border d-flex align-items-center justify-content-center p-0"
+            style={{ width: THUMB_SIZE, height: THUMB_SIZE }}
+          >
+            {uploading ? <Spin size="small" /> : <PaperClipOutlined style={{ color: THEME_GREEN }} />}
+          </button>
+        </Tooltip>
+      </Upload>
+    </div>
+  );
+};
+
+export default Attachments;
@@ -0,0 +1,255 @@
+import React, { forwardRef, useContext, useImperativeHandle, useState } from "react";
+import { Modal, Button, Table, Form, Input, InputNumber, Select, DatePicker, Popconfirm, Spin, message } from "antd";
+import { PlusOutlined, EditOutlined, DeleteOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { Axios } from "../../Config/Axios/Axios";
+import { UserContext } from "../../App";
+
+const THEME_GREEN = "#1a7f37";
+const MONTH_FORMAT = "YYYY-MM";
+
+export const BUDGET_CATEGORY_OPTIONS = [
+  { value: "any", label: "All expenses" },
+  { value: "fuel", label: "Fuel" },
+  { value: "def", label: "DEF" },
+  { value: "toll", label: "Toll" },
+  { value: "pollution", label: "Pollution" },
+  { value: "insurance", label: "Insurance" },
+  { value: "service&Maintenance", label: "Service & Maintenance" },
+  { value: "salary&incentives", label: "Salary & Incentives" },
+  { value: "other", label: "Other" },
+];
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const formatAmount = (amount) => Number(amount).toLocaleString("en-IN");
+
+const labelOf = (options, value) => options.find((option) => option.value === value)?.label || value;
+
+// Monthly budgets per truck, or all trucks together, and category. A budget without a
+// month applies to every month; one for a month replaces it for that month.
+const BudgetsModal = forwardRef(({ onChange }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [budgets, setBudgets] = useState([]);
+  const [trucks, setTrucks] = useState([]);
+  const [editingBudget, setEditingBudget] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form] = Form.useForm();
+  const { user } = useContext(UserContext);
+
+  const fetchBudgets = async () => {
+    try {
+      setLoading(true);
+      const [budgetsResponse, trucksResponse] = await Promise.all([
+        Axios.get("/api/v1/app/budgets/getBudgets", { headers: authHeaders() }),
+        Axios.get(`/api/v1/app/truck/getAllTrucksByUser/${user.userId}`, {
+          params: { addedBy: user.userId },
+          headers: authHeaders(),
+        }),
+      ]);
+      setBudgets(budgetsResponse.data);
+      setTrucks(trucksResponse.data || []);
+    } catch (error) {
+      console.error("Error fetching budgets:", error);
+      message.error("Failed to load budgets");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (budget = null) => {
+    setEditingBudget(budget);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingBudget(null);
+    form.resetFields();
+  };
+
+  const saveBudget = async (values) => {
+    const payload = {
+      ...values,
+      truckId: values.truckId ?? "",
+      month: values.month ? values.month.format(MONTH_FORMAT) : "",
+    };
+    try {
+      setSubmitLoading(true);
+      if (editingBudget) {
+        await Axios.put(`/api/v1/app/budgets/updateBudgetById/${editingBudget._id}`, payload, {
+          headers: authHeaders(),
+        });
+        message.success("Budget updated");
+      } else {
+        await Axios.post("/api/v1/app/budgets/addBudget", payload, { headers: authHeaders() });
+        message.success("Budget added");
+      }
+      closeForm();
+      await fetchBudgets();
+      onChange?.();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save budget");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const deleteBudget = async (budgetId) => {
+    try {
+      await Axios.delete(`/api/v1/app/budgets/deleteBudgetById/${budgetId}`, {
+        headers: authHeaders(),
+      });
+      message.success("Budget deleted");
+      await fetchBudgets();
+      onChange?.();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to delete budget");
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchBudgets();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+    closeForm();
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const truckOptions = [
+    { value: null, label: "All trucks" },
+    ...trucks.map((truck) => ({ value: truck._id, label: truck.registrationNo })),
+  ];
+
+  const columns = [
+    {
+      title: "Budget",
+      key: "budget",
+      render: (_, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{labelOf(BUDGET_CATEGORY_OPTIONS, record.category)}</span>
+          <small className="text-muted">{labelOf(truckOptions, record.truckId)}</small>
+        </div>
+      ),
+    },
+    {
+      title: "Month",
+      dataIndex: "month",
+      key: "month",
+      render: (month) => (month ? dayjs(month, MONTH_FORMAT).format("MMM YYYY") : "Every month"),
+    },
+    {
+      title: "Amount",
+      dataIndex: "amount",
+      key: "amount",
+      render: (amount, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{formatAmount(amount)}</span>
+          {record.note && <small className="text-muted">{record.note}</small>}
+        </div>
+      ),
+    },
+    {
+      title: "Action",
+      key: "action",
+      render: (_, record) => (
+        <div className="d-flex gap-2">
+          <Button size="small" icon={<EditOutlined />} onClick={() => openForm(record)} />
+          <Popconfirm title="Delete this budget?" onConfirm={() => deleteBudget(record._id)} okText="Delete">
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title="Budgets"
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={760}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        <p className="text-muted mb-3">
+          You are alerted when a month's spend reaches 80% and 100% of a budget.
+        </p>
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={columns}
+          dataSource={budgets}
+          pagination={false}
+          locale={{ emptyText: "No budgets yet" }}
+          scroll={{ x: true }}
+        />
+        {isFormOpen ? (
+          <Form
+            key={editingBudget?._id || "new"}
+            form={form}
+            layout="vertical"
+            className="mt-4"
+            initialValues={
+              editingBudget
+                ? { ...editingBudget, month: editingBudget.month ? dayjs(editingBudget.month, MONTH_FORMAT) : null }
+                : { truckId: null, category: "any", month: null, amount: null, note: "" }
+            }
+            onFinish={saveBudget}
+          >
+            <div className="row">
+              <Form.Item className="col-md-4" name="category" label="Category">
+                <Select options={BUDGET_CATEGORY_OPTIONS} />
+              </Form.Item>
+              <Form.Item className="col-md-4" name="truckId" label="Truck">
+                <Select options={truckOptions} />
+              </Form.Item>
+              <Form.Item className="col-md-4" name="month" label="Month" extra="Leave empty for every month">
+                <DatePicker className="w-100" picker="month" format="MMM YYYY" placeholder="Every month" />
+              </Form.Item>
+              <Form.Item
+                className="col-md-4"
+                name="amount"
+                label="Amount"
+                rules={[{ required: true, message: "Please enter the budget amount" }]}
+              >
+                <InputNumber className="w-100" min={1} />
+              </Form.Item>
+              <Form.Item className="col-md-8" name="note" label="Note">
+                <Input maxLength={200} />
+              </Form.Item>
+            </div>
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={closeForm}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                {editingBudget ? "Update budget" : "Add budget"}
+              </Button>
+            </div>
+          </Form>
+        ) : (
+          <Button className="mt-3" icon={<PlusOutlined />} onClick={() => openForm()}>
+            Add budget
+          </Button>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default BudgetsModal;
@@ -0,0 +1,172 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import { Modal, Button, Input, Popconfirm, Space, Spin, Typography, message } from "antd";
+import { CalendarOutlined, CopyOutlined } from "@ant-design/icons";
+import moment from "moment";
+import { Axios } from "../../Config/Axios/Axios";
+
+const { Text } = Typography;
+
+const THEME_GREEN = "#1a7f37";
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+// Calendar apps open `webcal://` links as a subscription rather than a one-off import
+const toWebcalUrl = (url) => url.replace(/^https?:\/\//, "webcal://");
+
+// The signed-in user's .ics feed of alerts, EMIs and document expiries. The link is
+// the only credential a calendar app has, so it can be replaced or revoked here. The
+// backend keeps only a hash of it, so it is shown once, right after it is created.
+const CalendarFeedModal = forwardRef((props, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [feed, setFeed] = useState(null);
+
+  const fetchFeed = async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get("/api/v1/app/calendar/getCalendarFeed", {
+        headers: authHeaders(),
+      });
+      setFeed(response.data.data);
+    } catch (error) {
+      console.error("Error fetching calendar feed:", error);
+      message.error("Failed to load calendar feed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const createFeed = async () => {
+    try {
+      setSubmitLoading(true);
+      const response = await Axios.post("/api/v1/app/calendar/createCalendarFeed", {}, {
+        headers: authHeaders(),
+      });
+      setFeed(response.data.data);
+      message.success(feed ? "New calendar link created; the old one no longer works" : "Calendar link created");
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to create calendar link");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const revokeFeed = async () => {
+    try {
+      setSubmitLoading(true);
+      await Axios.delete("/api/v1/app/calendar/revokeCalendarFeed", {
+        headers: authHeaders(),
+      });
+      setFeed(null);
+      message.success("Calendar link revoked");
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to revoke calendar link");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      message.success("Link copied");
+    } catch (error) {
+      message.error("Could not copy the link");
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchFeed();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  return (
+    <Modal title="Calendar" open={isModalOpen} onCancel={hideModal} footer={null} width={600} destroyOnClose>
+      <Spin spinning={loading}>
+        <p className="text-muted mb-3">
+          Subscribe from Google Calendar, Apple Calendar or Outlook to see your alerts, loan EMIs and document
+          expiries next to the rest of your schedule. Calendar apps refresh it every few hours.
+        </p>
+        {feed ? (
+          <>
+            {feed.url ? (
+              <>
+                <Space.Compact className="w-100 mb-2">
+                  <Input value={feed.url} readOnly onFocus={(e) => e.target.select()} />
+                  <Button icon={<CopyOutlined />} onClick={copyUrl}>
+                    Copy
+                  </Button>
+                </Space.Compact>
+                <Text type="secondary" className="d-block mb-3">
+                  Anyone with this link can see your schedule. Copy it now: it is not shown again.
+                </Text>
+              </>
+            ) : (
+              <Text type="secondary" className="d-block mb-3">
+                Your calendar link was created {moment(feed.createdAt).format("DD MMM YYYY")}. It is only shown once;
+                create a new link to subscribe another calendar.
+              </Text>
+            )}
+            <div className="d-flex justify-content-end flex-wrap gap-2">
+              <Popconfirm
+                title="Revoke this link?"
+                description="Subscribed calendars stop updating."
+                onConfirm={revokeFeed}
+                okText="Revoke"
+              >
+                <Button danger loading={submitLoading}>
+                  Revoke
+                </Button>
+              </Popconfirm>
+              <Popconfirm
+                title="Replace this link?"
+                description="Calendars subscribed to the current link stop updating."
+                onConfirm={createFeed}
+                okText="Replace"
+              >
+                <Button loading={submitLoading}>New link</Button>
+              </Popconfirm>
+              {feed.url && (
+                <Button
+                  type="primary"
+                  icon={<CalendarOutlined />}
+                  href={toWebcalUrl(feed.url)}
+                  style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+                >
+                  Subscribe
+                </Button>
+              )}
+            </div>
+          </>
+        ) : (
+          !loading && (
+            <div className="d-flex justify-content-end">
+              <Button
+                type="primary"
+                icon={<CalendarOutlined />}
+                loading={submitLoading}
+                onClick={createFeed}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                Create calendar link
+              </Button>
+            </div>
+          )
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default CalendarFeedModal;
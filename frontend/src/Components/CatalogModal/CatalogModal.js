@@ -6,9 +6,11 @@ import {
   FiscalHostIcon,
   FlameIcon,
   LogIcon,
+  MilestoneIcon,
 } from "@primer/octicons-react";
 import { useNavigate } from "react-router-dom";
 import { Axios } from "../../Config/Axios/Axios";
+import { useFeatures } from "../FeatureContext/FeatureContext";
 
 const CatalogModal = forwardRef(({ vehicleId, regNo, isFinanced }, ref) => {
   const [open, setOpen] = useState(false);
@@ -17,6 +19,7 @@ const CatalogModal = forwardRef(({ vehicleId, regNo, isFinanced }, ref) => {
   const [isError, setIsError] = useState(false);
 
   const navigate = useNavigate();
+  const { hasFeature } = useFeatures();
 
   const showLoading = () => {
     setOpen(true);
@@ -184,6 +187,30 @@ const CatalogModal = forwardRef(({ vehicleId, regNo, isFinanced }, ref) => {
               <span className="fw-bold">{metadata.incomeTotal?.toFixed(2)}</span>
             </div>
           </Button>
+          {hasFeature("trips") && (
+            <Button
+              type="primary"
+              size={"large"}
+              className="my-3"
+              style={{
+                width: "100%",
+                height: "60px",
+                display: "flex",
+                justifyContent: "space-between",
+              }}
+              onClick={() => navigate(`/expenseSummary/trips/${vehicleId}`)}
+            >
+              <div className="d-flex align-items-center p-2">
+                <MilestoneIcon size={22} />
+                <div
+                  className="d-flex flex-column ms-3"
+                  style={{ alignItems: "flex-start" }}
+                >
+                  <span className="fw-bold m-0 p-0">Trips</span>
+                </div>
+              </div>
+            </Button>
+          )}
         </div>
         {isFinanced && (
           <>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useContext } from 'react';
-import { List, Avatar, Button, Modal, Form, Input, DatePicker, Select, message, Spin, Popconfirm, Badge, Switch, Tag } from 'antd';
+import { List, Avatar, Button, Modal, Form, Input, InputNumber, DatePicker, Select, message, Spin, Popconfirm, Badge, Switch, Tag, Dropdown, Timeline } from 'antd';
 import {
   TruckOutlined,
   AlertOutlined,
@@ -15,16 +15,163 @@ import {
   CreditCardOutlined,
   ToolOutlined,
   CheckCircleOutlined,
-  SyncOutlined
+  SyncOutlined,
+  FieldTimeOutlined,
+  RiseOutlined
 } from '@ant-design/icons';
 import { Axios } from '../../../Config/Axios/Axios';
 import { UserContext } from '../../../App';
+import { useAlertChanges } from '../../NotificationContext/NotificationContext';
+import { useSearchParams } from 'react-router-dom';
 import moment from 'moment';
 
 const { Option } = Select;
 
 const THEME_GREEN = "#1a7f37";
 
+// Recurrence frequencies with their one-off label and plural unit
+const RECURRENCE_UNITS = {
+  daily: ['Daily', 'days'],
+  weekly: ['Weekly', 'weeks'],
+  monthly: ['Monthly', 'months'],
+  quarterly: ['Quarterly', 'quarters'],
+  halfYearly: ['Half-yearly', 'half-years'],
+  yearly: ['Yearly', 'years'],
+};
+
+const isRecurringAlert = (alert) => alert.isRecurring && Boolean(RECURRENCE_UNITS[alert.recurringType]);
+
+const describeRecurrence = ({ recurringType, recurringInterval }) => {
+  const [label, unit] = RECURRENCE_UNITS[recurringType];
+  return recurringInterval > 1 ? `Every ${recurringInterval} ${unit}` : label;
+};
+
+// Form values of an alert's recurrence rule
+const getRecurrenceValues = (alert) => {
+  let recurrenceEnd = 'never';
+  if (alert.recurringEndDate) {
+    recurrenceEnd = 'date';
+  } else if (alert.recurringCount) {
+    recurrenceEnd = 'count';
+  }
+  return {
+    isRecurring: isRecurringAlert(alert),
+    recurringType: RECURRENCE_UNITS[alert.recurringType] ? alert.recurringType : 'monthly',
+    recurringInterval: alert.recurringInterval || 1,
+    recurrenceEnd,
+    recurringEndDate: alert.recurringEndDate ? moment(alert.recurringEndDate) : null,
+    recurringCount: alert.recurringCount || null,
+  };
+};
+
+// Recurrence fields of the form values as the API expects them
+const toRecurrencePayload = ({ recurrenceEnd, recurringEndDate, recurringCount, ...values }) => {
+  if (!values.isRecurring) {
+    return { ...values, isRecurring: false, recurringType: 'none' };
+  }
+  return {
+    ...values,
+    recurringEndDate: recurrenceEnd === 'date' && recurringEndDate ? recurringEndDate.format('YYYY-MM-DD') : '',
+    recurringCount: recurrenceEnd === 'count' && recurringCount ? recurringCount : '',
+  };
+};
+
+// Repeat settings shared by the add and edit forms
+const RecurrenceFields = ({ form }) => {
+  const isRecurring = Form.useWatch('isRecurring', form);
+  const recurrenceEnd = Form.useWatch('recurrenceEnd', form);
+
+  return (
+    <>
+      <Form.Item
+        label="Recurring Alert"
+        name="isRecurring"
+        valuePropName="checked"
+        extra="Marking a recurring alert as done moves it to its next occurrence"
+      >
+        <Switch checkedChildren="Repeats" unCheckedChildren="One-time" />
+      </Form.Item>
+
+      {isRecurring && (
+        <>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <Form.Item label="Every" name="recurringInterval" style={{ flex: 1 }}>
+              <InputNumber min={1} max={366} style={{ width: '100%' }} />
+            </Form.Item>
+            <Form.Item label="Repeats" name="recurringType" style={{ flex: 2 }}>
+              <Select>
+                {Object.entries(RECURRENCE_UNITS).map(([type, [label, unit]]) => (
+                  <Option key={type} value={type}>{`${label} (${unit})`}</Option>
+                ))}
+              </Select>
+            </Form.Item>
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <Form.Item label="Ends" name="recurrenceEnd" style={{ flex: 1 }}>
+              <Select>
+                <Option value="never">Never</Option>
+                <Option value="date">On date</Option>
+                <Option value="count">After occurrences</Option>
+              </Select>
+            </Form.Item>
+            {recurrenceEnd === 'date' && (
+              <Form.Item
+                label="End date"
+                name="recurringEndDate"
+                style={{ flex: 1 }}
+                rules={[{ required: true, message: 'Please select the end date' }]}
+              >
+                <DatePicker style={{ width: '100%' }} />
+              </Form.Item>
+            )}
+            {recurrenceEnd === 'count' && (
+              <Form.Item
+                label="Occurrences"
+                name="recurringCount"
+                style={{ flex: 1 }}
+                rules={[{ required: true, message: 'Please enter the number of occurrences' }]}
+              >
+                <InputNumber min={1} style={{ width: '100%' }} />
+              </Form.Item>
+            )}
+          </div>
+        </>
+      )}
+    </>
+  );
+};
+
+const NEW_RECURRENCE = getRecurrenceValues({ isRecurring: false });
+
+// Longest snooze the server accepts
+const MAX_SNOOZE_DAYS = 30;
+
+// Quick snoozes: for a number of hours, or until a time
+const SNOOZE_OPTIONS = [
+  { key: '1h', label: 'For 1 hour', snooze: () => ({ hours: 1 }) },
+  { key: '4h', label: 'For 4 hours', snooze: () => ({ hours: 4 }) },
+  { key: 'tomorrow', label: 'Until tomorrow 9 AM', snooze: () => ({ until: moment().add(1, 'day').startOf('day').hour(9).toISOString() }) },
+  { key: 'week', label: 'Until next Monday 9 AM', snooze: () => ({ until: moment().add(1, 'week').startOf('isoWeek').hour(9).toISOString() }) },
+];
+
+const isSnoozed = (alert) => Boolean(alert.snoozedUntil) && moment(alert.snoozedUntil).isAfter(moment());
+
+// One line of an alert's snooze and escalation history
+const describeHistoryEntry = (entry) => {
+  switch (entry.action) {
+    case 'snoozed':
+      return `Snoozed until ${moment(entry.until).format('DD MMM, HH:mm')}`;
+    case 'unsnoozed':
+      return 'Snooze ended early';
+    case 'escalated':
+      return entry.fromPriority === entry.toPriority
+        ? `Still unread, notified again (escalation ${entry.level})`
+        : `Still unread, raised from ${entry.fromPriority} to ${entry.toPriority} (escalation ${entry.level})`;
+    default:
+      return entry.action;
+  }
+};
+
 // Alert type to icon mapping
 const getAlertIcon = (type, priority) => {
   const iconStyle = {
@@ -77,14 +224,17 @@ const AlertsWidget = () => {
   const [isAddModalVisible, setIsAddModalVisible] = useState(false);
   const [isEditModalVisible, setIsEditModalVisible] = useState(false);
   const [selectedAlert, setSelectedAlert] = useState(null);
-  const [isRecurring, setIsRecurring] = useState(false);
+  const [snoozeAlert, setSnoozeAlert] = useState(null);
   const [form] = Form.useForm();
   const [editForm] = Form.useForm();
+  const [snoozeForm] = Form.useForm();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedAlertId = searchParams.get('alert');
 
   // API Functions
-  const fetchAlerts = async () => {
+  const fetchAlerts = async (silent = false) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       // Don't filter by isRead to show all active alerts including upcoming recurring ones
       const response = await Axios.get(`/api/v1/app/alerts/getAllAlertsByUser/${user.userId}`, {
         params: {
@@ -196,7 +346,7 @@ const AlertsWidget = () => {
       console.log('Response received:', response.data);
 
       if (response.data && response.data.success) {
-        message.success('Recurring alert marked as done. Next occurrence created!');
+        message.success(response.data.message);
         await fetchAlerts(); // Refresh the list
       } else {
         message.error('Failed to process recurring alert');
@@ -208,6 +358,46 @@ const AlertsWidget = () => {
     }
   };
 
+  // `snooze` is `{ hours }` or `{ until }`
+  const snoozeAlertById = async (alertId, snooze) => {
+    try {
+      const response = await Axios.put(`/api/v1/app/alerts/snoozeAlertById/${alertId}`, snooze, {
+        headers: {
+          authorization: `bearer ${localStorage.getItem('token')}`,
+        },
+      });
+
+      if (response.data && response.data.success) {
+        const { snoozedUntil } = response.data.data;
+        setAlerts(alerts.map(alert => (alert._id === alertId ? response.data.data : alert)));
+        message.success(`Alert snoozed until ${moment(snoozedUntil).format('DD MMM, HH:mm')}`);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error snoozing alert:', error);
+      message.error(error.response?.data?.message || 'Failed to snooze alert');
+      throw error;
+    }
+  };
+
+  const unsnoozeAlertById = async (alertId) => {
+    try {
+      const response = await Axios.put(`/api/v1/app/alerts/unsnoozeAlertById/${alertId}`, {}, {
+        headers: {
+          authorization: `bearer ${localStorage.getItem('token')}`,
+        },
+      });
+
+      if (response.data && response.data.success) {
+        setAlerts(alerts.map(alert => (alert._id === alertId ? response.data.data : alert)));
+        message.success('Alert no longer snoozed');
+      }
+    } catch (error) {
+      console.error('Error ending alert snooze:', error);
+      message.error(error.response?.data?.message || 'Failed to end alert snooze');
+    }
+  };
+
   const deleteAlert = async (alertId) => {
     try {
       const response = await Axios.delete(`/api/v1/app/alerts/deleteAlertById/${alertId}`, {
@@ -237,37 +427,52 @@ const AlertsWidget = () => {
     loadAlerts();
   }, [user?.userId]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Alerts created or changed elsewhere - another tab, an admin or an event - arrive live
+  useAlertChanges(() => {
+    fetchAlerts(true);
+  });
+
+  // Opens the alert a notification links to (`?alert=<id>`)
+  useEffect(() => {
+    if (!linkedAlertId) return;
+
+    Axios.get(`/api/v1/app/alerts/getAlertById/${linkedAlertId}`, {
+      headers: {
+        authorization: `bearer ${localStorage.getItem('token')}`,
+      },
+    })
+      .then((response) => {
+        if (response.data && response.data.success) {
+          handleEditAlert(response.data.data);
+        }
+      })
+      .catch(() => message.error('This alert no longer exists'))
+      .finally(() => {
+        searchParams.delete('alert');
+        setSearchParams(searchParams, { replace: true });
+      });
+  }, [linkedAlertId]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Event handlers
   const handleAddAlert = () => {
+    form.setFieldsValue(NEW_RECURRENCE);
     setIsAddModalVisible(true);
-    setIsRecurring(false);
   };
 
   const handleAddModalClose = () => {
     setIsAddModalVisible(false);
-    setIsRecurring(false);
     form.resetFields();
   };
 
   const handleAddAlertSubmit = async (values) => {
     try {
-      console.log('Form values before processing:', values);
-      console.log('isRecurring from form:', values.isRecurring);
-      console.log('isRecurring state:', isRecurring);
-
-      // Use the local state isRecurring since the form's valuePropName="checked" isn't capturing it correctly
       const alertData = {
-        ...values,
+        ...toRecurrencePayload(values),
         alertDate: values.alertDate.toISOString(),
-        isRecurring: isRecurring,
-        recurringType: isRecurring ? 'monthly' : 'none'
       };
 
-      console.log('Alert data being sent:', alertData);
-
       await addAlert(alertData);
       setIsAddModalVisible(false);
-      setIsRecurring(false);
       form.resetFields();
     } catch (error) {
       // Error already handled in addAlert function
@@ -278,8 +483,8 @@ const AlertsWidget = () => {
     setSelectedAlert(alert);
     editForm.setFieldsValue({
       ...alert,
+      ...getRecurrenceValues(alert),
       alertDate: moment(alert.alertDate),
-      isRecurring: alert.isRecurring || false
     });
     setIsEditModalVisible(true);
   };
@@ -293,7 +498,7 @@ const AlertsWidget = () => {
   const handleEditAlertSubmit = async (values) => {
     try {
       const alertData = {
-        ...values,
+        ...toRecurrencePayload(values),
         alertDate: values.alertDate.toISOString()
       };
 
@@ -306,6 +511,28 @@ const AlertsWidget = () => {
     }
   };
 
+  const handleSnoozeMenuClick = (alert, key) => {
+    if (key === 'unsnooze') {
+      unsnoozeAlertById(alert._id);
+    } else if (key === 'custom') {
+      snoozeForm.setFieldsValue({ until: moment().add(1, 'day').startOf('hour') });
+      setSnoozeAlert(alert);
+    } else {
+      const option = SNOOZE_OPTIONS.find((item) => item.key === key);
+      snoozeAlertById(alert._id, option.snooze()).catch(() => {});
+    }
+  };
+
+  const handleSnoozeSubmit = async (values) => {
+    try {
+      await snoozeAlertById(snoozeAlert._id, { until: values.until.toISOString() });
+      setSnoozeAlert(null);
+      snoozeForm.resetFields();
+    } catch (error) {
+      // Error already handled in snoozeAlertById function
+    }
+  };
+
   // Don't render if user is not available
   if (!user || !user.userId) {
     return (
@@ -383,11 +610,36 @@ const AlertsWidget = () => {
           dataSource={alerts}
           renderItem={(alert) => {
             const dateInfo = formatAlertDate(alert.alertDate);
-            const actions = alert.isRecurring && alert.recurringType === 'monthly' ? [
+            const snoozeAction = (
+              <Dropdown
+                key="snooze"
+                trigger={['click']}
+                menu={{
+                  items: [
+                    ...SNOOZE_OPTIONS.map(({ key, label }) => ({ key, label })),
+                    { key: 'custom', label: 'Until…' },
+                    ...(isSnoozed(alert) ? [{ type: 'divider' }, { key: 'unsnooze', label: 'End snooze' }] : []),
+                  ],
+                  onClick: ({ key, domEvent }) => {
+                    domEvent.stopPropagation();
+                    handleSnoozeMenuClick(alert, key);
+                  },
+                }}
+              >
+                <Button
+                  type="text"
+                  size="small"
+                  icon={<FieldTimeOutlined />}
+                  title="Snooze alert"
+                  onClick={(e) => e.stopPropagation()}
+                />
+              </Dropdown>
+            );
+            const actions = isRecurringAlert(alert) ? [
               <Popconfirm
                 key="done"
                 title="Mark as Done"
-                description="This will mark the alert as done and create the next monthly occurrence."
+                description="This will mark the alert as done and move it to its next occurrence."
                 onConfirm={(e) => {
                   e?.stopPropagation();
                   markRecurringAsDone(alert._id);
@@ -405,6 +657,7 @@ const AlertsWidget = () => {
                   style={{ color: THEME_GREEN }}
                 />
               </Popconfirm>,
+              snoozeAction,
               <Button
                 key="edit"
                 type="text"
@@ -458,6 +711,7 @@ const AlertsWidget = () => {
                   title="Mark as read"
                 />
               </Popconfirm>,
+              snoozeAction,
               <Button
                 key="edit"
                 type="text"
@@ -507,9 +761,9 @@ const AlertsWidget = () => {
                   title={
                     <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
                       <span style={{ fontWeight: 500, fontSize: 14 }}>{alert.title}</span>
-                      {alert.isRecurring && alert.recurringType === 'monthly' && (
+                      {isRecurringAlert(alert) && (
                         <Tag icon={<SyncOutlined spin={false} />} color="blue" style={{ marginRight: 0 }}>
-                          Monthly
+                          {describeRecurrence(alert)}
                         </Tag>
                       )}
                       {alert.priority === 'urgent' && (
@@ -518,6 +772,16 @@ const AlertsWidget = () => {
                       {alert.priority === 'high' && (
                         <Badge status="warning" text="High" />
                       )}
+                      {alert.escalationLevel > 0 && (
+                        <Tag icon={<RiseOutlined />} color="red" style={{ marginRight: 0 }}>
+                          Escalated
+                        </Tag>
+                      )}
+                      {isSnoozed(alert) && (
+                        <Tag icon={<FieldTimeOutlined />} style={{ marginRight: 0 }}>
+                          Snoozed until {moment(alert.snoozedUntil).format('DD MMM, HH:mm')}
+                        </Tag>
+                      )}
                     </div>
                   }
                   description={
@@ -565,11 +829,6 @@ const AlertsWidget = () => {
           form={form}
           layout="vertical"
           onFinish={handleAddAlertSubmit}
-          onValuesChange={(changedValues) => {
-            if ('isRecurring' in changedValues) {
-              setIsRecurring(changedValues.isRecurring);
-            }
-          }}
         >
           <Form.Item
             label="Alert Title"
@@ -623,21 +882,7 @@ const AlertsWidget = () => {
             </Select>
           </Form.Item>
 
-          <Form.Item
-            label="Recurring Alert"
-            name="isRecurring"
-            valuePropName="checked"
-            initialValue={false}
-          >
-            <Switch
-              checkedChildren="Monthly"
-              unCheckedChildren="One-time"
-              onChange={(checked) => setIsRecurring(checked)}
-            />
-            <div style={{ fontSize: 12, color: '#8c8c8c', marginTop: 4 }}>
-              Enable to automatically create next month's alert when marked as done
-            </div>
-          </Form.Item>
+          <RecurrenceFields form={form} />
 
           <Form.Item style={{ marginBottom: 0, textAlign: 'right' }}>
             <Button onClick={handleAddModalClose} style={{ marginRight: 8 }}>
@@ -719,34 +964,81 @@ const AlertsWidget = () => {
             </Select>
           </Form.Item>
 
+          <RecurrenceFields form={editForm} />
+
+          {selectedAlert?.history?.length > 0 && (
+            <Form.Item label="Snoozes and escalations">
+              <Timeline
+                style={{ marginTop: 8, marginBottom: -16 }}
+                items={[...selectedAlert.history].reverse().map((entry) => ({
+                  color: entry.action === 'escalated' ? 'red' : 'gray',
+                  children: (
+                    <>
+                      <div style={{ fontSize: 13 }}>{describeHistoryEntry(entry)}</div>
+                      <div style={{ fontSize: 12, color: '#8c8c8c' }}>{moment(entry.at).format('DD MMM YYYY, HH:mm')}</div>
+                    </>
+                  ),
+                }))}
+              />
+            </Form.Item>
+          )}
+
+          <Form.Item style={{ marginBottom: 0, textAlign: 'right' }}>
+            <Button onClick={handleEditModalClose} style={{ marginRight: 8 }}>
+              Cancel
+            </Button>
+            <Button
+              type="primary"
+              htmlType="submit"
+              loading={submitLoading}
+              style={{ background: THEME_GREEN, border: "none" }}
+            >
+              Update Alert
+            </Button>
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* Snooze Until Modal */}
+      <Modal
+        title="Snooze Alert"
+        open={Boolean(snoozeAlert)}
+        onCancel={() => setSnoozeAlert(null)}
+        footer={null}
+        centered
+        destroyOnClose
+      >
+        <Form
+          form={snoozeForm}
+          layout="vertical"
+          onFinish={handleSnoozeSubmit}
+        >
           <Form.Item
-            label="Recurring Alert"
-            name="isRecurring"
-            valuePropName="checked"
+            label="Snooze until"
+            name="until"
+            extra={`Not escalated until then, for at most ${MAX_SNOOZE_DAYS} days`}
+            rules={[{ required: true, message: 'Please select when the snooze ends' }]}
           >
-            <Switch
-              checkedChildren="Monthly"
-              unCheckedChildren="One-time"
-              disabled={selectedAlert?.isRecurring}
+            <DatePicker
+              showTime
+              format="DD MMM YYYY, HH:mm"
+              style={{ width: '100%' }}
+              disabledDate={(current) => current && (
+                current < moment().startOf('day') || current > moment().add(MAX_SNOOZE_DAYS, 'days').endOf('day')
+              )}
             />
-            <div style={{ fontSize: 12, color: '#8c8c8c', marginTop: 4 }}>
-              {selectedAlert?.isRecurring
-                ? 'Recurring type cannot be changed after creation'
-                : 'Enable to automatically create next month\'s alert when marked as done'}
-            </div>
           </Form.Item>
 
           <Form.Item style={{ marginBottom: 0, textAlign: 'right' }}>
-            <Button onClick={handleEditModalClose} style={{ marginRight: 8 }}>
+            <Button onClick={() => setSnoozeAlert(null)} style={{ marginRight: 8 }}>
               Cancel
             </Button>
             <Button
               type="primary"
               htmlType="submit"
-              loading={submitLoading}
               style={{ background: THEME_GREEN, border: "none" }}
             >
-              Update Alert
+              Snooze
             </Button>
           </Form.Item>
         </Form>
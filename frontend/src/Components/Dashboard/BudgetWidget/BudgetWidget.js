@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useContext, useRef, useCallback } from 'react';
+import { Button, DatePicker, Empty, List, Progress, Tag, Tooltip } from 'antd';
+import dayjs from 'dayjs';
+import { Axios } from '../../../Config/Axios/Axios';
+import { UserContext } from '../../../App';
+import BudgetsModal, { BUDGET_CATEGORY_OPTIONS } from '../../BudgetsModal/BudgetsModal';
+
+const THEME_GREEN = "#1a7f37";
+
+const STATUS_COLORS = {
+    ok: THEME_GREEN,
+    warning: "#fa8c16",
+    over: "#cf1322",
+};
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-IN', { maximumFractionDigits: 0 });
+
+const categoryLabel = (category) => BUDGET_CATEGORY_OPTIONS.find((option) => option.value === category)?.label || category;
+
+// The month's spend against each budget, with where it ends at the current burn rate
+const BudgetWidget = () => {
+    const [summary, setSummary] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [month, setMonth] = useState(dayjs());
+    const budgetsModalRef = useRef();
+
+    const { user } = useContext(UserContext);
+
+    const fetchSummary = useCallback(() => {
+        Axios.get(`/api/v1/app/budgets/getBudgetSummary`, {
+            params: {
+                userId: user.userId,
+                month: month.format('YYYY-MM'),
+            },
+            headers: {
+                authorization: `bearer ${localStorage.getItem("token")}`,
+            },
+        })
+            .then((res) => {
+                setSummary(res.data);
+                setLoading(false);
+            })
+            .catch((err) => {
+                console.error("Failed to load budget summary:", err);
+                setLoading(false);
+            });
+    }, [user.userId, month]);
+
+    useEffect(() => {
+        fetchSummary();
+    }, [fetchSummary]);
+
+    if (loading) {
+        return <div className='bg-white p-3 h-100 rounded-4 d-flex align-items-center justify-content-center'>Loading...</div>;
+    }
+
+    const renderBudget = (budget) => (
+        <List.Item>
+            <div className='d-flex flex-column w-100'>
+                <div className='d-flex justify-content-between align-items-center gap-2'>
+                    <div className='d-flex flex-column'>
+                        <b>{categoryLabel(budget.category)}</b>
+                        <span style={{ fontSize: 12, color: "#939393" }}>{budget.registrationNo || 'All trucks'}</span>
+                    </div>
+                    <div className='d-flex flex-column align-items-end'>
+                        <span className='fw-bold'>
+                            {formatAmount(budget.actual)} / {formatAmount(budget.amount)}
+                        </span>
+                        {budget.projectedPercent > 100 && budget.status !== 'over' ? (
+                            <Tooltip title={`At ${formatAmount(budget.burnRate)} a day`}>
+                                <Tag color="orange" className='me-0'>Projected {formatAmount(budget.projected)}</Tag>
+                            </Tooltip>
+                        ) : (
+                            <span style={{ fontSize: 12, color: "#939393" }}>
+                                {budget.remaining >= 0
+                                    ? `${formatAmount(budget.remaining)} left`
+                                    : `${formatAmount(-budget.remaining)} over`}
+                            </span>
+                        )}
+                    </div>
+                </div>
+                <Progress
+                    percent={Math.min(budget.percentUsed, 100)}
+                    showInfo={false}
+                    size="small"
+                    strokeColor={STATUS_COLORS[budget.status]}
+                />
+            </div>
+        </List.Item>
+    );
+
+    return (
+        <div
+            className='bg-white p-3 h-100 rounded-4'
+            style={{
+                background: '#fff',
+                borderRadius: 12,
+                padding: 30,
+                boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
+                minHeight: 360,
+            }}
+        >
+            <div className='d-flex justify-content-between align-items-center mb-2 gap-2'>
+                <b style={{ fontSize: 16 }}>Budget vs Actual</b>
+                <div className='d-flex align-items-center gap-2'>
+                    <DatePicker
+                        picker="month"
+                        format="MMM YYYY"
+                        size="small"
+                        allowClear={false}
+                        value={month}
+                        onChange={(value) => setMonth(value)}
+                        style={{ width: 110 }}
+                    />
+                    <Button size="small" onClick={() => budgetsModalRef.current.showModal()}>
+                        Manage
+                    </Button>
+                </div>
+            </div>
+            {summary && (
+                <div className='d-flex gap-4 mb-2'>
+                    <div className='d-flex flex-column'>
+                        <span style={{ fontSize: 12, color: "#939393" }}>Spent</span>
+                        <b style={{ fontSize: 20 }}>{formatAmount(summary.totals.spent)}</b>
+                    </div>
+                    <div className='d-flex flex-column'>
+                        <span style={{ fontSize: 12, color: "#939393" }}>Projected</span>
+                        <b style={{ fontSize: 20 }}>{formatAmount(summary.totals.projected)}</b>
+                    </div>
+                    <div className='d-flex flex-column'>
+                        <span style={{ fontSize: 12, color: "#939393" }}>Income</span>
+                        <b style={{ fontSize: 20, color: THEME_GREEN }}>{formatAmount(summary.totals.income)}</b>
+                    </div>
+                </div>
+            )}
+            {!summary || summary.budgets.length === 0 ? (
+                <Empty description="No budgets for this month" />
+            ) : (
+                <List
+                    size="small"
+                    dataSource={summary.budgets}
+                    rowKey="_id"
+                    renderItem={renderBudget}
+                />
+            )}
+            <BudgetsModal ref={budgetsModalRef} onChange={fetchSummary} />
+        </div>
+    );
+};
+
+export default BudgetWidget;
@@ -1,18 +1,69 @@
-import React, { useState, useEffect, useContext } from 'react';
-import { Modal, Button, List, Avatar, Typography, Space, Form, Input, Upload, message, Select, Spin, Popconfirm } from 'antd';
-import { UserOutlined, PlusOutlined, UploadOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { Modal, Button, List, Avatar, Typography, Space, Form, Input, Upload, message, Select, Spin, Popconfirm, DatePicker, Tag } from 'antd';
+import { UserOutlined, PlusOutlined, UploadOutlined, EditOutlined, DeleteOutlined, WarningOutlined, WalletOutlined, CarOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
 import { Axios } from '../../../Config/Axios/Axios';
 import { UserContext } from '../../../App';
+import { useFeatures } from '../../FeatureContext/FeatureContext';
+import Attachments from '../../Attachments/Attachments';
+import DriverLedgerModal from '../../DriverLedgerModal/DriverLedgerModal';
+import DriverAssignmentsModal from '../../DriverAssignmentsModal/DriverAssignmentsModal';
 
 const { Text } = Typography;
 const { Option } = Select;
 
 const THEME_GREEN = "#1a7f37";
 
+// Matches the server's default reminder window (DRIVER_DOCUMENT_REMINDER_DAYS)
+const EXPIRING_SOON_DAYS = 30;
+
+const EXPIRY_FIELDS = [
+  { field: 'licenseExpiry', label: 'Licence' },
+  { field: 'badgeExpiry', label: 'Badge' },
+  { field: 'medicalCertificateExpiry', label: 'Medical certificate' },
+];
+
+// Documents of a driver that have lapsed or lapse within EXPIRING_SOON_DAYS
+const getExpiringDocuments = (driver) => EXPIRY_FIELDS
+  .filter(({ field }) => driver[field])
+  .map(({ field, label }) => ({ label, days: dayjs(driver[field]).startOf('day').diff(dayjs().startOf('day'), 'day') }))
+  .filter(({ days }) => days <= EXPIRING_SOON_DAYS);
+
+const describeExpiry = ({ label, days }) => {
+  if (days < 0) return `${label} expired`;
+  if (days === 0) return `${label} expires today`;
+  return `${label} in ${days} day${days === 1 ? '' : 's'}`;
+};
 
+// DatePicker values to API dates; an empty string clears the expiry
+const toExpiryPayload = (values) => EXPIRY_FIELDS.reduce((acc, { field }) => ({
+  ...acc,
+  [field]: values[field] ? values[field].format('YYYY-MM-DD') : '',
+}), {});
+
+const formatExpiry = (value) => (value ? dayjs(value).format('DD-MM-YYYY') : '-');
+
+const expiryFormItems = (
+  <>
+    <Form.Item
+      label="License Class"
+      name="licenseClass"
+    >
+      <Input placeholder="e.g. HGMV, HPMV, LMV-TR" maxLength={20} />
+    </Form.Item>
+    <Space wrap>
+      {EXPIRY_FIELDS.map(({ field, label }) => (
+        <Form.Item key={field} label={`${label} Expiry`} name={field}>
+          <DatePicker format="DD-MM-YYYY" />
+        </Form.Item>
+      ))}
+    </Space>
+  </>
+);
 
 const DriverProfileWidget = () => {
   const { user } = useContext(UserContext);
+  const { hasFeature } = useFeatures();
 
   // State management
   const [drivers, setDrivers] = useState([]);
@@ -24,6 +75,8 @@ const DriverProfileWidget = () => {
   const [editForm] = Form.useForm();
   const [photoUrl, setPhotoUrl] = useState('');
   const [editPhotoUrl, setEditPhotoUrl] = useState('');
+  const ledgerModalRef = useRef(null);
+  const assignmentsModalRef = useRef(null);
 
   // Loading states
   const [loading, setLoading] = useState(true);
@@ -123,6 +176,23 @@ const DriverProfileWidget = () => {
     }
   };
 
+  // Reload the open driver after its scanned documents change
+  const refreshSelectedDriver = async () => {
+    try {
+      const response = await Axios.get(`/api/v1/app/driverProfiles/getDriverProfileById/${selectedDriver._id}`, {
+        headers: {
+          authorization: `bearer ${localStorage.getItem('token')}`,
+        },
+      });
+      if (response.data && response.data.success) {
+        setSelectedDriver(response.data.data);
+        setDrivers(drivers.map(d => d._id === response.data.data._id ? response.data.data : d));
+      }
+    } catch (error) {
+      console.error('Error refreshing driver:', error);
+    }
+  };
+
   // Load drivers on component mount
   useEffect(() => {
     const loadDrivers = async () => {
@@ -158,6 +228,7 @@ const DriverProfileWidget = () => {
     try {
       const driverData = {
         ...values,
+        ...toExpiryPayload(values),
         photo: photoUrl || '/driver.png'
       };
 
@@ -172,7 +243,13 @@ const DriverProfileWidget = () => {
 
   // Edit functionality
   const handleEditDriver = () => {
-    editForm.setFieldsValue(selectedDriver);
+    editForm.setFieldsValue({
+      ...selectedDriver,
+      ...EXPIRY_FIELDS.reduce((acc, { field }) => ({
+        ...acc,
+        [field]: selectedDriver[field] ? dayjs(selectedDriver[field]) : null,
+      }), {}),
+    });
     setEditPhotoUrl(selectedDriver.photo);
     setIsEditModalVisible(true);
     setIsModalVisible(false);
@@ -189,6 +266,7 @@ const DriverProfileWidget = () => {
     try {
       const driverData = {
         ...values,
+        ...toExpiryPayload(values),
         photo: editPhotoUrl || selectedDriver.photo
       };
 
@@ -314,6 +392,32 @@ const DriverProfileWidget = () => {
             </Button>
           </div>
         ) : (
+          <>
+          {drivers.some(driver => getExpiringDocuments(driver).length > 0) && (
+            <div style={{ background: "#fff7e6", border: "1px solid #ffd591", borderRadius: 12, padding: "10px 12px", marginBottom: 12 }}>
+              <div style={{ fontSize: 13, fontWeight: 600, color: "#ad4e00", marginBottom: 6 }}>
+                <WarningOutlined /> Expiring soon
+              </div>
+              {drivers.map(driver => {
+                const expiring = getExpiringDocuments(driver);
+                if (expiring.length === 0) return null;
+                return (
+                  <div
+                    key={driver._id}
+                    onClick={() => showDriverDetails(driver)}
+                    style={{ cursor: 'pointer', display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 4, marginBottom: 4 }}
+                  >
+                    <span style={{ fontSize: 13, fontWeight: 500, marginRight: 4 }}>{driver.name}</span>
+                    {expiring.map(document => (
+                      <Tag key={document.label} color={document.days < 0 ? 'red' : 'orange'} style={{ marginInlineEnd: 0 }}>
+                        {describeExpiry(document)}
+                      </Tag>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          )}
           <List
             itemLayout="horizontal"
             dataSource={drivers}
@@ -376,6 +480,7 @@ const DriverProfileWidget = () => {
             </List.Item>
           )}
         />
+          </>
         )
       )}
       {/* Driver Details Modal */}
@@ -388,6 +493,14 @@ const DriverProfileWidget = () => {
         open={isModalVisible}
         onCancel={handleModalClose}
         footer={[
+          <Button key="trucks" icon={<CarOutlined />} style={{ borderRadius: 24, marginRight: 8 }} onClick={() => assignmentsModalRef.current.showModal()}>
+            Trucks
+          </Button>,
+          hasFeature('driverLedger') && (
+            <Button key="ledger" icon={<WalletOutlined />} style={{ borderRadius: 24, marginRight: 8 }} onClick={() => ledgerModalRef.current.showModal()}>
+              Ledger
+            </Button>
+          ),
           <Button key="edit" icon={<EditOutlined />} style={{ borderRadius: 24, background: THEME_GREEN, border: "none", marginRight: 8 }} onClick={handleEditDriver}>
             Edit
           </Button>,
@@ -415,7 +528,7 @@ const DriverProfileWidget = () => {
           <Button key="close" type="primary" style={{ borderRadius: 24, background: THEME_GREEN, border: "none" }} onClick={handleModalClose}>
             Close
           </Button>
-        ]}
+        ].filter(Boolean)}
         centered
         bodyStyle={{ fontSize: 16, padding: 24, background: "#fff" }}
       >
@@ -437,11 +550,25 @@ const DriverProfileWidget = () => {
               <Text><b>Contact:</b> {selectedDriver.contact}</Text><br />
               <Text><b>Age:</b> {selectedDriver.age}</Text><br />
               <Text><b>Experience:</b> {selectedDriver.experience}</Text><br />
-              <Text><b>License:</b> {selectedDriver.license}</Text>
+              <Text><b>License:</b> {selectedDriver.license}</Text><br />
+              <Text><b>License Class:</b> {selectedDriver.licenseClass || '-'}</Text><br />
+              {EXPIRY_FIELDS.map(({ field, label }) => (
+                <React.Fragment key={field}>
+                  <Text><b>{label} Expiry:</b> {formatExpiry(selectedDriver[field])}</Text><br />
+                </React.Fragment>
+              ))}
+              <Text><b>Scanned Documents:</b></Text>
+              <div style={{ marginTop: 6 }}>
+                <Attachments apiPath="driverProfiles" record={selectedDriver} onChange={refreshSelectedDriver} />
+              </div>
             </div>
           </div>
         )}
       </Modal>
+      {/* Driver Pay Ledger Modal */}
+      {selectedDriver && <DriverLedgerModal ref={ledgerModalRef} driver={selectedDriver} userId={user.userId} />}
+      {/* Driver Truck Assignments Modal */}
+      {selectedDriver && <DriverAssignmentsModal ref={assignmentsModalRef} driver={selectedDriver} userId={user.userId} />}
       {/* Add Driver Modal */}
       <Modal
         title={
@@ -537,6 +664,7 @@ const DriverProfileWidget = () => {
           >
             <Input />
           </Form.Item>
+          {expiryFormItems}
           <Form.Item>
             <Space>
               <Button onClick={handleAddModalClose} style={{ borderRadius: 24 }}>
@@ -651,6 +779,7 @@ const DriverProfileWidget = () => {
           >
             <Input />
           </Form.Item>
+          {expiryFormItems}
           <Form.Item>
             <Space>
               <Button onClick={handleEditModalClose} style={{ borderRadius: 24 }}>
@@ -0,0 +1,139 @@
+import { Line } from '@ant-design/plots';
+import React, { useState, useEffect, useContext } from 'react';
+import { Empty, List, Tag, Tooltip } from 'antd';
+import { WarningOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { Axios } from '../../../Config/Axios/Axios';
+import { UserContext } from '../../../App';
+
+const THEME_GREEN = "#1a7f37";
+
+const formatDeviation = (value) => (value > 0 ? `+${value}%` : `${value}%`);
+
+// Full-tank-to-full-tank km/l per truck, against its own baseline and same make/model/year trucks
+const FuelEfficiencyWidget = () => {
+    const [analytics, setAnalytics] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const { user } = useContext(UserContext);
+
+    useEffect(() => {
+        Axios.get(`/api/v1/app/fuelExpenses/getFuelAnalyticsByUserId`, {
+            params: {
+                userId: user.userId,
+            },
+            headers: {
+                authorization: `bearer ${localStorage.getItem("token")}`,
+            },
+        })
+            .then((res) => {
+                setAnalytics(res.data);
+                setLoading(false);
+            })
+            .catch((err) => {
+                console.error("Failed to load fuel analytics:", err);
+                setLoading(false);
+            });
+    }, [user.userId]);
+
+    if (loading) {
+        return <div className='bg-white p-3 h-100 rounded-4 d-flex align-items-center justify-content-center'>Loading...</div>;
+    }
+
+    const trucks = (analytics?.trucks || []).filter((truck) => truck.segments.length > 0);
+
+    const chartData = trucks.flatMap((truck) =>
+        truck.segments.map((segment) => ({
+            date: dayjs(segment.endDate).format('YYYY-MM-DD'),
+            kmPerLitre: segment.rollingKmPerLitre,
+            truck: truck.registrationNo,
+        }))
+    );
+
+    const config = {
+        data: chartData,
+        xField: 'date',
+        yField: 'kmPerLitre',
+        colorField: 'truck',
+        height: 160,
+        legend: false,
+        axis: { x: { label: false }, y: { title: 'km/l' } },
+        style: { lineWidth: 2 },
+    };
+
+    const renderTruck = (truck) => (
+        <List.Item>
+            <div className='d-flex justify-content-between align-items-center w-100 gap-2'>
+                <div className='d-flex flex-column'>
+                    <b>{truck.registrationNo}</b>
+                    <span style={{ fontSize: 12, color: "#939393" }}>
+                        {truck.benchmarkDeviation !== null && truck.make
+                            ? `${formatDeviation(truck.benchmarkDeviation)} vs ${[truck.make, truck.model, truck.year].filter(Boolean).join(' ')}`
+                            : `${truck.costPerKm ?? '-'} per km`}
+                    </span>
+                </div>
+                <div className='d-flex align-items-center gap-2'>
+                    <span className='fw-bold'>{truck.kmPerLitre ?? '-'} km/l</span>
+                    {truck.flagged ? (
+                        <Tooltip title={truck.flagReason}>
+                            <Tag color="red" icon={<WarningOutlined />}>
+                                {formatDeviation(truck.baselineDeviation)}
+                            </Tag>
+                        </Tooltip>
+                    ) : truck.baselineDeviation !== null && (
+                        <Tooltip title="Latest fills against this truck's baseline">
+                            <Tag color={truck.baselineDeviation < 0 ? "orange" : "green"}>
+                                {formatDeviation(truck.baselineDeviation)}
+                            </Tag>
+                        </Tooltip>
+                    )}
+                </div>
+            </div>
+        </List.Item>
+    );
+
+    return (
+        <div
+            className='bg-white p-3 h-100 rounded-4'
+            style={{
+                background: '#fff',
+                borderRadius: 12,
+                padding: 30,
+                boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
+                minHeight: 360,
+            }}
+        >
+            <div className='d-flex justify-content-between align-items-center mb-2'>
+                <b style={{ fontSize: 16 }}>Fuel Efficiency</b>
+                {analytics?.flaggedCount > 0 && (
+                    <Tag color="red">{analytics.flaggedCount} flagged</Tag>
+                )}
+            </div>
+            {trucks.length === 0 ? (
+                <Empty description="Add at least two full-tank fills to see fuel efficiency" />
+            ) : (
+                <>
+                    <div className='d-flex gap-4 mb-2'>
+                        <div className='d-flex flex-column'>
+                            <span style={{ fontSize: 12, color: "#939393" }}>Fleet km/l</span>
+                            <b style={{ fontSize: 20, color: THEME_GREEN }}>{analytics.fleet.kmPerLitre ?? '-'}</b>
+                        </div>
+                        <div className='d-flex flex-column'>
+                            <span style={{ fontSize: 12, color: "#939393" }}>Cost per km</span>
+                            <b style={{ fontSize: 20 }}>{analytics.fleet.costPerKm ?? '-'}</b>
+                        </div>
+                    </div>
+                    <Line {...config} />
+                    <List
+                        size="small"
+                        dataSource={trucks}
+                        rowKey="truckId"
+                        renderItem={renderTruck}
+                    />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FuelEfficiencyWidget;
@@ -1,10 +1,253 @@
-import { Empty } from 'antd';
-import React from 'react'
-import { useState } from 'react'
+import { Button, Empty, Segmented, Select, Spin, Tooltip, message } from 'antd';
+import { LeftOutlined, RightOutlined } from '@ant-design/icons';
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom';
+import dayjs from 'dayjs';
+import { Axios } from '../../../Config/Axios/Axios';
+import { UserContext } from '../../../App';
+import { useAlertChanges } from '../../NotificationContext/NotificationContext';
 
+const THEME_GREEN = "#1a7f37";
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+const KIND_COLORS = {
+  maintenance: '#722ed1',
+  emi: '#d48806',
+  trip: '#1677ff',
+};
+
+const PRIORITY_COLORS = {
+  low: '#52c41a',
+  medium: '#1a7f37',
+  high: '#fa8c16',
+  urgent: '#cf1322',
+};
+
+const KIND_LABELS = {
+  alert: 'Alert',
+  maintenance: 'Maintenance',
+  emi: 'EMI',
+  trip: 'Trip',
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem('token')}`,
+});
+
+const entryColor = (entry) => (entry.kind === 'alert' ? PRIORITY_COLORS[entry.priority] : KIND_COLORS[entry.kind]);
+
+// Days an entry covers; trips run from their start to their end date
+const coversDay = (entry, day) => {
+  const start = dayjs(entry.date).format(DAY_FORMAT);
+  const end = entry.endDate ? dayjs(entry.endDate).format(DAY_FORMAT) : start;
+  return day >= start && day <= end;
+};
+
+// Where clicking an entry leads
+const getSourcePath = (entry) => {
+  switch (entry.kind) {
+    case 'alert':
+      return `/dashboard?alert=${entry.sourceId}`;
+    case 'maintenance':
+      return `/trucks?maintenance=${entry.truckId}`;
+    case 'emi':
+      return `/calculateLoan/${entry.truckId}`;
+    case 'trip':
+      return `/expenseSummary/trips/${entry.truckId}`;
+    default:
+      return '/dashboard';
+  }
+};
+
+const describeEntry = (entry) => {
+  const details = [KIND_LABELS[entry.kind], entry.registrationNo].filter(Boolean);
+  if (entry.kind === 'alert') {
+    details.push(dayjs(entry.date).format('HH:mm'), entry.priority);
+  }
+  if (entry.kind === 'emi') {
+    details.push(`${Number(entry.amount).toLocaleString('en-IN')} ${entry.status}`);
+  }
+  if (entry.kind === 'maintenance' || entry.kind === 'trip') {
+    details.push(entry.status);
+  }
+  return details.join(' · ');
+};
+
+// Month and week calendar of the fleet: alerts, maintenance due dates, EMIs and trips.
+// Alerts are rescheduled by dragging them onto another day.
 const SchedulerWidget = () => {
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(dayjs());
+  const [schedule, setSchedule] = useState({ entries: [], trucks: [] });
+  const [loading, setLoading] = useState(true);
+  const [truckFilter, setTruckFilter] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const { user } = useContext(UserContext);
+  const navigate = useNavigate();
+
+  const days = useMemo(() => {
+    const start = view === 'month' ? cursor.startOf('month').startOf('week') : cursor.startOf('week');
+    const count = view === 'month' ? 42 : 7;
+    return Array.from({ length: count }, (_, index) => start.add(index, 'day'));
+  }, [view, cursor]);
 
-  const [hasScheduled, setHasScheduled] = useState(false);
+  const fetchSchedule = useCallback(() => {
+    Axios.get(`/api/v1/app/schedule/getScheduleByUserId`, {
+      params: {
+        userId: user.userId,
+        from: days[0].startOf('day').toISOString(),
+        to: days[days.length - 1].endOf('day').toISOString(),
+      },
+      headers: authHeaders(),
+    })
+      .then((res) => {
+        setSchedule(res.data);
+        setLoading(false);
+      })
+      .catch((err) => {
+        console.error("Failed to load schedule:", err);
+        setLoading(false);
+      });
+  }, [user.userId, days]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  // Alerts changed elsewhere move on the calendar too
+  useAlertChanges(() => {
+    fetchSchedule();
+  });
+
+  const entries = truckFilter
+    ? schedule.entries.filter((entry) => entry.truckId === truckFilter)
+    : schedule.entries;
+
+  const moveAlert = async (entry, day) => {
+    const current = dayjs(entry.date);
+    const alertDate = day.hour(current.hour()).minute(current.minute()).second(0).millisecond(0);
+    if (day.format(DAY_FORMAT) === current.format(DAY_FORMAT)) return;
+    if (alertDate.isBefore(dayjs())) {
+      message.error('Alerts cannot be moved into the past');
+      return;
+    }
+
+    // Show the move straight away and put it back if the server refuses it
+    const previous = schedule;
+    setSchedule({
+      ...schedule,
+      entries: schedule.entries.map((item) => (item.id === entry.id ? { ...item, date: alertDate.toISOString() } : item)),
+    });
+    try {
+      await Axios.put(`/api/v1/app/alerts/updateAlertById/${entry.sourceId}`, {
+        alertDate: alertDate.toISOString(),
+      }, {
+        headers: authHeaders(),
+      });
+      message.success(`"${entry.title}" moved to ${alertDate.format('DD MMM')}`);
+      // Later occurrences of a recurring alert follow the new date
+      fetchSchedule();
+    } catch (error) {
+      setSchedule(previous);
+      message.error(error.response?.data?.message || 'Failed to reschedule alert');
+    }
+  };
+
+  const handleDrop = (event, day) => {
+    event.preventDefault();
+    setDropTarget(null);
+    const entry = schedule.entries.find((item) => item.id === event.dataTransfer.getData('text/plain'));
+    if (entry && entry.draggable) {
+      moveAlert(entry, day);
+    }
+  };
+
+  const renderEntry = (entry) => (
+    <Tooltip key={entry.id} title={<><b>{entry.title}</b><br />{describeEntry(entry)}</>}>
+      <div
+        draggable={entry.draggable}
+        onDragStart={(event) => event.dataTransfer.setData('text/plain', entry.id)}
+        onClick={() => navigate(getSourcePath(entry))}
+        style={{
+          fontSize: 11,
+          lineHeight: '16px',
+          padding: '0 4px',
+          marginBottom: 2,
+          borderRadius: 4,
+          cursor: entry.draggable ? 'grab' : 'pointer',
+          color: '#fff',
+          background: entryColor(entry),
+          opacity: entry.status === 'paid' || entry.status === 'completed' || entry.status === 'read' ? 0.55 : 1,
+          whiteSpace: 'nowrap',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+        }}
+      >
+        {entry.kind === 'alert' && view === 'week' ? `${dayjs(entry.date).format('HH:mm')} ` : ''}
+        {entry.title}
+      </div>
+    </Tooltip>
+  );
+
+  const renderDay = (day) => {
+    const key = day.format(DAY_FORMAT);
+    const dayEntries = entries.filter((entry) => coversDay(entry, key));
+    const visible = view === 'month' ? dayEntries.slice(0, 3) : dayEntries;
+    const isToday = key === dayjs().format(DAY_FORMAT);
+    const inMonth = view === 'week' || day.month() === cursor.month();
+
+    return (
+      <div
+        key={key}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDropTarget(key);
+        }}
+        onDragLeave={() => setDropTarget(null)}
+        onDrop={(event) => handleDrop(event, day)}
+        style={{
+          minHeight: view === 'month' ? 84 : 220,
+          padding: 4,
+          border: '1px solid #f0f0f0',
+          background: dropTarget === key ? '#f0f9f2' : '#fff',
+          opacity: inMonth ? 1 : 0.5,
+          minWidth: 0,
+        }}
+      >
+        <div
+          className='mb-1'
+          style={{
+            fontSize: 12,
+            fontWeight: isToday ? 700 : 400,
+            color: isToday ? THEME_GREEN : '#595959',
+          }}
+        >
+          {view === 'week' ? day.format('ddd D') : day.date()}
+        </div>
+        {visible.map(renderEntry)}
+        {dayEntries.length > visible.length && (
+          <Button
+            type="link"
+            size="small"
+            className='p-0'
+            style={{ fontSize: 11, height: 16 }}
+            onClick={() => {
+              setCursor(day);
+              setView('week');
+            }}
+          >
+            +{dayEntries.length - visible.length} more
+          </Button>
+        )}
+      </div>
+    );
+  };
+
+  const title = view === 'month'
+    ? cursor.format('MMMM YYYY')
+    : `${days[0].format('D MMM')} - ${days[6].format('D MMM YYYY')}`;
 
   return (
     <div
@@ -16,23 +259,71 @@ const SchedulerWidget = () => {
         boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
       }}
     >
-      <h3 style={{
-        marginBottom: 12,
-        fontWeight: 600,
-        fontSize: 18,
-        color: "#333"
-      }}>
-        Scheduler
-      </h3>
-
-      {hasScheduled ? (
-        <b>hi</b>
-      ) : (
-        <Empty
-          image={Empty.PRESENTED_IMAGE_SIMPLE}
-          description="No schedules available"
-        />
-      )}
+      <div className='d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3'>
+        <h3 style={{
+          marginBottom: 0,
+          fontWeight: 600,
+          fontSize: 18,
+          color: "#333"
+        }}>
+          Scheduler
+        </h3>
+        <div className='d-flex flex-wrap align-items-center gap-2'>
+          <Select
+            size="small"
+            allowClear
+            placeholder="All trucks"
+            value={truckFilter}
+            onChange={(value) => setTruckFilter(value ?? null)}
+            options={schedule.trucks.map((truck) => ({ value: truck._id, label: truck.registrationNo }))}
+            style={{ width: 140 }}
+          />
+          <Segmented
+            size="small"
+            value={view}
+            onChange={setView}
+            options={[{ value: 'month', label: 'Month' }, { value: 'week', label: 'Week' }]}
+          />
+          <Button size="small" icon={<LeftOutlined />} onClick={() => setCursor(cursor.subtract(1, view))} />
+          <Button size="small" onClick={() => setCursor(dayjs())}>Today</Button>
+          <Button size="small" icon={<RightOutlined />} onClick={() => setCursor(cursor.add(1, view))} />
+        </div>
+      </div>
+
+      <b className='d-block mb-2'>{title}</b>
+      <Spin spinning={loading}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))' }}>
+          {days.slice(0, 7).map((day) => (
+            <div key={day.format('ddd')} className='text-center' style={{ fontSize: 12, color: '#939393', paddingBottom: 4 }}>
+              {day.format('ddd')}
+            </div>
+          ))}
+          {days.map(renderDay)}
+        </div>
+        {!loading && entries.length === 0 && (
+          <Empty
+            className='mt-3'
+            image={Empty.PRESENTED_IMAGE_SIMPLE}
+            description={view === 'month' ? "Nothing scheduled this month" : "Nothing scheduled this week"}
+          />
+        )}
+      </Spin>
+      <div className='d-flex flex-wrap gap-3 mt-2' style={{ fontSize: 12, color: '#595959' }}>
+        {Object.entries(KIND_LABELS).map(([kind, label]) => (
+          <span key={kind} className='d-flex align-items-center gap-1'>
+            <span
+              style={{
+                width: 10,
+                height: 10,
+                borderRadius: 2,
+                background: kind === 'alert' ? PRIORITY_COLORS.medium : KIND_COLORS[kind],
+              }}
+            />
+            {label}
+          </span>
+        ))}
+        <span style={{ color: '#939393' }}>Drag an alert to another day to reschedule it</span>
+      </div>
     </div>
   )
 }
@@ -0,0 +1,313 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import { Modal, Button, Table, Form, Input, Select, DatePicker, Tag, Popconfirm, Spin, Descriptions, message } from "antd";
+import { PlusOutlined, EditOutlined, DeleteOutlined, StopOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { Axios } from "../../Config/Axios/Axios";
+
+const { Option } = Select;
+const { RangePicker } = DatePicker;
+
+const THEME_GREEN = "#1a7f37";
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN")}`;
+
+// Trucks a driver was assigned to, and the expenses and income attributed to them
+const DriverAssignmentsModal = forwardRef(({ driver, userId }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [assignments, setAssignments] = useState([]);
+  const [trucks, setTrucks] = useState([]);
+  const [range, setRange] = useState([dayjs().startOf("month"), dayjs().endOf("month")]);
+  const [report, setReport] = useState(null);
+  const [editingAssignment, setEditingAssignment] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form] = Form.useForm();
+
+  const fetchAssignments = async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get(`/api/v1/app/driverProfiles/getDriverAssignmentsByDriverId/${driver._id}`, {
+        headers: authHeaders(),
+      });
+      setAssignments(response.data.data || []);
+    } catch (error) {
+      console.error("Error fetching driver assignments:", error);
+      message.error("Failed to load assignments");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTrucks = async () => {
+    try {
+      const response = await Axios.get(`/api/v1/app/truck/getAllTrucksByUser/${userId}`, {
+        headers: authHeaders(),
+      });
+      setTrucks(response.data || []);
+    } catch (error) {
+      console.error("Failed to fetch trucks:", error);
+      setTrucks([]);
+    }
+  };
+
+  const fetchReport = async (selectedRange = range) => {
+    try {
+      const response = await Axios.get("/api/v1/app/driverProfiles/getDriverReportByUserId", {
+        params: {
+          userId,
+          driverId: driver._id,
+          selectedDates: selectedRange.map((date) => date.format("YYYY-MM-DD")),
+        },
+        headers: authHeaders(),
+      });
+      setReport(response.data.data[0] || null);
+    } catch (error) {
+      // Members without expense access get no totals
+      setReport(null);
+    }
+  };
+
+  const refresh = async () => {
+    await fetchAssignments();
+    fetchReport();
+  };
+
+  const changeRange = (value) => {
+    if (!value) return;
+    setRange(value);
+    fetchReport(value);
+  };
+
+  const openForm = (assignment = null) => {
+    setEditingAssignment(assignment);
+    form.setFieldsValue(
+      assignment
+        ? {
+            ...assignment,
+            from: dayjs(assignment.from),
+            to: assignment.to ? dayjs(assignment.to) : null,
+          }
+        : { truckId: undefined, from: dayjs(), to: null, note: "" }
+    );
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingAssignment(null);
+    form.resetFields();
+  };
+
+  // Dates are sent as plain days; the server stretches them to whole days
+  const saveAssignment = async (values) => {
+    const payload = {
+      ...values,
+      driverId: driver._id,
+      from: values.from.format("YYYY-MM-DD"),
+      to: values.to ? values.to.format("YYYY-MM-DD") : "",
+    };
+    try {
+      setSubmitLoading(true);
+      if (editingAssignment) {
+        await Axios.put(`/api/v1/app/driverProfiles/updateDriverAssignmentById/${editingAssignment._id}`, payload, {
+          headers: authHeaders(),
+        });
+        message.success("Assignment updated");
+      } else {
+        await Axios.post("/api/v1/app/driverProfiles/addDriverAssignment", payload, { headers: authHeaders() });
+        message.success("Driver assigned");
+      }
+      closeForm();
+      await refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save assignment");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const endAssignment = async (assignment) => {
+    try {
+      await Axios.put(
+        `/api/v1/app/driverProfiles/updateDriverAssignmentById/${assignment._id}`,
+        { to: dayjs().format("YYYY-MM-DD") },
+        { headers: authHeaders() }
+      );
+      message.success("Assignment ended");
+      await refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to end assignment");
+    }
+  };
+
+  const deleteAssignment = async (assignmentId) => {
+    try {
+      await Axios.delete(`/api/v1/app/driverProfiles/deleteDriverAssignmentById/${assignmentId}`, {
+        headers: authHeaders(),
+      });
+      message.success("Assignment deleted");
+      await refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to delete assignment");
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchAssignments();
+    fetchTrucks();
+    fetchReport();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+    closeForm();
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const registrationNos = trucks.reduce((acc, truck) => ({ ...acc, [truck._id]: truck.registrationNo }), {});
+
+  const columns = [
+    {
+      title: "Truck",
+      dataIndex: "truckId",
+      key: "truckId",
+      render: (truckId, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{registrationNos[truckId] || "Archived truck"}</span>
+          {record.note && <small className="text-muted">{record.note}</small>}
+        </div>
+      ),
+    },
+    {
+      title: "Period",
+      key: "period",
+      render: (_, record) => (
+        <div className="d-flex flex-column align-items-start gap-1">
+          <span>
+            {dayjs(record.from).format("DD-MM-YYYY")} - {record.to ? dayjs(record.to).format("DD-MM-YYYY") : "now"}
+          </span>
+          {!record.to && <Tag color="green">Current</Tag>}
+        </div>
+      ),
+    },
+    {
+      title: "Action",
+      key: "action",
+      render: (_, record) => (
+        <div className="d-flex gap-2">
+          {!record.to && (
+            <Popconfirm title="End this assignment today?" onConfirm={() => endAssignment(record)} okText="End">
+              <Button size="small" icon={<StopOutlined />} />
+            </Popconfirm>
+          )}
+          <Button size="small" icon={<EditOutlined />} onClick={() => openForm(record)} />
+          <Popconfirm
+            title="Delete this assignment?"
+            description="Expenses on these days are no longer attributed to the driver."
+            onConfirm={() => deleteAssignment(record._id)}
+            okText="Delete"
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={`Truck assignments${driver ? ` - ${driver.name}` : ""}`}
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={760}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+          <span className="fw-semibold">While assigned</span>
+          <RangePicker value={range} onChange={changeRange} format="DD-MM-YYYY" allowClear={false} />
+        </div>
+        <Descriptions size="small" bordered column={{ xs: 1, sm: 2, md: 3 }} className="mb-3">
+          <Descriptions.Item label="Days">{report ? report.days : 0}</Descriptions.Item>
+          <Descriptions.Item label="Fuel">{formatAmount(report?.fuel)}</Descriptions.Item>
+          <Descriptions.Item label="DEF">{formatAmount(report?.def)}</Descriptions.Item>
+          <Descriptions.Item label="Other expenses">{formatAmount(report?.other)}</Descriptions.Item>
+          <Descriptions.Item label="Income">{formatAmount(report?.income)}</Descriptions.Item>
+          <Descriptions.Item label="Net">
+            <b>{formatAmount(report?.net)}</b>
+          </Descriptions.Item>
+        </Descriptions>
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={columns}
+          dataSource={assignments}
+          pagination={false}
+          locale={{ emptyText: "Not assigned to a truck yet" }}
+          scroll={{ x: true }}
+        />
+        {isFormOpen ? (
+          <Form form={form} layout="vertical" className="mt-4" onFinish={saveAssignment}>
+            <div className="row">
+              <Form.Item
+                className="col-md-4"
+                name="truckId"
+                label="Truck"
+                rules={[{ required: true, message: "Please select the truck" }]}
+              >
+                <Select placeholder="Select truck" disabled={Boolean(editingAssignment)}>
+                  {trucks.map((truck) => (
+                    <Option key={truck._id} value={truck._id}>
+                      {truck.registrationNo}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item
+                className="col-md-4"
+                name="from"
+                label="From"
+                rules={[{ required: true, message: "Please select the start date" }]}
+              >
+                <DatePicker className="w-100" format="DD-MM-YYYY" />
+              </Form.Item>
+              <Form.Item className="col-md-4" name="to" label="To" extra="Leave empty while ongoing">
+                <DatePicker className="w-100" format="DD-MM-YYYY" />
+              </Form.Item>
+              <Form.Item className="col-12" name="note" label="Note">
+                <Input maxLength={200} />
+              </Form.Item>
+            </div>
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={closeForm}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                {editingAssignment ? "Update assignment" : "Assign"}
+              </Button>
+            </div>
+          </Form>
+        ) : (
+          <Button className="mt-3" icon={<PlusOutlined />} onClick={() => openForm()}>
+            Assign to truck
+          </Button>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default DriverAssignmentsModal;
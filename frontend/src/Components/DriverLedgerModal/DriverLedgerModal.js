@@ -0,0 +1,466 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import {
+  Modal,
+  Button,
+  Table,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  DatePicker,
+  Tag,
+  Popconfirm,
+  Spin,
+  Descriptions,
+  message,
+} from "antd";
+import { PlusOutlined, EditOutlined, DeleteOutlined, DownloadOutlined, LockOutlined, UnlockOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { Axios } from "../../Config/Axios/Axios";
+
+const { Option } = Select;
+
+const THEME_GREEN = "#1a7f37";
+
+export const LEDGER_TYPE_LABELS = {
+  salary: "Salary",
+  allowance: "Trip allowance",
+  advance: "Advance",
+  recovery: "Recovery",
+};
+
+const LEDGER_TYPE_COLORS = {
+  salary: "green",
+  allowance: "cyan",
+  advance: "orange",
+  recovery: "purple",
+};
+
+// Salary and allowances are posted to a truck's expenses, so they need one
+const EARNING_TYPES = ["salary", "allowance"];
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN")}`;
+
+// Pay ledger of one driver, a month at a time; settling a month locks its entries
+const DriverLedgerModal = forwardRef(({ driver, userId }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [month, setMonth] = useState(dayjs());
+  const [ledger, setLedger] = useState(null);
+  const [trucks, setTrucks] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form] = Form.useForm();
+  const entryType = Form.useWatch("type", form);
+
+  const settlement = ledger?.settlement;
+
+  const fetchLedger = async (selectedMonth = month) => {
+    try {
+      setLoading(true);
+      const response = await Axios.get("/api/v1/app/driverLedger/getDriverLedgerByDriverId", {
+        params: { driverId: driver._id, month: selectedMonth.format("YYYY-MM") },
+        headers: authHeaders(),
+      });
+      setLedger(response.data);
+    } catch (error) {
+      console.error("Error fetching driver ledger:", error);
+      message.error(error.response?.data?.message || "Failed to load ledger");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTrucks = async () => {
+    try {
+      const response = await Axios.get(`/api/v1/app/truck/getAllTrucksByUser/${userId}`, {
+        headers: authHeaders(),
+      });
+      setTrucks(response.data || []);
+    } catch (error) {
+      console.error("Failed to fetch trucks:", error);
+      setTrucks([]);
+    }
+  };
+
+  const fetchTrips = async (truckId) => {
+    if (!truckId) {
+      setTrips([]);
+      return;
+    }
+    try {
+      const response = await Axios.get("/api/v1/app/trips/getAllTripsByTruckId", {
+        params: { truckId },
+        headers: authHeaders(),
+      });
+      setTrips(response.data.expenses || []);
+    } catch (error) {
+      // 404 simply means the truck has no trips yet
+      setTrips([]);
+    }
+  };
+
+  const changeMonth = (value) => {
+    if (!value) return;
+    setMonth(value);
+    closeForm();
+    fetchLedger(value);
+  };
+
+  const openForm = (entry = null) => {
+    setEditingEntry(entry);
+    form.setFieldsValue(
+      entry
+        ? { ...entry, date: dayjs(entry.date), truckId: entry.truckId || undefined, tripId: entry.tripId || undefined }
+        : {
+            type: undefined,
+            date: month.isSame(dayjs(), "month") ? dayjs() : month.startOf("month"),
+            amount: null,
+            truckId: undefined,
+            tripId: undefined,
+            note: "",
+          }
+    );
+    fetchTrips(entry?.truckId);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingEntry(null);
+    form.resetFields();
+  };
+
+  const saveEntry = async (values) => {
+    const payload = {
+      ...values,
+      driverId: driver._id,
+      date: values.date.format("YYYY-MM-DD"),
+      truckId: values.truckId || "",
+      tripId: values.tripId || "",
+    };
+    try {
+      setSubmitLoading(true);
+      if (editingEntry) {
+        await Axios.put(`/api/v1/app/driverLedger/updateDriverLedgerEntryById/${editingEntry._id}`, payload, {
+          headers: authHeaders(),
+        });
+        message.success("Entry updated");
+      } else {
+        await Axios.post("/api/v1/app/driverLedger/addDriverLedgerEntry", payload, { headers: authHeaders() });
+        message.success(
+          EARNING_TYPES.includes(values.type) ? "Entry added and posted to the truck's expenses" : "Entry added"
+        );
+      }
+      closeForm();
+      await fetchLedger();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save entry");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const deleteEntry = async (entryId) => {
+    try {
+      await Axios.delete(`/api/v1/app/driverLedger/deleteDriverLedgerEntryById/${entryId}`, {
+        headers: authHeaders(),
+      });
+      message.success("Entry deleted");
+      await fetchLedger();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to delete entry");
+    }
+  };
+
+  const settleMonth = async () => {
+    try {
+      await Axios.post(
+        "/api/v1/app/driverLedger/settleDriverMonth",
+        { driverId: driver._id, month: month.format("YYYY-MM") },
+        { headers: authHeaders() }
+      );
+      message.success("Month settled");
+      closeForm();
+      await fetchLedger();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to settle month");
+    }
+  };
+
+  const reopenMonth = async () => {
+    try {
+      await Axios.delete(`/api/v1/app/driverLedger/reopenDriverMonth/${settlement._id}`, {
+        headers: authHeaders(),
+      });
+      message.success("Month reopened");
+      await fetchLedger();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to reopen month");
+    }
+  };
+
+  const downloadStatement = async () => {
+    try {
+      const response = await Axios.get("/api/v1/app/driverLedger/downloadDriverLedgerExcel", {
+        params: { driverId: driver._id, month: month.format("YYYY-MM") },
+        responseType: "blob",
+        headers: authHeaders(),
+      });
+      const url = URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement("a");
+      link.href = url;
+      link.setAttribute("download", `settlement-${driver.name}-${month.format("YYYY-MM")}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading statement:", error);
+      message.error("Failed to download statement");
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchLedger();
+    fetchTrucks();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+    closeForm();
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const registrationNos = trucks.reduce((acc, truck) => ({ ...acc, [truck._id]: truck.registrationNo }), {});
+
+  const columns = [
+    {
+      title: "Date",
+      dataIndex: "date",
+      key: "date",
+      render: (date) => dayjs(date).format("DD-MM-YYYY"),
+    },
+    {
+      title: "Type",
+      dataIndex: "type",
+      key: "type",
+      render: (type, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <Tag color={LEDGER_TYPE_COLORS[type]}>{LEDGER_TYPE_LABELS[type]}</Tag>
+          {record.note && <small className="text-muted">{record.note}</small>}
+        </div>
+      ),
+    },
+    {
+      title: "Truck",
+      dataIndex: "truckId",
+      key: "truckId",
+      render: (truckId) => (truckId ? registrationNos[truckId] || "-" : "-"),
+    },
+    {
+      title: "Amount",
+      dataIndex: "amount",
+      key: "amount",
+      render: (amount) => formatAmount(amount),
+    },
+    {
+      title: "Action",
+      key: "action",
+      render: (_, record) =>
+        settlement ? (
+          <LockOutlined className="text-muted" />
+        ) : (
+          <div className="d-flex gap-2">
+            <Button size="small" icon={<EditOutlined />} onClick={() => openForm(record)} />
+            <Popconfirm
+              title="Delete this entry?"
+              description={
+                EARNING_TYPES.includes(record.type) ? "Its truck expense is deleted too." : undefined
+              }
+              onConfirm={() => deleteEntry(record._id)}
+              okText="Delete"
+            >
+              <Button size="small" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          </div>
+        ),
+    },
+  ];
+
+  // A settled month shows the figures frozen at settlement
+  const figures = settlement || ledger;
+
+  return (
+    <Modal
+      title={`Pay ledger${driver ? ` - ${driver.name}` : ""}`}
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={820}
+      destroyOnClose
+    >
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+        <DatePicker picker="month" value={month} onChange={changeMonth} format="MMM YYYY" allowClear={false} />
+        <div className="d-flex gap-2">
+          <Button icon={<DownloadOutlined />} onClick={downloadStatement}>
+            Excel
+          </Button>
+          {settlement ? (
+            <Popconfirm
+              title="Reopen this month?"
+              description="Its entries can be changed again."
+              onConfirm={reopenMonth}
+              okText="Reopen"
+            >
+              <Button icon={<UnlockOutlined />}>Reopen</Button>
+            </Popconfirm>
+          ) : (
+            <Popconfirm
+              title="Settle this month?"
+              description="The statement is frozen and its entries locked."
+              onConfirm={settleMonth}
+              okText="Settle"
+            >
+              <Button
+                type="primary"
+                icon={<LockOutlined />}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+                disabled={!ledger || ledger.entries.length === 0}
+              >
+                Settle
+              </Button>
+            </Popconfirm>
+          )}
+        </div>
+      </div>
+      <Spin spinning={loading}>
+        {figures && (
+          <Descriptions size="small" bordered column={{ xs: 1, sm: 2, md: 3 }} className="mb-3">
+            <Descriptions.Item label="Opening advance">{formatAmount(figures.openingAdvance)}</Descriptions.Item>
+            <Descriptions.Item label="Salary">{formatAmount(figures.salary)}</Descriptions.Item>
+            <Descriptions.Item label="Allowances">{formatAmount(figures.allowance)}</Descriptions.Item>
+            <Descriptions.Item label="Advances paid">{formatAmount(figures.advances)}</Descriptions.Item>
+            <Descriptions.Item label="Recovered">{formatAmount(figures.recoveries)}</Descriptions.Item>
+            <Descriptions.Item label="Closing advance">{formatAmount(figures.closingAdvance)}</Descriptions.Item>
+            <Descriptions.Item label="Net payable" span={3}>
+              <b>{formatAmount(figures.netPayable)}</b>
+              {settlement && (
+                <Tag color="green" className="ms-2">
+                  Settled on {dayjs(settlement.settledAt).format("DD-MM-YYYY")}
+                </Tag>
+              )}
+            </Descriptions.Item>
+          </Descriptions>
+        )}
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={columns}
+          dataSource={ledger?.entries || []}
+          pagination={false}
+          locale={{ emptyText: "No entries this month" }}
+          scroll={{ x: true }}
+        />
+        {settlement ? null : isFormOpen ? (
+          <Form form={form} layout="vertical" className="mt-4" onFinish={saveEntry}>
+            <div className="row">
+              <Form.Item
+                className="col-md-4"
+                name="type"
+                label="Type"
+                rules={[{ required: true, message: "Please select the entry type" }]}
+              >
+                <Select placeholder="Select type">
+                  {Object.entries(LEDGER_TYPE_LABELS).map(([type, label]) => (
+                    <Option key={type} value={type}>
+                      {label}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item
+                className="col-md-4"
+                name="date"
+                label="Date"
+                rules={[{ required: true, message: "Please select the date" }]}
+              >
+                <DatePicker className="w-100" format="DD-MM-YYYY" />
+              </Form.Item>
+              <Form.Item
+                className="col-md-4"
+                name="amount"
+                label="Amount"
+                rules={[{ required: true, message: "Please enter the amount" }]}
+              >
+                <InputNumber className="w-100" min={0.01} prefix="₹" />
+              </Form.Item>
+              <Form.Item
+                className="col-md-6"
+                name="truckId"
+                label="Truck"
+                rules={[
+                  { required: EARNING_TYPES.includes(entryType), message: "Salary and allowances need a truck" },
+                ]}
+              >
+                <Select
+                  placeholder="Select truck"
+                  allowClear
+                  onChange={(truckId) => {
+                    form.setFieldsValue({ tripId: undefined });
+                    fetchTrips(truckId);
+                  }}
+                >
+                  {trucks.map((truck) => (
+                    <Option key={truck._id} value={truck._id}>
+                      {truck.registrationNo}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item className="col-md-6" name="tripId" label="Trip">
+                <Select placeholder="Select trip" allowClear disabled={trips.length === 0}>
+                  {trips.map((trip) => (
+                    <Option key={trip._id} value={trip._id}>
+                      {`${dayjs(trip.date).format("DD-MM-YYYY")} ${trip.origin} - ${trip.destination}`}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item className="col-12" name="note" label="Note">
+                <Input maxLength={200} />
+              </Form.Item>
+            </div>
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={closeForm}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                {editingEntry ? "Update entry" : "Add entry"}
+              </Button>
+            </div>
+          </Form>
+        ) : (
+          <Button className="mt-3" icon={<PlusOutlined />} onClick={() => openForm()}>
+            Add entry
+          </Button>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default DriverLedgerModal;
@@ -103,6 +103,24 @@ const ExpenseModal = forwardRef(
       form.setFieldsValue({ date: dateValue });
     };
 
+    // Readings that don't fit the truck's odometer history are only saved once confirmed
+    const confirmOdometer = (odometerIssues, saveAnyway) => {
+      Modal.confirm({
+        title: "Check the odometer reading",
+        content: (
+          <ul className="ps-3 mb-0">
+            {odometerIssues.map((issue) => (
+              <li key={issue.code}>{issue.message}</li>
+            ))}
+          </ul>
+        ),
+        okText: "Save anyway",
+        cancelText: "Edit reading",
+        onOk: saveAnyway,
+        onCancel: () => setOpen(true),
+      });
+    };
+
     const submitDetails = async () => {
       try {
         const values = await form.validateFields();
@@ -115,60 +133,58 @@ const ExpenseModal = forwardRef(
         };
 
 
-        if (updateData && updateData._id) {
-          const apiPath = getApiPath(currentCatalog);
-          Axios.put(
-            `/api/v1/app/${apiPath}/${getUpdateApiEndpoints(currentCatalog)}/${updateData._id}`,
-            {
-              ...timestampedValues,
-              id: updateData._id,
-            },
-            {
-              headers: {
-                authorization: `bearer ${localStorage.getItem("token")}`,
+        const apiPath = getApiPath(currentCatalog);
+        const headers = {
+          authorization: `bearer ${localStorage.getItem("token")}`,
+        };
+        const isUpdate = updateData && updateData._id;
+
+        const saveExpense = (extraFields = {}) => {
+          setContentLoader(true);
+          const request = isUpdate
+            ? Axios.put(
+              `/api/v1/app/${apiPath}/${getUpdateApiEndpoints(currentCatalog)}/${updateData._id}`,
+              {
+                ...timestampedValues,
+                id: updateData._id,
+                ...extraFields,
               },
-            }
-          )
-            .then((res) => {
-              setContentLoader(false);
-              form.resetFields();
-              setUpdateData({})
-              setOpen(false);
-              onSuccess();
-            })
-            .catch((err) => {
-              console.error("Error:", err); // Log the error details for debugging
-              setIsError(true);
-              setContentLoader(false); // Hide the loader after an error
-            });
-        }
-        else {
-          const apiPath = getApiPath(currentCatalog);
-          Axios.post(
-            `/api/v1/app/${apiPath}/${getApiEndpoints(currentCatalog)}`,
-            {
-              ...timestampedValues,
-              addedBy: user.userId,
-              truckId: activeTruckId,
-            },
-            {
-              headers: {
-                authorization: `bearer ${localStorage.getItem("token")}`,
+              { headers }
+            )
+            : Axios.post(
+              `/api/v1/app/${apiPath}/${getApiEndpoints(currentCatalog)}`,
+              {
+                ...timestampedValues,
+                addedBy: user.userId,
+                truckId: activeTruckId,
+                ...extraFields,
               },
-            }
-          )
+              { headers }
+            );
+
+          request
             .then((res) => {
               setContentLoader(false);
               form.resetFields();
+              if (isUpdate) {
+                setUpdateData({})
+              }
               setOpen(false);
               onSuccess();
             })
             .catch((err) => {
               console.error("Error:", err); // Log the error details for debugging
-              setIsError(true);
               setContentLoader(false); // Hide the loader after an error
+              const odometerIssues = err.response?.data?.odometerIssues;
+              if (odometerIssues) {
+                confirmOdometer(odometerIssues, () => saveExpense({ confirmOdometer: true }));
+              } else {
+                setIsError(true);
+              }
             });
-        }
+        };
+
+        saveExpense();
         setOpen(false); // Close the modal on successful submission
       } catch (error) {
         console.error("Form submission failed:", error);
@@ -234,7 +250,8 @@ const ExpenseModal = forwardRef(
               >
                 <Select
                   placeholder={field.placeholder}
-                  onChange={handleCategoryChange}
+                  onChange={field.name === "category" ? handleCategoryChange : undefined}
+                  allowClear={!field.rules}
                 >
                   {field?.options?.map((option) => (
                     <Option key={option.value} value={option.value}>
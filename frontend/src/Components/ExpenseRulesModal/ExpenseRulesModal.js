@@ -0,0 +1,327 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import { Modal, Button, Table, Form, Input, InputNumber, Select, Radio, Switch, Tag, Popconfirm, Spin, message } from "antd";
+import { PlusOutlined, EditOutlined, DeleteOutlined } from "@ant-design/icons";
+import { Axios } from "../../Config/Axios/Axios";
+
+const THEME_GREEN = "#1a7f37";
+
+const CATEGORY_OPTIONS = [
+  { value: "any", label: "Any expense" },
+  { value: "fuel", label: "Fuel" },
+  { value: "def", label: "DEF" },
+  { value: "toll", label: "Toll" },
+  { value: "pollution", label: "Pollution" },
+  { value: "insurance", label: "Insurance" },
+  { value: "service&Maintenance", label: "Service & Maintenance" },
+  { value: "salary&incentives", label: "Salary & Incentives" },
+  { value: "other", label: "Other" },
+];
+
+const PERIOD_OPTIONS = [
+  { value: "expense", label: "Each expense" },
+  { value: "day", label: "Daily total" },
+  { value: "week", label: "Weekly total" },
+  { value: "month", label: "Monthly total" },
+];
+
+const PRIORITY_COLORS = {
+  low: "default",
+  medium: "blue",
+  high: "orange",
+  urgent: "red",
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const formatAmount = (amount) => Number(amount).toLocaleString("en-IN");
+
+const labelOf = (options, value) => options.find((option) => option.value === value)?.label || value;
+
+const describeLimit = ({ mode, amount, percent }) =>
+  mode === "absolute" ? `Above ${formatAmount(amount)}` : `${percent}% above the truck's average`;
+
+// Limits on the user's expenses, per category, truck and period. The finance service
+// checks each new expense against them and raises an alert for each rule it takes over.
+const ExpenseRulesModal = forwardRef(({ trucks = [] }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [rules, setRules] = useState([]);
+  const [defaultThreshold, setDefaultThreshold] = useState(null);
+  const [editingRule, setEditingRule] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form] = Form.useForm();
+
+  const mode = Form.useWatch("mode", form);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get("/api/v1/app/expenseRules/getExpenseRules", {
+        headers: authHeaders(),
+      });
+      setRules(response.data.rules);
+      setDefaultThreshold(response.data.defaultThreshold);
+    } catch (error) {
+      console.error("Error fetching expense rules:", error);
+      message.error("Failed to load expense rules");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (rule = null) => {
+    setEditingRule(rule);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingRule(null);
+    form.resetFields();
+  };
+
+  const saveRule = async (values) => {
+    const payload = {
+      ...values,
+      truckId: values.truckId ?? "",
+      amount: values.mode === "absolute" ? values.amount : "",
+      percent: values.mode === "percentAboveAverage" ? values.percent : "",
+    };
+    try {
+      setSubmitLoading(true);
+      if (editingRule) {
+        await Axios.put(`/api/v1/app/expenseRules/updateExpenseRuleById/${editingRule._id}`, payload, {
+          headers: authHeaders(),
+        });
+        message.success("Expense rule updated");
+      } else {
+        await Axios.post("/api/v1/app/expenseRules/addExpenseRule", payload, { headers: authHeaders() });
+        message.success("Expense rule added");
+      }
+      closeForm();
+      await fetchRules();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save expense rule");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const toggleRule = async (rule, isActive) => {
+    try {
+      await Axios.put(`/api/v1/app/expenseRules/updateExpenseRuleById/${rule._id}`, { isActive }, {
+        headers: authHeaders(),
+      });
+      setRules((current) => current.map((item) => (item._id === rule._id ? { ...item, isActive } : item)));
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to update expense rule");
+    }
+  };
+
+  const deleteRule = async (ruleId) => {
+    try {
+      await Axios.delete(`/api/v1/app/expenseRules/deleteExpenseRuleById/${ruleId}`, {
+        headers: authHeaders(),
+      });
+      message.success("Expense rule deleted");
+      await fetchRules();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to delete expense rule");
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchRules();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+    closeForm();
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const truckOptions = [
+    { value: null, label: "Each truck" },
+    ...trucks.map((truck) => ({ value: truck._id, label: truck.registrationNo })),
+  ];
+
+  const columns = [
+    {
+      title: "Rule",
+      dataIndex: "name",
+      key: "name",
+      render: (name, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{name}</span>
+          <small className="text-muted">
+            {labelOf(CATEGORY_OPTIONS, record.category)} · {labelOf(truckOptions, record.truckId)}
+          </small>
+        </div>
+      ),
+    },
+    {
+      title: "Fires when",
+      key: "limit",
+      render: (_, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{labelOf(PERIOD_OPTIONS, record.period)}</span>
+          <small className="text-muted">{describeLimit(record)}</small>
+        </div>
+      ),
+    },
+    {
+      title: "Priority",
+      dataIndex: "priority",
+      key: "priority",
+      render: (priority) => <Tag color={PRIORITY_COLORS[priority]}>{priority}</Tag>,
+    },
+    {
+      title: "Active",
+      dataIndex: "isActive",
+      key: "isActive",
+      render: (isActive, record) => (
+        <Switch size="small" checked={isActive} onChange={(checked) => toggleRule(record, checked)} />
+      ),
+    },
+    {
+      title: "Action",
+      key: "action",
+      render: (_, record) => (
+        <div className="d-flex gap-2">
+          <Button size="small" icon={<EditOutlined />} onClick={() => openForm(record)} />
+          <Popconfirm
+            title="Delete this expense rule?"
+            description={rules.length === 1 ? "With no rules left, the default limit applies again." : undefined}
+            onConfirm={() => deleteRule(record._id)}
+            okText="Delete"
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title="Expense rules"
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={820}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        <p className="text-muted mb-3">
+          {rules.length === 0 && defaultThreshold !== null
+            ? `No rules yet: you are alerted on any expense above ${formatAmount(defaultThreshold)}.`
+            : "Averages cover the last 90 days for single expenses, or the last 3 days, weeks or months for totals."}
+        </p>
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={columns}
+          dataSource={rules}
+          pagination={false}
+          locale={{ emptyText: "No expense rules yet" }}
+          scroll={{ x: true }}
+        />
+        {isFormOpen ? (
+          <Form
+            key={editingRule?._id || "new"}
+            form={form}
+            layout="vertical"
+            className="mt-4"
+            initialValues={
+              editingRule || {
+                name: "",
+                category: "any",
+                truckId: null,
+                period: "expense",
+                mode: "absolute",
+                amount: defaultThreshold,
+                percent: 50,
+                priority: "high",
+              }
+            }
+            onFinish={saveRule}
+          >
+            <div className="row">
+              <Form.Item
+                className="col-md-6"
+                name="name"
+                label="Name"
+                rules={[{ required: true, message: "Please enter the rule name" }]}
+              >
+                <Input maxLength={60} placeholder="Monthly fuel limit" />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="category" label="Category">
+                <Select options={CATEGORY_OPTIONS} />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="truckId" label="Truck">
+                <Select options={truckOptions} />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="period" label="Check">
+                <Select options={PERIOD_OPTIONS} />
+              </Form.Item>
+              <Form.Item className="col-md-6" name="mode" label="Limit">
+                <Radio.Group>
+                  <Radio value="absolute">Fixed amount</Radio>
+                  <Radio value="percentAboveAverage">% above average</Radio>
+                </Radio.Group>
+              </Form.Item>
+              {mode === "percentAboveAverage" ? (
+                <Form.Item
+                  className="col-md-3"
+                  name="percent"
+                  label="Percent above"
+                  rules={[{ required: true, message: "Please enter the percentage" }]}
+                >
+                  <InputNumber className="w-100" min={1} max={1000} addonAfter="%" />
+                </Form.Item>
+              ) : (
+                <Form.Item
+                  className="col-md-3"
+                  name="amount"
+                  label="Amount"
+                  rules={[{ required: true, message: "Please enter the amount" }]}
+                >
+                  <InputNumber className="w-100" min={1} />
+                </Form.Item>
+              )}
+              <Form.Item className="col-md-3" name="priority" label="Alert priority">
+                <Select
+                  options={Object.keys(PRIORITY_COLORS).map((priority) => ({ value: priority, label: priority }))}
+                />
+              </Form.Item>
+            </div>
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={closeForm}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                {editingRule ? "Update rule" : "Add rule"}
+              </Button>
+            </div>
+          </Form>
+        ) : (
+          <Button className="mt-3" icon={<PlusOutlined />} onClick={() => openForm()}>
+            Add expense rule
+          </Button>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default ExpenseRulesModal;
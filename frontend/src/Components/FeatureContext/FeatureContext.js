@@ -0,0 +1,37 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { Axios } from '../../Config/Axios/Axios';
+
+// Create the Feature Context
+const FeatureContext = createContext();
+
+// Custom hook to use the Feature Context
+export const useFeatures = () => {
+    const context = useContext(FeatureContext);
+    if (!context) {
+        throw new Error('useFeatures must be used within a FeatureProvider');
+    }
+    return context;
+};
+
+// Optional feature areas served by the backend behind REACT_APP_BACKEND_URL. The
+// monolith and the API gateway each serve only some of them, so the rest are hidden;
+// none are shown until the backend has answered, or if it could not.
+export const FeatureProvider = ({ children }) => {
+    const [features, setFeatures] = useState(() => new Set());
+
+    useEffect(() => {
+        Axios.get('/api/v1/app/health/features')
+            .then((res) => setFeatures(new Set(res.data.features)))
+            .catch((error) => console.error('Failed to load backend features:', error));
+    }, []);
+
+    const hasFeature = useCallback((name) => features.has(name), [features]);
+
+    return (
+        <FeatureContext.Provider value={{ hasFeature }}>
+            {children}
+        </FeatureContext.Provider>
+    );
+};
+
+export default FeatureContext;
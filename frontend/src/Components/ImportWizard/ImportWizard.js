@@ -0,0 +1,295 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import dayjs from "dayjs";
+import { Modal, Steps, Select, Upload, Button, Table, Tag, Alert, Result, message } from "antd";
+import { InboxOutlined } from "@ant-design/icons";
+import { Axios } from "../../Config/Axios/Axios";
+
+const THEME_GREEN = "#1a7f37";
+
+// Column layouts match the Excel exports of each type
+const IMPORT_TYPES = {
+  fuelExpenses: {
+    label: "Fuel Expenses",
+    url: "/api/v1/app/fuelExpenses/importFuelExpenses",
+    columns: ["Date", "Current KM", "Litres", "Cost", "Note"],
+    fields: { date: "Date", currentKM: "Current KM", litres: "Litres", cost: "Cost", note: "Note" },
+  },
+  defExpenses: {
+    label: "DEF Expenses",
+    url: "/api/v1/app/defExpenses/importDefExpenses",
+    columns: ["Date", "Current KM", "Litres", "Cost", "Note"],
+    fields: { date: "Date", currentKM: "Current KM", litres: "Litres", cost: "Cost", note: "Note" },
+  },
+  otherExpenses: {
+    label: "Other Expenses",
+    url: "/api/v1/app/otherExpenses/importOtherExpenses",
+    columns: ["Date", "Category", "Cost", "Note"],
+    fields: { date: "Date", category: "Category", cost: "Cost", note: "Note" },
+    hint: "Categories are Toll, Pollution, Insurance, Service & Maintenance, Salary & Incentives, or Other: <description>.",
+  },
+  income: {
+    label: "Income",
+    url: "/api/v1/app/income/importIncomes",
+    columns: ["Date", "Amount", "Note"],
+    fields: { date: "Date", amount: "Amount", note: "Note" },
+  },
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const ImportWizard = forwardRef(({ trucks = [], onSuccess }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [step, setStep] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [importType, setImportType] = useState("fuelExpenses");
+  const [truckId, setTruckId] = useState(null);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [imported, setImported] = useState(0);
+
+  const config = IMPORT_TYPES[importType];
+
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setPreview(null);
+    setImported(0);
+  };
+
+  const showModal = ({ type, truckId: initialTruckId } = {}) => {
+    reset();
+    if (type && IMPORT_TYPES[type]) setImportType(type);
+    setTruckId(initialTruckId || null);
+    setIsModalOpen(true);
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const upload = async (dryRun, confirmOdometer = false) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    formData.append("dryRun", dryRun);
+    if (confirmOdometer) formData.append("confirmOdometer", true);
+    if (truckId) formData.append("truckId", truckId);
+    return Axios.post(config.url, formData, { headers: authHeaders() });
+  };
+
+  const runPreview = async () => {
+    try {
+      setLoading(true);
+      const response = await upload(true);
+      setPreview(response.data);
+      setStep(1);
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to read the file");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runImport = async () => {
+    try {
+      setLoading(true);
+      const response = await upload(false, preview.warningCount > 0);
+      setImported(response.data.imported);
+      setStep(2);
+      if (onSuccess) onSuccess();
+    } catch (error) {
+      // Rows can still fail on the server (e.g. a truck was removed meanwhile)
+      if (error.response?.data?.rows) {
+        setPreview(error.response.data);
+      }
+      message.error(error.response?.data?.message || "Import failed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const previewColumns = [
+    { title: "Row", dataIndex: "row", key: "row", width: 60 },
+    { title: "Truck", dataIndex: "registrationNo", key: "registrationNo", width: 120, render: (value) => value || "-" },
+    ...Object.entries(config.fields).map(([field, heading]) => ({
+      title: heading,
+      key: field,
+      width: field === "note" ? 160 : 110,
+      render: (text, record) => {
+        const value = record.values[field];
+        if (value === undefined) return "-";
+        if (field === "category" && record.values.other) return `Other: ${record.values.other}`;
+        return field === "date" ? dayjs(value).format("YYYY-MM-DD") : value;
+      },
+    })),
+    {
+      title: "Errors",
+      key: "errors",
+      width: 260,
+      render: (text, record) =>
+        record.errors.length === 0 && !record.warnings?.length ? (
+          <Tag color="green">OK</Tag>
+        ) : (
+          [
+            ...record.errors.map((error) => (
+              <Tag color="red" key={error} style={{ whiteSpace: "normal", marginBottom: 4 }}>
+                {error}
+              </Tag>
+            )),
+            ...(record.warnings || []).map((warning) => (
+              <Tag color="orange" key={warning} style={{ whiteSpace: "normal", marginBottom: 4 }}>
+                {warning}
+              </Tag>
+            )),
+          ]
+        ),
+    },
+  ];
+
+  const renderUploadStep = () => (
+    <>
+      <div className="d-flex flex-column flex-md-row gap-2 mb-3">
+        <Select
+          style={{ flex: 1 }}
+          value={importType}
+          onChange={(value) => {
+            setImportType(value);
+            setPreview(null);
+          }}
+          options={Object.entries(IMPORT_TYPES).map(([value, { label }]) => ({ value, label }))}
+        />
+        <Select
+          style={{ flex: 1 }}
+          allowClear
+          placeholder="Truck from Registration No column"
+          value={truckId}
+          onChange={(value) => setTruckId(value || null)}
+          options={trucks.map((truck) => ({ value: truck._id, label: truck.registrationNo }))}
+        />
+      </div>
+      <p className="text-muted mb-2">
+        Use the same columns as the Excel download: <b>{config.columns.join(", ")}</b>. Add a{" "}
+        <b>Registration No</b> column to import rows for several trucks, or pick a truck above.
+        {config.hint && ` ${config.hint}`}
+      </p>
+      <Upload.Dragger
+        accept=".csv,.xlsx,.xls"
+        maxCount={1}
+        fileList={file ? [file] : []}
+        beforeUpload={(selected) => {
+          setFile(selected);
+          return false;
+        }}
+        onRemove={() => setFile(null)}
+      >
+        <p className="ant-upload-drag-icon">
+          <InboxOutlined style={{ color: THEME_GREEN }} />
+        </p>
+        <p className="ant-upload-text">Click or drag a CSV or Excel file here</p>
+      </Upload.Dragger>
+      <div className="d-flex justify-content-end mt-3">
+        <Button
+          type="primary"
+          disabled={!file}
+          loading={loading}
+          onClick={runPreview}
+          style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+        >
+          Preview
+        </Button>
+      </div>
+    </>
+  );
+
+  const renderReviewStep = () => (
+    <>
+      {preview.invalidCount > 0 ? (
+        <Alert
+          type="error"
+          showIcon
+          className="mb-3"
+          message={`${preview.invalidCount} of ${preview.total} rows have errors`}
+          description="Fix them in the file and upload it again. Nothing is imported until every row is valid."
+        />
+      ) : preview.warningCount > 0 ? (
+        <Alert
+          type="warning"
+          showIcon
+          className="mb-3"
+          message={`${preview.warningCount} of ${preview.total} rows have suspicious odometer readings`}
+          description="Check them against the truck's odometer. Importing saves them as they are."
+        />
+      ) : (
+        <Alert
+          type="success"
+          showIcon
+          className="mb-3"
+          message={`All ${preview.total} rows are valid and ready to import`}
+        />
+      )}
+      <Table
+        columns={previewColumns}
+        dataSource={preview.rows}
+        rowKey="row"
+        size="small"
+        pagination={{ pageSize: 20 }}
+        scroll={{ x: 900, y: 400 }}
+      />
+      <div className="d-flex justify-content-between mt-3">
+        <Button onClick={() => setStep(0)} disabled={loading}>
+          Back
+        </Button>
+        <Button
+          type="primary"
+          disabled={preview.invalidCount > 0}
+          loading={loading}
+          onClick={runImport}
+          style={preview.invalidCount > 0 ? {} : { backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+        >
+          Import {preview.validCount} rows
+        </Button>
+      </div>
+    </>
+  );
+
+  return (
+    <Modal
+      title="Import from CSV / Excel"
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={step === 1 ? 1000 : 650}
+      centered
+    >
+      <Steps
+        className="mb-4"
+        size="small"
+        current={step}
+        items={[{ title: "Upload" }, { title: "Review" }, { title: "Done" }]}
+      />
+      {step === 0 && renderUploadStep()}
+      {step === 1 && preview && renderReviewStep()}
+      {step === 2 && (
+        <Result
+          status="success"
+          title={`Imported ${imported} ${config.label.toLowerCase()}`}
+          extra={[
+            <Button key="another" onClick={reset}>
+              Import another file
+            </Button>,
+            <Button key="close" type="primary" onClick={hideModal} style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}>
+              Close
+            </Button>,
+          ]}
+        />
+      )}
+    </Modal>
+  );
+});
+
+export default ImportWizard;
@@ -0,0 +1,245 @@
+import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { Button, DatePicker, Empty, Form, InputNumber, Modal, Spin, Table, Tag, message } from "antd";
+import { EditOutlined } from "@ant-design/icons";
+import { Axios } from "../../Config/Axios/Axios";
+import StatisticCard from "../StatisticCard/StatisticCard";
+
+const THEME_GREEN = "#1a7f37";
+
+const STATUS_COLORS = {
+  paid: "green",
+  partial: "orange",
+  missed: "red",
+  upcoming: "default",
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const formatDate = (date) => (date ? dayjs(date).format("YYYY-MM-DD") : "-");
+
+const formatAmount = (value) =>
+  typeof value === "number" ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : "-";
+
+// EMI schedule of a truck loan, with recorded payments matched against each installment
+const LoanSchedule = ({ truckId, refreshKey }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loanTerms, setLoanTerms] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [schedule, setSchedule] = useState([]);
+  const [form] = Form.useForm();
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get("/api/v1/app/calculateLoan/getLoanScheduleByTruckId", {
+        params: { truckId },
+        headers: authHeaders(),
+      });
+      setLoanTerms(response.data.loanTerms);
+      setSummary(response.data.summary);
+      setSchedule(response.data.schedule || []);
+    } catch (error) {
+      // 400 means the loan terms have not been set yet
+      if (error.response?.status !== 400) {
+        console.error("Error fetching loan schedule:", error);
+      }
+      setLoanTerms(null);
+      setSummary(null);
+      setSchedule([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [truckId]);
+
+  useEffect(() => {
+    if (truckId) {
+      fetchSchedule();
+    }
+  }, [truckId, refreshKey, fetchSchedule]);
+
+  const showModal = () => {
+    form.setFieldsValue(
+      loanTerms
+        ? { ...loanTerms, startDate: dayjs(loanTerms.startDate) }
+        : { startDate: dayjs(), emiDay: dayjs().date() }
+    );
+    setIsModalOpen(true);
+  };
+
+  const saveLoanTerms = async (values) => {
+    try {
+      setSubmitLoading(true);
+      await Axios.put(
+        `/api/v1/app/calculateLoan/updateLoanTermsByTruckId/${truckId}`,
+        { ...values, startDate: values.startDate.format("YYYY-MM-DD") },
+        { headers: authHeaders() }
+      );
+      message.success("Loan terms saved");
+      setIsModalOpen(false);
+      fetchSchedule();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save loan terms");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const columns = [
+    { title: "#", dataIndex: "installment", key: "installment", width: 50, fixed: "left" },
+    { title: "Due Date", dataIndex: "dueDate", key: "dueDate", width: 110, render: formatDate },
+    { title: "Opening Balance", dataIndex: "openingBalance", key: "openingBalance", width: 130, render: formatAmount },
+    { title: "EMI", dataIndex: "emi", key: "emi", width: 100, render: formatAmount },
+    { title: "Principal", dataIndex: "principal", key: "principal", width: 100, render: formatAmount },
+    { title: "Interest", dataIndex: "interest", key: "interest", width: 100, render: formatAmount },
+    { title: "Closing Balance", dataIndex: "closingBalance", key: "closingBalance", width: 130, render: formatAmount },
+    { title: "Paid", dataIndex: "amountPaid", key: "amountPaid", width: 100, render: formatAmount },
+    {
+      title: "Status",
+      key: "status",
+      width: 130,
+      render: (text, record) => (
+        <>
+          <Tag color={STATUS_COLORS[record.status]}>{record.status}</Tag>
+          {record.late && <Tag color="gold">late</Tag>}
+        </>
+      ),
+    },
+  ];
+
+  const renderSummary = () => (
+    <div className="loan-grid-container mb-3 display-grid w-100 justify-content-center">
+      <StatisticCard
+        cardType="primary"
+        title="Monthly EMI"
+        value={summary.emi}
+        thisMonth={0}
+        route={""}
+      />
+      <StatisticCard
+        title="Outstanding Principal"
+        value={summary.outstandingPrincipal}
+        thisMonth={0}
+        route={""}
+      />
+      <StatisticCard
+        title="Overdue"
+        subtitle={`${summary.missedCount} missed, ${summary.partialCount} partial`}
+        value={summary.overdueAmount}
+        thisMonth={0}
+        route={""}
+      />
+      <StatisticCard
+        title="Next EMI"
+        subtitle={summary.nextDue ? formatDate(summary.nextDue.dueDate) : "Loan closed"}
+        value={summary.nextDue ? summary.nextDue.amountDue : 0}
+        thisMonth={0}
+        route={""}
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      {loading ? (
+        <div className="d-flex justify-content-center py-5">
+          <Spin />
+        </div>
+      ) : loanTerms ? (
+        <>
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <span style={{ fontSize: "14px", color: "#939393" }}>
+              {formatAmount(loanTerms.principal)} at {loanTerms.annualRate}% for {loanTerms.tenureMonths} months
+              from {formatDate(loanTerms.startDate)}, EMI on day {loanTerms.emiDay}
+            </span>
+            <Button icon={<EditOutlined />} onClick={showModal}>
+              Edit loan terms
+            </Button>
+          </div>
+          {renderSummary()}
+          <Table
+            columns={columns}
+            dataSource={schedule}
+            rowKey="installment"
+            scroll={{
+              x: 1000,
+              y: 500,
+            }}
+          />
+        </>
+      ) : (
+        <Empty description="Loan terms are not set for this truck">
+          <Button
+            type="primary"
+            style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+            onClick={showModal}
+          >
+            Set loan terms
+          </Button>
+        </Empty>
+      )}
+
+      <Modal
+        title="Loan Terms"
+        open={isModalOpen}
+        onCancel={() => setIsModalOpen(false)}
+        footer={null}
+        centered
+      >
+        <Form form={form} layout="vertical" onFinish={saveLoanTerms}>
+          <Form.Item
+            name="principal"
+            label="Principal"
+            rules={[{ required: true, message: "Please enter the amount financed" }]}
+          >
+            <InputNumber min={1} style={{ width: "100%" }} />
+          </Form.Item>
+          <Form.Item
+            name="annualRate"
+            label="Interest Rate (% per year)"
+            rules={[{ required: true, message: "Please enter the interest rate" }]}
+          >
+            <InputNumber min={0} max={100} step={0.1} style={{ width: "100%" }} />
+          </Form.Item>
+          <Form.Item
+            name="tenureMonths"
+            label="Tenure (months)"
+            rules={[{ required: true, message: "Please enter the tenure" }]}
+          >
+            <InputNumber min={1} max={600} precision={0} style={{ width: "100%" }} />
+          </Form.Item>
+          <Form.Item
+            name="startDate"
+            label="Start Date"
+            rules={[{ required: true, message: "Please choose the start date" }]}
+          >
+            <DatePicker style={{ width: "100%" }} />
+          </Form.Item>
+          <Form.Item
+            name="emiDay"
+            label="EMI Day of Month"
+            rules={[{ required: true, message: "Please enter the EMI day" }]}
+          >
+            <InputNumber min={1} max={31} precision={0} style={{ width: "100%" }} />
+          </Form.Item>
+          <Form.Item className="mb-0">
+            <Button
+              type="primary"
+              htmlType="submit"
+              loading={submitLoading}
+              style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+            >
+              Save
+            </Button>
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default LoanSchedule;
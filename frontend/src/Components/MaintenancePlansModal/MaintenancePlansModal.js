@@ -0,0 +1,311 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import { Modal, Button, Table, Form, Input, InputNumber, DatePicker, Tag, Popconfirm, Spin, message } from "antd";
+import { PlusOutlined, EditOutlined, DeleteOutlined, CheckOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { Axios } from "../../Config/Axios/Axios";
+
+const THEME_GREEN = "#1a7f37";
+
+const STATE_TAGS = {
+  ok: { color: "green", label: "OK" },
+  due: { color: "orange", label: "Due soon" },
+  overdue: { color: "red", label: "Overdue" },
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const formatKm = (km) => `${Number(km).toLocaleString("en-IN")} km`;
+
+const describeInterval = ({ intervalKm, intervalDays }) =>
+  [intervalKm && `every ${formatKm(intervalKm)}`, intervalDays && `every ${intervalDays} days`]
+    .filter(Boolean)
+    .join(" or ");
+
+// Service tasks of one truck, due by odometer and/or date. A Service & Maintenance
+// expense whose note names a task marks it done on the server.
+const MaintenancePlansModal = forwardRef(({ truckId, regNo }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [plans, setPlans] = useState([]);
+  const [currentKm, setCurrentKm] = useState(null);
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form] = Form.useForm();
+
+  const fetchPlans = async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get(`/api/v1/app/maintenancePlans/getMaintenancePlansByTruckId/${truckId}`, {
+        headers: authHeaders(),
+      });
+      setPlans(response.data.plans);
+      setCurrentKm(response.data.currentKm);
+    } catch (error) {
+      console.error("Error fetching maintenance plans:", error);
+      message.error("Failed to load maintenance plans");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (plan = null) => {
+    setEditingPlan(plan);
+    form.setFieldsValue(
+      plan
+        ? { ...plan, lastServiceDate: dayjs(plan.lastServiceDate) }
+        : {
+            task: "",
+            intervalKm: null,
+            intervalDays: null,
+            reminderKm: 500,
+            reminderDays: 7,
+            lastServiceDate: dayjs(),
+            lastServiceKm: currentKm,
+            note: "",
+          }
+    );
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingPlan(null);
+    form.resetFields();
+  };
+
+  const savePlan = async (values) => {
+    const payload = {
+      ...values,
+      truckId,
+      intervalKm: values.intervalKm ?? "",
+      intervalDays: values.intervalDays ?? "",
+      lastServiceKm: values.lastServiceKm ?? "",
+      lastServiceDate: values.lastServiceDate.format("YYYY-MM-DD"),
+    };
+    try {
+      setSubmitLoading(true);
+      if (editingPlan) {
+        await Axios.put(`/api/v1/app/maintenancePlans/updateMaintenancePlanById/${editingPlan._id}`, payload, {
+          headers: authHeaders(),
+        });
+        message.success("Maintenance plan updated");
+      } else {
+        await Axios.post("/api/v1/app/maintenancePlans/addMaintenancePlan", payload, { headers: authHeaders() });
+        message.success("Maintenance plan added");
+      }
+      closeForm();
+      await fetchPlans();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save maintenance plan");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const completePlan = async (planId) => {
+    try {
+      await Axios.post(`/api/v1/app/maintenancePlans/completeMaintenancePlanById/${planId}`, {}, {
+        headers: authHeaders(),
+      });
+      message.success("Task marked done, next cycle started");
+      await fetchPlans();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to mark task done");
+    }
+  };
+
+  const deletePlan = async (planId) => {
+    try {
+      await Axios.delete(`/api/v1/app/maintenancePlans/deleteMaintenancePlanById/${planId}`, {
+        headers: authHeaders(),
+      });
+      message.success("Maintenance plan deleted");
+      await fetchPlans();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to delete maintenance plan");
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchPlans();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+    closeForm();
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const columns = [
+    {
+      title: "Task",
+      dataIndex: "task",
+      key: "task",
+      render: (task, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{task}</span>
+          <small className="text-muted">{describeInterval(record)}</small>
+        </div>
+      ),
+    },
+    {
+      title: "Last service",
+      key: "lastService",
+      render: (_, record) => (
+        <div className="d-flex flex-column align-items-start">
+          <span>{dayjs(record.lastServiceDate).format("DD-MM-YYYY")}</span>
+          {record.lastServiceKm !== null && <small className="text-muted">{formatKm(record.lastServiceKm)}</small>}
+        </div>
+      ),
+    },
+    {
+      title: "Next due",
+      key: "due",
+      render: (_, { status }) => {
+        const tag = STATE_TAGS[status.state];
+        return (
+          <div className="d-flex flex-column align-items-start gap-1">
+            {status.dueKm !== null && (
+              <span>
+                {formatKm(status.dueKm)}
+                {status.kmLeft !== null &&
+                  ` (${status.kmLeft < 0 ? `${formatKm(-status.kmLeft)} over` : `${formatKm(status.kmLeft)} left`})`}
+              </span>
+            )}
+            {status.dueDate && <span>{dayjs(status.dueDate).format("DD-MM-YYYY")}</span>}
+            <Tag color={tag.color}>{tag.label}</Tag>
+          </div>
+        );
+      },
+    },
+    {
+      title: "Action",
+      key: "action",
+      render: (_, record) => (
+        <div className="d-flex gap-2">
+          <Popconfirm
+            title="Mark this task done today?"
+            description="Or record a Service & Maintenance expense naming the task."
+            onConfirm={() => completePlan(record._id)}
+            okText="Done"
+          >
+            <Button size="small" icon={<CheckOutlined />} />
+          </Popconfirm>
+          <Button size="small" icon={<EditOutlined />} onClick={() => openForm(record)} />
+          <Popconfirm
+            title="Delete this maintenance plan?"
+            description="Its reminder is switched off."
+            onConfirm={() => deletePlan(record._id)}
+            okText="Delete"
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={`Maintenance${regNo ? ` - ${regNo}` : ""}`}
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={820}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        <p className="text-muted mb-3">
+          Odometer: {currentKm !== null ? formatKm(currentKm) : "no fuel or DEF reading yet"}
+        </p>
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={columns}
+          dataSource={plans}
+          pagination={false}
+          locale={{ emptyText: "No maintenance plans yet" }}
+          scroll={{ x: true }}
+        />
+        {isFormOpen ? (
+          <Form form={form} layout="vertical" className="mt-4" onFinish={savePlan}>
+            <div className="row">
+              <Form.Item
+                className="col-md-6"
+                name="task"
+                label="Task"
+                extra="Name it in the note of the service expense to mark it done"
+                rules={[{ required: true, message: "Please enter the task" }]}
+              >
+                <Input maxLength={60} placeholder="Oil change" />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="intervalKm" label="Every (km)">
+                <InputNumber className="w-100" min={1} />
+              </Form.Item>
+              <Form.Item
+                className="col-md-3"
+                name="intervalDays"
+                label="Every (days)"
+                dependencies={["intervalKm"]}
+                rules={[
+                  ({ getFieldValue }) => ({
+                    validator: (_, value) =>
+                      value || getFieldValue("intervalKm")
+                        ? Promise.resolve()
+                        : Promise.reject(new Error("Set km, days or both")),
+                  }),
+                ]}
+              >
+                <InputNumber className="w-100" min={1} max={3650} />
+              </Form.Item>
+              <Form.Item
+                className="col-md-3"
+                name="lastServiceDate"
+                label="Last service"
+                rules={[{ required: true, message: "Please select the last service date" }]}
+              >
+                <DatePicker className="w-100" format="DD-MM-YYYY" />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="lastServiceKm" label="Odometer at service">
+                <InputNumber className="w-100" min={0} />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="reminderKm" label="Remind before (km)">
+                <InputNumber className="w-100" min={0} />
+              </Form.Item>
+              <Form.Item className="col-md-3" name="reminderDays" label="Remind before (days)">
+                <InputNumber className="w-100" min={0} max={365} />
+              </Form.Item>
+              <Form.Item className="col-12" name="note" label="Note">
+                <Input maxLength={200} />
+              </Form.Item>
+            </div>
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={closeForm}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                {editingPlan ? "Update plan" : "Add plan"}
+              </Button>
+            </div>
+          </Form>
+        ) : (
+          <Button className="mt-3" icon={<PlusOutlined />} onClick={() => openForm()}>
+            Add maintenance plan
+          </Button>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default MaintenancePlansModal;
@@ -0,0 +1,362 @@
+import React, { forwardRef, useContext, useImperativeHandle, useState } from "react";
+import { Modal, Button, List, Form, Input, Select, Tag, Popconfirm, Spin, Typography, message } from "antd";
+import { UserAddOutlined, DeleteOutlined } from "@ant-design/icons";
+import { Axios } from "../../Config/Axios/Axios";
+import { UserContext } from "../../App";
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const THEME_GREEN = "#1a7f37";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  accountant: "Accountant",
+  dispatcher: "Dispatcher",
+  "driver-readonly": "Driver (read only)",
+};
+
+const ROLE_COLORS = {
+  owner: "gold",
+  accountant: "blue",
+  dispatcher: "purple",
+  "driver-readonly": "default",
+};
+
+const INVITABLE_ROLES = ["accountant", "dispatcher", "driver-readonly"];
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const MembersModal = forwardRef((props, ref) => {
+  const { user } = useContext(UserContext);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [organization, setOrganization] = useState(null);
+  const [role, setRole] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [createForm] = Form.useForm();
+  const [inviteForm] = Form.useForm();
+
+  const isOwner = role === "owner";
+
+  const fetchOrganization = async () => {
+    try {
+      setLoading(true);
+      const [orgResponse, invitesResponse] = await Promise.all([
+        Axios.get("/api/v1/app/organizations/getMyOrganization", { headers: authHeaders() }),
+        Axios.get("/api/v1/app/organizations/getMyInvitations", { headers: authHeaders() }),
+      ]);
+      setOrganization(orgResponse.data.data?.organization || null);
+      setRole(orgResponse.data.data?.role || null);
+      setInvitations(invitesResponse.data.data || []);
+    } catch (error) {
+      console.error("Error fetching organisation:", error);
+      message.error("Failed to load organisation");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Joining or leaving an organisation changes whose data is shown everywhere
+  const reloadApp = () => {
+    setTimeout(() => window.location.reload(), 800);
+  };
+
+  const runAction = async (request, { reload = false } = {}) => {
+    try {
+      setSubmitLoading(true);
+      const response = await request();
+      message.success(response.data.message);
+      if (reload) {
+        reloadApp();
+      } else {
+        await fetchOrganization();
+      }
+      return true;
+    } catch (error) {
+      message.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const createOrganization = async (values) => {
+    const ok = await runAction(() =>
+      Axios.post("/api/v1/app/organizations/createOrganization", values, { headers: authHeaders() })
+    );
+    if (ok) createForm.resetFields();
+  };
+
+  const inviteMember = async (values) => {
+    const ok = await runAction(() =>
+      Axios.post("/api/v1/app/organizations/inviteMember", values, { headers: authHeaders() })
+    );
+    if (ok) inviteForm.resetFields();
+  };
+
+  const updateMemberRole = (memberId, newRole) =>
+    runAction(() =>
+      Axios.put(`/api/v1/app/organizations/updateMemberRole/${memberId}`, { role: newRole }, { headers: authHeaders() })
+    );
+
+  const removeMember = (memberId) =>
+    runAction(() =>
+      Axios.delete(`/api/v1/app/organizations/removeMember/${memberId}`, { headers: authHeaders() })
+    );
+
+  const acceptInvitation = (organizationId) =>
+    runAction(
+      () => Axios.post(`/api/v1/app/organizations/acceptInvitation/${organizationId}`, {}, { headers: authHeaders() }),
+      { reload: true }
+    );
+
+  const declineInvitation = (organizationId) =>
+    runAction(() =>
+      Axios.post(`/api/v1/app/organizations/declineInvitation/${organizationId}`, {}, { headers: authHeaders() })
+    );
+
+  const leaveOrganization = () =>
+    runAction(
+      () => Axios.delete("/api/v1/app/organizations/leaveOrganization", { headers: authHeaders() }),
+      { reload: true }
+    );
+
+  const deleteOrganization = () =>
+    runAction(
+      () => Axios.delete("/api/v1/app/organizations/deleteOrganization", { headers: authHeaders() }),
+      { reload: true }
+    );
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchOrganization();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const renderInvitations = () => (
+    invitations.length > 0 && (
+      <>
+        <h6 className="mb-2">Pending invitations</h6>
+        <List
+          bordered
+          className="mb-4"
+          dataSource={invitations}
+          renderItem={(invite) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="accept"
+                  type="primary"
+                  size="small"
+                  style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+                  loading={submitLoading}
+                  onClick={() => acceptInvitation(invite.organizationId)}
+                >
+                  Accept
+                </Button>,
+                <Button
+                  key="decline"
+                  size="small"
+                  disabled={submitLoading}
+                  onClick={() => declineInvitation(invite.organizationId)}
+                >
+                  Decline
+                </Button>,
+              ]}
+            >
+              <List.Item.Meta
+                title={invite.name}
+                description={`Invited as ${ROLE_LABELS[invite.role] || invite.role}`}
+              />
+            </List.Item>
+          )}
+        />
+      </>
+    )
+  );
+
+  const renderCreateForm = () => (
+    <>
+      <p className="text-muted">
+        You are not part of an organisation. Create one to invite accountants,
+        dispatchers and drivers to work on your fleet.
+      </p>
+      <Form form={createForm} layout="inline" onFinish={createOrganization}>
+        <Form.Item
+          name="name"
+          style={{ flex: 1 }}
+          rules={[{ required: true, message: "Please enter an organisation name" }]}
+        >
+          <Input placeholder="Organisation name" />
+        </Form.Item>
+        <Form.Item>
+          <Button
+            type="primary"
+            htmlType="submit"
+            loading={submitLoading}
+            style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+          >
+            Create
+          </Button>
+        </Form.Item>
+      </Form>
+    </>
+  );
+
+  const renderMemberActions = (member) => {
+    if (!isOwner || member.role === "owner") return [];
+    return [
+      <Select
+        key="role"
+        size="small"
+        value={member.role}
+        style={{ width: 150 }}
+        disabled={submitLoading}
+        onChange={(value) => updateMemberRole(member._id, value)}
+      >
+        {INVITABLE_ROLES.map((r) => (
+          <Option key={r} value={r}>{ROLE_LABELS[r]}</Option>
+        ))}
+      </Select>,
+      <Popconfirm
+        key="remove"
+        title={member.status === "invited" ? "Cancel this invitation?" : "Remove this member?"}
+        onConfirm={() => removeMember(member._id)}
+        okText="Yes"
+        cancelText="No"
+      >
+        <Button danger size="small" icon={<DeleteOutlined />} disabled={submitLoading} />
+      </Popconfirm>,
+    ];
+  };
+
+  const renderOrganization = () => (
+    <>
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <div>
+          <h5 className="mb-0">{organization.name}</h5>
+          <Text type="secondary">
+            Your role: <Tag color={ROLE_COLORS[role]}>{ROLE_LABELS[role] || role}</Tag>
+          </Text>
+        </div>
+        {isOwner ? (
+          <Popconfirm
+            title="Delete this organisation? Members will lose access to your fleet."
+            onConfirm={deleteOrganization}
+            okText="Delete"
+            cancelText="Cancel"
+          >
+            <Button danger disabled={submitLoading}>Delete</Button>
+          </Popconfirm>
+        ) : (
+          <Popconfirm
+            title="Leave this organisation?"
+            onConfirm={leaveOrganization}
+            okText="Leave"
+            cancelText="Cancel"
+          >
+            <Button danger disabled={submitLoading}>Leave</Button>
+          </Popconfirm>
+        )}
+      </div>
+
+      <List
+        bordered
+        className="mb-4"
+        dataSource={organization.members}
+        renderItem={(member) => (
+          <List.Item actions={renderMemberActions(member)}>
+            <List.Item.Meta
+              title={
+                <>
+                  {member.name || member.email}
+                  {member.userId === user?.userId && <Text type="secondary"> (you)</Text>}
+                </>
+              }
+              description={
+                <>
+                  {member.name && <span className="me-2">{member.email}</span>}
+                  {(!isOwner || member.role === "owner") && (
+                    <Tag color={ROLE_COLORS[member.role]}>{ROLE_LABELS[member.role] || member.role}</Tag>
+                  )}
+                  {member.status === "invited" && <Tag color="orange">Invited</Tag>}
+                </>
+              }
+            />
+          </List.Item>
+        )}
+      />
+
+      {isOwner && (
+        <>
+          <h6 className="mb-2">Invite a member</h6>
+          <Form form={inviteForm} layout="inline" onFinish={inviteMember} initialValues={{ role: "accountant" }}>
+            <Form.Item
+              name="email"
+              style={{ flex: 1 }}
+              rules={[
+                { required: true, message: "Please enter an email" },
+                { type: "email", message: "Please enter a valid email" },
+              ]}
+            >
+              <Input placeholder="Email" />
+            </Form.Item>
+            <Form.Item name="role">
+              <Select style={{ width: 160 }}>
+                {INVITABLE_ROLES.map((r) => (
+                  <Option key={r} value={r}>{ROLE_LABELS[r]}</Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                icon={<UserAddOutlined />}
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                Invite
+              </Button>
+            </Form.Item>
+          </Form>
+        </>
+      )}
+    </>
+  );
+
+  return (
+    <Modal
+      title="Organisation Members"
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={650}
+      centered
+    >
+      {loading ? (
+        <div className="d-flex justify-content-center py-5">
+          <Spin />
+        </div>
+      ) : (
+        <>
+          {renderInvitations()}
+          {organization ? renderOrganization() : renderCreateForm()}
+        </>
+      )}
+    </Modal>
+  );
+});
+
+export default MembersModal;
@@ -3,11 +3,13 @@ import { Button, Space } from "antd";
 import { MenuFoldOutlined, LeftOutlined } from "@ant-design/icons";
 
 import ProfileDrawer from "../ProfileDrawer/ProfileDrawer";
+import NotificationBell from "../NotificationBell/NotificationBell";
 import { useLocation, useNavigate } from "react-router-dom";
 import { Axios } from "../../Config/Axios/Axios";
 import { useContext } from "react";
 import { UserContext } from "../../App";
 import { useMobile } from "../MobileContext/MobileContext";
+import { useFeatures } from "../FeatureContext/FeatureContext";
 
 const NavBar = ({ sidebarOpen, setSidebarOpen }) => {
   const [profileOpen, setProfileOpen] = useState(false);
@@ -26,6 +28,7 @@ const NavBar = ({ sidebarOpen, setSidebarOpen }) => {
 
   const { user } = useContext(UserContext);
   const { isMobile } = useMobile();
+  const { hasFeature } = useFeatures();
   const loc = useLocation();
   const navigate = useNavigate();
 
@@ -90,7 +93,12 @@ const NavBar = ({ sidebarOpen, setSidebarOpen }) => {
             </Button>
           </div>
 
-          <div className="d-flex">
+          <div className="d-flex align-items-center">
+            {hasFeature("notifications") && (
+              <div className="me-3">
+                <NotificationBell />
+              </div>
+            )}
             <Button
               type="dark"
               style={{
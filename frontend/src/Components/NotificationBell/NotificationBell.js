@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { Badge, Button, Empty, List, Popover, Tooltip } from "antd";
+import { BellOutlined, CheckOutlined } from "@ant-design/icons";
+import { useNavigate } from "react-router-dom";
+import moment from "moment";
+import { useNotifications } from "../NotificationContext/NotificationContext";
+
+const THEME_GREEN = "#1a7f37";
+
+// Where a notification leads: the truck's expenses for expense events, its alert otherwise
+const getSourcePath = (notification) => {
+  if (notification.kind === "expense") {
+    return notification.truckId ? `/expenses/${notification.truckId}` : "/expenses";
+  }
+  return notification.alertId ? `/dashboard?alert=${notification.alertId}` : "/dashboard";
+};
+
+// Bell with the unread count that opens the in-app inbox
+const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const { notifications, unreadCount, connected, markAsRead, markAllAsRead } = useNotifications();
+  const navigate = useNavigate();
+
+  const openSource = (notification) => {
+    if (!notification.isRead) {
+      markAsRead(notification._id);
+    }
+    setOpen(false);
+    navigate(getSourcePath(notification));
+  };
+
+  const renderNotification = (notification) => (
+    <List.Item
+      style={{ cursor: "pointer", background: notification.isRead ? "transparent" : "#f0f9f2" }}
+      className="px-2 rounded-2"
+      onClick={() => openSource(notification)}
+      actions={
+        notification.isRead
+          ? []
+          : [
+              <Tooltip key="read" title="Mark as read">
+                <Button
+                  type="text"
+                  size="small"
+                  icon={<CheckOutlined />}
+                  style={{ color: THEME_GREEN }}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    markAsRead(notification._id);
+                  }}
+                />
+              </Tooltip>,
+            ]
+      }
+    >
+      <div className="d-flex flex-column" style={{ minWidth: 0 }}>
+        <span style={{ fontWeight: notification.isRead ? 400 : 600 }}>{notification.title}</span>
+        {notification.message && (
+          <span
+            style={{
+              fontSize: 12,
+              color: "#595959",
+              display: "-webkit-box",
+              WebkitLineClamp: 2,
+              WebkitBoxOrient: "vertical",
+              overflow: "hidden",
+            }}
+          >
+            {notification.message}
+          </span>
+        )}
+        <span style={{ fontSize: 11, color: "#939393" }}>{moment(notification.createdAt).fromNow()}</span>
+      </div>
+    </List.Item>
+  );
+
+  const content = (
+    <div style={{ width: 340 }}>
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <b>Notifications</b>
+        <Button type="link" size="small" disabled={unreadCount === 0} onClick={markAllAsRead} className="p-0">
+          Mark all as read
+        </Button>
+      </div>
+      {notifications.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="You're all caught up" />
+      ) : (
+        <List
+          size="small"
+          dataSource={notifications}
+          rowKey="_id"
+          renderItem={renderNotification}
+          style={{ maxHeight: 420, overflowY: "auto" }}
+        />
+      )}
+      {!connected && (
+        <span className="d-block mt-2" style={{ fontSize: 11, color: "#939393" }}>
+          Reconnecting for live updates…
+        </span>
+      )}
+    </div>
+  );
+
+  return (
+    <Popover content={content} trigger="click" placement="bottomRight" open={open} onOpenChange={setOpen}>
+      <Badge count={unreadCount} size="small" offset={[-4, 4]}>
+        <Button
+          type="dark"
+          style={{
+            background: "white",
+            borderRadius: "100%",
+            height: "40px",
+            width: "40px",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          aria-label="Notifications"
+        >
+          <BellOutlined style={{ color: "black", fontSize: 18 }} />
+        </Button>
+      </Badge>
+    </Popover>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,210 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { Axios } from '../../Config/Axios/Axios';
+import { UserContext } from '../../App';
+import { useFeatures } from '../FeatureContext/FeatureContext';
+
+const NotificationContext = createContext();
+
+const INBOX_SIZE = 20;
+const RECONNECT_DELAY_MS = 5000;
+
+// Refusals worth retrying: a timeout, rate limiting, or an upstream that is down
+const isTransientStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const authHeaders = () => ({
+    authorization: `bearer ${localStorage.getItem('token')}`,
+});
+
+// Custom hook to use the Notification Context
+export const useNotifications = () => {
+    const context = useContext(NotificationContext);
+    if (!context) {
+        throw new Error('useNotifications must be used within a NotificationProvider');
+    }
+    return context;
+};
+
+// Calls `listener` with each alert change pushed to the user, `{ action, alert }`, and
+// with `{ action: 'resync' }` after a dropped stream reconnects
+export const useAlertChanges = (listener) => {
+    const { subscribeToAlerts } = useNotifications();
+    const listenerRef = useRef(listener);
+    listenerRef.current = listener;
+
+    useEffect(() => subscribeToAlerts((change) => listenerRef.current(change)), [subscribeToAlerts]);
+};
+
+// Event name and JSON data of one server-sent event
+const parseEvent = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trim());
+        }
+    });
+    return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+// Reads the server-sent events of a streamed response until it ends. The stream is
+// fetched rather than opened with EventSource so the token travels in the
+// Authorization header instead of the URL.
+const readEvents = async (response, onEvent) => {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value.replace(/\r\n/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            const parsed = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (parsed) onEvent(parsed);
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+};
+
+// The signed-in user's in-app inbox, kept up to date by the notification stream, which
+// also carries changes to their alerts. Empty where the backend has no notifications.
+export const NotificationProvider = ({ children }) => {
+    const { user } = useContext(UserContext);
+    const enabled = useFeatures().hasFeature('notifications');
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [connected, setConnected] = useState(false);
+    const alertListeners = useRef(new Set());
+
+    const fetchNotifications = useCallback(async () => {
+        try {
+            const response = await Axios.get('/api/v1/app/notifications/getNotifications', {
+                params: { limit: INBOX_SIZE },
+                headers: authHeaders(),
+            });
+            setNotifications(response.data.data);
+            setUnreadCount(response.data.unreadCount);
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }, []);
+
+    const handleEvent = useCallback(({ event, data }) => {
+        switch (event) {
+            case 'ready':
+                setUnreadCount(data.unreadCount);
+                break;
+            case 'notification.created':
+                setNotifications((current) => [
+                    data.notification,
+                    ...current.filter((notification) => notification._id !== data.notification._id),
+                ].slice(0, INBOX_SIZE));
+                setUnreadCount(data.unreadCount);
+                break;
+            case 'notification.read': {
+                const readIds = data.ids && new Set(data.ids.map(String));
+                setNotifications((current) => current.map((notification) => (
+                    !readIds || readIds.has(notification._id) ? { ...notification, isRead: true } : notification
+                )));
+                setUnreadCount(data.unreadCount);
+                break;
+            }
+            case 'alert.changed':
+                alertListeners.current.forEach((listener) => listener(data));
+                break;
+            default:
+                break;
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!user?.userId || !enabled) return undefined;
+
+        const controller = new AbortController();
+        let retryTimer = null;
+        let dropped = false;
+
+        const connect = async () => {
+            try {
+                const response = await fetch(`${process.env.REACT_APP_BACKEND_URL}/api/v1/app/notifications/stream`, {
+                    headers: authHeaders(),
+                    signal: controller.signal,
+                });
+                if (!response.ok) {
+                    // A refused token or a missing route does not get better by retrying
+                    if (!isTransientStatus(response.status)) {
+                        console.error(`Notification stream refused with ${response.status}`);
+                        return;
+                    }
+                    throw new Error(`Notification stream refused with ${response.status}`);
+                }
+
+                setConnected(true);
+                // Catch up on what changed while there was no stream
+                fetchNotifications();
+                if (dropped) {
+                    alertListeners.current.forEach((listener) => listener({ action: 'resync' }));
+                }
+                await readEvents(response, handleEvent);
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                console.error('Notification stream interrupted:', error);
+            }
+            setConnected(false);
+            dropped = true;
+            retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        };
+
+        connect();
+        return () => {
+            controller.abort();
+            clearTimeout(retryTimer);
+        };
+    }, [user?.userId, enabled, fetchNotifications, handleEvent]);
+
+    const markAsRead = useCallback(async (notificationId) => {
+        try {
+            const response = await Axios.put(`/api/v1/app/notifications/markNotificationAsRead/${notificationId}`, {}, {
+                headers: authHeaders(),
+            });
+            handleEvent({ event: 'notification.read', data: { ids: [notificationId], unreadCount: response.data.unreadCount } });
+        } catch (error) {
+            console.error('Failed to mark notification as read:', error);
+        }
+    }, [handleEvent]);
+
+    const markAllAsRead = useCallback(async () => {
+        try {
+            await Axios.put('/api/v1/app/notifications/markAllNotificationsAsRead', {}, {
+                headers: authHeaders(),
+            });
+            handleEvent({ event: 'notification.read', data: { ids: null, unreadCount: 0 } });
+        } catch (error) {
+            console.error('Failed to mark notifications as read:', error);
+        }
+    }, [handleEvent]);
+
+    const subscribeToAlerts = useCallback((listener) => {
+        alertListeners.current.add(listener);
+        return () => alertListeners.current.delete(listener);
+    }, []);
+
+    const value = {
+        notifications,
+        unreadCount,
+        connected,
+        markAsRead,
+        markAllAsRead,
+        subscribeToAlerts,
+    };
+
+    return (
+        <NotificationContext.Provider value={value}>
+            {children}
+        </NotificationContext.Provider>
+    );
+};
+
+export default NotificationContext;
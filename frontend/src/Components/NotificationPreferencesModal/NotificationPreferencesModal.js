@@ -0,0 +1,271 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import { Modal, Button, Form, Input, InputNumber, Select, Switch, Radio, TimePicker, Divider, Spin, Typography, message } from "antd";
+import dayjs from "dayjs";
+import { Axios } from "../../Config/Axios/Axios";
+
+const { Text } = Typography;
+
+const THEME_GREEN = "#1a7f37";
+const TIME_FORMAT = "HH:mm";
+
+const CHANNELS = [
+  { name: "inApp", label: "In-app" },
+  { name: "email", label: "Email" },
+];
+
+const ALERT_TYPE_OPTIONS = [
+  { value: "maintenance", label: "Maintenance" },
+  { value: "delivery", label: "Delivery" },
+  { value: "license", label: "License" },
+  { value: "insurance", label: "Insurance" },
+  { value: "inspection", label: "Inspection" },
+  { value: "fuel", label: "Fuel" },
+  { value: "payment", label: "Payment" },
+  { value: "other", label: "Other" },
+];
+
+const PRIORITY_OPTIONS = [
+  { value: "low", label: "Low and above" },
+  { value: "medium", label: "Medium and above" },
+  { value: "high", label: "High and above" },
+  { value: "urgent", label: "Urgent only" },
+];
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const toFormValues = (preferences) => ({
+  email: preferences.customEmail || "",
+  leadTimeHours: preferences.leadTimeHours,
+  channels: preferences.channels,
+  delivery: preferences.delivery,
+  digestTime: dayjs(preferences.digestTime, TIME_FORMAT),
+  quietHours: {
+    enabled: preferences.quietHours.enabled,
+    start: dayjs(preferences.quietHours.start, TIME_FORMAT),
+    end: dayjs(preferences.quietHours.end, TIME_FORMAT),
+  },
+  urgentImmediately: preferences.urgentImmediately,
+  escalation: preferences.escalation,
+});
+
+// How and when the signed-in user is told about alerts and expense events. The
+// notification service applies these when it delivers reminders and event notifications.
+const NotificationPreferencesModal = forwardRef((props, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [preferences, setPreferences] = useState(null);
+  const [form] = Form.useForm();
+
+  const delivery = Form.useWatch("delivery", form);
+  const quietHoursEnabled = Form.useWatch(["quietHours", "enabled"], form);
+  const escalationEnabled = Form.useWatch(["escalation", "enabled"], form);
+
+  const fetchPreferences = async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get("/api/v1/app/notifications/getNotificationPreferences", {
+        headers: authHeaders(),
+      });
+      setPreferences(response.data.data);
+    } catch (error) {
+      console.error("Error fetching notification preferences:", error);
+      message.error("Failed to load notification preferences");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const savePreferences = async (values) => {
+    const payload = {
+      ...values,
+      leadTimeHours: values.leadTimeHours ?? "",
+      digestTime: values.digestTime.format(TIME_FORMAT),
+      quietHours: {
+        enabled: values.quietHours.enabled,
+        start: values.quietHours.start.format(TIME_FORMAT),
+        end: values.quietHours.end.format(TIME_FORMAT),
+      },
+      escalation: {
+        enabled: values.escalation.enabled,
+        afterHours: values.escalation.afterHours ?? "",
+      },
+      timeZone: browserTimeZone(),
+    };
+    try {
+      setSubmitLoading(true);
+      const response = await Axios.put("/api/v1/app/notifications/updateNotificationPreferences", payload, {
+        headers: authHeaders(),
+      });
+      setPreferences(response.data.data);
+      message.success(response.data.message);
+      setIsModalOpen(false);
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save notification preferences");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchPreferences();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const emailAvailable = preferences?.availableChannels.includes("email");
+
+  return (
+    <Modal
+      title="Notifications"
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={640}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        {preferences && (
+          <Form
+            form={form}
+            layout="vertical"
+            initialValues={toFormValues(preferences)}
+            onFinish={savePreferences}
+            preserve={false}
+          >
+            <div className="row">
+              <Form.Item
+                className="col-md-8"
+                name="email"
+                label="Email"
+                extra="Leave empty to use your account email"
+                rules={[{ type: "email", message: "Please enter a valid email" }]}
+              >
+                <Input placeholder={preferences.accountEmail || "you@example.com"} />
+              </Form.Item>
+              <Form.Item className="col-md-4" name="leadTimeHours" label="Remind before (hours)">
+                <InputNumber className="w-100" min={0} max={720} placeholder={String(preferences.defaults.leadTimeHours)} />
+              </Form.Item>
+            </div>
+
+            <Divider orientation="left" plain>Channels</Divider>
+            {CHANNELS.map(({ name, label }) => {
+              const unavailable = name === "email" && !emailAvailable;
+              return (
+                <div className="row align-items-start" key={name}>
+                  <div className="col-md-2 pt-1 d-flex align-items-center gap-2">
+                    <Form.Item name={["channels", name, "enabled"]} valuePropName="checked" noStyle>
+                      <Switch size="small" disabled={unavailable} />
+                    </Form.Item>
+                    <span>{label}</span>
+                  </div>
+                  <Form.Item className="col-md-6" name={["channels", name, "types"]}>
+                    <Select
+                      mode="multiple"
+                      allowClear
+                      placeholder="All alert types"
+                      options={ALERT_TYPE_OPTIONS}
+                      disabled={unavailable}
+                    />
+                  </Form.Item>
+                  <Form.Item className="col-md-4" name={["channels", name, "minPriority"]}>
+                    <Select options={PRIORITY_OPTIONS} disabled={unavailable} />
+                  </Form.Item>
+                </div>
+              );
+            })}
+            {!emailAvailable && (
+              <Text type="secondary" className="d-block mb-3">
+                Email is not set up on this server yet.
+              </Text>
+            )}
+
+            <Divider orientation="left" plain>Email delivery</Divider>
+            <div className="row">
+              <Form.Item className="col-md-8" name="delivery">
+                <Radio.Group>
+                  <Radio value="immediate">As they happen</Radio>
+                  <Radio value="digest">Daily digest</Radio>
+                </Radio.Group>
+              </Form.Item>
+              <Form.Item className="col-md-4" name="digestTime" label="Digest at" hidden={delivery !== "digest"}>
+                <TimePicker className="w-100" format={TIME_FORMAT} minuteStep={15} allowClear={false} />
+              </Form.Item>
+            </div>
+            <div className="row align-items-end">
+              <Form.Item className="col-md-4" name={["quietHours", "enabled"]} label="Quiet hours" valuePropName="checked">
+                <Switch />
+              </Form.Item>
+              <Form.Item className="col-md-4" name={["quietHours", "start"]} label="From">
+                <TimePicker className="w-100" format={TIME_FORMAT} minuteStep={15} allowClear={false} disabled={!quietHoursEnabled} />
+              </Form.Item>
+              <Form.Item className="col-md-4" name={["quietHours", "end"]} label="Until">
+                <TimePicker className="w-100" format={TIME_FORMAT} minuteStep={15} allowClear={false} disabled={!quietHoursEnabled} />
+              </Form.Item>
+            </div>
+            <div className="d-flex align-items-center gap-2 mb-2">
+              <Form.Item name="urgentImmediately" valuePropName="checked" noStyle>
+                <Switch size="small" />
+              </Form.Item>
+              <span>Send urgent alerts straight away</span>
+            </div>
+            <Text type="secondary" className="d-block mb-3">
+              Quiet hours and the digest hold back emails only; the in-app inbox always updates. Times are in{" "}
+              {browserTimeZone()}.
+            </Text>
+
+            <Divider orientation="left" plain>Escalation</Divider>
+            <div className="row align-items-end">
+              <Form.Item
+                className="col-md-8"
+                name={["escalation", "enabled"]}
+                label="Escalate unread high and urgent alerts"
+                valuePropName="checked"
+              >
+                <Switch />
+              </Form.Item>
+              <Form.Item className="col-md-4" name={["escalation", "afterHours"]} label="After (hours)">
+                <InputNumber
+                  className="w-100"
+                  min={1}
+                  max={168}
+                  placeholder={String(preferences.defaults.escalationAfterHours)}
+                  disabled={!escalationEnabled}
+                />
+              </Form.Item>
+            </div>
+            <Text type="secondary" className="d-block mb-3">
+              An alert still unread this long after it falls due becomes urgent and you are notified again. Snoozed
+              alerts wait until the snooze ends.
+            </Text>
+
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={hideModal}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                Save
+              </Button>
+            </div>
+          </Form>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default NotificationPreferencesModal;
@@ -11,8 +11,12 @@ import { CloseOutlined } from "@ant-design/icons";
 import GetHelpModal from "../GetHelpModal/GetHelpModal";
 import PrivacyPolicyModal from "../PrivacyPolicyModal/PrivacyPolicyModal";
 import AboutUsModal from "../AboutUsModal/AboutUsModal";
+import MembersModal from "../MembersModal/MembersModal";
+import NotificationPreferencesModal from "../NotificationPreferencesModal/NotificationPreferencesModal";
+import CalendarFeedModal from "../CalendarFeedModal/CalendarFeedModal";
 import { Axios } from "../../Config/Axios/Axios";
 import { UserContext } from "../../App";
+import { useFeatures } from "../FeatureContext/FeatureContext";
 import { useNavigate } from "react-router-dom";
 import "../../Styles/ProfileDrawer.css";
 
@@ -22,6 +26,7 @@ const ProfileDrawer = ({ profileOpen, setProfileOpen }) => {
   const [profileImageLoading, setProfileImageLoading] = useState(true);
 
   const { user } = useContext(UserContext);
+  const { hasFeature } = useFeatures();
   const navigate = useNavigate();
 
   // Reset profile image loading state when user changes
@@ -62,6 +67,9 @@ const ProfileDrawer = ({ profileOpen, setProfileOpen }) => {
   const getHelpRef = useRef();
   const privacyPolicyRef = useRef();
   const aboutUsRef = useRef();
+  const membersRef = useRef();
+  const notificationsRef = useRef();
+  const calendarRef = useRef();
 
   const handleOk = () => {
     googleLogout();
@@ -87,6 +95,27 @@ const ProfileDrawer = ({ profileOpen, setProfileOpen }) => {
     if (aboutUsRef.current) aboutUsRef.current.showModal();
   };
 
+  const callMembersModal = () => {
+    if (getHelpRef.current) getHelpRef.current.hideModal?.();
+    if (privacyPolicyRef.current) privacyPolicyRef.current.hideModal?.();
+    if (aboutUsRef.current) aboutUsRef.current.hideModal?.();
+    if (membersRef.current) membersRef.current.showModal();
+  };
+
+  const callNotificationsModal = () => {
+    if (getHelpRef.current) getHelpRef.current.hideModal?.();
+    if (privacyPolicyRef.current) privacyPolicyRef.current.hideModal?.();
+    if (aboutUsRef.current) aboutUsRef.current.hideModal?.();
+    if (notificationsRef.current) notificationsRef.current.showModal();
+  };
+
+  const callCalendarModal = () => {
+    if (getHelpRef.current) getHelpRef.current.hideModal?.();
+    if (privacyPolicyRef.current) privacyPolicyRef.current.hideModal?.();
+    if (aboutUsRef.current) aboutUsRef.current.hideModal?.();
+    if (calendarRef.current) calendarRef.current.showModal();
+  };
+
   return (
     <>
       {/* Always show overlay when profile drawer is open - same as sidebar */}
@@ -205,6 +234,36 @@ const ProfileDrawer = ({ profileOpen, setProfileOpen }) => {
                       Admin Portal
                     </button>
                   }
+                  {
+                    hasFeature("organizations") &&
+                    <button
+                      type="button"
+                      className="btn"
+                      onClick={callMembersModal}
+                    >
+                      Members
+                    </button>
+                  }
+                  {
+                    hasFeature("notifications") &&
+                    <button
+                      type="button"
+                      className="btn"
+                      onClick={callNotificationsModal}
+                    >
+                      Notifications
+                    </button>
+                  }
+                  {
+                    hasFeature("calendar") &&
+                    <button
+                      type="button"
+                      className="btn"
+                      onClick={callCalendarModal}
+                    >
+                      Calendar
+                    </button>
+                  }
                   <button
                     type="button"
                     className="btn"
@@ -272,6 +331,9 @@ const ProfileDrawer = ({ profileOpen, setProfileOpen }) => {
       <GetHelpModal ref={getHelpRef} />
       <PrivacyPolicyModal ref={privacyPolicyRef} />
       <AboutUsModal ref={aboutUsRef} />
+      <MembersModal ref={membersRef} />
+      <NotificationPreferencesModal ref={notificationsRef} />
+      <CalendarFeedModal ref={calendarRef} />
     </>
   );
 };
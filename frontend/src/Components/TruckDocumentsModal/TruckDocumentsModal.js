@@ -0,0 +1,279 @@
+import React, { forwardRef, useImperativeHandle, useState } from "react";
+import { Modal, Button, Table, Form, Input, InputNumber, Select, DatePicker, Tag, Popconfirm, Spin, message } from "antd";
+import { PlusOutlined, EditOutlined, DeleteOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { Axios } from "../../Config/Axios/Axios";
+import Attachments from "../Attachments/Attachments";
+
+const { Option } = Select;
+
+const THEME_GREEN = "#1a7f37";
+
+export const DOCUMENT_LABELS = {
+  rc: "Registration certificate (RC)",
+  insurance: "Insurance",
+  permit: "Permit",
+  fitness: "Fitness certificate",
+  pollution: "Pollution certificate (PUC)",
+};
+
+const STATE_TAGS = {
+  valid: { color: "green", label: "Valid" },
+  expiring: { color: "orange", label: "Expiring soon" },
+  expired: { color: "red", label: "Expired" },
+  superseded: { color: "default", label: "Superseded" },
+};
+
+const authHeaders = () => ({
+  authorization: `bearer ${localStorage.getItem("token")}`,
+});
+
+// Documents of one truck; saving one schedules its renewal reminder on the server
+const TruckDocumentsModal = forwardRef(({ truckId, regNo, onChange }, ref) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [submitLoading, setSubmitLoading] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [compliance, setCompliance] = useState(null);
+  const [editingDocument, setEditingDocument] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form] = Form.useForm();
+
+  const fetchDocuments = async () => {
+    try {
+      setLoading(true);
+      const response = await Axios.get(`/api/v1/app/truckDocuments/getTruckDocumentsByTruckId/${truckId}`, {
+        headers: authHeaders(),
+      });
+      setDocuments(response.data.documents);
+      setCompliance(response.data.compliance);
+    } catch (error) {
+      console.error("Error fetching truck documents:", error);
+      message.error("Failed to load documents");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refresh = async () => {
+    await fetchDocuments();
+    if (onChange) onChange();
+  };
+
+  const openForm = (document = null) => {
+    setEditingDocument(document);
+    form.setFieldsValue(
+      document
+        ? {
+            ...document,
+            issueDate: document.issueDate ? dayjs(document.issueDate) : null,
+            expiryDate: dayjs(document.expiryDate),
+          }
+        : { type: undefined, number: "", issueDate: null, expiryDate: null, reminderDays: 30, note: "" }
+    );
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingDocument(null);
+    form.resetFields();
+  };
+
+  const saveDocument = async (values) => {
+    const payload = {
+      ...values,
+      truckId,
+      issueDate: values.issueDate ? values.issueDate.format("YYYY-MM-DD") : "",
+      expiryDate: values.expiryDate.format("YYYY-MM-DD"),
+    };
+    try {
+      setSubmitLoading(true);
+      if (editingDocument) {
+        await Axios.put(`/api/v1/app/truckDocuments/updateTruckDocumentById/${editingDocument._id}`, payload, {
+          headers: authHeaders(),
+        });
+        message.success("Document updated");
+      } else {
+        await Axios.post("/api/v1/app/truckDocuments/addTruckDocument", payload, { headers: authHeaders() });
+        message.success("Document added, renewal reminder scheduled");
+      }
+      closeForm();
+      await refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to save document");
+    } finally {
+      setSubmitLoading(false);
+    }
+  };
+
+  const deleteDocument = async (documentId) => {
+    try {
+      await Axios.delete(`/api/v1/app/truckDocuments/deleteTruckDocumentById/${documentId}`, {
+        headers: authHeaders(),
+      });
+      message.success("Document deleted");
+      await refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || "Failed to delete document");
+    }
+  };
+
+  // Only the latest document of each type counts; older ones are kept as history
+  const getState = (record) => {
+    const current = compliance?.documents.find((document) => document._id === record._id);
+    return current ? current.state : "superseded";
+  };
+
+  const showModal = () => {
+    setIsModalOpen(true);
+    fetchDocuments();
+  };
+  const hideModal = () => {
+    setIsModalOpen(false);
+    closeForm();
+  };
+
+  useImperativeHandle(ref, () => ({
+    showModal,
+    hideModal,
+  }));
+
+  const columns = [
+    {
+      title: "Document",
+      dataIndex: "type",
+      key: "type",
+      render: (type, record) => (
+        <div className="d-flex flex-column">
+          <span>{DOCUMENT_LABELS[type]}</span>
+          {record.number && <small className="text-muted">{record.number}</small>}
+        </div>
+      ),
+    },
+    {
+      title: "Expiry",
+      dataIndex: "expiryDate",
+      key: "expiryDate",
+      render: (expiryDate, record) => {
+        const tag = STATE_TAGS[getState(record)];
+        return (
+          <div className="d-flex flex-column align-items-start gap-1">
+            <span>{dayjs(expiryDate).format("DD-MM-YYYY")}</span>
+            <Tag color={tag.color}>{tag.label}</Tag>
+          </div>
+        );
+      },
+    },
+    {
+      title: "Scans",
+      key: "attachments",
+      render: (_, record) => <Attachments apiPath="truckDocuments" record={record} onChange={fetchDocuments} />,
+    },
+    {
+      title: "Action",
+      key: "action",
+      render: (_, record) => (
+        <div className="d-flex gap-2">
+          <Button size="small" icon={<EditOutlined />} onClick={() => openForm(record)} />
+          <Popconfirm
+            title="Delete this document?"
+            description="Its renewal reminder is switched off."
+            onConfirm={() => deleteDocument(record._id)}
+            okText="Delete"
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={`Documents${regNo ? ` - ${regNo}` : ""}`}
+      open={isModalOpen}
+      onCancel={hideModal}
+      footer={null}
+      width={760}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        {compliance && compliance.missing.length > 0 && (
+          <div className="mb-3">
+            <span className="me-2">Not added yet:</span>
+            {compliance.missing.map((type) => (
+              <Tag key={type}>{DOCUMENT_LABELS[type]}</Tag>
+            ))}
+          </div>
+        )}
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={columns}
+          dataSource={documents}
+          pagination={false}
+          locale={{ emptyText: "No documents added yet" }}
+          scroll={{ x: true }}
+        />
+        {isFormOpen ? (
+          <Form form={form} layout="vertical" className="mt-4" onFinish={saveDocument}>
+            <div className="row">
+              <Form.Item
+                className="col-md-6"
+                name="type"
+                label="Document type"
+                rules={[{ required: true, message: "Please select the document type" }]}
+              >
+                <Select placeholder="Select type">
+                  {Object.entries(DOCUMENT_LABELS).map(([type, label]) => (
+                    <Option key={type} value={type}>
+                      {label}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item className="col-md-6" name="number" label="Document number">
+                <Input maxLength={50} />
+              </Form.Item>
+              <Form.Item className="col-md-4" name="issueDate" label="Issue date">
+                <DatePicker className="w-100" format="DD-MM-YYYY" />
+              </Form.Item>
+              <Form.Item
+                className="col-md-4"
+                name="expiryDate"
+                label="Expiry date"
+                rules={[{ required: true, message: "Please select the expiry date" }]}
+              >
+                <DatePicker className="w-100" format="DD-MM-YYYY" />
+              </Form.Item>
+              <Form.Item className="col-md-4" name="reminderDays" label="Remind days before">
+                <InputNumber className="w-100" min={0} max={365} />
+              </Form.Item>
+              <Form.Item className="col-12" name="note" label="Note">
+                <Input.TextArea rows={2} maxLength={500} />
+              </Form.Item>
+            </div>
+            <div className="d-flex justify-content-end gap-2">
+              <Button onClick={closeForm}>Cancel</Button>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={submitLoading}
+                style={{ backgroundColor: THEME_GREEN, borderColor: THEME_GREEN }}
+              >
+                {editingDocument ? "Update document" : "Add document"}
+              </Button>
+            </div>
+          </Form>
+        ) : (
+          <Button className="mt-3" icon={<PlusOutlined />} onClick={() => openForm()}>
+            Add document
+          </Button>
+        )}
+      </Spin>
+    </Modal>
+  );
+});
+
+export default TruckDocumentsModal;
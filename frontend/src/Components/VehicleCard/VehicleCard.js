@@ -1,13 +1,45 @@
-import React, { useRef } from "react";
-import { EditFilled, FolderOpenFilled } from "@ant-design/icons";
-import { Avatar, Card } from "antd";
+import React, { useEffect, useRef } from "react";
+import { EditFilled, FolderOpenFilled, SafetyCertificateFilled, ToolFilled } from "@ant-design/icons";
+import { Avatar, Badge, Card, Tooltip } from "antd";
 import VehicleModal from "../VehicleModal/VehicleModal";
 import CatalogModal from "../CatalogModal/CatalogModal";
+import TruckDocumentsModal, { DOCUMENT_LABELS } from "../TruckDocumentsModal/TruckDocumentsModal";
+import MaintenancePlansModal from "../MaintenancePlansModal/MaintenancePlansModal";
+import { useFeatures } from "../FeatureContext/FeatureContext";
 const { Meta } = Card;
 
-const VehicleCard = ({ data }) => {
+const COMPLIANCE_BADGES = {
+  compliant: { color: "green", text: "Compliant" },
+  missing: { color: "#8c8c8c", text: "Docs missing" },
+  expiring: { color: "orange", text: "Docs expiring" },
+  expired: { color: "red", text: "Docs expired" },
+};
+
+const describeCompliance = (compliance) => {
+  const lines = [
+    ["Expired", compliance.expired],
+    ["Expiring soon", compliance.expiring],
+    ["Not added", compliance.missing],
+  ]
+    .filter(([, types]) => types.length > 0)
+    .map(([label, types]) => `${label}: ${types.map((type) => DOCUMENT_LABELS[type]).join(", ")}`);
+  return lines.length > 0 ? lines.join(". ") : "All documents are valid";
+};
+
+const VehicleCard = ({ data, compliance, onComplianceChange, openMaintenance, onMaintenanceOpened }) => {
   const vehicleModalRef = useRef();
   const catalogModalRef = useRef();
+  const documentsModalRef = useRef();
+  const maintenanceModalRef = useRef();
+  const { hasFeature } = useFeatures();
+
+  // Opened from elsewhere, e.g. a maintenance task on the dashboard scheduler
+  useEffect(() => {
+    if (openMaintenance && maintenanceModalRef.current) {
+      maintenanceModalRef.current.showModal();
+      onMaintenanceOpened?.();
+    }
+  }, [openMaintenance]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const callVehicleModal = (e) => {
     e.stopPropagation();
@@ -25,36 +57,82 @@ const VehicleCard = ({ data }) => {
     }
   };
 
+  const callDocumentsModal = (e) => {
+    e.stopPropagation();
+    if (documentsModalRef.current) {
+      documentsModalRef.current.showModal();
+    }
+  };
+
+  const callMaintenanceModal = (e) => {
+    e.stopPropagation();
+    if (maintenanceModalRef.current) {
+      maintenanceModalRef.current.showModal();
+    }
+  };
+
   const addNewVehicle = (newVehicleDetails) => {
     // console.log(newVehicleDetails);
   };
 
+  const badge = compliance && COMPLIANCE_BADGES[compliance.status];
+
+  const card = (
+    <Card
+      hoverable
+      bordered
+      style={{ border: "1px solid #cbcbcb" }}
+      cover={<img alt="truck" height={180} style={{ objectFit: 'cover' }} src={data && data.imgURL && data.imgURL.length > 0
+        ? data.imgURL[0]?.thumbUrl : './truck.jpg'} />}
+      onClick={callCatalogModal}
+      actions={[
+        <EditFilled
+          key="edit"
+          style={{ fontSize: 18 }}
+          onClick={callVehicleModal}
+        />,
+        <FolderOpenFilled
+          key="ellipsis"
+          style={{ fontSize: 18 }}
+          onClick={callCatalogModal}
+        />,
+        hasFeature("truckDocuments") && (
+          <Tooltip key="documents" title="Documents">
+            <SafetyCertificateFilled style={{ fontSize: 18 }} onClick={callDocumentsModal} />
+          </Tooltip>
+        ),
+        hasFeature("maintenancePlans") && (
+          <Tooltip key="maintenance" title="Maintenance">
+            <ToolFilled style={{ fontSize: 18 }} onClick={callMaintenanceModal} />
+          </Tooltip>
+        ),
+      ].filter(Boolean)}
+    >
+      <Meta title={data.registrationNo} description={data.desc} style={{ height: '80px', overflow: 'hidden' }} />
+    </Card>
+  );
+
   return (
     <>
-      <Card
-        hoverable
-        bordered
-        style={{ border: "1px solid #cbcbcb" }}
-        cover={<img alt="truck" height={180} style={{ objectFit: 'cover' }} src={data && data.imgURL && data.imgURL.length > 0
-          ? data.imgURL[0]?.thumbUrl : './truck.jpg'} />}
-        onClick={callCatalogModal}
-        actions={[
-          <EditFilled
-            key="edit"
-            style={{ fontSize: 18 }}
-            onClick={callVehicleModal}
-          />,
-          <FolderOpenFilled
-            key="ellipsis"
-            style={{ fontSize: 18 }}
-            onClick={callCatalogModal}
-          />,
-        ]}
-      >
-        <Meta title={data.registrationNo} description={data.desc} style={{ height: '80px', overflow: 'hidden' }} />
-      </Card>
+      {badge ? (
+        <Badge.Ribbon
+          color={badge.color}
+          text={<Tooltip title={describeCompliance(compliance)}>{badge.text}</Tooltip>}
+        >
+          {card}
+        </Badge.Ribbon>
+      ) : (
+        card
+      )}
       <VehicleModal ref={vehicleModalRef} addNewVehicle={addNewVehicle} vehicleData={data} />
       <CatalogModal ref={catalogModalRef} vehicleId={data._id} isFinanced={data.isFinanced} regNo={data.registrationNo} />
+      <TruckDocumentsModal
+        ref={documentsModalRef}
+        truckId={data._id}
+        regNo={data.registrationNo}
+        onChange={onComplianceChange}
+      />
+      <MaintenancePlansModal ref={maintenanceModalRef} truckId={data._id} regNo={data.registrationNo} />
     </>
   );
 };
@@ -185,7 +185,7 @@ const VehicleModal = forwardRef(({ setTrucks, trucks, vehicleData }, ref) => {
             ? [
                 <ConfirmModal
                   title="Confirm Action"
-                  content="Are you sure you want to delete?"
+                  content="Are you sure you want to delete? The truck and its records can be restored from the Trucks page for 30 days."
                   onOk={handleOk}
                   onCancel={() => {}}
                 >
@@ -10,6 +10,7 @@ import { ArrowRightIcon, DownloadIcon } from "@primer/octicons-react";
 import ConfirmModal from "../../Components/ConfirmModal/ConfirmModal";
 import { Button, FloatButton, Table } from "antd";
 import CalculationsModal from "../../Components/CalculationsModal/CalculationsModal";
+import LoanSchedule from "../../Components/LoanSchedule/LoanSchedule";
 import "../../Styles/CalculateLoan.css";
 
 const CalculateLoan = () => {
@@ -18,6 +19,7 @@ const CalculateLoan = () => {
   const [totalCalculation, setTotalCalculation] = useState(0);
   const [metaData, setMetaData] = useState({});
   const [isError, setIsError] = useState(false);
+  const [scheduleRefreshKey, setScheduleRefreshKey] = useState(0);
   const [selectedDates, setSelectedDates] = useState([
     dayjs().startOf("month").format("YYYY-MM-DD"),
     dayjs().format("YYYY-MM-DD"),
@@ -208,6 +210,7 @@ const CalculateLoan = () => {
 
   const refreshCalculations = () => {
     setContentLoader(true);
+    setScheduleRefreshKey((key) => key + 1);
     Axios.get(`/api/v1/app/calculateLoan/getAllLoanCalculationsByTruckId`, {
       params: {
         truckId: vehicleId,
@@ -313,6 +316,12 @@ const CalculateLoan = () => {
         />
         {vehicleId && (
           <>
+            <hr></hr>
+            <div className="d-flex flex-column mb-3">
+              <b style={{ fontSize: "20px" }}>EMI Schedule</b>
+              <span style={{ fontSize: "14px", color: "#939393" }}>Principal and interest per installment, with missed and partial EMIs flagged</span>
+            </div>
+            <LoanSchedule truckId={vehicleId} refreshKey={scheduleRefreshKey} />
             {
               calculationsList.length > 0 &&
               <FloatButton
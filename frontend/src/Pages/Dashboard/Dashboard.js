@@ -8,9 +8,12 @@ import DashboardCard from "../../Components/DashboardCard/DashboardCard";
 import { CARD_SIZES, getResponsiveProps } from "../../Utils/dashboardLayoutUtils";
 import "../../Styles/Dashboard.css";
 import MonthlyChart from "../../Components/Dashboard/MonthlyChart/MonthlyChart";
+import FuelEfficiencyWidget from "../../Components/Dashboard/FuelEfficiencyWidget/FuelEfficiencyWidget";
 import AlertsWidget from "../../Components/Dashboard/AlertsWidget/AlertsWidget";
 import DriverProfileWidget from "../../Components/Dashboard/DriverProfileWidget/DriverProfileWidget";
 import SchedulerWidget from "../../Components/Dashboard/SchedulerWidget/SchedulerWidget";
+import BudgetWidget from "../../Components/Dashboard/BudgetWidget/BudgetWidget";
+import { useFeatures } from "../../Components/FeatureContext/FeatureContext";
 
 const Dashboard = () => {
   const [contentLoader, setContentLoader] = useState(true);
@@ -18,6 +21,7 @@ const Dashboard = () => {
   const [analyticsLoader, setAnalyticsLoader] = useState(true);
   const [metadata, setMetadata] = useState([]);
   const { user } = useContext(UserContext);
+  const { hasFeature } = useFeatures();
 
   useEffect(() => {
     setAnalyticsLoader(true);
@@ -131,14 +135,29 @@ const Dashboard = () => {
           <MonthlyChart />
         </Col>
 
+        <Col {...getResponsiveProps('medium')}>
+          <FuelEfficiencyWidget />
+        </Col>
+
+        {hasFeature('budgets') && (
+          <Col {...getResponsiveProps('medium')}>
+            <BudgetWidget />
+          </Col>
+        )}
+
         <Col {...getResponsiveProps('medium')}>
           <DriverProfileWidget />
         </Col>
 
         <Col {...getResponsiveProps('medium')}>
-          {/* <SchedulerWidget /> */}
           <AlertsWidget />
         </Col>
+
+        {hasFeature('schedule') && (
+          <Col {...getResponsiveProps('full')}>
+            <SchedulerWidget />
+          </Col>
+        )}
       </Row>
     </>
   );
@@ -10,6 +10,7 @@ import dayjs from "dayjs";
 import ConfirmModal from "../../Components/ConfirmModal/ConfirmModal";
 import { ArrowRightIcon, DownloadIcon, PencilIcon, TrashIcon } from "@primer/octicons-react";
 import { UserContext } from "../../App";
+import { useFeatures } from "../../Components/FeatureContext/FeatureContext";
 import { add } from "date-fns";
 
 const { RangePicker } = DatePicker;
@@ -45,6 +46,16 @@ const formFields = {
       textType: "number",
       rules: [{ required: true, message: "Please enter the cost of fuel" }],
     },
+    {
+      type: "select",
+      name: "fullTank",
+      label: "Tank Filled",
+      placeholder: "Full tank",
+      options: [
+        { value: true, label: "Full tank" },
+        { value: false, label: "Partial fill" },
+      ],
+    },
     { type: "input", name: "note", label: "Note", textType: "text" },
   ],
   defExpenses: [
@@ -133,8 +144,68 @@ const formFields = {
     },
     { type: "input", name: "note", label: "Note", textType: "text" },
   ],
+  trips: [
+    {
+      type: "date",
+      name: "date",
+      label: "Start Date",
+      rules: [{ required: true, message: "Please choose the start date" }],
+    },
+    {
+      type: "input",
+      name: "origin",
+      label: "Origin",
+      textType: "text",
+      rules: [{ required: true, message: "Please enter the origin" }],
+    },
+    {
+      type: "input",
+      name: "destination",
+      label: "Destination",
+      textType: "text",
+      rules: [{ required: true, message: "Please enter the destination" }],
+    },
+    {
+      type: "input",
+      name: "startKM",
+      label: "Start KM",
+      textType: "number",
+      rules: [{ required: true, message: "Please enter the start KM" }],
+    },
+    { type: "input", name: "endKM", label: "End KM", textType: "number" },
+    {
+      type: "input",
+      name: "freightAmount",
+      label: "Freight Amount",
+      textType: "number",
+      rules: [{ required: true, message: "Please enter the freight amount" }],
+    },
+    {
+      type: "select",
+      name: "driverId",
+      label: "Driver",
+      placeholder: "Choose driver",
+      options: [],
+    },
+    {
+      type: "select",
+      name: "status",
+      label: "Status",
+      placeholder: "Choose status",
+      options: [
+        { value: "planned", label: "Planned" },
+        { value: "inTransit", label: "In Transit" },
+        { value: "completed", label: "Completed" },
+        { value: "cancelled", label: "Cancelled" },
+      ],
+    },
+    { type: "input", name: "note", label: "Note", textType: "text" },
+  ],
 };
 
+// Catalogs whose entries can be attached to a trip
+const tripLinkedCatalogs = ["fuelExpenses", "defExpenses", "otherExpenses", "income"];
+
 const apis = {
   fuelExpenses: {
     addAPI: "addFuelExpense",
@@ -172,6 +243,15 @@ const apis = {
     downloadAPI: "downloadIncomesExcel",
     downloadAllAPI: "downloadAllIncomesExcel",
   },
+  trips: {
+    addAPI: "addTrip",
+    getAllExpensesById: "getAllTripsByTruckId",
+    getAllExpenses: "getAllTripsByUserId",
+    updateAPI: "updateTripById",
+    deleteAPI: "deleteTripById",
+    downloadAPI: "downloadTripsExcel",
+    downloadAllAPI: "downloadAllTripsExcel",
+  },
   totalExpenses: {
     getAllExpensesById: "getAllTotalExpensesByTruckId",
     getAllExpenses: "getAllTotalExpensesByUserId",
@@ -227,6 +307,7 @@ const ExpenseSummary = () => {
     defExpenses: "Def Expenses",
     otherExpenses: "Other Expenses",
     income: "Income",
+    trips: "Trips",
     totalExpenses: "Total Expenses",
     totalFuelExpenses: "Total Fuel Expenses",
     totalDefExpenses: "Total Def Expenses",
@@ -244,9 +325,12 @@ const ExpenseSummary = () => {
   const [vehicleRegistrationNo, setVehicleRegistrationNo] = useState("");
   const [trucks, setTrucks] = useState([]);
   const [selectedTruckId, setSelectedTruckId] = useState(null);
+  const [drivers, setDrivers] = useState([]);
+  const [truckTrips, setTruckTrips] = useState([]);
 
   const expenseModalRef = useRef();
   const { user } = useContext(UserContext);
+  const tripsEnabled = useFeatures().hasFeature("trips");
   const navigate = useNavigate();
 
   const { catalog, vehicleId } = useParams();
@@ -270,9 +354,83 @@ const ExpenseSummary = () => {
       });
   }, [user.userId]);
 
+  // Fetch drivers so trips can be assigned to one
+  useEffect(() => {
+    if (catalog !== "trips") {
+      return;
+    }
+    Axios.get(`/api/v1/app/driverProfiles/getAllDriverProfilesByUser/${user.userId}`, {
+      headers: {
+        authorization: `bearer ${localStorage.getItem('token')}`,
+      },
+    })
+      .then((res) => {
+        setDrivers(res.data.data || []);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch drivers:", err);
+        setDrivers([]);
+      });
+  }, [catalog, user.userId]);
+
   // Determine which truck ID to use (from params or dropdown)
   const activeTruckId = vehicleId || selectedTruckId;
 
+  // Fetch the truck's trips so income and expense entries can be linked to one
+  useEffect(() => {
+    if (!tripsEnabled || !activeTruckId || !tripLinkedCatalogs.includes(catalog)) {
+      setTruckTrips([]);
+      return;
+    }
+    Axios.get(`/api/v1/app/trips/getAllTripsByTruckId`, {
+      params: {
+        truckId: activeTruckId,
+      },
+      headers: {
+        authorization: `bearer ${localStorage.getItem('token')}`,
+      },
+    })
+      .then((res) => {
+        setTruckTrips(res.data.expenses || []);
+      })
+      .catch((err) => {
+        // 404 simply means the truck has no trips yet
+        setTruckTrips([]);
+      });
+  }, [tripsEnabled, activeTruckId, catalog]);
+
+  const getFormFields = () => {
+    if (catalog === "trips") {
+      return formFields.trips.map((field) =>
+        field.name === "driverId"
+          ? {
+            ...field,
+            options: drivers.map((driver) => ({
+              value: driver._id,
+              label: driver.name,
+            })),
+          }
+          : field
+      );
+    }
+    if (truckTrips.length > 0 && tripLinkedCatalogs.includes(catalog)) {
+      return [
+        ...formFields[catalog],
+        {
+          type: "select",
+          name: "tripId",
+          label: "Trip",
+          placeholder: "Link to a trip (optional)",
+          options: truckTrips.map((trip) => ({
+            value: trip._id,
+            label: `${trip.date} | ${trip.route}`,
+          })),
+        },
+      ];
+    }
+    return formFields[catalog];
+  };
+
   // Fetch vehicle registration number when activeTruckId is available
   useEffect(() => {
     if (activeTruckId) {
@@ -744,7 +902,10 @@ const ExpenseSummary = () => {
         key: "operation",
         //   fixed: "right",
         width: 40,
-        render: (text, record) => (
+        render: (text, record) => (record.ledgerEntryId ? (
+          // Payroll rows change only through the driver's ledger
+          <span className="text-muted small">From driver ledger</span>
+        ) : (
           <div className="d-flex gap-2">
             <ConfirmModal
               title="Confirm Action"
@@ -775,7 +936,7 @@ const ExpenseSummary = () => {
               </button>
             </ConfirmModal>
           </div>
-        ),
+        )),
       },
     ],
     income: [
@@ -847,6 +1008,116 @@ const ExpenseSummary = () => {
         ),
       },
     ],
+    trips: [
+      {
+        title: "Date",
+        width: 70,
+        dataIndex: "date",
+        key: "date",
+        fixed: "left",
+      },
+      ...(!activeTruckId
+        ? [
+          {
+            title: "Registration No.",
+            width: 100,
+            dataIndex: "registrationNo",
+            key: "registrationNo",
+          },
+        ]
+        : []),
+      {
+        title: "Route",
+        width: 150,
+        dataIndex: "route",
+        key: "route",
+      },
+      {
+        title: "Driver",
+        width: 100,
+        dataIndex: "driverName",
+        key: "driverName",
+      },
+      {
+        title: "Distance",
+        width: 80,
+        dataIndex: "distance",
+        key: "distance",
+        render: (distance) => (distance !== null ? `${distance} km` : "-"),
+      },
+      {
+        title: "Freight",
+        width: 100,
+        dataIndex: "freightAmount",
+        key: "freightAmount",
+      },
+      {
+        title: "Expenses",
+        width: 100,
+        dataIndex: "totalExpense",
+        key: "totalExpense",
+      },
+      {
+        title: "Profit",
+        width: 100,
+        dataIndex: "profit",
+        key: "profit",
+        render: (profit) => (
+          <span className={profit < 0 ? "text-danger fw-bold" : "text-success fw-bold"}>
+            {profit.toFixed(2)}
+          </span>
+        ),
+      },
+      {
+        title: "Received",
+        width: 100,
+        dataIndex: "amountReceived",
+        key: "amountReceived",
+      },
+      {
+        title: "Status",
+        width: 90,
+        dataIndex: "status",
+        key: "status",
+      },
+      {
+        title: "Action",
+        key: "operation",
+        width: 40,
+        render: (text, record) => (
+          <div className="d-flex gap-2">
+            <ConfirmModal
+              title="Confirm Action"
+              content="Are you sure you want to update?"
+              onOk={() => callUpdateExpenseModal(record)}
+              key={`update-${record._id}`}  // Unique key for update modal
+              onCancel={() => { }}
+            >
+              <button
+                type="button"
+                className="btn btn-primary btn-rounded btn-floating"
+              >
+                <PencilIcon size={16} />
+              </button>
+            </ConfirmModal>
+            <ConfirmModal
+              title="Confirm Action"
+              content="Deleting a trip keeps its income and expense entries but unlinks them. Continue?"
+              onOk={() => handleOk(record._id)}
+              key={record._id}
+              onCancel={() => { }}
+            >
+              <button
+                type="button"
+                className="btn btn-danger btn-rounded btn-floating"
+              >
+                <TrashIcon size={16} />
+              </button>
+            </ConfirmModal>
+          </div>
+        ),
+      },
+    ],
     totalExpenses: [
       {
         title: "Date",
@@ -954,13 +1225,13 @@ const ExpenseSummary = () => {
             className="w-100 d-flex border align-items-center p-2 ps-3 rounded gap-3 justify-content-between"
             style={{ background: "#fafafa" }}
           >
-            <b className="text-nowrap">Total {catalog === "income" ? "Income" : "Expense"}</b>
+            <b className="text-nowrap">Total {catalog === "income" ? "Income" : catalog === "trips" ? "Freight" : "Expense"}</b>
             <div className="p-2 border bg-white rounded fw-bold text-danger">
               {totalExpense.toFixed(2)}
             </div>
           </div>
           {
-            catalog === "income" &&
+            (catalog === "income" || catalog === "trips") &&
             <div
               className="w-100 d-flex border align-items-center p-2 ps-3 rounded gap-3 justify-content-between"
               style={{ background: "#fafafa" }}
@@ -1022,7 +1293,7 @@ const ExpenseSummary = () => {
         setExpensesList={setExpensesList}
         expensesList={expensesList}
         category={expenses[catalog]}
-        formFields={formFields[catalog]}
+        formFields={getFormFields()}
         apis={apis}
         onSuccess={refreshExpenses}
       />
@@ -1,14 +1,18 @@
 import React, { useContext, useEffect, useRef, useState } from "react";
-import { FloatButton, Table, Select, Dropdown } from "antd";
+import { FloatButton, Table, Select, Dropdown, Button } from "antd";
 import { useNavigate, useParams } from "react-router-dom";
-import { PlusOutlined } from "@ant-design/icons";
+import { PlusOutlined, UploadOutlined, AlertOutlined } from "@ant-design/icons";
 import ExpenseModal from "../../Components/ExpenseModal/ExpenseModal";
+import ImportWizard from "../../Components/ImportWizard/ImportWizard";
+import ExpenseRulesModal from "../../Components/ExpenseRulesModal/ExpenseRulesModal";
+import Attachments from "../../Components/Attachments/Attachments";
 import { Axios } from "../../Config/Axios/Axios";
 import LoaderOverlay from "../../Components/LoaderOverlay/LoaderOverlay";
 import dayjs from "dayjs";
 import ConfirmModal from "../../Components/ConfirmModal/ConfirmModal";
 import { ArrowRightIcon, PencilIcon, TrashIcon, DownloadIcon } from "@primer/octicons-react";
 import { UserContext } from "../../App";
+import { useFeatures } from "../../Components/FeatureContext/FeatureContext";
 import { FireOutlined, WalletOutlined, BarChartOutlined, CreditCardOutlined } from "@ant-design/icons";
 
 const formFields = {
@@ -42,6 +46,16 @@ const formFields = {
       textType: "number",
       rules: [{ required: true, message: "Please enter the cost of fuel" }],
     },
+    {
+      type: "select",
+      name: "fullTank",
+      label: "Tank Filled",
+      placeholder: "Full tank",
+      options: [
+        { value: true, label: "Full tank" },
+        { value: false, label: "Partial fill" },
+      ],
+    },
     { type: "input", name: "note", label: "Note", textType: "text" },
   ],
   defExpenses: [
@@ -248,7 +262,10 @@ const Expenses = () => {
   const [currentExpenseType, setCurrentExpenseType] = useState("fuelExpenses");
 
   const expenseModalRef = useRef();
+  const importWizardRef = useRef();
+  const expenseRulesRef = useRef();
   const { user } = useContext(UserContext);
+  const { hasFeature } = useFeatures();
   const navigate = useNavigate();
   const { vehicleId } = useParams();
 
@@ -585,6 +602,14 @@ const Expenses = () => {
           },
         ]
         : []),
+      {
+        title: "Attachments",
+        key: "attachments",
+        width: 120,
+        render: (text, record) => (
+          <Attachments apiPath={selectedExpenseType} record={record} onChange={refreshExpenses} />
+        ),
+      },
       {
         title: "Action",
         key: "operation",
@@ -669,6 +694,14 @@ const Expenses = () => {
         dataIndex: "cost",
         key: "cost",
       },
+      {
+        title: "Attachments",
+        key: "attachments",
+        width: 120,
+        render: (text, record) => (
+          <Attachments apiPath={selectedExpenseType} record={record} onChange={refreshExpenses} />
+        ),
+      },
       {
         title: "Action",
         key: "operation",
@@ -743,11 +776,22 @@ const Expenses = () => {
         dataIndex: "note",
         key: "note",
       },
+      {
+        title: "Attachments",
+        key: "attachments",
+        width: 120,
+        render: (text, record) => (
+          <Attachments apiPath={selectedExpenseType} record={record} onChange={refreshExpenses} />
+        ),
+      },
       {
         title: "Action",
         key: "operation",
         width: 40,
-        render: (text, record) => (
+        render: (text, record) => (record.ledgerEntryId ? (
+          // Payroll rows change only through the driver's ledger
+          <span className="text-muted small">From driver ledger</span>
+        ) : (
           <div className="d-flex gap-2">
             <ConfirmModal
               title="Confirm Action"
@@ -778,7 +822,7 @@ const Expenses = () => {
               </button>
             </ConfirmModal>
           </div>
-        ),
+        )),
       },
     ],
     loanExpenses: [
@@ -993,6 +1037,20 @@ const Expenses = () => {
               size="large"
             />
           )}
+          <Button
+            size="large"
+            icon={<UploadOutlined />}
+            onClick={() =>
+              importWizardRef.current.showModal({ type: selectedExpenseType, truckId: activeTruckId })
+            }
+          >
+            Import
+          </Button>
+          {hasFeature("expenseRules") && (
+            <Button size="large" icon={<AlertOutlined />} onClick={() => expenseRulesRef.current.showModal()}>
+              Rules
+            </Button>
+          )}
         </div>
       </div>
 
@@ -1096,6 +1154,8 @@ const Expenses = () => {
           vehicleId={activeTruckId}
         />
       )}
+      <ImportWizard ref={importWizardRef} trucks={trucks} onSuccess={refreshExpenses} />
+      <ExpenseRulesModal ref={expenseRulesRef} trucks={trucks} />
     </div>
   );
 };
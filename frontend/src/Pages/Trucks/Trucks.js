@@ -1,21 +1,67 @@
 import React, { useState } from 'react'
 import LoaderOverlay from '../../Components/LoaderOverlay/LoaderOverlay'
-import { Button, Empty } from 'antd'
-import { PlusOutlined } from '@ant-design/icons'
+import { Button, Empty, List, message } from 'antd'
+import { PlusOutlined, UndoOutlined } from '@ant-design/icons'
+import dayjs from 'dayjs';
 import VehicleCard from "../../Components/VehicleCard/VehicleCard";
 import VehicleModal from "../../Components/VehicleModal/VehicleModal";
-import { useEffect } from 'react';
+import { useCallback, useEffect } from 'react';
 import { Axios } from '../../Config/Axios/Axios';
 import { useContext } from 'react';
 import { UserContext } from '../../App';
+import { useFeatures } from '../../Components/FeatureContext/FeatureContext';
 import { useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 
 const Trucks = () => {
     const [contentLoader, setContentLoader] = useState(false)
     const [isError, setIsError] = useState(false);
     const [trucks, setTrucks] = useState([]);
+    const [archivedTrucks, setArchivedTrucks] = useState([]);
+    const [compliance, setCompliance] = useState({});
 
     const { user } = useContext(UserContext);
+    const documentsEnabled = useFeatures().hasFeature('truckDocuments');
+    const [searchParams, setSearchParams] = useSearchParams();
+    const maintenanceTruckId = searchParams.get('maintenance');
+
+    const clearMaintenanceParam = () => {
+        searchParams.delete('maintenance');
+        setSearchParams(searchParams, { replace: true });
+    };
+
+    const fetchArchivedTrucks = useCallback(() => {
+        Axios.get(`/api/v1/app/truck/getArchivedTrucksByUser/${user.userId}`, {
+            headers: {
+                authorization: `bearer ${localStorage.getItem('token')}`,
+            },
+        })
+            .then((res) => {
+                setArchivedTrucks(res.data);
+            })
+            .catch((err) => {
+                console.error("Failed to fetch archived trucks:", err);
+            });
+    }, [user.userId]);
+
+    // Document compliance of every truck, keyed by truck ID
+    const fetchCompliance = useCallback(() => {
+        if (!documentsEnabled) return;
+        Axios.get(`/api/v1/app/truckDocuments/getTruckComplianceByUserId`, {
+            params: {
+                userId: user.userId,
+            },
+            headers: {
+                authorization: `bearer ${localStorage.getItem('token')}`,
+            },
+        })
+            .then((res) => {
+                setCompliance(res.data);
+            })
+            .catch((err) => {
+                console.error("Failed to fetch truck compliance:", err);
+            });
+    }, [user.userId, documentsEnabled]);
 
     useEffect(() => {
         setContentLoader(true);
@@ -36,8 +82,34 @@ const Trucks = () => {
                 setContentLoader(false);
             });
 
+        fetchArchivedTrucks();
+
         return () => { };
-    }, []);
+    }, [user.userId, fetchArchivedTrucks]);
+
+    useEffect(() => {
+        fetchCompliance();
+    }, [fetchCompliance]);
+
+    const restoreTruck = (truckId) => {
+        setContentLoader(true);
+        Axios.put(`/api/v1/app/truck/restoreTruckById/${truckId}`, {}, {
+            headers: {
+                authorization: `bearer ${localStorage.getItem('token')}`,
+            },
+        })
+            .then((res) => {
+                setTrucks((prev) => [...prev, res.data]);
+                setArchivedTrucks((prev) => prev.filter((truck) => truck._id !== truckId));
+                fetchCompliance();
+                message.success(`${res.data.registrationNo} restored`);
+                setContentLoader(false);
+            })
+            .catch((err) => {
+                message.error(err.response?.data?.message || "Failed to restore truck");
+                setContentLoader(false);
+            });
+    };
 
     const vehicleModalRef = useRef();
 
@@ -75,10 +147,41 @@ const Trucks = () => {
             ) : (
                 <div className="dashboard-grid-container vehicleCard pb-5">
                     {trucks?.map((truck) => (
-                        <VehicleCard key={truck._id} data={truck} />
+                        <VehicleCard
+                            key={truck._id}
+                            data={truck}
+                            compliance={compliance[truck._id]}
+                            onComplianceChange={fetchCompliance}
+                            openMaintenance={truck._id === maintenanceTruckId}
+                            onMaintenanceOpened={clearMaintenanceParam}
+                        />
                     ))}
                 </div>
             )}
+            {archivedTrucks.length > 0 && (
+                <div className="pb-5">
+                    <b style={{ fontSize: "18px" }}>Recently deleted</b>
+                    <List
+                        className="mt-2"
+                        bordered
+                        dataSource={archivedTrucks}
+                        renderItem={(truck) => (
+                            <List.Item
+                                actions={[
+                                    <Button key="restore" icon={<UndoOutlined />} onClick={() => restoreTruck(truck._id)}>
+                                        Restore
+                                    </Button>,
+                                ]}
+                            >
+                                <List.Item.Meta
+                                    title={truck.registrationNo}
+                                    description={`Deleted on ${dayjs(truck.archivedAt).format('YYYY-MM-DD')}, permanently removed after ${dayjs(truck.purgeAfter).format('YYYY-MM-DD')}`}
+                                />
+                            </List.Item>
+                        )}
+                    />
+                </div>
+            )}
             <VehicleModal
                 ref={vehicleModalRef}
                 setTrucks={setTrucks}
@@ -48,6 +48,9 @@ const SERVICES = {
   notification: process.env.NOTIFICATION_SERVICE_URL || 'http://notification-service:3005'
 };
 
+// Shared with the services, which trust the forwarded caller identity only next to it
+const INTERNAL_SERVICE_SECRET = process.env.INTERNAL_SERVICE_SECRET || '';
+
 // JWT Authentication Middleware
 const authenticateToken = (req, res, next) => {
   // Public routes (old and new format)
@@ -142,6 +145,12 @@ app.get('/api/v1/app/health', (req, res) => {
   });
 });
 
+// Feature areas the services behind the gateway have and the monolith lacks, which
+// answers the same request with its own list. The frontend hides the areas missing from it.
+app.get('/api/v1/app/health/features', (req, res) => {
+  res.json({ features: ['budgets', 'expenseRules', 'notifications'] });
+});
+
 // Create breakers for each service
 const breakers = {
   auth: createServiceBreaker('auth-service', SERVICES.auth),
@@ -164,6 +173,21 @@ app.use(limiter);
 // Apply authentication middleware AFTER health routes and rate limiting
 app.use(authenticateToken);
 
+// Caller identity for downstream services, taken only from the verified token,
+// next to the secret the services require before they trust it.
+// Tokens from the Google flow carry `userId`/`isAdmin`, password logins `id`/`role`.
+const identityHeaders = (req) => {
+  if (!req.user) {
+    return {};
+  }
+  return {
+    'x-internal-secret': INTERNAL_SERVICE_SECRET,
+    'x-user-id': String(req.user.userId || req.user.id),
+    'x-user-admin': String(Boolean(req.user.isAdmin || req.user.role === 'admin')),
+    ...(req.user.email ? { 'x-user-email': String(req.user.email) } : {})
+  };
+};
+
 // Helper function to forward requests with optional adapter
 const forwardRequest = async (req, res, breaker, servicePath, adapter = null) => {
   try {
@@ -178,7 +202,7 @@ const forwardRequest = async (req, res, breaker, servicePath, adapter = null) =>
       method: req.method,
       url,
       data: req.body,
-      headers: { authorization: req.headers.authorization },
+      headers: { authorization: req.headers.authorization, ...identityHeaders(req) },
       timeout: 30000 // 30 second timeout
     });
 
@@ -221,6 +245,8 @@ app.get('/api/v1/app/truck/:id', (req, res) => forwardRequest(req, res, breakers
 app.put('/api/v1/app/truck/updateTruckById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/trucks/${req.params.id}`, adapters.adaptSingleTruckResponse));
 app.put('/api/v1/app/truck/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/trucks/${req.params.id}`, adapters.adaptSingleTruckResponse));
 app.delete('/api/v1/app/truck/deleteTruckById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/trucks/${req.params.id}`));
+app.put('/api/v1/app/truck/restoreTruckById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/trucks/${req.params.id}/restore`, adapters.adaptSingleTruckResponse));
+app.get('/api/v1/app/truck/getArchivedTrucksByUser/:userId', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/trucks/archived/by-user/${req.params.userId}`));
 app.delete('/api/v1/app/truck/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/trucks/${req.params.id}`));
 
 // DRIVER ROUTES - Old format support
@@ -228,6 +254,25 @@ app.get('/api/v1/app/driverProfiles', (req, res) => forwardRequest(req, res, bre
 app.post('/api/v1/app/driverProfiles', (req, res) => forwardRequest(req, res, breakers.fleet, '/api/drivers'));
 app.post('/api/v1/app/driverProfiles/addDriverProfile', (req, res) => forwardRequest(req, res, breakers.fleet, '/api/drivers'));
 app.get('/api/v1/app/driverProfiles/getAllDriverProfilesByUser/:userId', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/drivers/by-user/${req.params.userId}`, adapters.adaptDriverProfilesResponse));
+// Driver-to-truck assignments live in fleet-service; the per-driver report is built by analytics-service
+app.post('/api/v1/app/driverProfiles/addDriverAssignment', (req, res) => forwardRequest(req, res, breakers.fleet, '/api/assignments'));
+app.get('/api/v1/app/driverProfiles/getDriverAssignmentsByDriverId/:driverId', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/assignments/by-driver/${req.params.driverId}`));
+app.get('/api/v1/app/driverProfiles/getDriverAssignmentsByTruckId/:truckId', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/assignments/by-truck/${req.params.truckId}`));
+app.get('/api/v1/app/driverProfiles/getDriverOnDuty', (req, res) => {
+  const query = new URLSearchParams(req.query).toString();
+  forwardRequest(req, res, breakers.fleet, `/api/assignments/on-duty?${query}`);
+});
+app.put('/api/v1/app/driverProfiles/updateDriverAssignmentById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/assignments/${req.params.id}`));
+app.delete('/api/v1/app/driverProfiles/deleteDriverAssignmentById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/assignments/${req.params.id}`));
+app.get('/api/v1/app/driverProfiles/getDriverReportByUserId', (req, res) => {
+  const { userId, driverId, selectedDates } = req.query;
+  const query = new URLSearchParams({
+    ...(userId ? { userId } : {}),
+    ...(driverId ? { driverId } : {}),
+    ...(Array.isArray(selectedDates) ? { startDate: selectedDates[0], endDate: selectedDates[1] } : {})
+  }).toString();
+  forwardRequest(req, res, breakers.analytics, `/api/metadata/by-driver?${query}`);
+});
 app.get('/api/v1/app/driverProfiles/getDriverProfileById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/drivers/${req.params.id}`));
 app.get('/api/v1/app/driverProfiles/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/drivers/${req.params.id}`));
 app.put('/api/v1/app/driverProfiles/updateDriverProfileById/:id', (req, res) => forwardRequest(req, res, breakers.fleet, `/api/drivers/${req.params.id}`));
@@ -361,6 +406,38 @@ app.get('/api/v1/app/totalExpenses/downloadAllTotalExpensesExcel', (req, res) =>
   forwardRequest(req, res, breakers.finance, `/api/expenses/total/download-all?${query}`);
 });
 
+// EXPENSE RULE ROUTES - Old format support
+app.get('/api/v1/app/expenseRules/getExpenseRules', (req, res) => {
+  forwardRequest(req, res, breakers.finance, '/api/expense-rules');
+});
+app.post('/api/v1/app/expenseRules/addExpenseRule', (req, res) => {
+  forwardRequest(req, res, breakers.finance, '/api/expense-rules');
+});
+app.put('/api/v1/app/expenseRules/updateExpenseRuleById/:id', (req, res) => {
+  forwardRequest(req, res, breakers.finance, `/api/expense-rules/${req.params.id}`);
+});
+app.delete('/api/v1/app/expenseRules/deleteExpenseRuleById/:id', (req, res) => {
+  forwardRequest(req, res, breakers.finance, `/api/expense-rules/${req.params.id}`);
+});
+
+// BUDGET ROUTES - Old format support
+app.get('/api/v1/app/budgets/getBudgets', (req, res) => {
+  forwardRequest(req, res, breakers.finance, '/api/budgets');
+});
+app.get('/api/v1/app/budgets/getBudgetSummary', (req, res) => {
+  const query = new URLSearchParams(req.query).toString();
+  forwardRequest(req, res, breakers.finance, `/api/budgets/summary?${query}`);
+});
+app.post('/api/v1/app/budgets/addBudget', (req, res) => {
+  forwardRequest(req, res, breakers.finance, '/api/budgets');
+});
+app.put('/api/v1/app/budgets/updateBudgetById/:id', (req, res) => {
+  forwardRequest(req, res, breakers.finance, `/api/budgets/${req.params.id}`);
+});
+app.delete('/api/v1/app/budgets/deleteBudgetById/:id', (req, res) => {
+  forwardRequest(req, res, breakers.finance, `/api/budgets/${req.params.id}`);
+});
+
 // LOAN CALCULATION ROUTES - Old format support
 app.get('/api/v1/app/calculateLoan/getAllLoanCalculationsByTruckId', (req, res) => {
   const query = new URLSearchParams(req.query).toString();
@@ -401,16 +478,61 @@ app.get('/api/v1/app/alerts/:id', (req, res) => forwardRequest(req, res, breaker
 app.put('/api/v1/app/alerts/updateAlertById/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/${req.params.id}`));
 app.put('/api/v1/app/alerts/markAlertAsRead/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/mark-read/${req.params.id}`));
 app.put('/api/v1/app/alerts/markRecurringAlertAsDone/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/mark-done/${req.params.id}`));
+app.put('/api/v1/app/alerts/snoozeAlertById/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/snooze/${req.params.id}`));
+app.put('/api/v1/app/alerts/unsnoozeAlertById/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/unsnooze/${req.params.id}`));
 app.put('/api/v1/app/alerts/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/${req.params.id}`));
 app.delete('/api/v1/app/alerts/deleteAlertById/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/${req.params.id}`));
 app.delete('/api/v1/app/alerts/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/alerts/${req.params.id}`));
 
+// NOTIFICATIONS - In-app reminders and reminder preferences
+// Live inbox and alert updates: the service's event stream is piped through unbuffered
+// and without a timeout, and closed upstream when the browser goes away
+app.get('/api/v1/app/notifications/stream', async (req, res) => {
+  const controller = new AbortController();
+  req.on('close', () => controller.abort());
+
+  try {
+    const upstream = await axios({
+      method: 'get',
+      url: `${SERVICES.notification}/api/notifications/stream`,
+      headers: identityHeaders(req),
+      responseType: 'stream',
+      signal: controller.signal
+    });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    upstream.data.on('error', () => res.end());
+    upstream.data.pipe(res);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    logger.error('Notification stream error', { error: error.message });
+    res.status(error.response ? error.response.status : 502).json({
+      error: 'Service unavailable',
+      message: error.message
+    });
+  }
+});
+app.get('/api/v1/app/notifications/getNotifications', (req, res) => {
+  const query = new URLSearchParams(req.query).toString();
+  forwardRequest(req, res, breakers.notification, `/api/notifications${query ? '?' + query : ''}`);
+});
+app.put('/api/v1/app/notifications/markAllNotificationsAsRead', (req, res) => forwardRequest(req, res, breakers.notification, '/api/notifications/read-all'));
+app.put('/api/v1/app/notifications/markNotificationAsRead/:id', (req, res) => forwardRequest(req, res, breakers.notification, `/api/notifications/${req.params.id}/read`));
+app.get('/api/v1/app/notifications/getNotificationPreferences', (req, res) => forwardRequest(req, res, breakers.notification, '/api/notification-preferences'));
+app.put('/api/v1/app/notifications/updateNotificationPreferences', (req, res) => forwardRequest(req, res, breakers.notification, '/api/notification-preferences'));
+
 // METADATA - Old format support
 app.get('/api/v1/app/metadata', (req, res) => forwardRequest(req, res, breakers.analytics, '/api/metadata'));
-// Metadata routes - routed to finance-service (not analytics)
-app.get('/api/v1/app/metadata/getMetadataByUserId', (req, res) => forwardRequest(req, res, breakers.finance, `/api/metadata/getMetadataByUserId?userId=${req.query.userId}`));
+// Metadata routes - user totals come from the analytics monthly read model, the rest from finance-service
+app.get('/api/v1/app/metadata/getMetadataByUserId', (req, res) => forwardRequest(req, res, breakers.analytics, `/api/metadata/getMetadataByUserId?userId=${req.query.userId}`));
 app.get('/api/v1/app/metadata/getProfileMetadataByUserId', (req, res) => forwardRequest(req, res, breakers.finance, `/api/metadata/getProfileMetadataByUserId?userId=${req.query.userId}`));
-app.get('/api/v1/app/metadata/getSixMonthsDataByUserId', (req, res) => forwardRequest(req, res, breakers.finance, `/api/metadata/getSixMonthsDataByUserId?userId=${req.query.userId}`));
+app.get('/api/v1/app/metadata/getSixMonthsDataByUserId', (req, res) => forwardRequest(req, res, breakers.analytics, `/api/metadata/getSixMonthsDataByUserId?userId=${req.query.userId}`));
 app.get('/api/v1/app/metadata/getMetadataByTruckId', (req, res) => forwardRequest(req, res, breakers.finance, `/api/metadata/getMetadataByTruckId?truckId=${req.query.truckId}`));
 
 // USERS - Old format support
@@ -423,6 +545,7 @@ app.get('/api/v1/app/admin/getOneUserByUsername/:username', (req, res) => forwar
 app.delete('/api/v1/app/admin/deleteOneUserByUsername/:username', (req, res) => forwardRequest(req, res, breakers.auth, `/api/admin/deleteOneUserByUsername/${req.params.username}`));
 app.delete('/api/v1/app/admin/deleteTestUsers', (req, res) => forwardRequest(req, res, breakers.auth, '/api/admin/deleteTestUsers'));
 app.put('/api/v1/app/admin/manageSubscription', (req, res) => forwardRequest(req, res, breakers.auth, '/api/admin/manageSubscription'));
+app.post('/api/v1/app/admin/replayFinanceEvents', (req, res) => forwardRequest(req, res, breakers.finance, '/api/finance-events/replay'));
 
 // New format routes (keep existing)
 app.all('/api/auth/*', (req, res) => {
@@ -440,6 +563,11 @@ app.all('/api/drivers/*', (req, res) => {
   forwardRequest(req, res, breakers.fleet, path);
 });
 
+app.all(['/api/assignments', '/api/assignments/*'], (req, res) => {
+  const query = new URLSearchParams(req.query).toString();
+  forwardRequest(req, res, breakers.fleet, query ? `${req.path}?${query}` : req.path);
+});
+
 app.all('/api/finance/*', (req, res) => {
   const path = req.path.replace('/api/finance', '/api');
   forwardRequest(req, res, breakers.finance, path);
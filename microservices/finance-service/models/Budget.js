@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const archivable = require('./archivable');
+
+// Categories a budget covers: fuel, DEF or an other-expense category; `any` covers all
+const BUDGET_CATEGORIES = ['any', 'fuel', 'def', 'toll', 'pollution', 'insurance', 'service&Maintenance', 'salary&incentives', 'other'];
+
+// A user's monthly spending plan for one truck, or all trucks together, in one
+// category. Budgets without a month apply to every month; one with a month replaces
+// the standing budget of the same truck and category for that month.
+const BudgetSchema = new mongoose.Schema({
+  addedBy: {
+    type: String,
+    required: [true, "User Id not recieved"],
+  },
+  truckId: {
+    type: String,
+    ref: 'Truck',
+    default: null
+  },
+  category: {
+    type: String,
+    enum: {
+      values: BUDGET_CATEGORIES,
+      message: "Invalid expense category"
+    },
+    default: 'any'
+  },
+  // `YYYY-MM`, or null for every month
+  month: {
+    type: String,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, "Month must be YYYY-MM"],
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, "Budget amount is required"],
+    min: [1, "Amount must be at least 1"]
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxLength: [200, "Note cannot exceed 200 characters"]
+  },
+  // Levels already alerted, as `YYYY-MM:<percent>`, so each is alerted once a month
+  alertedLevels: [{
+    type: String
+  }],
+  createdAt: {
+    type: Date,
+    default: () => new Date(),
+  },
+  updatedAt: {
+    type: Date,
+    default: () => new Date(),
+  }
+});
+
+BudgetSchema.index({ addedBy: 1, truckId: 1, category: 1, month: 1 }, { unique: true });
+
+BudgetSchema.plugin(archivable);
+
+module.exports = mongoose.model('Budget', BudgetSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const archivable = require("./archivable");
 
 const defExpenseSchema = new mongoose.Schema({
   truckId: {
@@ -36,4 +37,6 @@ const defExpenseSchema = new mongoose.Schema({
   },
 });
 
+defExpenseSchema.plugin(archivable);
+
 module.exports = mongoose.model("DefExpense", defExpenseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('./archivable');
 
 const expenseSchema = new mongoose.Schema({
   truckId: {
@@ -55,4 +56,6 @@ const expenseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+expenseSchema.plugin(archivable);
+
 module.exports = mongoose.model('Expense', expenseSchema);
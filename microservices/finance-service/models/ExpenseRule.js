@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const archivable = require('./archivable');
+
+// Categories a rule can watch: fuel, DEF or an other-expense category; `any` watches all
+const RULE_CATEGORIES = ['any', 'fuel', 'def', 'toll', 'pollution', 'insurance', 'service&Maintenance', 'salary&incentives', 'other'];
+
+// A user's limit on expenses: fires `expense.threshold.exceeded` when one expense, or
+// the total of a day, week or month, goes over a fixed amount or a percentage above
+// the truck's average. Rules without a truck apply to each truck on its own.
+const ExpenseRuleSchema = new mongoose.Schema({
+  addedBy: {
+    type: String,
+    required: [true, "User Id not recieved"],
+  },
+  name: {
+    type: String,
+    required: [true, "Rule name is required"],
+    trim: true,
+    maxLength: [60, "Rule name cannot exceed 60 characters"]
+  },
+  category: {
+    type: String,
+    enum: {
+      values: RULE_CATEGORIES,
+      message: "Invalid expense category"
+    },
+    default: 'any'
+  },
+  truckId: {
+    type: String,
+    ref: 'Truck',
+    default: null
+  },
+  // `expense` checks each expense; the others check the calendar period's total
+  period: {
+    type: String,
+    enum: {
+      values: ['expense', 'day', 'week', 'month'],
+      message: "Invalid period"
+    },
+    default: 'expense'
+  },
+  mode: {
+    type: String,
+    enum: {
+      values: ['absolute', 'percentAboveAverage'],
+      message: "Invalid rule mode"
+    },
+    default: 'absolute'
+  },
+  // Limit of `absolute` rules
+  amount: {
+    type: Number,
+    min: [1, "Amount must be at least 1"],
+    default: null
+  },
+  // Margin of `percentAboveAverage` rules over the average expense or period total
+  percent: {
+    type: Number,
+    min: [1, "Percentage must be at least 1"],
+    max: [1000, "Percentage cannot exceed 1000"],
+    default: null
+  },
+  // Priority of the alert raised when the rule fires
+  priority: {
+    type: String,
+    enum: {
+      values: ['low', 'medium', 'high', 'urgent'],
+      message: "Invalid priority level"
+    },
+    default: 'high'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: () => new Date(),
+  },
+  updatedAt: {
+    type: Date,
+    default: () => new Date(),
+  }
+});
+
+ExpenseRuleSchema.pre('validate', function (next) {
+  if (this.mode === 'absolute' && !this.amount) {
+    this.invalidate('amount', "Set the amount the rule fires above");
+  } else if (this.mode === 'percentAboveAverage' && !this.percent) {
+    this.invalidate('percent', "Set the percentage above average the rule fires at");
+  }
+  next();
+});
+
+ExpenseRuleSchema.index({ addedBy: 1, isActive: 1 });
+
+ExpenseRuleSchema.plugin(archivable);
+
+module.exports = mongoose.model('ExpenseRule', ExpenseRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('./archivable');
 
 const FuelExpenseSchema = new mongoose.Schema({
     truckId: {
@@ -36,4 +37,6 @@ const FuelExpenseSchema = new mongoose.Schema({
     }
 });
 
+FuelExpenseSchema.plugin(archivable);
+
 module.exports = mongoose.model('FuelExpense', FuelExpenseSchema);
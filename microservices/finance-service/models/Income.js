@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('./archivable');
 
 const IncomeSchema = new mongoose.Schema({
     truckId: {
@@ -43,4 +44,6 @@ const IncomeSchema = new mongoose.Schema({
     timestamps: true
 });
 
+IncomeSchema.plugin(archivable);
+
 module.exports = mongoose.model('Income', IncomeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('./archivable');
 
 const LoanCalculationSchema = new mongoose.Schema({
   truckId: {
@@ -31,4 +32,6 @@ const LoanCalculationSchema = new mongoose.Schema({
   },
 });
 
+LoanCalculationSchema.plugin(archivable);
+
 module.exports = mongoose.model("LoanCalculation", LoanCalculationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const archivable = require("./archivable");
 
 const otherExpenseSchema = new mongoose.Schema({
   truckId: {
@@ -35,4 +36,6 @@ const otherExpenseSchema = new mongoose.Schema({
   },
 });
 
+otherExpenseSchema.plugin(archivable);
+
 module.exports = mongoose.model("OtherExpense", otherExpenseSchema);
@@ -0,0 +1,44 @@
+// Expenses, income and loan payments of an archived truck (`truck.archived` event
+// from fleet-service) are hidden from queries until the truck is restored or purged.
+// Filtering on `isArchived`, or the `withArchived` option, includes them.
+
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'countDocuments',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+];
+
+const archivable = (schema) => {
+    schema.add({
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+    });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (this.getOptions().withArchived || this.getFilter().isArchived !== undefined) {
+            return;
+        }
+        this.where({ isArchived: { $ne: true } });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withArchived) {
+            return;
+        }
+        this.pipeline().unshift({ $match: { isArchived: { $ne: true } } });
+    });
+};
+
+module.exports = archivable;
@@ -1,9 +1,11 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const crypto = require('crypto');
 const winston = require('winston');
 const axios = require('axios');
 const amqp = require('amqplib');
+const moment = require('moment');
 require('dotenv').config();
 
 const Income = require('./models/Income');
@@ -12,6 +14,8 @@ const DefExpense = require('./models/DefExpense');
 const OtherExpense = require('./models/OtherExpense');
 const LoanCalculation = require('./models/LoanCalculation');
 const Expense = require('./models/Expense');
+const ExpenseRule = require('./models/ExpenseRule');
+const Budget = require('./models/Budget');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -47,6 +51,20 @@ const connectRabbitMQ = async () => {
     // Declare exchange for events
     await rabbitChannel.assertExchange('mmt_events', 'topic', { durable: true });
 
+    // Truck archive events from fleet-service cascade to this service's records
+    await rabbitChannel.assertQueue('finance_queue', { durable: true });
+    await rabbitChannel.bindQueue('finance_queue', 'mmt_events', 'truck.*');
+    rabbitChannel.consume('finance_queue', async (msg) => {
+      if (msg === null) return;
+      try {
+        await handleTruckEvent(JSON.parse(msg.content.toString()));
+        rabbitChannel.ack(msg);
+      } catch (error) {
+        logger.error('Error processing truck event', { error: error.message, stack: error.stack });
+        rabbitChannel.nack(msg, false, true);
+      }
+    });
+
     logger.info('RabbitMQ connected for publishing', {
       url: RABBITMQ_URL.replace(/\/\/.*@/, '//****@'), // Hide credentials in logs
       exchange: 'mmt_events'
@@ -121,10 +139,380 @@ const publishEvent = async (routingKey, eventType, data) => {
   }
 };
 
+// ==================== FINANCE EVENTS ====================
+
+// Every income, expense and loan payment change is published as
+// `finance.<kind>.<created|updated|deleted>` with a snapshot of the record, so
+// analytics-service can keep its own read model and monthly totals.
+const toFinanceEntry = (kind, doc) => ({
+  entryId: doc._id.toString(),
+  kind,
+  userId: doc.addedBy,
+  truckId: doc.truckId,
+  date: doc.date,
+  amount: kind === 'income' ? doc.amount : doc.cost,
+  litres: doc.litres || 0,
+  currentKM: doc.currentKM || 0,
+  category: doc.category || null
+});
+
+const publishFinanceEvent = (action, kind, doc) => {
+  const eventType = `finance.${kind}.${action}`;
+  return publishEvent(eventType, eventType, toFinanceEntry(kind, doc));
+};
+
+// Expense kinds looked up by the generic update/delete routes
+const EXPENSE_MODELS = [['fuel', FuelExpense], ['def', DefExpense], ['other', OtherExpense]];
+
+// Every record kind analytics-service tracks, used to replay the full history
+const FINANCE_MODELS = [...EXPENSE_MODELS, ['loan', LoanCalculation], ['income', Income]];
+
+// Archive, restore or purge the records of a truck archived in fleet-service
+const TRUCK_LINKED_MODELS = [FuelExpense, DefExpense, OtherExpense, Expense, Income, LoanCalculation, ExpenseRule, Budget];
+
+const handleTruckEvent = async (event) => {
+  const { truckId, archivedAt } = event.data || {};
+  if (!truckId) return;
+
+  for (const Model of TRUCK_LINKED_MODELS) {
+    let result;
+    switch (event.type) {
+      case 'truck.archived':
+        result = await Model.updateMany({ truckId }, { isArchived: true, archivedAt: new Date(archivedAt) });
+        break;
+      case 'truck.restored':
+        result = await Model.updateMany(
+          { truckId, isArchived: true, archivedAt: new Date(archivedAt) },
+          { isArchived: false, archivedAt: null }
+        );
+        break;
+      case 'truck.purged':
+        result = await Model.deleteMany({ truckId, isArchived: true });
+        break;
+      default:
+        logger.warn('Unknown truck event type received', { type: event.type });
+        return;
+    }
+    logger.info('Truck event applied', {
+      type: event.type,
+      truckId,
+      model: Model.modelName,
+      count: result.modifiedCount ?? result.deletedCount
+    });
+  }
+};
+
+// ==================== EXPENSE RULES ====================
+
+// A new expense is checked against its owner's active rules. A rule fires when the
+// expense takes its measure over the limit: the expense's own cost for `expense` rules,
+// the truck's total for the expense's day, week or month otherwise. Period totals are
+// compared before and after the expense, so a period rule fires once per period.
+// `percentAboveAverage` limits sit above the truck's average expense over the previous
+// EXPENSE_RULE_LOOKBACK_DAYS, or its average total over the previous
+// EXPENSE_RULE_LOOKBACK_PERIODS periods, and are skipped without history. Users with no
+// rules get one firing on any expense above DEFAULT_EXPENSE_THRESHOLD.
+const DEFAULT_EXPENSE_THRESHOLD = Number(process.env.DEFAULT_EXPENSE_THRESHOLD) || 5000;
+const EXPENSE_RULE_LOOKBACK_DAYS = 90;
+const EXPENSE_RULE_LOOKBACK_PERIODS = 3;
+
+// Calendar periods in UTC; weeks start on Monday
+const RULE_PERIODS = {
+  day: { unit: 'days', startOf: 'day' },
+  week: { unit: 'weeks', startOf: 'isoWeek' },
+  month: { unit: 'months', startOf: 'month' }
+};
+
+const getDefaultRule = (userId) => ({
+  _id: null,
+  addedBy: userId,
+  name: 'Default limit',
+  category: 'any',
+  truckId: null,
+  period: 'expense',
+  mode: 'absolute',
+  amount: DEFAULT_EXPENSE_THRESHOLD,
+  percent: null,
+  priority: 'high'
+});
+
+// Category a rule matches an expense on: fuel, def, or its other-expense category
+const getExpenseCategory = (kind, expense) => (kind === 'other' ? expense.category : kind);
+
+// Expense collections, with their filter, a rule category covers
+const getCategorySources = (category) => {
+  if (category === 'any') return EXPENSE_MODELS.map(([, Model]) => [Model, {}]);
+  if (category === 'fuel') return [[FuelExpense, {}]];
+  if (category === 'def') return [[DefExpense, {}]];
+  return [[OtherExpense, { category }]];
+};
+
+// Total and count of a truck's expenses in a rule's category from `start` until before `end`
+const sumRuleExpenses = async (rule, truckId, start, end, excludeId = null) => {
+  let total = 0;
+  let count = 0;
+  for (const [Model, filter] of getCategorySources(rule.category)) {
+    const [result] = await Model.aggregate([
+      {
+        $match: {
+          ...filter,
+          addedBy: rule.addedBy,
+          truckId,
+          date: { $gte: start, $lt: end },
+          ...(excludeId ? { _id: { $ne: excludeId } } : {})
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$cost' }, count: { $sum: 1 } } }
+    ]);
+    if (result) {
+      total += result.total;
+      count += result.count;
+    }
+  }
+  return { total, count };
+};
+
+// Limit a rule sets for an expense, with the average it derives from; null without history
+const getRuleLimit = async (rule, expense, periodStart) => {
+  if (rule.mode === 'absolute') {
+    return { limit: rule.amount, average: null };
+  }
+
+  let average;
+  if (rule.period === 'expense') {
+    const start = moment.utc(expense.date).subtract(EXPENSE_RULE_LOOKBACK_DAYS, 'days').toDate();
+    const end = moment.utc(expense.date).add(1, 'ms').toDate();
+    const { total, count } = await sumRuleExpenses(rule, expense.truckId, start, end, expense._id);
+    if (count === 0) return null;
+    average = total / count;
+  } else {
+    const start = moment.utc(periodStart).subtract(EXPENSE_RULE_LOOKBACK_PERIODS, RULE_PERIODS[rule.period].unit).toDate();
+    const { total, count } = await sumRuleExpenses(rule, expense.truckId, start, periodStart);
+    if (count === 0) return null;
+    average = total / EXPENSE_RULE_LOOKBACK_PERIODS;
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return { limit: round(average * (1 + rule.percent / 100)), average: round(average) };
+};
+
+// What a rule measured when a saved expense took it over its limit, null otherwise
+const evaluateExpenseRule = async (rule, expense) => {
+  let measured = expense.cost;
+  let periodStart = null;
+  let periodEnd = null;
+  if (rule.period !== 'expense') {
+    const { unit, startOf } = RULE_PERIODS[rule.period];
+    periodStart = moment.utc(expense.date).startOf(startOf).toDate();
+    periodEnd = moment.utc(periodStart).add(1, unit).toDate();
+    measured = (await sumRuleExpenses(rule, expense.truckId, periodStart, periodEnd)).total;
+  }
+
+  const limits = await getRuleLimit(rule, expense, periodStart);
+  if (!limits || measured <= limits.limit || measured - expense.cost > limits.limit) {
+    return null;
+  }
+  return { measured, ...limits, periodStart, periodEnd };
+};
+
+// Checks a new expense against its owner's rules and publishes
+// `expense.threshold.exceeded` for each rule it fires. Never rejects, so a failed
+// check does not fail the expense.
+const applyExpenseRules = async (kind, expense) => {
+  try {
+    const category = getExpenseCategory(kind, expense);
+    const rules = (await ExpenseRule.exists({ addedBy: expense.addedBy }))
+      ? await ExpenseRule.find({
+        addedBy: expense.addedBy,
+        isActive: true,
+        category: { $in: ['any', category] },
+        truckId: { $in: [null, expense.truckId] }
+      })
+      : [getDefaultRule(expense.addedBy)];
+
+    for (const rule of rules) {
+      const breach = await evaluateExpenseRule(rule, expense);
+      if (!breach) continue;
+
+      await publishEvent('expense.threshold.exceeded', 'expense.threshold.exceeded', {
+        expenseId: expense._id.toString(),
+        userId: expense.addedBy,
+        truckId: expense.truckId,
+        expenseType: category,
+        date: expense.date,
+        amount: breach.measured,
+        threshold: breach.limit,
+        average: breach.average,
+        periodStart: breach.periodStart,
+        periodEnd: breach.periodEnd,
+        rule: {
+          ruleId: rule._id ? rule._id.toString() : null,
+          name: rule.name,
+          category: rule.category,
+          truckId: rule.truckId,
+          period: rule.period,
+          mode: rule.mode,
+          amount: rule.amount,
+          percent: rule.percent,
+          priority: rule.priority
+        }
+      });
+      logger.info('Expense rule fired', {
+        ruleId: rule._id,
+        expenseId: expense._id,
+        measured: breach.measured,
+        limit: breach.limit
+      });
+    }
+  } catch (error) {
+    logger.error('Expense rule check failed', { expenseId: expense._id, error: error.message, stack: error.stack });
+  }
+};
+
+// ==================== BUDGETS ====================
+
+// Budgets are compared with the spend of a UTC calendar month, summed per truck and
+// category from the fuel, DEF and other expense collections, and projected to the
+// month's end at the burn rate so far. Adding or editing an expense publishes
+// `budget.threshold.reached` the first time in a month a budget it counts towards
+// reaches each of BUDGET_ALERT_LEVELS percent.
+const BUDGET_ALERT_LEVELS = [80, 100];
+const MONTH_FORMAT = 'YYYY-MM';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isBudgetMonth = (month) => moment.utc(month, MONTH_FORMAT, true).isValid();
+
+// Bounds of a month with the days of it begun by `now`: none before it, all after it
+const getBudgetPeriod = (month, now = new Date()) => {
+  const start = moment.utc(month, MONTH_FORMAT, true).startOf('month');
+  const daysInMonth = start.daysInMonth();
+  const elapsedDays = Math.min(Math.max(Math.ceil(moment.utc(now).diff(start, 'days', true)), 0), daysInMonth);
+  return {
+    month,
+    start: start.toDate(),
+    end: start.clone().add(1, 'month').toDate(),
+    daysInMonth,
+    elapsedDays
+  };
+};
+
+// Budgets in force for a month: its own, and standing ones it has none in place of
+const findMonthBudgets = async (filter, month) => {
+  const budgets = await Budget.find({ ...filter, month: { $in: [month, null] } }).sort({ createdAt: 1 });
+  const slot = (budget) => `${budget.addedBy}:${budget.truckId}:${budget.category}`;
+  const replaced = new Set(budgets.filter((budget) => budget.month).map(slot));
+  return budgets.filter((budget) => budget.month || !replaced.has(slot(budget)));
+};
+
+// A user's spend in a period per truck and category, e.g. `spend[truckId].fuel`
+const sumPeriodSpend = async (userId, period) => {
+  const spend = {};
+  for (const [kind, Model] of EXPENSE_MODELS) {
+    const results = await Model.aggregate([
+      { $match: { addedBy: userId, date: { $gte: period.start, $lt: period.end } } },
+      {
+        $group: {
+          _id: { truckId: '$truckId', category: kind === 'other' ? '$category' : kind },
+          total: { $sum: '$cost' }
+        }
+      }
+    ]);
+    for (const { _id, total } of results) {
+      spend[_id.truckId] = spend[_id.truckId] || {};
+      spend[_id.truckId][_id.category] = (spend[_id.truckId][_id.category] || 0) + total;
+    }
+  }
+  return spend;
+};
+
+// Spend of a truck, or all trucks when null, in a category or `any`
+const getCoveredSpend = ({ truckId, category }, spend) => {
+  let actual = 0;
+  for (const [spendTruckId, categories] of Object.entries(spend)) {
+    if (truckId && spendTruckId !== truckId) continue;
+    for (const [spendCategory, total] of Object.entries(categories)) {
+      if (category === 'any' || spendCategory === category) actual += total;
+    }
+  }
+  return actual;
+};
+
+// Daily burn rate of a period's spend so far and the spend it projects by the period's end
+const projectSpend = (actual, period) => {
+  const burnRate = period.elapsedDays > 0 ? actual / period.elapsedDays : 0;
+  return { burnRate, projected: period.elapsedDays > 0 ? burnRate * period.daysInMonth : actual };
+};
+
+// Actual spend against a budget, its daily burn rate and the month-end projection
+const measureBudget = (budget, spend, period) => {
+  const actual = getCoveredSpend(budget, spend);
+  const { burnRate, projected } = projectSpend(actual, period);
+  const percentUsed = roundAmount((actual / budget.amount) * 100);
+  let status = 'ok';
+  if (percentUsed >= 100) status = 'over';
+  else if (percentUsed >= BUDGET_ALERT_LEVELS[0]) status = 'warning';
+
+  return {
+    actual: roundAmount(actual),
+    remaining: roundAmount(budget.amount - actual),
+    percentUsed,
+    burnRate: roundAmount(burnRate),
+    projected: roundAmount(projected),
+    projectedPercent: roundAmount((projected / budget.amount) * 100),
+    status
+  };
+};
+
+// Checks the budgets an added or edited expense counts towards and publishes
+// `budget.threshold.reached` for the highest level each newly reached. Never rejects,
+// so a failed check does not fail the expense.
+const checkBudgets = async (kind, expense) => {
+  try {
+    const month = moment.utc(expense.date).format(MONTH_FORMAT);
+    const category = getExpenseCategory(kind, expense);
+    const budgets = (await findMonthBudgets({ addedBy: expense.addedBy }, month)).filter((budget) =>
+      (!budget.truckId || budget.truckId === expense.truckId)
+      && (budget.category === 'any' || budget.category === category));
+    if (budgets.length === 0) return;
+
+    const period = getBudgetPeriod(month);
+    const spend = await sumPeriodSpend(expense.addedBy, period);
+    for (const budget of budgets) {
+      const measure = measureBudget(budget, spend, period);
+      const level = [...BUDGET_ALERT_LEVELS].reverse().find((percent) => measure.percentUsed >= percent);
+      if (!level) continue;
+
+      // Claimed first so concurrent expenses alert each level once
+      const levelKey = `${month}:${level}`;
+      const claim = await Budget.updateOne(
+        { _id: budget._id, alertedLevels: { $ne: levelKey } },
+        { $addToSet: { alertedLevels: levelKey } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      await publishEvent('budget.threshold.reached', 'budget.threshold.reached', {
+        budgetId: budget._id.toString(),
+        userId: budget.addedBy,
+        truckId: budget.truckId,
+        category: budget.category,
+        month,
+        level,
+        budget: budget.amount,
+        expenseId: expense._id.toString(),
+        ...measure
+      });
+      logger.info('Budget level reached', { budgetId: budget._id, month, level, actual: measure.actual });
+    }
+  } catch (error) {
+    logger.error('Budget check failed', { expenseId: expense._id, error: error.message, stack: error.stack });
+  }
+};
+
 // Helper function to fetch truck registration number
-const getTruckRegistration = async (truckId) => {
+const getTruckRegistration = async (truckId, req) => {
   try {
-    const response = await axios.get(`${FLEET_SERVICE_URL}/api/trucks/${truckId}`);
+    const response = await axios.get(`${FLEET_SERVICE_URL}/api/trucks/${truckId}`, { headers: identityHeaders(req) });
     return response.data.registrationNo || 'N/A';
   } catch (error) {
     logger.warn('Failed to fetch truck registration', { truckId, error: error.message });
@@ -146,6 +534,76 @@ app.use((req, res, next) => {
   next();
 });
 
+// ==================== OWNERSHIP ====================
+
+// Caller identity is set by the API gateway from the verified JWT. Records
+// belong to `addedBy`; admins may act on any user's data.
+const isAdminUser = (req) => Boolean(req.user && req.user.isAdmin);
+const ownerScope = (req) => (isAdminUser(req) ? {} : { addedBy: req.user.userId });
+
+// Owner id a request may query: defaults to the caller, null when foreign
+const resolveOwnerId = (req, requestedId) => {
+  if (!requestedId) return req.user.userId;
+  if (isAdminUser(req) || String(requestedId) === String(req.user.userId)) return requestedId;
+  return null;
+};
+
+// Replays the caller identity on service-to-service calls
+const identityHeaders = (req) => ({
+  'x-internal-secret': INTERNAL_SERVICE_SECRET,
+  'x-user-id': req.user.userId,
+  'x-user-admin': String(isAdminUser(req))
+});
+
+// Truck lookup through fleet-service, which applies the same ownership rules
+const findOwnedTruck = async (req, truckId) => {
+  if (!truckId) return null;
+  try {
+    const response = await axios.get(`${FLEET_SERVICE_URL}/api/trucks/${truckId}`, { headers: identityHeaders(req) });
+    return response.data;
+  } catch (error) {
+    if (error.response && [400, 404].includes(error.response.status)) return null;
+    throw error;
+  }
+};
+
+// ==================== INTERNAL AUTHENTICATION ====================
+
+// Secret the API gateway and the other services send on every call. The caller
+// identity they pass along is trusted only next to it; while it is unset every
+// call is refused.
+const INTERNAL_SERVICE_SECRET = process.env.INTERNAL_SERVICE_SECRET || '';
+
+const isInternalCall = (secret) => {
+  if (!INTERNAL_SERVICE_SECRET || typeof secret !== 'string') return false;
+  const expected = Buffer.from(INTERNAL_SERVICE_SECRET);
+  const given = Buffer.from(secret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+if (!INTERNAL_SERVICE_SECRET) {
+  logger.warn('INTERNAL_SERVICE_SECRET is not set; every API call will be refused');
+}
+
+app.use('/api', (req, res, next) => {
+  const userId = req.headers['x-user-id'];
+  if (!isInternalCall(req.headers['x-internal-secret']) || !userId) {
+    logger.warn('Request without internal secret or caller identity', { path: req.path });
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  req.user = { userId, isAdmin: req.headers['x-user-admin'] === 'true' };
+
+  // New records belong to the caller; ownership never changes on update
+  if (req.body && typeof req.body === 'object') {
+    if (req.method === 'POST' && (!isAdminUser(req) || !req.body.addedBy)) {
+      req.body.addedBy = req.user.userId;
+    } else if (req.method === 'PUT' || req.method === 'PATCH') {
+      delete req.body.addedBy;
+    }
+  }
+  next();
+});
+
 // Database connection
 const connectDB = async () => {
   try {
@@ -186,6 +644,11 @@ app.post('/api/incomes', async (req, res) => {
   try {
     const { addedBy, truckId, amount, source, date, description } = req.body;
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn('Truck not found for caller', { truckId, userId: req.user.userId });
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
     const income = new Income({
       addedBy,
       truckId,
@@ -197,6 +660,7 @@ app.post('/api/incomes', async (req, res) => {
 
     await income.save();
     logger.info('Income added', { incomeId: income._id, truckId, amount });
+    await publishFinanceEvent('created', 'income', income);
     res.status(201).json(income);
   } catch (error) {
     logger.error('Error adding income', { error: error.message });
@@ -225,7 +689,7 @@ app.get('/api/incomes/by-truck', async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf('day').toDate()
       : null;
 
-    const query = { truckId };
+    const query = { truckId, ...ownerScope(req) };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -246,7 +710,7 @@ app.get('/api/incomes/by-truck', async (req, res) => {
     const totalIncome = incomes.reduce((sum, income) => sum + income.amount, 0);
 
     // Fetch all expenses for the same truck and date range
-    const expenseQuery = { truckId };
+    const expenseQuery = { truckId, ...ownerScope(req) };
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
         expenseQuery.date = { $eq: startDate };
@@ -306,6 +770,10 @@ app.get('/api/incomes/by-user', async (req, res) => {
       return res.status(400).json({ message: 'User ID is required' });
     }
 
+    if (!resolveOwnerId(req, userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     // Parse selectedDates array
     const startDate = selectedDates && Array.isArray(selectedDates)
       ? moment.utc(selectedDates[0]).startOf('day').toDate()
@@ -338,7 +806,7 @@ app.get('/api/incomes/by-user', async (req, res) => {
 
     await Promise.all(
       uniqueTruckIds.map(async (truckId) => {
-        truckRegMap[truckId] = await getTruckRegistration(truckId);
+        truckRegMap[truckId] = await getTruckRegistration(truckId, req);
       })
     );
 
@@ -402,13 +870,14 @@ app.put('/api/incomes/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const income = await Income.findByIdAndUpdate(id, updates, { new: true });
+    const income = await Income.findOneAndUpdate({ _id: id, ...ownerScope(req) }, updates, { new: true });
 
     if (!income) {
       return res.status(404).json({ message: 'Income not found' });
     }
 
     logger.info('Income updated', { incomeId: id });
+    await publishFinanceEvent('updated', 'income', income);
     res.json(income);
   } catch (error) {
     logger.error('Error updating income', { error: error.message });
@@ -421,13 +890,14 @@ app.delete('/api/incomes/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const income = await Income.findByIdAndDelete(id);
+    const income = await Income.findOneAndDelete({ _id: id, ...ownerScope(req) });
 
     if (!income) {
       return res.status(404).json({ message: 'Income not found' });
     }
 
     logger.info('Income deleted', { incomeId: id });
+    await publishFinanceEvent('deleted', 'income', income);
     res.json({ message: 'Income deleted successfully' });
   } catch (error) {
     logger.error('Error deleting income', { error: error.message });
@@ -452,6 +922,11 @@ app.post('/api/expenses', async (req, res) => {
     const { type, addedBy, truckId, amount, category, quantity, pricePerUnit, station, date, description, otherType,
             cost, litres, currentKM, note } = req.body;
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn('Truck not found for caller', { truckId, userId: req.user.userId });
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
     let expense;
     const expenseType = type || category;
     let expenseCost = 0;
@@ -495,34 +970,10 @@ app.post('/api/expenses', async (req, res) => {
 
     await expense.save();
     logger.info('Expense added', { expenseId: expense._id, type: expenseType, cost: expenseCost });
-
-    // ============ RABBITMQ: Publish high cost expense event ============
-    // If expense cost exceeds threshold ($5000), publish event for alert creation
-    const HIGH_COST_THRESHOLD = 5000;
-    if (expenseCost > HIGH_COST_THRESHOLD) {
-      logger.info('High cost expense detected, publishing event', {
-        expenseId: expense._id,
-        cost: expenseCost,
-        threshold: HIGH_COST_THRESHOLD
-      });
-
-      await publishEvent(
-        'expense.high_cost',
-        'expense.high_cost',
-        {
-          expenseId: expense._id.toString(),
-          userId: addedBy,
-          truckId: truckId,
-          expenseType: expenseType,
-          amount: expenseCost,
-          date: date,
-          threshold: HIGH_COST_THRESHOLD
-        }
-      );
-
-      console.log(`⚠️  High cost expense: $${expenseCost} > $${HIGH_COST_THRESHOLD} - Event published!`);
-    }
-    // ================================================================
+    const kind = ['fuel', 'def'].includes(expenseType) ? expenseType : 'other';
+    await publishFinanceEvent('created', kind, expense);
+    await applyExpenseRules(kind, expense);
+    await checkBudgets(kind, expense);
 
     res.status(201).json(expense);
   } catch (error) {
@@ -536,7 +987,7 @@ app.get('/api/expenses/fuel/by-truck', async (req, res) => {
   try {
     const { truckId, startDate, endDate } = req.query;
 
-    const filter = { truckId };
+    const filter = { truckId, ...ownerScope(req) };
     if (startDate && endDate) {
       filter.date = {
         $gte: new Date(startDate),
@@ -556,7 +1007,12 @@ app.get('/api/expenses/fuel/by-truck', async (req, res) => {
 // Get Fuel Expenses by User
 app.get('/api/expenses/fuel/by-user', async (req, res) => {
   try {
-    const { userId, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
+    const userId = resolveOwnerId(req, req.query.userId);
+
+    if (!userId) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     const filter = { addedBy: userId };
     if (startDate && endDate) {
@@ -580,7 +1036,7 @@ app.get('/api/expenses/def/by-truck', async (req, res) => {
   try {
     const { truckId, startDate, endDate } = req.query;
 
-    const filter = { truckId };
+    const filter = { truckId, ...ownerScope(req) };
     if (startDate && endDate) {
       filter.date = {
         $gte: new Date(startDate),
@@ -600,7 +1056,12 @@ app.get('/api/expenses/def/by-truck', async (req, res) => {
 // Get DEF Expenses by User
 app.get('/api/expenses/def/by-user', async (req, res) => {
   try {
-    const { userId, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
+    const userId = resolveOwnerId(req, req.query.userId);
+
+    if (!userId) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     const filter = { addedBy: userId };
     if (startDate && endDate) {
@@ -624,7 +1085,7 @@ app.get('/api/expenses/other/by-truck', async (req, res) => {
   try {
     const { truckId, startDate, endDate } = req.query;
 
-    const filter = { truckId };
+    const filter = { truckId, ...ownerScope(req) };
     if (startDate && endDate) {
       filter.date = {
         $gte: new Date(startDate),
@@ -644,7 +1105,12 @@ app.get('/api/expenses/other/by-truck', async (req, res) => {
 // Get Other Expenses by User
 app.get('/api/expenses/other/by-user', async (req, res) => {
   try {
-    const { userId, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
+    const userId = resolveOwnerId(req, req.query.userId);
+
+    if (!userId) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     const filter = { addedBy: userId };
     if (startDate && endDate) {
@@ -680,7 +1146,7 @@ app.get('/api/expenses/total/by-truck', async (req, res) => {
       ? moment.utc(selectedDates[1]).endOf('day').toDate()
       : null;
 
-    const query = { truckId };
+    const query = { truckId, ...ownerScope(req) };
 
     if (startDate && endDate) {
       if (startDate.toDateString() === endDate.toDateString()) {
@@ -731,7 +1197,7 @@ app.get('/api/expenses/total/by-truck', async (req, res) => {
       allExpenses.map(async (expense) => {
         // In backend: const truck = await TruckExpense.findById(expense.truckId);
         // In microservices: query fleet-service
-        const registrationNo = await getTruckRegistration(expense.truckId);
+        const registrationNo = await getTruckRegistration(expense.truckId, req);
 
         const date = new Date(expense.date);
         const formattedDate = moment(date).format('DD-MM-YYYY');
@@ -779,6 +1245,10 @@ app.get('/api/expenses/total/by-user', async (req, res) => {
       return res.status(400).json({ message: 'User ID is required' });
     }
 
+    if (!resolveOwnerId(req, userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     // Parse selectedDates array
     const startDate = selectedDates && Array.isArray(selectedDates)
       ? moment.utc(selectedDates[0]).startOf('day').toDate()
@@ -833,7 +1303,7 @@ app.get('/api/expenses/total/by-user', async (req, res) => {
 
     await Promise.all(
       uniqueTruckIds.map(async (truckId) => {
-        truckRegMap[truckId] = await getTruckRegistration(truckId);
+        truckRegMap[truckId] = await getTruckRegistration(truckId, req);
       })
     );
 
@@ -881,15 +1351,23 @@ app.put('/api/expenses/:id', async (req, res) => {
     const updates = req.body;
 
     // Try each expense type
-    let expense = await FuelExpense.findByIdAndUpdate(id, updates, { new: true });
-    if (!expense) expense = await DefExpense.findByIdAndUpdate(id, updates, { new: true });
-    if (!expense) expense = await OtherExpense.findByIdAndUpdate(id, updates, { new: true });
+    let expense = null;
+    let kind = null;
+    for (const [expenseKind, Model] of EXPENSE_MODELS) {
+      expense = await Model.findOneAndUpdate({ _id: id, ...ownerScope(req) }, updates, { new: true });
+      if (expense) {
+        kind = expenseKind;
+        break;
+      }
+    }
 
     if (!expense) {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
     logger.info('Expense updated', { expenseId: id });
+    await publishFinanceEvent('updated', kind, expense);
+    await checkBudgets(kind, expense);
     res.json(expense);
   } catch (error) {
     logger.error('Error updating expense', { error: error.message });
@@ -903,15 +1381,22 @@ app.delete('/api/expenses/:id', async (req, res) => {
     const { id } = req.params;
 
     // Try each expense type
-    let expense = await FuelExpense.findByIdAndDelete(id);
-    if (!expense) expense = await DefExpense.findByIdAndDelete(id);
-    if (!expense) expense = await OtherExpense.findByIdAndDelete(id);
+    let expense = null;
+    let kind = null;
+    for (const [expenseKind, Model] of EXPENSE_MODELS) {
+      expense = await Model.findOneAndDelete({ _id: id, ...ownerScope(req) });
+      if (expense) {
+        kind = expenseKind;
+        break;
+      }
+    }
 
     if (!expense) {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
     logger.info('Expense deleted', { expenseId: id });
+    await publishFinanceEvent('deleted', kind, expense);
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
     logger.error('Error deleting expense', { error: error.message });
@@ -948,6 +1433,279 @@ app.get('/api/expenses/total/download-all', (req, res) => {
   res.status(501).json({ message: 'Excel download not yet implemented' });
 });
 
+// ==================== EXPENSE RULE ROUTES ====================
+
+const RULE_FIELDS = ['name', 'category', 'truckId', 'period', 'mode', 'amount', 'percent', 'priority', 'isActive'];
+// Fields an empty value clears
+const NULLABLE_RULE_FIELDS = ['truckId', 'amount', 'percent'];
+
+// Picks the rule fields sent in a request, leaving out the ones not sent
+const readRuleFields = (body) => RULE_FIELDS.reduce((fields, field) => {
+  const value = body[field];
+  if (value === undefined) return fields;
+  if (value === '' || value === null) {
+    if (NULLABLE_RULE_FIELDS.includes(field)) fields[field] = null;
+    return fields;
+  }
+  fields[field] = value;
+  return fields;
+}, {});
+
+// Expense rules of the caller, with the limit that applies while they have none
+app.get('/api/expense-rules', async (req, res) => {
+  try {
+    const rules = await ExpenseRule.find(ownerScope(req)).sort({ createdAt: 1 });
+    res.json({ rules, defaultThreshold: DEFAULT_EXPENSE_THRESHOLD });
+  } catch (error) {
+    logger.error('Error fetching expense rules', { error: error.message });
+    res.status(500).json({ message: 'Failed to fetch expense rules', error: error.message });
+  }
+});
+
+app.post('/api/expense-rules', async (req, res) => {
+  try {
+    const fields = readRuleFields(req.body);
+
+    if (fields.truckId && !(await findOwnedTruck(req, fields.truckId))) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
+    const rule = await new ExpenseRule({ ...fields, addedBy: req.body.addedBy }).save();
+    logger.info('Expense rule added', { ruleId: rule._id, userId: rule.addedBy, category: rule.category, period: rule.period });
+    res.status(201).json(rule);
+  } catch (error) {
+    logger.error('Error adding expense rule', { error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: 'Failed to add expense rule', error: error.message });
+  }
+});
+
+app.put('/api/expense-rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = readRuleFields(req.body);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid expense rule ID' });
+    }
+    if (fields.truckId && !(await findOwnedTruck(req, fields.truckId))) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
+    const rule = await ExpenseRule.findOne({ _id: id, ...ownerScope(req) });
+    if (!rule) {
+      return res.status(404).json({ message: 'Expense rule not found' });
+    }
+
+    rule.set({ ...fields, updatedAt: new Date() });
+    await rule.save();
+    logger.info('Expense rule updated', { ruleId: id });
+    res.json(rule);
+  } catch (error) {
+    logger.error('Error updating expense rule', { error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: 'Failed to update expense rule', error: error.message });
+  }
+});
+
+app.delete('/api/expense-rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid expense rule ID' });
+    }
+
+    const rule = await ExpenseRule.findOneAndDelete({ _id: id, ...ownerScope(req) });
+    if (!rule) {
+      return res.status(404).json({ message: 'Expense rule not found' });
+    }
+
+    logger.info('Expense rule deleted', { ruleId: id });
+    res.json({ message: 'Expense rule deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting expense rule', { error: error.message });
+    res.status(500).json({ message: 'Failed to delete expense rule', error: error.message });
+  }
+});
+
+// ==================== BUDGET ROUTES ====================
+
+const BUDGET_FIELDS = ['truckId', 'category', 'month', 'amount', 'note'];
+// Fields an empty value clears
+const NULLABLE_BUDGET_FIELDS = ['truckId', 'month'];
+
+// Picks the budget fields sent in a request, leaving out the ones not sent
+const readBudgetFields = (body) => BUDGET_FIELDS.reduce((fields, field) => {
+  const value = body[field];
+  if (value === undefined) return fields;
+  if (value === '' || value === null) {
+    if (NULLABLE_BUDGET_FIELDS.includes(field)) fields[field] = null;
+    return fields;
+  }
+  fields[field] = value;
+  return fields;
+}, {});
+
+const DUPLICATE_BUDGET_MESSAGE = 'A budget for this truck, category and month already exists';
+
+// Budgets of the caller, standing and month-specific
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const budgets = await Budget.find(ownerScope(req)).sort({ month: 1, createdAt: 1 });
+    res.json(budgets);
+  } catch (error) {
+    logger.error('Error fetching budgets', { error: error.message });
+    res.status(500).json({ message: 'Failed to fetch budgets', error: error.message });
+  }
+});
+
+// Budget against actual spend for a month (default the current one), with the month's
+// total spend and income
+app.get('/api/budgets/summary', async (req, res) => {
+  try {
+    const month = req.query.month || moment.utc().format(MONTH_FORMAT);
+    const userId = resolveOwnerId(req, req.query.userId);
+
+    if (!isBudgetMonth(month)) {
+      return res.status(400).json({ message: 'Month must be YYYY-MM' });
+    }
+    if (!userId) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const period = getBudgetPeriod(month);
+    const [budgets, spend, [income]] = await Promise.all([
+      findMonthBudgets({ addedBy: userId }, month),
+      sumPeriodSpend(userId, period),
+      Income.aggregate([
+        { $match: { addedBy: userId, date: { $gte: period.start, $lt: period.end } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const truckRegMap = {};
+    for (const budget of budgets) {
+      if (budget.truckId && !truckRegMap[budget.truckId]) {
+        truckRegMap[budget.truckId] = await getTruckRegistration(budget.truckId, req);
+      }
+    }
+
+    const spent = getCoveredSpend({ truckId: null, category: 'any' }, spend);
+    const incomeTotal = roundAmount(income ? income.total : 0);
+
+    res.json({
+      month,
+      daysInMonth: period.daysInMonth,
+      elapsedDays: period.elapsedDays,
+      budgets: budgets.map((budget) => ({
+        _id: budget._id,
+        truckId: budget.truckId,
+        registrationNo: budget.truckId ? truckRegMap[budget.truckId] : null,
+        category: budget.category,
+        month: budget.month,
+        amount: budget.amount,
+        note: budget.note,
+        ...measureBudget(budget, spend, period)
+      })),
+      totals: {
+        spent: roundAmount(spent),
+        projected: roundAmount(projectSpend(spent, period).projected),
+        income: incomeTotal,
+        net: roundAmount(incomeTotal - spent)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching budget summary', { error: error.message });
+    res.status(500).json({ message: 'Failed to fetch budget summary', error: error.message });
+  }
+});
+
+app.post('/api/budgets', async (req, res) => {
+  try {
+    const fields = readBudgetFields(req.body);
+
+    if (fields.truckId && !(await findOwnedTruck(req, fields.truckId))) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
+    const budget = await new Budget({ ...fields, addedBy: req.body.addedBy }).save();
+    logger.info('Budget added', { budgetId: budget._id, userId: budget.addedBy, category: budget.category, month: budget.month });
+    res.status(201).json(budget);
+  } catch (error) {
+    logger.error('Error adding budget', { error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: DUPLICATE_BUDGET_MESSAGE });
+    }
+    res.status(500).json({ message: 'Failed to add budget', error: error.message });
+  }
+});
+
+app.put('/api/budgets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = readBudgetFields(req.body);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid budget ID' });
+    }
+    if (fields.truckId && !(await findOwnedTruck(req, fields.truckId))) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
+    const budget = await Budget.findOne({ _id: id, ...ownerScope(req) });
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    budget.set({ ...fields, updatedAt: new Date() });
+    // A budget that now covers different spend is alerted afresh
+    if (['truckId', 'category', 'amount'].some((field) => budget.isModified(field))) {
+      budget.alertedLevels = [];
+    }
+    await budget.save();
+    logger.info('Budget updated', { budgetId: id });
+    res.json(budget);
+  } catch (error) {
+    logger.error('Error updating budget', { error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: DUPLICATE_BUDGET_MESSAGE });
+    }
+    res.status(500).json({ message: 'Failed to update budget', error: error.message });
+  }
+});
+
+app.delete('/api/budgets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid budget ID' });
+    }
+
+    const budget = await Budget.findOneAndDelete({ _id: id, ...ownerScope(req) });
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    logger.info('Budget deleted', { budgetId: id });
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting budget', { error: error.message });
+    res.status(500).json({ message: 'Failed to delete budget', error: error.message });
+  }
+});
+
 // ==================== LOAN CALCULATION ROUTES ====================
 
 // Add Loan Calculation
@@ -955,6 +1713,11 @@ app.post('/api/calculate-loan', async (req, res) => {
   try {
     const { truckId, addedBy, date, cost, additionalCharges, note } = req.body;
 
+    if (!(await findOwnedTruck(req, truckId))) {
+      logger.warn('Truck not found for caller', { truckId, userId: req.user.userId });
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+
     const loan = new LoanCalculation({
       truckId,
       addedBy,
@@ -965,6 +1728,7 @@ app.post('/api/calculate-loan', async (req, res) => {
     });
 
     await loan.save();
+    await publishFinanceEvent('created', 'loan', loan);
     logger.info('Loan calculation added', { loanId: loan._id, truckId, cost });
     res.status(201).json(loan);
   } catch (error) {
@@ -978,7 +1742,7 @@ app.get('/api/calculate-loan/by-truck', async (req, res) => {
   try {
     const { truckId, startDate, endDate } = req.query;
 
-    const filter = { truckId };
+    const filter = { truckId, ...ownerScope(req) };
     if (startDate && endDate) {
       filter.date = {
         $gte: new Date(startDate),
@@ -998,7 +1762,12 @@ app.get('/api/calculate-loan/by-truck', async (req, res) => {
 // Get Loan Calculations by User
 app.get('/api/calculate-loan/by-user', async (req, res) => {
   try {
-    const { userId, startDate, endDate } = req.query;
+    const { startDate, endDate } = req.query;
+    const userId = resolveOwnerId(req, req.query.userId);
+
+    if (!userId) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     const filter = { addedBy: userId };
     if (startDate && endDate) {
@@ -1023,12 +1792,13 @@ app.put('/api/calculate-loan/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const loan = await LoanCalculation.findByIdAndUpdate(id, updates, { new: true });
+    const loan = await LoanCalculation.findOneAndUpdate({ _id: id, ...ownerScope(req) }, updates, { new: true });
 
     if (!loan) {
       return res.status(404).json({ message: 'Loan calculation not found' });
     }
 
+    await publishFinanceEvent('updated', 'loan', loan);
     logger.info('Loan calculation updated', { loanId: id });
     res.json(loan);
   } catch (error) {
@@ -1042,12 +1812,13 @@ app.delete('/api/calculate-loan/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const loan = await LoanCalculation.findByIdAndDelete(id);
+    const loan = await LoanCalculation.findOneAndDelete({ _id: id, ...ownerScope(req) });
 
     if (!loan) {
       return res.status(404).json({ message: 'Loan calculation not found' });
     }
 
+    await publishFinanceEvent('deleted', 'loan', loan);
     logger.info('Loan calculation deleted', { loanId: id });
     res.json({ message: 'Loan calculation deleted successfully' });
   } catch (error) {
@@ -1067,221 +1838,31 @@ app.get('/api/calculate-loan/download-all', (req, res) => {
 
 // ==================== METADATA ROUTES ====================
 
-// Get metadata by user ID
-app.get('/api/metadata/getMetadataByUserId', async (req, res) => {
-  try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'Invalid User ID' });
-    }
-
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-
-    // Total fuel expenses
-    const fuelResult = await FuelExpense.aggregate([
-      { $match: { addedBy: userId } },
-      { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-    ]);
-    const fuelTotal = fuelResult.length > 0 ? fuelResult[0].totalCost : 0;
-
-    // Total DEF expenses
-    const defResult = await DefExpense.aggregate([
-      { $match: { addedBy: userId } },
-      { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-    ]);
-    const defTotal = defResult.length > 0 ? defResult[0].totalCost : 0;
-
-    // Total other expenses
-    const otherResult = await OtherExpense.aggregate([
-      { $match: { addedBy: userId } },
-      { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-    ]);
-    const otherTotal = otherResult.length > 0 ? otherResult[0].totalCost : 0;
+// getMetadataByUserId and getSixMonthsDataByUserId are served by analytics-service
+// from monthly totals built out of the finance events published above.
 
-    // Total loan expenses
-    const loanResult = await Expense.aggregate([
-      { $match: { addedBy: userId, category: 'loan_calculation' } },
-      { $group: { _id: null, totalCost: { $sum: "$amount" } } }
-    ]);
-    const loanTotal = loanResult.length > 0 ? loanResult[0].totalCost : 0;
-
-    // Total fuel used
-    const fuelUsedResult = await FuelExpense.aggregate([
-      { $match: { addedBy: userId } },
-      { $group: { _id: null, totalCost: { $sum: "$litres" } } }
-    ]);
-    const fuelUsedTotal = fuelUsedResult.length > 0 ? fuelUsedResult[0].totalCost : 0;
-
-    // Monthly fuel expenses
-    const fuelMonthlyResult = await FuelExpense.aggregate([
-      { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
-      { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-    ]);
-    const fuelMonthlyTotal = fuelMonthlyResult.length > 0 ? fuelMonthlyResult[0].totalCost : 0;
-
-    // Monthly DEF expenses
-    const defMonthlyResult = await DefExpense.aggregate([
-      { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
-      { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-    ]);
-    const defMonthlyTotal = defMonthlyResult.length > 0 ? defMonthlyResult[0].totalCost : 0;
-
-    // Monthly other expenses
-    const otherMonthlyResult = await OtherExpense.aggregate([
-      { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
-      { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-    ]);
-    const otherMonthlyTotal = otherMonthlyResult.length > 0 ? otherMonthlyResult[0].totalCost : 0;
-
-    // Monthly loan expenses
-    const loanMonthlyResult = await Expense.aggregate([
-      { $match: { addedBy: userId, category: 'loan_calculation', date: { $gte: startOfMonth, $lte: endOfMonth } } },
-      { $group: { _id: null, totalCost: { $sum: "$amount" } } }
-    ]);
-    const loanMonthlyTotal = loanMonthlyResult.length > 0 ? loanMonthlyResult[0].totalCost : 0;
-
-    // Monthly fuel used
-    const fuelUsedMonthlyResult = await FuelExpense.aggregate([
-      { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
-      { $group: { _id: null, totalCost: { $sum: "$litres" } } }
-    ]);
-    const fuelUsedMonthlyTotal = fuelUsedMonthlyResult.length > 0 ? fuelUsedMonthlyResult[0].totalCost : 0;
-
-    // Total income
-    const incomeResult = await Income.aggregate([
-      { $match: { addedBy: userId } },
-      { $group: { _id: null, totalAmount: { $sum: "$amount" } } }
-    ]);
-    const incomeTotal = incomeResult.length > 0 ? incomeResult[0].totalAmount : 0;
-
-    // Monthly income
-    const incomeMonthlyResult = await Income.aggregate([
-      { $match: { addedBy: userId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
-      { $group: { _id: null, totalAmount: { $sum: "$amount" } } }
-    ]);
-    const incomeMonthlyTotal = incomeMonthlyResult.length > 0 ? incomeMonthlyResult[0].totalAmount : 0;
-
-    // Combine results - EXACT format as backend
-    const totalExpenses = {
-      fuelTotal,
-      defTotal,
-      otherTotal,
-      loanTotal,
-      fuelUsedTotal,
-      incomeTotal,
-      grandTotal: fuelTotal + defTotal + otherTotal + loanTotal,
-      monthlyExpenses: {
-        fuel: fuelMonthlyTotal,
-        def: defMonthlyTotal,
-        other: otherMonthlyTotal,
-        loan: loanMonthlyTotal,
-        fuelUsed: fuelUsedMonthlyTotal,
-        income: incomeMonthlyTotal,
-        monthlyGrandTotal: fuelMonthlyTotal + defMonthlyTotal + otherMonthlyTotal + loanMonthlyTotal
-      }
-    };
-
-    logger.info('Metadata fetched by user', { userId, grandTotal: totalExpenses.grandTotal });
-    res.json(totalExpenses);
-  } catch (error) {
-    logger.error('Error fetching metadata by user', { error: error.message });
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get six months data by user ID
-app.get('/api/metadata/getSixMonthsDataByUserId', async (req, res) => {
+// Republish every record so analytics-service can rebuild its read model
+app.post('/api/finance-events/replay', async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'Invalid User ID' });
-    }
-
-    const moment = require('moment');
-
-    // Get the last 6 months
-    const months = [];
-    for (let i = 5; i >= 0; i--) {
-      const monthStart = moment().subtract(i, 'months').startOf('month').toDate();
-      const monthEnd = moment().subtract(i, 'months').endOf('month').toDate();
-      const monthName = moment().subtract(i, 'months').format('MMM');
-
-      months.push({
-        name: monthName,
-        start: monthStart,
-        end: monthEnd
-      });
+    if (!isAdminUser(req)) {
+      return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const expensesData = [];
-    const incomeData = [];
-
-    // Process each month
-    for (const month of months) {
-      // Fuel expenses
-      const fuelResult = await FuelExpense.aggregate([
-        { $match: { addedBy: userId, date: { $gte: month.start, $lte: month.end } } },
-        { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-      ]);
-      const fuelTotal = fuelResult.length > 0 ? fuelResult[0].totalCost : 0;
-
-      // DEF expenses
-      const defResult = await DefExpense.aggregate([
-        { $match: { addedBy: userId, date: { $gte: month.start, $lte: month.end } } },
-        { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-      ]);
-      const defTotal = defResult.length > 0 ? defResult[0].totalCost : 0;
-
-      // Other expenses
-      const otherResult = await OtherExpense.aggregate([
-        { $match: { addedBy: userId, date: { $gte: month.start, $lte: month.end } } },
-        { $group: { _id: null, totalCost: { $sum: "$cost" } } }
-      ]);
-      const otherTotal = otherResult.length > 0 ? otherResult[0].totalCost : 0;
-
-      // Loan expenses
-      const loanResult = await Expense.aggregate([
-        { $match: { addedBy: userId, category: 'loan_calculation', date: { $gte: month.start, $lte: month.end } } },
-        { $group: { _id: null, totalCost: { $sum: "$amount" } } }
-      ]);
-      const loanTotal = loanResult.length > 0 ? loanResult[0].totalCost : 0;
-
-      // Income
-      const incomeResult = await Income.aggregate([
-        { $match: { addedBy: userId, date: { $gte: month.start, $lte: month.end } } },
-        { $group: { _id: null, totalAmount: { $sum: "$amount" } } }
-      ]);
-      const incomeTotal = incomeResult.length > 0 ? incomeResult[0].totalAmount : 0;
-
-      // Add to expensesData array - EXACT format as backend
-      expensesData.push(
-        { time: month.name, value: fuelTotal, type: 'Fuel' },
-        { time: month.name, value: defTotal, type: 'Def' },
-        { time: month.name, value: otherTotal, type: 'Other' },
-        { time: month.name, value: loanTotal, type: 'Loan' }
-      );
+    const filter = req.body.userId ? { addedBy: req.body.userId } : {};
+    let published = 0;
 
-      // Add to incomeData array - EXACT format as backend
-      incomeData.push({
-        time: month.name,
-        Income: incomeTotal
-      });
+    for (const [kind, Model] of FINANCE_MODELS) {
+      const records = await Model.find(filter);
+      for (const record of records) {
+        if (await publishFinanceEvent('updated', kind, record)) published++;
+      }
     }
 
-    const result = {
-      expensesData,
-      incomeData
-    };
-
-    logger.info('Six months data fetched', { userId, expenseRecords: expensesData.length });
-    res.json(result);
+    logger.info('Finance events replayed', { userId: req.body.userId, published });
+    res.json({ published });
   } catch (error) {
-    logger.error('Error fetching six months data', { error: error.message });
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Error replaying finance events', { error: error.message });
+    res.status(500).json({ message: 'Failed to replay finance events', error: error.message });
   }
 });
 
@@ -1294,6 +1875,10 @@ app.get('/api/metadata/getProfileMetadataByUserId', async (req, res) => {
       return res.status(400).json({ error: 'Invalid User ID' });
     }
 
+    if (!resolveOwnerId(req, userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     // Calculate total kilometers from FuelExpense collection
     const kmResult = await FuelExpense.aggregate([
       { $match: { addedBy: userId } },
@@ -1335,28 +1920,28 @@ app.get('/api/metadata/getMetadataByTruckId', async (req, res) => {
 
     // Fuel expenses
     const fuelResult = await FuelExpense.aggregate([
-      { $match: { truckId: truckId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+      { $match: { truckId: truckId, ...ownerScope(req), date: { $gte: startOfMonth, $lte: endOfMonth } } },
       { $group: { _id: null, totalCost: { $sum: "$cost" } } }
     ]);
     const fuelTotal = fuelResult.length > 0 ? fuelResult[0].totalCost : 0;
 
     // DEF expenses
     const defResult = await DefExpense.aggregate([
-      { $match: { truckId: truckId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+      { $match: { truckId: truckId, ...ownerScope(req), date: { $gte: startOfMonth, $lte: endOfMonth } } },
       { $group: { _id: null, totalCost: { $sum: "$cost" } } }
     ]);
     const defTotal = defResult.length > 0 ? defResult[0].totalCost : 0;
 
     // Other expenses
     const otherResult = await OtherExpense.aggregate([
-      { $match: { truckId: truckId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+      { $match: { truckId: truckId, ...ownerScope(req), date: { $gte: startOfMonth, $lte: endOfMonth } } },
       { $group: { _id: null, totalCost: { $sum: "$cost" } } }
     ]);
     const otherTotal = otherResult.length > 0 ? otherResult[0].totalCost : 0;
 
     // Income
     const incomeResult = await Income.aggregate([
-      { $match: { truckId: truckId, date: { $gte: startOfMonth, $lte: endOfMonth } } },
+      { $match: { truckId: truckId, ...ownerScope(req), date: { $gte: startOfMonth, $lte: endOfMonth } } },
       { $group: { _id: null, totalAmount: { $sum: "$amount" } } }
     ]);
     const incomeTotal = incomeResult.length > 0 ? incomeResult[0].totalAmount : 0;
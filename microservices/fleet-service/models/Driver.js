@@ -43,6 +43,30 @@ const DriverProfileSchema = new mongoose.Schema({
         minlength: [5, "License number must be at least 5 characters"],
         maxlength: [20, "License number cannot exceed 20 characters"]
     },
+    licenseClass: {
+        type: String,
+        trim: true,
+        maxlength: [20, "License class cannot exceed 20 characters"]
+    },
+    licenseExpiry: {
+        type: Date,
+        default: null
+    },
+    // Transport badge / authorisation to drive a commercial vehicle
+    badgeExpiry: {
+        type: Date,
+        default: null
+    },
+    medicalCertificateExpiry: {
+        type: Date,
+        default: null
+    },
+    // Expiry date each `driver.document.expiring` event was last published for
+    expiryReminders: {
+        license: { type: Date },
+        badge: { type: Date },
+        medical: { type: Date }
+    },
     gender: {
         type: String,
         required: [true, "Gender is required"],
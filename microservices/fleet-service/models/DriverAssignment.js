@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const archivable = require('./archivable');
+
+// A driver on a truck for a period of days; `to` stays null while the assignment is ongoing
+const DriverAssignmentSchema = new mongoose.Schema({
+    driverId: {
+        type: String,
+        ref: 'DriverProfile',
+        required: [true, "Driver ID is required"],
+    },
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        required: [true, "Truck ID is required"],
+    },
+    addedBy: {
+        type: String,
+        ref: 'User',
+        required: [true, "User ID is required"],
+    },
+    from: {
+        type: Date,
+        required: [true, "Start date is required"],
+    },
+    to: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function(value) {
+                return !value || !this.from || value >= this.from;
+            },
+            message: "End date cannot be before the start date"
+        }
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Note cannot exceed 200 characters"]
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    }
+});
+
+DriverAssignmentSchema.index({ truckId: 1, from: 1 });
+DriverAssignmentSchema.index({ driverId: 1, from: 1 });
+
+// Archived and restored together with the truck
+DriverAssignmentSchema.plugin(archivable);
+
+module.exports = mongoose.model('DriverAssignment', DriverAssignmentSchema);
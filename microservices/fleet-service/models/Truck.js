@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const archivable = require('./archivable');
 
 const TruckSchema = new mongoose.Schema({
     addedBy: {
@@ -42,7 +43,22 @@ const TruckSchema = new mongoose.Schema({
     },
     desc: {
         type: String,
+    },
+    // Latest activity seen in finance-service fuel, DEF, expense and income events
+    lastKnownKM: {
+        type: Number,
+        default: 0,
+    },
+    lastActivity: {
+        type: String,
+        default: null,
+    },
+    lastActivityAt: {
+        type: Date,
+        default: null,
     }
 });
 
+TruckSchema.plugin(archivable);
+
 module.exports = mongoose.model('Truck', TruckSchema);
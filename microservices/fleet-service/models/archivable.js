@@ -0,0 +1,43 @@
+// Soft archive for trucks: archived documents are hidden from queries unless the
+// filter mentions `isArchived` or the query sets the `withArchived` option.
+
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'countDocuments',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+];
+
+const archivable = (schema) => {
+    schema.add({
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+    });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (this.getOptions().withArchived || this.getFilter().isArchived !== undefined) {
+            return;
+        }
+        this.where({ isArchived: { $ne: true } });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withArchived) {
+            return;
+        }
+        this.pipeline().unshift({ $match: { isArchived: { $ne: true } } });
+    });
+};
+
+module.exports = archivable;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// A message to one user: an in-app inbox entry and/or an email, as their preferences
+// allow. Email waits in `pending` through quiet hours and until the daily digest.
+const NotificationSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        ref: 'User',
+        required: [true, "User ID is required"],
+    },
+    // What the message is about: an alert's reminder, a new alert or an expense event
+    kind: {
+        type: String,
+        enum: {
+            values: ['reminder', 'escalation', 'alert', 'expense'],
+            message: "Invalid notification kind"
+        },
+        required: [true, "Notification kind is required"]
+    },
+    // Identifies the event notified, so a redelivered event or retried reminder never
+    // notifies twice, e.g. `reminder:<alertId>:<alertDate>`
+    dedupeKey: {
+        type: String,
+        required: [true, "Dedupe key is required"]
+    },
+    alertId: {
+        type: String,
+        ref: 'Alert',
+        default: null
+    },
+    alertDate: {
+        type: Date,
+        default: null
+    },
+    // Truck the notified alert or expense is about, for linking back to it
+    truckId: {
+        type: String,
+        ref: 'Truck',
+        default: null
+    },
+    title: {
+        type: String,
+        required: [true, "Notification title is required"],
+        trim: true,
+        maxLength: [150, "Title cannot exceed 150 characters"]
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxLength: [600, "Message cannot exceed 600 characters"]
+    },
+    type: {
+        type: String,
+        default: 'other'
+    },
+    priority: {
+        type: String,
+        default: 'medium'
+    },
+    // Shown in the in-app inbox
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    emailStatus: {
+        type: String,
+        enum: ['none', 'pending', 'sending', 'sent', 'failed'],
+        default: 'none'
+    },
+    emailAttempts: {
+        type: Number,
+        default: 0
+    },
+    emailSentAt: {
+        type: Date,
+        default: null
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: () => new Date(),
+    }
+});
+
+NotificationSchema.index({ dedupeKey: 1 }, { unique: true });
+NotificationSchema.index({ userId: 1, inApp: 1, isRead: 1, createdAt: -1 });
+NotificationSchema.index({ emailStatus: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = ['maintenance', 'delivery', 'license', 'insurance', 'inspection', 'fuel', 'payment', 'other'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TIME_OF_DAY = [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:mm"];
+
+const isTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Which notifications a channel delivers: those of the listed alert types (all types
+// when none are listed) at or above `minPriority`
+const ChannelRuleSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    types: [{
+        type: String,
+        enum: {
+            values: ALERT_TYPES,
+            message: "Invalid alert type"
+        }
+    }],
+    minPriority: {
+        type: String,
+        enum: {
+            values: PRIORITIES,
+            message: "Invalid priority level"
+        },
+        default: 'low'
+    }
+}, { _id: false });
+
+// How and when a user is told about their alerts
+const NotificationPreferenceSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        ref: 'User',
+        required: [true, "User ID is required"],
+        unique: true
+    },
+    // Email of the user's account, kept up to date from the caller's token
+    accountEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
+    // Address for email reminders when not the account's
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxLength: [254, "Email cannot exceed 254 characters"],
+        match: [/^\S+@\S+\.\S+$/, "Invalid email address"],
+        default: null
+    },
+    // Hours before an alert's date its reminder goes out; null uses REMINDER_LEAD_HOURS
+    leadTimeHours: {
+        type: Number,
+        min: [0, "Lead time cannot be negative"],
+        max: [720, "Lead time cannot exceed 720 hours"],
+        default: null
+    },
+    channels: {
+        inApp: {
+            type: ChannelRuleSchema,
+            default: () => ({})
+        },
+        email: {
+            type: ChannelRuleSchema,
+            default: () => ({})
+        }
+    },
+    // `digest` sends one email a day at `digestTime` instead of one per notification
+    delivery: {
+        type: String,
+        enum: {
+            values: ['immediate', 'digest'],
+            message: "Invalid delivery mode"
+        },
+        default: 'immediate'
+    },
+    digestTime: {
+        type: String,
+        match: TIME_OF_DAY,
+        default: '08:00'
+    },
+    // Emails are held back from `start` to `end`, which may span midnight
+    quietHours: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        start: {
+            type: String,
+            match: TIME_OF_DAY,
+            default: '22:00'
+        },
+        end: {
+            type: String,
+            match: TIME_OF_DAY,
+            default: '07:00'
+        }
+    },
+    // Unread high and urgent alerts are escalated `afterHours` after they fall due and
+    // again after each escalation; null uses ESCALATION_AFTER_HOURS
+    escalation: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        afterHours: {
+            type: Number,
+            min: [1, "Escalation delay must be at least 1 hour"],
+            max: [168, "Escalation delay cannot exceed 168 hours"],
+            default: null
+        }
+    },
+    // Urgent notifications skip quiet hours and the digest
+    urgentImmediately: {
+        type: Boolean,
+        default: true
+    },
+    // IANA time zone of quiet hours and the digest; null uses DEFAULT_TIME_ZONE
+    timeZone: {
+        type: String,
+        default: null,
+        validate: {
+            validator: (timeZone) => !timeZone || isTimeZone(timeZone),
+            message: "Invalid time zone"
+        }
+    },
+    updatedAt: {
+        type: Date,
+        default: () => new Date(),
+    }
+});
+
+NotificationPreferenceSchema.pre('findOneAndUpdate', function() {
+    this.set({ updatedAt: new Date() });
+});
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
@@ -1,11 +1,24 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const crypto = require('crypto');
 const winston = require('winston');
 const amqp = require('amqplib');
+const nodemailer = require('nodemailer');
 require('dotenv').config();
 
 const Alert = require('./models/Alert');
+const Notification = require('./models/Notification');
+const NotificationPreference = require('./models/NotificationPreference');
+// Recurrence, snooze and escalation rules shared with the monolith backend
+const { isMonthBased, getNextOccurrence, validateRecurrence } = require('../../shared/alerts/recurrence');
+const {
+  ESCALATED_PRIORITIES,
+  resolveSnoozeUntil,
+  pushHistory,
+  getEscalationDue,
+  resetEscalation
+} = require('../../shared/alerts/snooze');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -38,6 +51,80 @@ app.use((req, res, next) => {
   next();
 });
 
+// ==================== OWNERSHIP ====================
+
+// Caller identity is set by the API gateway from the verified JWT. Alerts
+// belong to `addedBy`; admins may act on any user's alerts.
+const isAdminUser = (req) => Boolean(req.user && req.user.isAdmin);
+const ownerScope = (req) => (isAdminUser(req) ? {} : { addedBy: req.user.userId });
+
+// Owner id a request may query: defaults to the caller, null when foreign
+const resolveOwnerId = (req, requestedId) => {
+  if (!requestedId) return req.user.userId;
+  if (isAdminUser(req) || String(requestedId) === String(req.user.userId)) return requestedId;
+  return null;
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!isAdminUser(req)) {
+    logger.warn('Admin access denied', { userId: req.user.userId, path: req.path });
+    return res.status(403).json({ success: false, message: 'Admin access required' });
+  }
+  next();
+};
+
+// Account emails already stored, so each user's address is written once per process
+const knownAccountEmails = new Map();
+
+// Keeps the caller's account email (x-user-email) for email reminders
+const rememberAccountEmail = (userId, email) => {
+  if (!email || knownAccountEmails.get(userId) === email) return;
+  knownAccountEmails.set(userId, email);
+  NotificationPreference.updateOne({ userId }, { accountEmail: email }, { upsert: true })
+    .catch((error) => {
+      knownAccountEmails.delete(userId);
+      logger.error('Failed to store account email', { userId, error: error.message });
+    });
+};
+
+// ==================== INTERNAL AUTHENTICATION ====================
+
+// Secret the API gateway and the other services send on every call. The caller
+// identity they pass along is trusted only next to it; while it is unset every
+// call is refused.
+const INTERNAL_SERVICE_SECRET = process.env.INTERNAL_SERVICE_SECRET || '';
+
+const isInternalCall = (secret) => {
+  if (!INTERNAL_SERVICE_SECRET || typeof secret !== 'string') return false;
+  const expected = Buffer.from(INTERNAL_SERVICE_SECRET);
+  const given = Buffer.from(secret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+if (!INTERNAL_SERVICE_SECRET) {
+  logger.warn('INTERNAL_SERVICE_SECRET is not set; every API call will be refused');
+}
+
+app.use('/api', (req, res, next) => {
+  const userId = req.headers['x-user-id'];
+  if (!isInternalCall(req.headers['x-internal-secret']) || !userId) {
+    logger.warn('Request without internal secret or caller identity', { path: req.path });
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+  req.user = { userId, isAdmin: req.headers['x-user-admin'] === 'true' };
+  rememberAccountEmail(userId, req.headers['x-user-email']);
+
+  // New alerts belong to the caller; ownership never changes on update
+  if (req.body && typeof req.body === 'object') {
+    if (req.method === 'POST' && (!isAdminUser(req) || !req.body.addedBy)) {
+      req.body.addedBy = req.user.userId;
+    } else if (req.method === 'PUT' || req.method === 'PATCH') {
+      delete req.body.addedBy;
+    }
+  }
+  next();
+});
+
 // Database connection
 const connectDB = async () => {
   try {
@@ -60,6 +147,11 @@ const connectDB = async () => {
   }
 };
 
+// ==================== RECURRENCE ====================
+
+// Empty values clear the optional end of a recurrence rule
+const toOptional = (value) => (value === '' || value === undefined ? null : value);
+
 // ==================== ALERT ROUTES (Exact Backend Logic) ====================
 
 // Health check
@@ -76,7 +168,10 @@ app.get('/health', (req, res) => {
 // Add a new alert - Exact backend logic from backend/controllers/alerts.js
 app.post('/api/alerts', async (req, res) => {
     try {
-        const { addedBy, title, description, alertDate, type, priority, truckId, driverId, isRecurring, recurringType } = req.body;
+        const {
+            addedBy, title, description, alertDate, type, priority, truckId, driverId,
+            isRecurring, recurringType, recurringInterval, recurringDayOfMonth, recurringEndDate, recurringCount
+        } = req.body;
 
         logger.info('Creating new alert', {
             addedBy,
@@ -86,9 +181,18 @@ app.post('/api/alerts', async (req, res) => {
             truckId,
             driverId,
             isRecurring,
-            recurringType
+            recurringType,
+            recurringInterval
         });
 
+        const recurrenceError = validateRecurrence({ alertDate, recurringEndDate });
+        if (recurrenceError) {
+            return res.status(400).json({
+                success: false,
+                message: recurrenceError
+            });
+        }
+
         const newAlert = new Alert({
             addedBy,
             title,
@@ -99,10 +203,16 @@ app.post('/api/alerts', async (req, res) => {
             truckId,
             driverId,
             isRecurring: isRecurring || false,
-            recurringType: recurringType || 'none'
+            recurringType: recurringType || 'none',
+            recurringInterval: recurringInterval || 1,
+            recurringDayOfMonth: recurringDayOfMonth || (isMonthBased(recurringType) ? new Date(alertDate).getDate() : undefined),
+            recurringEndDate: toOptional(recurringEndDate),
+            recurringCount: toOptional(recurringCount)
         });
 
         const savedAlert = await newAlert.save();
+        publishAlertCreated(savedAlert, req.user.userId);
+        pushAlertChange('created', savedAlert);
 
         logger.info('Alert created successfully', {
             alertId: savedAlert._id,
@@ -152,7 +262,7 @@ app.get('/api/alerts/:id', async (req, res) => {
             });
         }
 
-        const alert = await Alert.findById(id);
+        const alert = await Alert.findOne({ _id: id, ...ownerScope(req) });
 
         if (!alert) {
             logger.warn('Alert not found', { alertId: id });
@@ -189,7 +299,7 @@ app.get('/api/alerts/:id', async (req, res) => {
 // Get all alerts by user - Exact backend logic
 app.get('/api/alerts/by-user/:addedBy', async (req, res) => {
     try {
-        const { addedBy } = req.params;
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
         const {
             isRead,
             type,
@@ -208,6 +318,14 @@ app.get('/api/alerts/by-user/:addedBy', async (req, res) => {
             limit
         });
 
+        if (!addedBy) {
+            logger.warn('Alerts requested for another user', { addedBy: req.params.addedBy });
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
         // Build query - use addedBy to match backend
         let query = { addedBy, isActive: true };
 
@@ -339,7 +457,7 @@ app.get('/api/alerts/by-user/:addedBy', async (req, res) => {
 });
 
 // Get all alerts (admin only) - Exact backend logic
-app.get('/api/alerts', async (req, res) => {
+app.get('/api/alerts', requireAdmin, async (req, res) => {
     try {
         const { page = 1, limit = 20, search = '', type, priority } = req.query;
 
@@ -407,7 +525,10 @@ app.get('/api/alerts', async (req, res) => {
 app.put('/api/alerts/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, description, alertDate, type, priority, truckId, driverId } = req.body;
+        const {
+            title, description, alertDate, type, priority, truckId, driverId,
+            isRecurring, recurringType, recurringInterval, recurringDayOfMonth, recurringEndDate, recurringCount
+        } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             logger.warn('Invalid alert ID for update', { alertId: id });
@@ -422,7 +543,20 @@ app.put('/api/alerts/:id', async (req, res) => {
             updates: { title, type, priority, truckId, driverId }
         });
 
-        const updateData = { title, description, type, priority, truckId, driverId };
+        const recurrenceError = validateRecurrence({ alertDate, recurringEndDate });
+        if (recurrenceError) {
+            return res.status(400).json({
+                success: false,
+                message: recurrenceError
+            });
+        }
+
+        const updateData = {
+            title, description, type, priority, truckId, driverId,
+            isRecurring, recurringType, recurringInterval, recurringDayOfMonth,
+            recurringEndDate: recurringEndDate === undefined ? undefined : toOptional(recurringEndDate),
+            recurringCount: recurringCount === undefined ? undefined : toOptional(recurringCount)
+        };
 
         if (alertDate) {
             const newAlertDate = new Date(alertDate);
@@ -439,8 +573,21 @@ app.put('/api/alerts/:id', async (req, res) => {
             updateData.alertDate = newAlertDate;
         }
 
-        const updatedAlert = await Alert.findByIdAndUpdate(
-            id,
+        // A moved alert is reminded again, no longer snoozed or escalated, and recurs on
+        // its new day of the month
+        if (updateData.alertDate) {
+            const existingAlert = await Alert.findOne({ _id: id, ...ownerScope(req) });
+            if (existingAlert && existingAlert.alertDate.getTime() !== updateData.alertDate.getTime()) {
+                Object.assign(updateData, resetEscalation(existingAlert, priority));
+                updateData.reminderSent = false;
+                if (recurringDayOfMonth === undefined) {
+                    updateData.recurringDayOfMonth = updateData.alertDate.getDate();
+                }
+            }
+        }
+
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             updateData,
             { new: true, runValidators: true }
         );
@@ -452,6 +599,7 @@ app.put('/api/alerts/:id', async (req, res) => {
                 message: 'Alert not found'
             });
         }
+        pushAlertChange('updated', updatedAlert);
 
         logger.info('Alert updated successfully', {
             alertId: id,
@@ -504,8 +652,8 @@ app.put('/api/alerts/mark-read/:id', async (req, res) => {
             isRead
         });
 
-        const updatedAlert = await Alert.findByIdAndUpdate(
-            id,
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { isRead: Boolean(isRead) },
             { new: true }
         );
@@ -517,6 +665,7 @@ app.put('/api/alerts/mark-read/:id', async (req, res) => {
                 message: 'Alert not found'
             });
         }
+        pushAlertChange('updated', updatedAlert);
 
         logger.info('Alert read status updated successfully', {
             alertId: id,
@@ -557,7 +706,7 @@ app.put('/api/alerts/mark-done/:id', async (req, res) => {
 
         logger.info('Marking recurring alert as done', { alertId: id });
 
-        const alert = await Alert.findById(id);
+        const alert = await Alert.findOne({ _id: id, ...ownerScope(req) });
 
         if (!alert) {
             logger.warn('Alert not found for recurring completion', { alertId: id });
@@ -575,25 +724,45 @@ app.put('/api/alerts/mark-done/:id', async (req, res) => {
             });
         }
 
-        // Calculate next occurrence date based on recurring type
-        let nextAlertDate = new Date(alert.alertDate);
+        const previousDate = alert.alertDate;
+        const nextAlertDate = getNextOccurrence(alert);
+        alert.lastRecurredDate = new Date();
+
+        if (!nextAlertDate) {
+            // The rule has run its course; the last occurrence is done
+            alert.isRead = true;
+            const finishedAlert = await alert.save();
+            pushAlertChange('updated', finishedAlert);
+
+            logger.info('Recurring alert completed its last occurrence', {
+                alertId: id,
+                occurrenceCount: finishedAlert.occurrenceCount,
+                recurringType: finishedAlert.recurringType
+            });
 
-        if (alert.recurringType === 'monthly') {
-            // Add one month to the current alert date
-            nextAlertDate.setMonth(nextAlertDate.getMonth() + 1);
+            return res.status(200).json({
+                success: true,
+                message: 'Last occurrence done, the alert no longer recurs.',
+                data: finishedAlert
+            });
         }
 
-        // Update the existing alert with new date and reset read status
+        // Move the alert to its next occurrence, unread, not yet reminded and not escalated
+        Object.assign(alert, resetEscalation(alert));
         alert.alertDate = nextAlertDate;
         alert.isRead = false;
-        alert.lastRecurredDate = new Date();
+        alert.reminderSent = false;
+        alert.occurrenceCount = (alert.occurrenceCount || 1) + 1;
 
         const updatedAlert = await alert.save();
+        pushAlertChange('updated', updatedAlert);
 
         logger.info('Recurring alert updated with next occurrence date', {
             alertId: id,
-            nextAlertDate: nextAlertDate,
-            recurringType: alert.recurringType
+            previousDate,
+            nextAlertDate,
+            recurringType: alert.recurringType,
+            recurringInterval: alert.recurringInterval
         });
 
         res.status(200).json({
@@ -614,6 +783,135 @@ app.put('/api/alerts/mark-done/:id', async (req, res) => {
     }
 });
 
+// Snooze an alert until a date or for a number of hours; its reminder goes out again
+// when the snooze ends and it is not escalated meanwhile
+app.put('/api/alerts/snooze/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            logger.warn('Invalid alert ID for snooze', { alertId: id });
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        const { snoozedUntil, error } = resolveSnoozeUntil(req.body, new Date());
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const alert = await Alert.findOne({ _id: id, ...ownerScope(req) });
+
+        if (!alert) {
+            logger.warn('Alert not found for snooze', { alertId: id });
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        if (alert.isRead) {
+            return res.status(400).json({
+                success: false,
+                message: 'Read alerts cannot be snoozed'
+            });
+        }
+
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
+            {
+                snoozedUntil,
+                reminderSent: false,
+                ...pushHistory({ action: 'snoozed', by: req.user.userId, until: snoozedUntil })
+            },
+            { new: true }
+        );
+        pushAlertChange('updated', updatedAlert);
+
+        logger.info('Alert snoozed', {
+            alertId: id,
+            snoozedUntil,
+            userId: req.user.userId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert snoozed',
+            data: updatedAlert
+        });
+    } catch (error) {
+        console.error('Error snoozing alert:', error);
+        logger.error('Failed to snooze alert', {
+            error: error.message,
+            alertId: req.params.id
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to snooze alert'
+        });
+    }
+});
+
+// End an alert's snooze early
+app.put('/api/alerts/unsnooze/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            logger.warn('Invalid alert ID for unsnooze', { alertId: id });
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        const now = new Date();
+        const updatedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req), snoozedUntil: { $gt: now } },
+            {
+                snoozedUntil: null,
+                ...pushHistory({ action: 'unsnoozed', at: now, by: req.user.userId })
+            },
+            { new: true }
+        );
+
+        if (!updatedAlert) {
+            const exists = await Alert.exists({ _id: id, ...ownerScope(req) });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Alert is not snoozed' : 'Alert not found'
+            });
+        }
+        pushAlertChange('updated', updatedAlert);
+
+        logger.info('Alert snooze ended', {
+            alertId: id,
+            userId: req.user.userId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert no longer snoozed',
+            data: updatedAlert
+        });
+    } catch (error) {
+        console.error('Error ending alert snooze:', error);
+        logger.error('Failed to end alert snooze', {
+            error: error.message,
+            alertId: req.params.id
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end alert snooze'
+        });
+    }
+});
+
 // Soft delete alert by ID - Exact backend logic
 app.delete('/api/alerts/:id', async (req, res) => {
     try {
@@ -629,8 +927,8 @@ app.delete('/api/alerts/:id', async (req, res) => {
 
         logger.info('Soft deleting alert', { alertId: id });
 
-        const deletedAlert = await Alert.findByIdAndUpdate(
-            id,
+        const deletedAlert = await Alert.findOneAndUpdate(
+            { _id: id, ...ownerScope(req) },
             { isActive: false },
             { new: true }
         );
@@ -642,6 +940,7 @@ app.delete('/api/alerts/:id', async (req, res) => {
                 message: 'Alert not found'
             });
         }
+        pushAlertChange('deleted', deletedAlert);
 
         logger.info('Alert soft deleted successfully', {
             alertId: id,
@@ -670,11 +969,18 @@ app.delete('/api/alerts/:id', async (req, res) => {
 // Get alerts summary - Exact backend logic
 app.get('/api/alerts/summary/:addedBy', async (req, res) => {
     try {
-        const { addedBy } = req.params;
+        const addedBy = resolveOwnerId(req, req.params.addedBy);
         const now = new Date();
 
         logger.info('Fetching alerts summary', { addedBy });
 
+        if (!addedBy) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
         const summary = await Alert.aggregate([
             { $match: { addedBy, isActive: true } },
             {
@@ -765,6 +1071,222 @@ app.get('/api/alerts/summary/:addedBy', async (req, res) => {
     }
 });
 
+// ==================== NOTIFICATION ROUTES ====================
+
+// Live updates of the caller's inbox and alerts as server-sent events: `ready` with the
+// unread count, then `notification.created`, `notification.read` and `alert.changed`
+app.get('/api/notifications/stream', async (req, res) => {
+    const userId = String(req.user.userId);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const closeStream = openLiveStream(userId, res);
+    req.on('close', () => {
+        closeStream();
+        logger.info('Live stream closed', { userId });
+    });
+    logger.info('Live stream opened', { userId });
+
+    try {
+        writeLiveEvent(res, 'ready', { unreadCount: await countUnread(userId) });
+    } catch (error) {
+        logger.error('Failed to start live stream', { userId, error: error.message });
+        res.end();
+    }
+});
+
+// In-app notifications of the caller, newest first
+app.get('/api/notifications', async (req, res) => {
+    try {
+        const { unread } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const query = { userId: req.user.userId, inApp: true, ...(unread === 'true' ? { isRead: false } : {}) };
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+            Notification.countDocuments({ userId: req.user.userId, inApp: true, isRead: false })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Notifications fetched successfully',
+            data: notifications,
+            unreadCount
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        logger.error('Failed to fetch notifications', {
+            error: error.message,
+            userId: req.user.userId
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notifications'
+        });
+    }
+});
+
+app.put('/api/notifications/read-all', async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user.userId, inApp: true, isRead: false },
+            { isRead: true, readAt: new Date() }
+        );
+        pushNotificationsRead(req.user.userId, null);
+
+        res.status(200).json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: { modifiedCount: result.modifiedCount }
+        });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        logger.error('Failed to mark notifications as read', {
+            error: error.message,
+            userId: req.user.userId
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark notifications as read'
+        });
+    }
+});
+
+app.put('/api/notifications/:id/read', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid notification ID'
+            });
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: id, userId: req.user.userId, inApp: true },
+            { isRead: true, readAt: new Date() },
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+        pushNotificationsRead(req.user.userId, [notification._id]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification,
+            unreadCount: await countUnread(req.user.userId)
+        });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        logger.error('Failed to mark notification as read', {
+            error: error.message,
+            notificationId: req.params.id
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark notification as read'
+        });
+    }
+});
+
+// Notification settings of the caller, with the service defaults they fall back to
+app.get('/api/notification-preferences', async (req, res) => {
+    try {
+        const preference = await NotificationPreference.findOne({ userId: req.user.userId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences fetched successfully',
+            data: describePreference(req.user.userId, preference)
+        });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        logger.error('Failed to fetch notification preferences', {
+            error: error.message,
+            userId: req.user.userId
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notification preferences'
+        });
+    }
+});
+
+// Updates the settings sent. Empty `email`, `leadTimeHours`, `timeZone` or escalation
+// `afterHours` go back to the account email and the service defaults; channel rules,
+// quiet hours and escalation are set by field.
+app.put('/api/notification-preferences', async (req, res) => {
+    try {
+        const { email, leadTimeHours, timeZone, channels, quietHours, escalation } = req.body;
+        const updateData = {};
+        if (email !== undefined) updateData.email = email || null;
+        if (leadTimeHours !== undefined) updateData.leadTimeHours = leadTimeHours === '' ? null : leadTimeHours;
+        if (timeZone !== undefined) updateData.timeZone = timeZone || null;
+        ['delivery', 'digestTime', 'urgentImmediately'].forEach((field) => {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+        Object.keys(deliveryChannels).forEach((name) => {
+            if (channels && channels[name]) updateData[`channels.${name}`] = channels[name];
+        });
+        ['enabled', 'start', 'end'].forEach((field) => {
+            if (quietHours && quietHours[field] !== undefined) updateData[`quietHours.${field}`] = quietHours[field];
+        });
+        if (escalation && escalation.enabled !== undefined) updateData['escalation.enabled'] = escalation.enabled;
+        if (escalation && escalation.afterHours !== undefined) {
+            updateData['escalation.afterHours'] = escalation.afterHours === '' ? null : escalation.afterHours;
+        }
+
+        const preference = await NotificationPreference.findOneAndUpdate(
+            { userId: req.user.userId },
+            updateData,
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        logger.info('Notification preferences updated', {
+            userId: req.user.userId,
+            leadTimeHours: preference.leadTimeHours,
+            delivery: preference.delivery,
+            quietHours: preference.quietHours.enabled,
+            customEmail: Boolean(preference.email)
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated successfully',
+            data: describePreference(req.user.userId, preference)
+        });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        logger.error('Failed to update notification preferences', {
+            error: error.message,
+            userId: req.user.userId
+        });
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: error.errors ? Object.values(error.errors)[0].message : `Invalid ${error.path}`
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification preferences'
+        });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error', {
@@ -798,8 +1320,12 @@ const connectRabbitMQ = async () => {
     await rabbitChannel.assertQueue('notification_queue', { durable: true });
 
     // Bind queue to exchange with routing patterns
-    await rabbitChannel.bindQueue('notification_queue', 'mmt_events', 'expense.*');
+    await rabbitChannel.bindQueue('notification_queue', 'mmt_events', 'expense.#');
+    await rabbitChannel.bindQueue('notification_queue', 'mmt_events', 'budget.#');
     await rabbitChannel.bindQueue('notification_queue', 'mmt_events', 'alert.*');
+    await rabbitChannel.bindQueue('notification_queue', 'mmt_events', 'truck.*');
+    await rabbitChannel.bindQueue('notification_queue', 'mmt_events', 'driver.#');
+    await consumeLiveEvents(rabbitChannel);
 
     logger.info('RabbitMQ connected', {
       url: RABBITMQ_URL.replace(/\/\/.*@/, '//****@'), // Hide credentials in logs
@@ -859,6 +1385,33 @@ const connectRabbitMQ = async () => {
   }
 };
 
+// Publishes an event on `mmt_events`; resolves false when RabbitMQ is unavailable
+const publishEvent = async (routingKey, data) => {
+  if (!rabbitChannel) {
+    logger.warn('RabbitMQ channel not available, event not published', { routingKey });
+    return false;
+  }
+  try {
+    const event = { type: routingKey, timestamp: new Date().toISOString(), data };
+    rabbitChannel.publish('mmt_events', routingKey, Buffer.from(JSON.stringify(event)), { persistent: true });
+    return true;
+  } catch (error) {
+    logger.error('Failed to publish event', { routingKey, error: error.message });
+    return false;
+  }
+};
+
+// Announces a new alert; `createdBy` is the user who created it, or `system`
+const publishAlertCreated = (alert, createdBy) => publishEvent('alert.created', {
+  alertId: alert._id.toString(),
+  userId: alert.addedBy,
+  createdBy,
+  type: alert.type,
+  priority: alert.priority,
+  title: alert.title,
+  alertDate: alert.alertDate
+});
+
 // Process events based on type
 const processEvent = async (event) => {
   switch (event.type) {
@@ -870,9 +1423,22 @@ const processEvent = async (event) => {
       await handleExpenseThresholdExceeded(event.data);
       break;
 
+    case 'budget.threshold.reached':
+      await handleBudgetThresholdReached(event.data);
+      break;
+
     case 'alert.created':
-      logger.info('Alert creation notification received', { alertId: event.data.alertId });
-      // Could send email, SMS, push notification, etc.
+      await handleAlertCreated(event.data);
+      break;
+
+    case 'truck.archived':
+    case 'truck.restored':
+    case 'truck.purged':
+      await handleTruckArchiveEvent(event);
+      break;
+
+    case 'driver.document.expiring':
+      await handleDriverDocumentExpiring(event.data);
       break;
 
     default:
@@ -880,6 +1446,92 @@ const processEvent = async (event) => {
   }
 };
 
+// Archive, restore or purge the alerts of a truck archived in fleet-service
+const handleTruckArchiveEvent = async (event) => {
+  const { truckId, archivedAt } = event.data;
+  let result;
+
+  if (event.type === 'truck.archived') {
+    result = await Alert.updateMany({ truckId }, { isArchived: true, archivedAt: new Date(archivedAt) });
+  } else if (event.type === 'truck.restored') {
+    result = await Alert.updateMany(
+      { truckId, isArchived: true, archivedAt: new Date(archivedAt) },
+      { isArchived: false, archivedAt: null }
+    );
+  } else {
+    result = await Alert.deleteMany({ truckId, isArchived: true });
+  }
+
+  logger.info('Truck alerts updated', {
+    type: event.type,
+    truckId,
+    count: result.modifiedCount ?? result.deletedCount
+  });
+};
+
+const DRIVER_DOCUMENT_LABELS = {
+  license: 'Driving licence',
+  badge: 'Driver badge',
+  medical: 'Medical certificate'
+};
+
+// Raise a `license` alert for a driver document about to lapse. fleet-service publishes
+// each expiry date once, so an earlier reminder for the same document is replaced.
+const handleDriverDocumentExpiring = async (data) => {
+  const { userId, driverId, driverName, license, document, expiryDate, reminderDays } = data;
+  const label = DRIVER_DOCUMENT_LABELS[document] || 'Driver document';
+  const expiry = new Date(expiryDate);
+  const daysToExpiry = Math.floor((expiry.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+  const title = `${label} renewal - ${driverName}`.slice(0, 100);
+
+  await Alert.updateMany(
+    { addedBy: userId, driverId, type: 'license', title, isActive: true },
+    { isActive: false, updatedAt: new Date() }
+  );
+
+  let priority = 'medium';
+  if (daysToExpiry < 0) {
+    priority = 'urgent';
+  } else if (daysToExpiry <= 7) {
+    priority = 'high';
+  }
+
+  const alert = await new Alert({
+    addedBy: userId,
+    driverId,
+    type: 'license',
+    priority,
+    title,
+    description: `${label} of ${driverName} (licence ${license}) expires on ${expiry.toISOString().slice(0, 10)}.`,
+    alertDate: new Date(expiry.getTime() - reminderDays * 24 * 60 * 60 * 1000)
+  }).save();
+
+  publishAlertCreated(alert, 'system');
+  pushAlertChange('created', alert);
+
+  logger.info('Driver document alert created', { alertId: alert._id, driverId, document, expiryDate });
+};
+
+// Notifies the owner of an alert someone else created for them: an admin or the system
+const handleAlertCreated = async (data) => {
+  const { alertId, userId, createdBy } = data;
+  if (createdBy && String(createdBy) === String(userId)) {
+    return;
+  }
+
+  const alert = await Alert.findById(alertId);
+  if (!alert || !alert.isActive) {
+    return;
+  }
+
+  const channels = await deliverNotification(alert.addedBy, (recipient) => ({
+    ...buildAlertNotice(alert, recipient, 'New alert'),
+    kind: 'alert',
+    dedupeKey: `alert:${alertId}`
+  }));
+  logger.info('New alert notified', { alertId, userId: alert.addedBy, channels });
+};
+
 // Handle high cost expense event - Create alert automatically
 const handleHighCostExpense = async (data) => {
   try {
@@ -896,7 +1548,7 @@ const handleHighCostExpense = async (data) => {
     const alert = new Alert({
       addedBy: userId,
       title: `High Cost ${expenseType} Expense Alert`,
-      description: `A ${expenseType} expense of $${amount.toFixed(2)} was recorded, which exceeds the threshold of $5000. Please review this transaction.`,
+      description: `A ${expenseType} expense of ${formatAmount(amount)} was recorded, which exceeds the threshold of ${formatAmount(data.threshold)}. Please review this transaction.`,
       alertDate: new Date(date),
       type: 'fuel', // Map to alert type
       priority: 'high',
@@ -906,6 +1558,7 @@ const handleHighCostExpense = async (data) => {
     });
 
     await alert.save();
+    pushAlertChange('created', alert);
 
     logger.info('Alert created from RabbitMQ event', {
       alertId: alert._id,
@@ -915,6 +1568,24 @@ const handleHighCostExpense = async (data) => {
       expenseType
     });
 
+    // A failed notification is logged rather than requeued, which would duplicate the alert
+    try {
+      const channels = await deliverNotification(userId, () => ({
+        kind: 'expense',
+        dedupeKey: `expense.high_cost:${data.expenseId || alert._id}`,
+        alertId: alert._id.toString(),
+        truckId: alert.truckId || null,
+        alertDate: alert.alertDate,
+        type: alert.type,
+        priority: alert.priority,
+        title: alert.title,
+        message: alert.description
+      }));
+      logger.info('High cost expense notified', { alertId: alert._id, userId, channels });
+    } catch (error) {
+      logger.error('Failed to notify high cost expense', { alertId: alert._id, userId, error: error.message });
+    }
+
     console.log(`✅ Auto-created alert for high cost expense: $${amount} (Alert ID: ${alert._id})`);
 
   } catch (error) {
@@ -926,31 +1597,60 @@ const handleHighCostExpense = async (data) => {
   }
 };
 
-// Handle expense threshold exceeded event
+const EXPENSE_CATEGORY_LABELS = {
+  fuel: 'Fuel',
+  def: 'DEF',
+  toll: 'Toll',
+  pollution: 'Pollution',
+  insurance: 'Insurance',
+  'service&Maintenance': 'Service & Maintenance',
+  'salary&incentives': 'Salary & Incentives',
+  other: 'Other'
+};
+const RULE_PERIOD_LABELS = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+// Describes what an expense rule from finance-service measured against its limit
+const describeThresholdBreach = ({ amount, threshold, average, expenseType, rule }) => {
+  const category = EXPENSE_CATEGORY_LABELS[expenseType] || expenseType;
+  const measure = RULE_PERIOD_LABELS[rule.period]
+    ? `The ${RULE_PERIOD_LABELS[rule.period]} ${category} total of ${formatAmount(amount)}`
+    : `A ${category} expense of ${formatAmount(amount)}`;
+  const limit = rule.mode === 'percentAboveAverage'
+    ? `${formatAmount(threshold)}, ${rule.percent}% above the truck's average of ${formatAmount(average)}`
+    : `the limit of ${formatAmount(threshold)}`;
+  return `${measure} exceeds ${limit}.`;
+};
+
+// Handle expense threshold exceeded event - Raise an alert naming the rule that fired
 const handleExpenseThresholdExceeded = async (data) => {
   try {
-    const { userId, truckId, amount, threshold, expenseType } = data;
+    const { userId, truckId, expenseId, amount, threshold } = data;
+    const rule = data.rule || {};
 
     logger.info('Processing expense threshold exceeded event', {
       userId,
       truckId,
       amount,
-      threshold
+      threshold,
+      ruleId: rule.ruleId
     });
 
     const alert = new Alert({
       addedBy: userId,
-      title: `Expense Threshold Exceeded`,
-      description: `${expenseType} expense of $${amount} exceeds the threshold of $${threshold}. Immediate review required.`,
+      title: `${rule.name || 'Expense threshold'} exceeded`.slice(0, 100),
+      description: describeThresholdBreach({ ...data, rule }).slice(0, 500),
       alertDate: new Date(),
       type: 'payment',
-      priority: 'urgent',
+      priority: rule.priority || 'urgent',
       truckId: truckId,
       isRead: false,
       isActive: true
     });
 
     await alert.save();
+    pushAlertChange('created', alert);
 
     logger.info('Alert created for threshold exceeded', {
       alertId: alert._id,
@@ -959,6 +1659,24 @@ const handleExpenseThresholdExceeded = async (data) => {
       threshold
     });
 
+    // A failed notification is logged rather than requeued, which would duplicate the alert
+    try {
+      const channels = await deliverNotification(userId, () => ({
+        kind: 'expense',
+        dedupeKey: `expense.threshold:${rule.ruleId || 'default'}:${expenseId || alert._id}`,
+        alertId: alert._id.toString(),
+        truckId: alert.truckId || null,
+        alertDate: alert.alertDate,
+        type: alert.type,
+        priority: alert.priority,
+        title: alert.title,
+        message: alert.description
+      }));
+      logger.info('Expense threshold notified', { alertId: alert._id, userId, channels });
+    } catch (error) {
+      logger.error('Failed to notify expense threshold', { alertId: alert._id, userId, error: error.message });
+    }
+
   } catch (error) {
     logger.error('Failed to create alert from threshold exceeded event', {
       error: error.message,
@@ -968,6 +1686,588 @@ const handleExpenseThresholdExceeded = async (data) => {
   }
 };
 
+const formatBudgetMonth = (month) => new Date(`${month}-01T00:00:00Z`)
+  .toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Handle budget threshold reached event - Raise an alert when a monthly budget reaches
+// 80% or 100%, with the spend projected by the month's end
+const handleBudgetThresholdReached = async (data) => {
+  try {
+    const { budgetId, userId, truckId, category, month, level, budget, actual, percentUsed, projected } = data;
+    const label = category === 'any' ? 'Overall' : (EXPENSE_CATEGORY_LABELS[category] || category);
+
+    logger.info('Processing budget threshold reached event', { budgetId, userId, month, level });
+
+    const alert = new Alert({
+      addedBy: userId,
+      title: level >= 100 ? `${label} budget exceeded` : `${label} budget ${level}% used`,
+      description: `${formatAmount(actual)} of the ${formatBudgetMonth(month)} budget of ${formatAmount(budget)} `
+        + `is spent (${percentUsed}%)${truckId ? '' : ' across all trucks'}; `
+        + `at this rate the month ends at ${formatAmount(projected)}.`,
+      alertDate: new Date(),
+      type: 'payment',
+      priority: level >= 100 ? 'urgent' : 'high',
+      truckId: truckId || undefined,
+      isRead: false,
+      isActive: true
+    });
+
+    await alert.save();
+    pushAlertChange('created', alert);
+
+    logger.info('Alert created for budget threshold', { alertId: alert._id, userId, budgetId, level });
+
+    // A failed notification is logged rather than requeued, which would duplicate the alert
+    try {
+      const channels = await deliverNotification(userId, () => ({
+        kind: 'expense',
+        dedupeKey: `budget:${budgetId}:${month}:${level}`,
+        alertId: alert._id.toString(),
+        truckId: alert.truckId || null,
+        alertDate: alert.alertDate,
+        type: alert.type,
+        priority: alert.priority,
+        title: alert.title,
+        message: alert.description
+      }));
+      logger.info('Budget threshold notified', { alertId: alert._id, userId, channels });
+    } catch (error) {
+      logger.error('Failed to notify budget threshold', { alertId: alert._id, userId, error: error.message });
+    }
+
+  } catch (error) {
+    logger.error('Failed to create alert from budget threshold event', {
+      error: error.message,
+      data
+    });
+    throw error;
+  }
+};
+
+// ==================== LIVE UPDATES ====================
+
+// Browsers keep a server-sent event stream open (`GET /api/notifications/stream`) to
+// one instance while a change may happen on another, so changes are published as
+// `live.<event>` on mmt_events and every instance relays them, through a queue of its
+// own, to the streams of that user it holds. Without RabbitMQ they reach this
+// instance's streams only.
+const LIVE_HEARTBEAT_MS = 25000;
+
+// Open streams by user id
+const liveStreams = new Map();
+
+const writeLiveEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const relayLiveEvent = ({ userId, event, data }) => {
+  const streams = liveStreams.get(String(userId));
+  if (!streams) return;
+  streams.forEach((res) => writeLiveEvent(res, event, data));
+};
+
+const openLiveStream = (userId, res) => {
+  const streams = liveStreams.get(userId) || new Set();
+  streams.add(res);
+  liveStreams.set(userId, streams);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+  return () => {
+    clearInterval(heartbeat);
+    streams.delete(res);
+    if (streams.size === 0) liveStreams.delete(userId);
+  };
+};
+
+// Sends an event to the user's open streams on every instance; never rejects
+const pushLiveEvent = async (userId, event, data) => {
+  const message = { userId: String(userId), event, data };
+  if (!(await publishEvent(`live.${event}`, message))) {
+    relayLiveEvent(message);
+  }
+};
+
+const countUnread = (userId) => Notification.countDocuments({ userId, inApp: true, isRead: false });
+
+// `alert.changed` with `action` created, updated or deleted
+const pushAlertChange = (action, alert) => pushLiveEvent(alert.addedBy, 'alert.changed', { action, alert });
+
+// `notification.created` for a new inbox entry, with the unread count; never rejects
+const pushNotificationCreated = async (notificationId) => {
+  try {
+    const notification = await Notification.findById(notificationId);
+    const unreadCount = await countUnread(notification.userId);
+    await pushLiveEvent(notification.userId, 'notification.created', { notification, unreadCount });
+  } catch (error) {
+    logger.error('Failed to push notification', { notificationId, error: error.message });
+  }
+};
+
+// `notification.read` for inbox entries read, all when `ids` is null, with the unread
+// count; never rejects
+const pushNotificationsRead = async (userId, ids) => {
+  try {
+    const unreadCount = await countUnread(userId);
+    await pushLiveEvent(userId, 'notification.read', { ids, unreadCount });
+  } catch (error) {
+    logger.error('Failed to push read notifications', { userId, error: error.message });
+  }
+};
+
+// Relays live events of every instance to this instance's streams
+const consumeLiveEvents = async (channel) => {
+  const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+  await channel.bindQueue(queue, 'mmt_events', 'live.#');
+  await channel.consume(queue, (msg) => {
+    if (msg === null) return;
+    try {
+      relayLiveEvent(JSON.parse(msg.content.toString()).data);
+    } catch (error) {
+      logger.error('Failed to relay live event', { error: error.message });
+    }
+  }, { noAck: true });
+};
+
+// ==================== NOTIFICATION DELIVERY ====================
+
+// Every notification goes through deliverNotification, which applies the user's
+// preferences: each channel carries only the alert types and priorities chosen for it.
+// In-app entries land at once. Emails wait through quiet hours, or for the daily
+// digest, unless urgent; times of day are read in the user's time zone.
+const MAX_LEAD_HOURS = 720;
+const DAY_MINUTES = 24 * 60;
+const DEFAULT_LEAD_HOURS = Number(process.env.REMINDER_LEAD_HOURS) || 24;
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+const MAX_EMAIL_ATTEMPTS = 3;
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, urgent: 3 };
+
+// Email is off without SMTP_HOST; local catchers (Mailpit, MailHog) listen on port 1025
+const mailTransport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+  : null;
+
+// Delivery channels by name. An in-app notification is the inbox entry itself;
+// `send` emails a batch of one user's notifications.
+const deliveryChannels = {
+  inApp: {
+    isEnabled: () => true
+  },
+  email: {
+    isEnabled: () => Boolean(mailTransport),
+    send: async (recipient, notifications) => {
+      const [first] = notifications;
+      await mailTransport.sendMail({
+        from: process.env.SMTP_FROM || 'Manage My Truck <reminders@managemytruck.local>',
+        to: recipient.email,
+        subject: notifications.length > 1 ? `${notifications.length} notifications from Manage My Truck` : first.title,
+        text: notifications.length > 1
+          ? notifications.map((notification) => `${notification.title}\n${notification.message}`).join('\n\n')
+          : first.message
+      });
+    }
+  }
+};
+
+const getAvailableChannels = () => Object.keys(deliveryChannels).filter((name) => deliveryChannels[name].isEnabled());
+
+// A user's stored preferences, or the defaults when they never saved any
+const withDefaults = (userId, preference) => preference || new NotificationPreference({ userId });
+
+// Who a user's notifications go to, how early reminders go out and in which time zone
+const getRecipient = (userId, preference) => ({
+  userId,
+  email: preference.email || preference.accountEmail,
+  leadTimeHours: preference.leadTimeHours !== null ? preference.leadTimeHours : DEFAULT_LEAD_HOURS,
+  timeZone: preference.timeZone || DEFAULT_TIME_ZONE
+});
+
+const describePreference = (userId, preference) => {
+  const settings = withDefaults(userId, preference);
+  return {
+    email: getRecipient(userId, settings).email,
+    customEmail: settings.email,
+    accountEmail: settings.accountEmail,
+    leadTimeHours: settings.leadTimeHours,
+    channels: settings.channels,
+    delivery: settings.delivery,
+    digestTime: settings.digestTime,
+    quietHours: settings.quietHours,
+    urgentImmediately: settings.urgentImmediately,
+    escalation: settings.escalation,
+    timeZone: settings.timeZone,
+    defaults: {
+      leadTimeHours: DEFAULT_LEAD_HOURS,
+      escalationAfterHours: DEFAULT_ESCALATION_HOURS,
+      timeZone: DEFAULT_TIME_ZONE
+    },
+    availableChannels: getAvailableChannels()
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight of a moment on the clocks of a time zone
+const getLocalMinutes = (date, timeZone) => toMinutes(
+  new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date)
+);
+
+const isQuietTime = (preference, timeZone, now) => {
+  const { enabled, start, end } = preference.quietHours;
+  if (!enabled || start === end) return false;
+  const minutes = getLocalMinutes(now, timeZone);
+  return toMinutes(start) < toMinutes(end)
+    ? minutes >= toMinutes(start) && minutes < toMinutes(end)
+    : minutes >= toMinutes(start) || minutes < toMinutes(end);
+};
+
+// Whether the digest time came round since a notification was created
+const hasDigestPassed = (preference, timeZone, createdAt, now) => {
+  const elapsedMinutes = (now.getTime() - createdAt.getTime()) / 60000;
+  const untilDigest = (toMinutes(preference.digestTime) - getLocalMinutes(createdAt, timeZone) + DAY_MINUTES) % DAY_MINUTES;
+  return elapsedMinutes >= (untilDigest || DAY_MINUTES);
+};
+
+const isEmailDue = (preference, timeZone, notification, now) => {
+  if (preference.urgentImmediately && notification.priority === 'urgent') return true;
+  if (preference.delivery === 'digest') return hasDigestPassed(preference, timeZone, notification.createdAt, now);
+  return !isQuietTime(preference, timeZone, now);
+};
+
+// Channels a notification goes through under a user's rules
+const selectChannels = (preference, recipient, notice) => getAvailableChannels().filter((name) => {
+  const rule = preference.channels[name];
+  return rule.enabled
+    && (rule.types.length === 0 || rule.types.includes(notice.type))
+    && (PRIORITY_RANK[notice.priority] || 0) >= PRIORITY_RANK[rule.minPriority]
+    && (name !== 'email' || Boolean(recipient.email));
+});
+
+// Notifies a user through the channels their preferences pick, emailing at once when
+// nothing holds the email back. `createNotice(recipient)` builds the notification
+// (`kind`, `dedupeKey`, title, message, alert fields), so dates read in the user's
+// time zone. Resolves to the channels picked (none when muted), null when the event
+// was already notified.
+const deliverNotification = async (userId, createNotice) => {
+  const preference = withDefaults(userId, await NotificationPreference.findOne({ userId }));
+  const recipient = getRecipient(userId, preference);
+  const notice = createNotice(recipient);
+  const channels = selectChannels(preference, recipient, notice);
+  if (channels.length === 0) {
+    logger.info('Notification muted by preferences', { userId, dedupeKey: notice.dedupeKey });
+    return [];
+  }
+
+  const { dedupeKey, ...fields } = notice;
+  try {
+    const result = await Notification.updateOne(
+      { dedupeKey },
+      {
+        $setOnInsert: {
+          ...fields,
+          userId,
+          inApp: channels.includes('inApp'),
+          emailStatus: channels.includes('email') ? 'pending' : 'none'
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) return null;
+    if (channels.includes('inApp')) {
+      pushNotificationCreated(result.upsertedId);
+    }
+  } catch (error) {
+    // A concurrent delivery of the same event inserted it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (channels.includes('email')) {
+    await flushEmails(new Date(), userId);
+  }
+  return channels;
+};
+
+// Claims a pending email so concurrent flushes never send it twice
+const claimEmail = (notification) => Notification.findOneAndUpdate(
+  { _id: notification._id, emailStatus: 'pending' },
+  { emailStatus: 'sending' },
+  { new: true }
+);
+
+// Sends the pending emails that are due, one email per user, optionally of one user
+// only; resolves to the number of notifications emailed
+const flushEmails = async (now = new Date(), userId = null) => {
+  if (!deliveryChannels.email.isEnabled()) return 0;
+
+  const pending = await Notification.find({ emailStatus: 'pending', ...(userId ? { userId } : {}) }).sort({ createdAt: 1 });
+  if (pending.length === 0) return 0;
+
+  const userIds = [...new Set(pending.map((notification) => notification.userId))];
+  const preferences = await NotificationPreference.find({ userId: { $in: userIds } });
+  const preferencesByUser = new Map(preferences.map((preference) => [preference.userId, preference]));
+
+  let sent = 0;
+  for (const recipientId of userIds) {
+    const preference = withDefaults(recipientId, preferencesByUser.get(recipientId));
+    const recipient = getRecipient(recipientId, preference);
+    const due = pending.filter((notification) => notification.userId === recipientId
+      && isEmailDue(preference, recipient.timeZone, notification, now));
+    if (due.length === 0) continue;
+
+    const claimed = (await Promise.all(due.map(claimEmail))).filter(Boolean);
+    const ids = claimed.map((notification) => notification._id);
+    if (ids.length === 0) continue;
+
+    if (!recipient.email) {
+      await Notification.updateMany({ _id: { $in: ids } }, { emailStatus: 'failed' });
+      continue;
+    }
+
+    try {
+      await deliveryChannels.email.send(recipient, claimed);
+      await Notification.updateMany({ _id: { $in: ids } }, { emailStatus: 'sent', emailSentAt: new Date() });
+      sent += ids.length;
+    } catch (error) {
+      logger.error('Notification email failed', { userId: recipientId, count: ids.length, error: error.message });
+      await Notification.updateMany({ _id: { $in: ids } }, { emailStatus: 'pending', $inc: { emailAttempts: 1 } });
+      await Notification.updateMany(
+        { _id: { $in: ids }, emailAttempts: { $gte: MAX_EMAIL_ATTEMPTS } },
+        { emailStatus: 'failed' }
+      );
+    }
+  }
+  return sent;
+};
+
+// Title, message and alert fields of a notification about an alert
+const buildAlertNotice = (alert, recipient, heading) => {
+  const due = new Date(alert.alertDate).toLocaleString('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: recipient.timeZone
+  });
+  const details = alert.description ? ` ${alert.description}` : '';
+  return {
+    alertId: alert._id.toString(),
+    truckId: alert.truckId || null,
+    alertDate: alert.alertDate,
+    type: alert.type,
+    priority: alert.priority,
+    title: `${heading}: ${alert.title}`,
+    message: `${alert.title} is due on ${due}.${details}`.slice(0, 600)
+  };
+};
+
+// ==================== REMINDERS ====================
+
+// Alerts are reminded `leadTimeHours` before their date (REMINDER_LEAD_HOURS unless the
+// user chose otherwise). A scan claims an alert by setting `reminderSent` before
+// delivering, so overlapping scans and service replicas never remind the same
+// occurrence twice; a claim whose delivery failed is released for the next scan.
+// Alerts more than REMINDER_GRACE_HOURS overdue when first seen, e.g. after downtime,
+// are not reminded. A snoozed alert is reminded once its snooze ends, whatever its date.
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_GRACE_HOURS = Number(process.env.REMINDER_GRACE_HOURS) || 24;
+const REMINDER_SCAN_INTERVAL_MS = Number(process.env.REMINDER_SCAN_INTERVAL_MS) || 60 * 1000;
+
+// Claims an alert's current occurrence and notifies its owner. Returns whether the
+// reminder was handled, which includes one the user's preferences muted.
+const dispatchReminder = async (alert, now) => {
+  const claim = await Alert.updateOne(
+    { _id: alert._id, alertDate: alert.alertDate, snoozedUntil: alert.snoozedUntil, reminderSent: false },
+    { reminderSent: true, reminderSentAt: now }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  try {
+    const channels = await deliverNotification(alert.addedBy, (recipient) => ({
+      ...buildAlertNotice(alert, recipient, 'Reminder'),
+      kind: 'reminder',
+      dedupeKey: alert.snoozedUntil
+        ? `reminder:${alert._id}:${alert.alertDate.toISOString()}:snoozed:${alert.snoozedUntil.toISOString()}`
+        : `reminder:${alert._id}:${alert.alertDate.toISOString()}`
+    }));
+    logger.info('Reminder dispatched', { alertId: alert._id, userId: alert.addedBy, channels });
+    return true;
+  } catch (error) {
+    await Alert.updateOne(
+      { _id: alert._id, reminderSentAt: now },
+      { reminderSent: false, reminderSentAt: null }
+    );
+    logger.error('Reminder failed, retrying on next scan', { alertId: alert._id, error: error.message });
+    return false;
+  }
+};
+
+// Sends the reminders that fell due since the last scan; resolves to the number sent
+const scanReminders = async (now = new Date()) => {
+  const graceStart = new Date(now.getTime() - REMINDER_GRACE_HOURS * HOUR_MS);
+  const leadEnd = new Date(now.getTime() + MAX_LEAD_HOURS * HOUR_MS);
+  const alerts = await Alert.find({
+    isActive: true,
+    isRead: false,
+    reminderSent: false,
+    $or: [
+      { snoozedUntil: null, alertDate: { $gte: graceStart, $lte: leadEnd } },
+      { snoozedUntil: { $gte: graceStart, $lte: now }, alertDate: { $lte: leadEnd } }
+    ]
+  }).sort({ alertDate: 1 });
+  if (alerts.length === 0) return 0;
+
+  const userIds = [...new Set(alerts.map((alert) => alert.addedBy))];
+  const preferences = await NotificationPreference.find({ userId: { $in: userIds } });
+  const preferencesByUser = new Map(preferences.map((preference) => [preference.userId, preference]));
+
+  let sent = 0;
+  for (const alert of alerts) {
+    const { leadTimeHours } = getRecipient(alert.addedBy, withDefaults(alert.addedBy, preferencesByUser.get(alert.addedBy)));
+    if (alert.alertDate.getTime() - leadTimeHours * HOUR_MS > now.getTime()) continue;
+    if (await dispatchReminder(alert, now)) sent += 1;
+  }
+  return sent;
+};
+
+// ==================== ESCALATION ====================
+
+// A high or urgent alert still unread `afterHours` (ESCALATION_AFTER_HOURS unless the
+// user chose otherwise) after it fell due is escalated: a high alert becomes urgent and
+// its owner is notified again, and so on after each further `afterHours`, at most
+// ESCALATION_MAX_LEVEL times per occurrence. A snooze holds escalation off and its end
+// restarts the clock. As with reminders, a scan claims an escalation before notifying,
+// releases it when delivery fails, and skips those more than REMINDER_GRACE_HOURS late.
+const DEFAULT_ESCALATION_HOURS = Number(process.env.ESCALATION_AFTER_HOURS) || 4;
+const ESCALATION_MAX_LEVEL = Number(process.env.ESCALATION_MAX_LEVEL) || 3;
+// Longest delay a user can choose, which bounds how far back a scan looks
+const MAX_ESCALATION_HOURS = 168;
+
+const getEscalationHours = (preference) => (
+  preference.escalation.afterHours !== null ? preference.escalation.afterHours : DEFAULT_ESCALATION_HOURS
+);
+
+// Claims the next escalation of an alert, records it and notifies the owner. Returns
+// whether the escalation was handled, which includes one the user's preferences muted.
+const dispatchEscalation = async (alert, now) => {
+  const level = (alert.escalationLevel || 0) + 1;
+  const escalatedAlert = await Alert.findOneAndUpdate(
+    {
+      _id: alert._id,
+      alertDate: alert.alertDate,
+      escalatedAt: alert.escalatedAt,
+      snoozedUntil: alert.snoozedUntil,
+      isRead: false
+    },
+    {
+      escalationLevel: level,
+      escalatedAt: now,
+      priority: 'urgent',
+      ...pushHistory({
+        action: 'escalated',
+        at: now,
+        by: 'system',
+        level,
+        fromPriority: alert.priority,
+        toPriority: 'urgent'
+      })
+    },
+    { new: true }
+  );
+  if (!escalatedAlert) return false;
+
+  try {
+    const channels = await deliverNotification(alert.addedBy, (recipient) => ({
+      ...buildAlertNotice(escalatedAlert, recipient, 'Still unread'),
+      kind: 'escalation',
+      dedupeKey: `escalation:${alert._id}:${alert.alertDate.toISOString()}:${level}`
+    }));
+    pushAlertChange('updated', escalatedAlert);
+    logger.info('Alert escalated', { alertId: alert._id, userId: alert.addedBy, level, channels });
+    return true;
+  } catch (error) {
+    await Alert.updateOne(
+      { _id: alert._id, escalatedAt: now },
+      {
+        escalationLevel: alert.escalationLevel || 0,
+        escalatedAt: alert.escalatedAt,
+        priority: alert.priority,
+        $pop: { history: 1 }
+      }
+    );
+    logger.error('Escalation failed, retrying on next scan', { alertId: alert._id, error: error.message });
+    return false;
+  }
+};
+
+// Escalates the unread alerts whose delay ran out since the last scan; resolves to the
+// number escalated
+const scanEscalations = async (now = new Date()) => {
+  const since = new Date(now.getTime() - (REMINDER_GRACE_HOURS + MAX_ESCALATION_HOURS) * HOUR_MS);
+  const alerts = await Alert.find({
+    isActive: true,
+    isRead: false,
+    priority: { $in: ESCALATED_PRIORITIES },
+    escalationLevel: { $not: { $gte: ESCALATION_MAX_LEVEL } },
+    alertDate: { $lte: now },
+    $and: [
+      { $or: [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }] },
+      { $or: [{ alertDate: { $gte: since } }, { escalatedAt: { $gte: since } }, { snoozedUntil: { $gte: since } }] }
+    ]
+  }).sort({ alertDate: 1 });
+  if (alerts.length === 0) return 0;
+
+  const userIds = [...new Set(alerts.map((alert) => alert.addedBy))];
+  const preferences = await NotificationPreference.find({ userId: { $in: userIds } });
+  const preferencesByUser = new Map(preferences.map((preference) => [preference.userId, preference]));
+
+  let escalated = 0;
+  for (const alert of alerts) {
+    const preference = withDefaults(alert.addedBy, preferencesByUser.get(alert.addedBy));
+    if (!preference.escalation.enabled) continue;
+    const due = getEscalationDue(alert, getEscalationHours(preference));
+    if (due > now || now.getTime() - due.getTime() > REMINDER_GRACE_HOURS * HOUR_MS) continue;
+    if (await dispatchEscalation(alert, now)) escalated += 1;
+  }
+  return escalated;
+};
+
+// Every REMINDER_SCAN_INTERVAL_MS, sends due reminders and escalations and the emails
+// quiet hours or the digest held back; a tick is skipped while the previous one runs
+const startNotificationScheduler = () => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const reminders = await scanReminders();
+      const escalations = await scanEscalations();
+      const emails = await flushEmails();
+      if (reminders > 0 || escalations > 0 || emails > 0) {
+        logger.info('Notifications dispatched', { reminders, escalations, emails });
+      }
+    } catch (error) {
+      logger.error('Notification scheduler run failed', { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, REMINDER_SCAN_INTERVAL_MS);
+  interval.unref();
+  logger.info('Notification scheduler started', {
+    intervalMs: REMINDER_SCAN_INTERVAL_MS,
+    channels: getAvailableChannels()
+  });
+  return interval;
+};
+
 // Start server
 const startServer = async () => {
   await connectDB();
@@ -975,6 +2275,10 @@ const startServer = async () => {
   // Start RabbitMQ consumer
   await connectRabbitMQ();
 
+  // Send alert reminders and escalations as they fall due, and emails held back by quiet
+  // hours or the digest
+  startNotificationScheduler();
+
   app.listen(PORT, () => {
     logger.info(`Notification Service running on port ${PORT}`, {
       environment: process.env.NODE_ENV || 'development',
@@ -0,0 +1,198 @@
+/**
+ * Recurrence rules of alerts, modelled on iCalendar RRULEs.
+ *
+ * A rule is a frequency (`recurringType`) repeated every `recurringInterval` units,
+ * optionally ending on `recurringEndDate` or after `recurringCount` occurrences.
+ * Month-based rules keep to `recurringDayOfMonth`, falling back to the last day of
+ * shorter months, so an alert on the 31st recurs on 28/29 Feb and on 31 Mar again.
+ * Dates are worked out in the server's time zone and keep the alert's time of day.
+ *
+ * Shared by the monolith backend and notification-service, so both move alerts on
+ * alike. Keep it free of dependencies: each service installs its own.
+ */
+
+// Days or months one interval of each frequency spans
+const DAY_STEPS = { daily: 1, weekly: 7 };
+const MONTH_STEPS = { monthly: 1, quarterly: 3, halfYearly: 6, yearly: 12 };
+
+const RECURRING_TYPES = ['none', ...Object.keys(DAY_STEPS), ...Object.keys(MONTH_STEPS)];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} recurringType - Frequency of a rule
+ * @returns {boolean} Whether occurrences are anchored to a day of the month
+ */
+const isMonthBased = (recurringType) => Boolean(MONTH_STEPS[recurringType]);
+
+/**
+ * @param {Date} date - Any day of the month
+ * @returns {number} Number of days in that month
+ */
+const getDaysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Moves a date by whole months onto a day of the month, clamped to the month's length.
+ * @param {Date} date - Date to move
+ * @param {number} months - Months to add
+ * @param {number} dayOfMonth - Preferred day of the month (1-31)
+ * @returns {Date} The moved date, same time of day
+ */
+const addMonths = (date, months, dayOfMonth) => {
+    const next = new Date(date);
+    next.setDate(1);
+    next.setMonth(next.getMonth() + months);
+    next.setDate(Math.min(dayOfMonth, getDaysInMonth(next)));
+    return next;
+};
+
+/**
+ * Works out the occurrence after an alert's current one.
+ * @param {Object} alert - Alert with `alertDate` and its recurrence fields
+ * @returns {Date|null} Next occurrence, null when the rule has ended or the alert does not recur
+ */
+const getNextOccurrence = (alert) => {
+    const { recurringType } = alert;
+    const interval = alert.recurringInterval || 1;
+    const current = new Date(alert.alertDate);
+
+    if (!alert.isRecurring || (!DAY_STEPS[recurringType] && !MONTH_STEPS[recurringType])) {
+        return null;
+    }
+    if (alert.recurringCount && (alert.occurrenceCount || 1) >= alert.recurringCount) {
+        return null;
+    }
+
+    let next;
+    if (DAY_STEPS[recurringType]) {
+        next = new Date(current);
+        next.setDate(next.getDate() + DAY_STEPS[recurringType] * interval);
+    } else {
+        next = addMonths(current, MONTH_STEPS[recurringType] * interval, alert.recurringDayOfMonth || current.getDate());
+    }
+
+    if (alert.recurringEndDate) {
+        const end = new Date(alert.recurringEndDate);
+        end.setHours(23, 59, 59, 999);
+        if (next > end) {
+            return null;
+        }
+    }
+    return next;
+};
+
+/**
+ * Moves an alert's rule on to its first occurrence on or after a date. Whole intervals
+ * are skipped at once, so a rule that started long ago costs no more than a new one.
+ * @param {Object} alert - Alert with `alertDate`, `occurrenceCount` and its recurrence fields
+ * @param {Date} from - Earliest date wanted
+ * @returns {Object|null} The alert at that occurrence, with its `alertDate` and `occurrenceCount`; null when the rule ends before
+ */
+const getOccurrenceFrom = (alert, from) => {
+    const { recurringType } = alert;
+    const interval = alert.recurringInterval || 1;
+    const current = new Date(alert.alertDate);
+    const occurrenceCount = alert.occurrenceCount || 1;
+    let occurrence = { ...alert, alertDate: current, occurrenceCount };
+
+    if (current < from && alert.isRecurring && (DAY_STEPS[recurringType] || MONTH_STEPS[recurringType])) {
+        // One interval short of `from`, so days shortened by a clock change cannot overshoot it
+        let steps;
+        let date;
+        if (DAY_STEPS[recurringType]) {
+            const days = DAY_STEPS[recurringType] * interval;
+            steps = Math.floor((from - current) / (days * DAY_MS)) - 1;
+            date = new Date(current);
+            date.setDate(date.getDate() + Math.max(steps, 0) * days);
+        } else {
+            const months = MONTH_STEPS[recurringType] * interval;
+            const monthsApart = (from.getFullYear() - current.getFullYear()) * 12 + from.getMonth() - current.getMonth();
+            steps = Math.floor(monthsApart / months) - 1;
+            date = addMonths(current, Math.max(steps, 0) * months, alert.recurringDayOfMonth || current.getDate());
+        }
+        if (alert.recurringCount && steps > alert.recurringCount - occurrenceCount) {
+            return null;
+        }
+        if (steps > 0) {
+            occurrence = { ...occurrence, alertDate: date, occurrenceCount: occurrenceCount + steps };
+        }
+    }
+
+    while (occurrence.alertDate < from) {
+        const next = getNextOccurrence(occurrence);
+        if (!next) {
+            return null;
+        }
+        occurrence = { ...occurrence, alertDate: next, occurrenceCount: occurrence.occurrenceCount + 1 };
+    }
+    return occurrence;
+};
+
+/**
+ * Expresses an alert's rule as an iCalendar RRULE starting from its current occurrence.
+ * Month-based rules pick the last of days 28 up to `recurringDayOfMonth` that the
+ * month has, which keeps the clamping of shorter months described above. The rule
+ * repeats in the time zone the occurrence is written in, so DTSTART has to carry the
+ * server's zone; UNTIL is the end of the end date there, in UTC.
+ * @param {Object} alert - Alert with `alertDate` and its recurrence fields
+ * @returns {string|null} RRULE value (without the `RRULE:` name), null when the alert does not recur
+ */
+const toRRule = (alert) => {
+    const { recurringType } = alert;
+    const interval = alert.recurringInterval || 1;
+
+    if (!alert.isRecurring || (!DAY_STEPS[recurringType] && !MONTH_STEPS[recurringType])) {
+        return null;
+    }
+
+    const parts = [];
+    if (DAY_STEPS[recurringType]) {
+        parts.push(`FREQ=${recurringType === 'weekly' ? 'WEEKLY' : 'DAILY'}`, `INTERVAL=${interval}`);
+    } else {
+        const dayOfMonth = alert.recurringDayOfMonth || new Date(alert.alertDate).getDate();
+        parts.push('FREQ=MONTHLY', `INTERVAL=${MONTH_STEPS[recurringType] * interval}`);
+        if (dayOfMonth <= 28) {
+            parts.push(`BYMONTHDAY=${dayOfMonth}`);
+        } else {
+            const candidates = [];
+            for (let day = 28; day <= dayOfMonth; day++) {
+                candidates.push(day);
+            }
+            parts.push(`BYMONTHDAY=${candidates.join(',')}`, 'BYSETPOS=-1');
+        }
+    }
+
+    if (alert.recurringCount) {
+        // The current occurrence is DTSTART, so only the ones left are counted
+        parts.push(`COUNT=${Math.max(alert.recurringCount - (alert.occurrenceCount || 1) + 1, 1)}`);
+    }
+    if (alert.recurringEndDate) {
+        const end = new Date(alert.recurringEndDate);
+        end.setHours(23, 59, 59, 0);
+        parts.push(`UNTIL=${end.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+    return parts.join(';');
+};
+
+/**
+ * Checks a rule for contradictions the schema cannot see.
+ * @param {Object} rule - `{ alertDate, recurringEndDate }`
+ * @returns {string|null} Error message, null when the rule is valid
+ */
+const validateRecurrence = ({ alertDate, recurringEndDate }) => {
+    if (recurringEndDate && Number.isNaN(new Date(recurringEndDate).getTime())) {
+        return 'Invalid recurrence end date';
+    }
+    if (recurringEndDate && alertDate && new Date(recurringEndDate) < new Date(new Date(alertDate).toDateString())) {
+        return 'Recurrence cannot end before the alert date';
+    }
+    return null;
+};
+
+module.exports = {
+    RECURRING_TYPES,
+    isMonthBased,
+    getNextOccurrence,
+    getOccurrenceFrom,
+    toRRule,
+    validateRecurrence,
+};
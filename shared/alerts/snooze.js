@@ -0,0 +1,92 @@
+/**
+ * Snoozes and escalations of alerts.
+ *
+ * A snoozed alert is not escalated, nor reminded where reminders are sent, until
+ * `snoozedUntil`. Escalations are made by a scan in each service that holds alerts: a
+ * high or urgent alert left unread too long becomes urgent, and notification-service
+ * notifies its owner again. Both are recorded in the alert's `history`, and cleared
+ * when the alert moves to a new date.
+ *
+ * Shared by the monolith backend and notification-service, like ./recurrence.
+ */
+
+// Longest snooze, and how many snoozes and escalations an alert keeps
+const MAX_SNOOZE_HOURS = 720;
+const ALERT_HISTORY_LIMIT = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Priorities of the alerts that escalate
+const ESCALATED_PRIORITIES = ['high', 'urgent'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * @param {Object} request - Snooze asked for
+ * @param {string} [request.until] - Date the snooze ends
+ * @param {number} [request.hours] - Hours the snooze lasts, instead of `until`
+ * @param {Date} now - Reference time
+ * @returns {{ snoozedUntil?: Date, error?: string }} End of the snooze, or why it is refused
+ */
+const resolveSnoozeUntil = ({ until, hours }, now) => {
+    if (isBlank(until) === isBlank(hours)) {
+        return { error: 'Snooze until a date or for a number of hours' };
+    }
+    const snoozedUntil = isBlank(until) ? new Date(now.getTime() + Number(hours) * HOUR_MS) : new Date(until);
+    if (Number.isNaN(snoozedUntil.getTime())) {
+        return { error: 'Invalid snooze time' };
+    }
+    if (snoozedUntil <= now) {
+        return { error: 'Snooze must end in the future' };
+    }
+    if (snoozedUntil.getTime() - now.getTime() > MAX_SNOOZE_HOURS * HOUR_MS) {
+        return { error: `Alerts can be snoozed for at most ${MAX_SNOOZE_HOURS / 24} days` };
+    }
+    return { snoozedUntil };
+};
+
+/**
+ * @param {Object} entry - History entry (`action`, `by` and its details)
+ * @returns {Object} Update operator appending the entry, keeping the latest ALERT_HISTORY_LIMIT
+ */
+const pushHistory = (entry) => ({
+    $push: { history: { $each: [entry], $slice: -ALERT_HISTORY_LIMIT } }
+});
+
+/**
+ * An unread alert is next escalated `afterHours` after it fell due, was last escalated
+ * or came out of a snooze, whichever is latest.
+ * @param {Object} alert - Alert with `alertDate`, `escalatedAt` and `snoozedUntil`
+ * @param {number} afterHours - Hours an alert may stay unread
+ * @returns {Date} When the alert is next escalated
+ */
+const getEscalationDue = (alert, afterHours) => new Date(Math.max(
+    alert.alertDate.getTime(),
+    alert.escalatedAt ? alert.escalatedAt.getTime() : 0,
+    alert.snoozedUntil ? alert.snoozedUntil.getTime() : 0
+) + afterHours * HOUR_MS);
+
+/**
+ * Clears the snooze and escalation of an alert moving to a new date.
+ * @param {Object} alert - Alert before the move
+ * @param {string} [priority] - Priority set along with the move
+ * @returns {Object} Fields to update; an escalated alert gets back the priority it had before
+ */
+const resetEscalation = (alert, priority) => {
+    const firstEscalation = [...(alert.history || [])].reverse()
+        .find((entry) => entry.action === 'escalated' && entry.level === 1);
+    return {
+        snoozedUntil: null,
+        escalationLevel: 0,
+        escalatedAt: null,
+        priority: priority || (alert.escalationLevel > 0 && firstEscalation ? firstEscalation.fromPriority : alert.priority)
+    };
+};
+
+module.exports = {
+    MAX_SNOOZE_HOURS,
+    ESCALATED_PRIORITIES,
+    resolveSnoozeUntil,
+    pushHistory,
+    getEscalationDue,
+    resetEscalation,
+};
@@ -42,15 +42,15 @@ else
     echo "❌ Auth Service (port 3001) - NOT ACCESSIBLE"
 fi
 
-# Test Fleet Service
-if curl -s http://localhost:3002/health > /dev/null 2>&1; then
+# Test Fleet Service (not published, so checked from inside its container)
+if docker-compose exec -T fleet-service node -e "require('http').get('http://localhost:3002/health', (res) => process.exit(res.statusCode === 200 ? 0 : 1)).on('error', () => process.exit(1))" > /dev/null 2>&1; then
     echo "✅ Fleet Service (port 3002) - HEALTHY"
 else
     echo "❌ Fleet Service (port 3002) - NOT ACCESSIBLE"
 fi
 
-# Test Finance Service
-if curl -s http://localhost:3003/health > /dev/null 2>&1; then
+# Test Finance Service (not published, so checked from inside its container)
+if docker-compose exec -T finance-service node -e "require('http').get('http://localhost:3003/health', (res) => process.exit(res.statusCode === 200 ? 0 : 1)).on('error', () => process.exit(1))" > /dev/null 2>&1; then
     echo "✅ Finance Service (port 3003) - HEALTHY"
 else
     echo "❌ Finance Service (port 3003) - NOT ACCESSIBLE"